@@ -12,14 +12,32 @@ DROP TABLE IF EXISTS case_statuses CASCADE;
 DROP TABLE IF EXISTS case_assignments CASCADE;
 DROP TABLE IF EXISTS user_profile_updates CASCADE;
 DROP TABLE IF EXISTS user_permissions CASCADE;
+DROP TABLE IF EXISTS login_lockouts CASCADE;
+DROP TABLE IF EXISTS password_reset_tokens CASCADE;
+DROP TABLE IF EXISTS password_history CASCADE;
+DROP TABLE IF EXISTS password_policy CASCADE;
+DROP TABLE IF EXISTS user_backup_codes CASCADE;
+DROP TABLE IF EXISTS user_two_factor CASCADE;
 DROP TABLE IF EXISTS user_sessions CASCADE;
+DROP TABLE IF EXISTS auth_nonces CASCADE;
+DROP TABLE IF EXISTS pending_action_approvals CASCADE;
+DROP TABLE IF EXISTS pending_actions CASCADE;
 DROP TABLE IF EXISTS role_change_requests CASCADE;
+DROP TABLE IF EXISTS retention_dispositions CASCADE;
+DROP TABLE IF EXISTS retention_rules CASCADE;
+DROP TABLE IF EXISTS legal_hold_evidence CASCADE;
+DROP TABLE IF EXISTS legal_holds CASCADE;
 DROP TABLE IF EXISTS evidence_tags CASCADE;
 DROP TABLE IF EXISTS tags CASCADE;
 DROP TABLE IF EXISTS notifications CASCADE;
 DROP TABLE IF EXISTS admin_actions CASCADE;
+DROP TABLE IF EXISTS audit_checkpoints CASCADE;
 DROP TABLE IF EXISTS activity_logs CASCADE;
+DROP TABLE IF EXISTS custody_events CASCADE;
 DROP TABLE IF EXISTS evidence CASCADE;
+DROP TABLE IF EXISTS retention_policy_versions CASCADE;
+DROP TABLE IF EXISTS retention_policies CASCADE;
+DROP TABLE IF EXISTS anchor_batches CASCADE;
 DROP TABLE IF EXISTS cases CASCADE;
 DROP TABLE IF EXISTS users CASCADE;
 
@@ -41,6 +59,8 @@ CREATE TABLE users (
     account_type TEXT DEFAULT 'real' CHECK (account_type IN ('real', 'test')),
     auth_type TEXT DEFAULT 'wallet' CHECK (auth_type IN ('wallet', 'email', 'both')),
     email_verified BOOLEAN DEFAULT FALSE,
+    two_factor_enabled BOOLEAN DEFAULT FALSE,
+    password_changed_at TIMESTAMPTZ DEFAULT NOW(),
     created_by TEXT,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     last_updated TIMESTAMPTZ DEFAULT NOW(),
@@ -81,6 +101,7 @@ CREATE TABLE cases (
     deadline_date TIMESTAMPTZ,
     case_number VARCHAR(50) UNIQUE,
     jurisdiction VARCHAR(100),
+    department VARCHAR(100),
     case_type VARCHAR(50) DEFAULT 'criminal',
     estimated_completion TIMESTAMPTZ,
     actual_completion TIMESTAMPTZ,
@@ -90,6 +111,56 @@ CREATE TABLE cases (
     status_changed_by TEXT
 );
 
+-- Merkle anchoring batches (one on-chain transaction per batch)
+CREATE TABLE anchor_batches (
+    id SERIAL PRIMARY KEY,
+    merkle_root TEXT UNIQUE NOT NULL,
+    leaf_count INTEGER NOT NULL,
+    status TEXT DEFAULT 'submitted' CHECK (status IN ('submitted', 'confirmed', 'failed')),
+    blockchain_tx TEXT,
+    blockchain_block_number BIGINT,
+    blockchain_batch_id BIGINT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    anchored_at TIMESTAMPTZ
+);
+
+-- How long evidence is kept and what happens to it afterwards
+CREATE TABLE retention_policies (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    case_type TEXT,
+    jurisdiction TEXT,
+    retention_days INTEGER NOT NULL CHECK (retention_days > 0),
+    archive_method TEXT NOT NULL DEFAULT 'archive' CHECK (archive_method IN ('archive', 'anonymize', 'destroy')),
+    law_reference TEXT,
+    version INTEGER NOT NULL DEFAULT 1,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    deleted_by TEXT,
+    deleted_at TIMESTAMPTZ
+);
+
+-- Every version of every retention policy, written on create, update and delete.
+-- Append-only, like activity_logs.
+CREATE TABLE retention_policy_versions (
+    id SERIAL PRIMARY KEY,
+    policy_id INTEGER NOT NULL REFERENCES retention_policies(id),
+    version INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    case_type TEXT,
+    jurisdiction TEXT,
+    retention_days INTEGER NOT NULL,
+    archive_method TEXT NOT NULL,
+    law_reference TEXT,
+    is_active BOOLEAN NOT NULL,
+    changed_by TEXT NOT NULL,
+    change_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (policy_id, version)
+);
+
 -- Evidence table
 CREATE TABLE evidence (
     id SERIAL PRIMARY KEY,
@@ -97,23 +168,92 @@ CREATE TABLE evidence (
     title TEXT NOT NULL,
     description TEXT,
     type TEXT NOT NULL,
-    file_data TEXT NOT NULL,
+    file_data TEXT,
     file_name TEXT NOT NULL,
     file_size BIGINT NOT NULL,
+    file_type TEXT,
     hash TEXT NOT NULL,
+    storage_backend TEXT DEFAULT 'local',
+    storage_key TEXT,
+    location TEXT,
+    collection_date TIMESTAMPTZ,
+    blockchain_status TEXT DEFAULT 'not_anchored' CHECK (blockchain_status IN ('not_anchored', 'pending', 'submitted', 'confirmed', 'failed')),
+    blockchain_tx TEXT,
+    blockchain_block_number BIGINT,
+    blockchain_confirmations INTEGER DEFAULT 0,
+    blockchain_evidence_id BIGINT,
+    anchored_at TIMESTAMPTZ,
+    merkle_batch_id INTEGER REFERENCES anchor_batches(id),
+    merkle_root TEXT,
+    merkle_leaf_index INTEGER,
+    merkle_proof JSONB,
+    is_sealed BOOLEAN DEFAULT FALSE,
+    sealed_by TEXT,
+    sealed_at TIMESTAMPTZ,
+    seal_reason TEXT,
+    seal_tx TEXT,
+    unsealed_by TEXT,
+    unsealed_at TIMESTAMPTZ,
+    unseal_court_order TEXT,
+    unseal_reason TEXT,
+    legal_hold BOOLEAN DEFAULT FALSE,
+    retention_policy_id INTEGER REFERENCES retention_policies(id),
+    expiry_date TIMESTAMPTZ,
+    expiry_warning_sent_at TIMESTAMPTZ,
+    disposed_at TIMESTAMPTZ,
+    -- How retention_policy_id was chosen: the matching rule and why, or a manual assignment
+    retention_assignment JSONB,
+    classification TEXT DEFAULT 'internal' CHECK (classification IN ('public', 'internal', 'confidential', 'restricted')),
+    deleted_by TEXT,
+    deleted_at TIMESTAMPTZ,
+    current_custodian TEXT,
     submitted_by TEXT NOT NULL,
     timestamp TIMESTAMPTZ DEFAULT NOW(),
     status TEXT DEFAULT 'pending'
 );
 
--- Activity logs table
+-- Custody ledger: one hash-linked chain per evidence item
+CREATE TABLE custody_events (
+    id SERIAL PRIMARY KEY,
+    evidence_id INTEGER NOT NULL REFERENCES evidence(id) ON DELETE CASCADE,
+    sequence INTEGER NOT NULL,
+    event_type TEXT NOT NULL CHECK (event_type IN ('created', 'transfer', 'view', 'download', 'export', 'verification', 'seal', 'unseal', 'disposition')),
+    actor TEXT NOT NULL,
+    actor_role TEXT,
+    purpose TEXT,
+    details JSONB DEFAULT '{}',
+    previous_hash TEXT NOT NULL,
+    entry_hash TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (evidence_id, sequence)
+);
+
+-- Activity logs table (append-only; each row is hash-linked to the previous one)
 CREATE TABLE activity_logs (
     id SERIAL PRIMARY KEY,
+    sequence BIGINT UNIQUE NOT NULL,
     user_id TEXT NOT NULL,
     action TEXT NOT NULL,
     details TEXT,
+    evidence_id TEXT,
+    case_id TEXT,
     timestamp TIMESTAMPTZ DEFAULT NOW(),
-    ip_address TEXT
+    ip_address TEXT,
+    previous_hash TEXT NOT NULL,
+    entry_hash TEXT NOT NULL
+);
+
+-- Activity log checkpoints anchored on-chain
+CREATE TABLE audit_checkpoints (
+    id SERIAL PRIMARY KEY,
+    sequence BIGINT NOT NULL,
+    entry_hash TEXT NOT NULL,
+    status TEXT DEFAULT 'submitted' CHECK (status IN ('submitted', 'confirmed', 'failed')),
+    blockchain_tx TEXT,
+    blockchain_block_number BIGINT,
+    blockchain_checkpoint_id BIGINT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    anchored_at TIMESTAMPTZ
 );
 
 -- Admin actions table
@@ -160,25 +300,111 @@ CREATE TABLE evidence_tags (
     PRIMARY KEY (evidence_id, tag_id)
 );
 
--- Role change requests table
-CREATE TABLE role_change_requests (
+-- Rules that pick a retention policy for evidence (see services/retentionRuleService.js).
+-- Empty criteria match anything; when several rules match, the longest policy wins.
+-- Retention runs from upload, or from when the case enters starts_on_status.
+CREATE TABLE retention_rules (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    policy_id INTEGER NOT NULL REFERENCES retention_policies(id),
+    case_type TEXT,
+    jurisdiction TEXT,
+    evidence_type TEXT,
+    tag_id INTEGER REFERENCES tags(id) ON DELETE CASCADE,
+    starts_on_status VARCHAR(50) REFERENCES case_statuses(status_code),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    deactivated_by TEXT,
+    deactivated_at TIMESTAMPTZ
+);
+
+-- Named legal holds (see services/legalHoldService.js). Scope is whole cases, tags
+-- and individual items; evidence later added to a held case or tag is included too.
+CREATE TABLE legal_holds (
+    id SERIAL PRIMARY KEY,
+    matter_name TEXT NOT NULL,
+    issuing_authority TEXT NOT NULL,
+    court_order_reference TEXT,
+    description TEXT,
+    -- Wallet addresses or emails of the people told to preserve the evidence
+    custodians TEXT[] NOT NULL DEFAULT '{}',
+    case_ids INTEGER[] NOT NULL DEFAULT '{}',
+    tag_ids INTEGER[] NOT NULL DEFAULT '{}',
+    evidence_ids INTEGER[] NOT NULL DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'released')),
+    starts_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_by TEXT NOT NULL,
+    released_by TEXT,
+    released_at TIMESTAMPTZ,
+    release_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (status = 'active' OR release_reason IS NOT NULL)
+);
+
+-- Evidence each hold protects, and which part of its scope brought it in.
+-- evidence.legal_hold is true while an active hold lists the item here.
+CREATE TABLE legal_hold_evidence (
+    hold_id INTEGER REFERENCES legal_holds(id) ON DELETE CASCADE,
+    evidence_id INTEGER REFERENCES evidence(id) ON DELETE CASCADE,
+    included_by TEXT NOT NULL CHECK (included_by IN ('case', 'tag', 'evidence')),
+    included_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (hold_id, evidence_id)
+);
+
+-- Expired evidence waiting for an evidence manager to approve its disposal under
+-- the policy's archive_method (see services/retentionService.js). Completed rows
+-- keep the signed certificate of what was done.
+CREATE TABLE retention_dispositions (
+    id SERIAL PRIMARY KEY,
+    evidence_id INTEGER REFERENCES evidence(id) ON DELETE CASCADE,
+    policy_id INTEGER REFERENCES retention_policies(id),
+    policy_version INTEGER,
+    archive_method TEXT NOT NULL CHECK (archive_method IN ('archive', 'anonymize', 'destroy')),
+    expiry_date TIMESTAMPTZ NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'executing', 'completed', 'rejected', 'cancelled', 'failed')),
+    decided_by TEXT,
+    decided_at TIMESTAMPTZ,
+    decision_reason TEXT,
+    error TEXT,
+    certificate JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Sensitive actions held until someone other than the requester approves them
+-- (see services/pendingActionService.js)
+CREATE TABLE pending_actions (
     id SERIAL PRIMARY KEY,
-    requesting_admin VARCHAR(42) NOT NULL,
-    target_wallet VARCHAR(42) NOT NULL,
-    old_role VARCHAR(50) NOT NULL,
-    new_role VARCHAR(50) NOT NULL,
+    action_type TEXT NOT NULL CHECK (action_type IN ('create_admin', 'deactivate_user', 'change_role', 'delete_evidence', 'unseal_evidence')),
+    -- Wallet address of the user or id of the evidence the action applies to
+    target TEXT NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
     reason TEXT,
-    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
-    approved_by VARCHAR(42),
-    approved_at TIMESTAMP WITH TIME ZONE,
-    rejected_by VARCHAR(42),
-    rejected_at TIMESTAMP WITH TIME ZONE,
-    rejection_reason TEXT,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    requested_by TEXT NOT NULL,
+    requested_by_role TEXT,
+    required_approvals INTEGER NOT NULL DEFAULT 1 CHECK (required_approvals >= 1),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'executing', 'executed', 'failed', 'rejected', 'cancelled', 'expired')),
+    decided_by TEXT,
+    decision_reason TEXT,
+    result JSONB,
+    error TEXT,
+    expires_at TIMESTAMPTZ NOT NULL,
+    decided_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE pending_action_approvals (
+    id SERIAL PRIMARY KEY,
+    action_id INTEGER REFERENCES pending_actions(id) ON DELETE CASCADE,
+    approver TEXT NOT NULL,
+    approver_role TEXT,
+    comment TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (action_id, approver)
 );
 
--- User sessions table
+-- Server-side login sessions. Tokens carry the session id; only its SHA-256 is stored.
 CREATE TABLE user_sessions (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
@@ -189,8 +415,98 @@ CREATE TABLE user_sessions (
     ip_address TEXT,
     user_agent TEXT,
     created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_activity_at TIMESTAMPTZ DEFAULT NOW(),
     expires_at TIMESTAMPTZ DEFAULT (NOW() + INTERVAL '24 hours'),
-    is_active BOOLEAN DEFAULT TRUE
+    is_active BOOLEAN DEFAULT TRUE,
+    revoked_at TIMESTAMPTZ,
+    revoked_by INTEGER REFERENCES users(id),
+    revoke_reason TEXT,
+    two_factor_verified_at TIMESTAMPTZ
+);
+
+-- TOTP second factor (secret encrypted with TWO_FACTOR_ENCRYPTION_KEY)
+CREATE TABLE user_two_factor (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret_encrypted TEXT NOT NULL,
+    enabled BOOLEAN DEFAULT FALSE,
+    enabled_at TIMESTAMPTZ,
+    -- Last accepted 30-second time step, so a code cannot be replayed
+    last_used_step BIGINT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One-time backup codes (bcrypt hashes)
+CREATE TABLE user_backup_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Password policy enforced by the API (a single row, id = 1)
+CREATE TABLE password_policy (
+    id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    min_length INTEGER NOT NULL DEFAULT 12,
+    max_length INTEGER NOT NULL DEFAULT 128,
+    require_uppercase BOOLEAN NOT NULL DEFAULT TRUE,
+    require_lowercase BOOLEAN NOT NULL DEFAULT TRUE,
+    require_numbers BOOLEAN NOT NULL DEFAULT TRUE,
+    require_special_chars BOOLEAN NOT NULL DEFAULT TRUE,
+    min_special_chars INTEGER NOT NULL DEFAULT 2,
+    prevent_breached BOOLEAN NOT NULL DEFAULT TRUE,
+    prevent_user_info BOOLEAN NOT NULL DEFAULT TRUE,
+    history_count INTEGER NOT NULL DEFAULT 5,
+    -- 0 = passwords never expire
+    max_age_days INTEGER NOT NULL DEFAULT 90,
+    warning_days INTEGER NOT NULL DEFAULT 14,
+    lockout_threshold INTEGER NOT NULL DEFAULT 5,
+    lockout_duration_minutes INTEGER NOT NULL DEFAULT 15,
+    updated_by INTEGER REFERENCES users(id),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Previous password hashes, to refuse reuse
+CREATE TABLE password_history (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    password_hash TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Emailed password reset tokens (SHA-256 of the token, single use)
+CREATE TABLE password_reset_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    requested_ip TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Failed email login counters, per account (scope 'email') and per client IP (scope 'ip')
+CREATE TABLE login_lockouts (
+    id SERIAL PRIMARY KEY,
+    scope TEXT NOT NULL CHECK (scope IN ('email', 'ip')),
+    identifier TEXT NOT NULL,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    -- Lockouts so far; each one lasts twice as long as the previous
+    lockout_count INTEGER NOT NULL DEFAULT 0,
+    last_failed_at TIMESTAMPTZ,
+    next_attempt_at TIMESTAMPTZ,
+    locked_until TIMESTAMPTZ,
+    UNIQUE (scope, identifier)
+);
+
+-- Single-use Sign-In-With-Ethereum nonces
+CREATE TABLE auth_nonces (
+    nonce TEXT PRIMARY KEY,
+    wallet_address TEXT NOT NULL,
+    domain TEXT NOT NULL,
+    issued_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ
 );
 
 -- User permissions table
@@ -198,10 +514,14 @@ CREATE TABLE user_permissions (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
     permission_name TEXT NOT NULL,
+    case_id INTEGER REFERENCES cases(id) ON DELETE CASCADE,
+    reason TEXT,
     granted_by INTEGER REFERENCES users(id),
     granted_at TIMESTAMPTZ DEFAULT NOW(),
-    expires_at TIMESTAMPTZ,
-    is_active BOOLEAN DEFAULT TRUE
+    expires_at TIMESTAMPTZ NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    revoked_by INTEGER REFERENCES users(id),
+    revoked_at TIMESTAMPTZ
 );
 
 -- User profile updates table
@@ -265,14 +585,31 @@ CREATE TABLE case_assignments (
 
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE evidence ENABLE ROW LEVEL SECURITY;
+ALTER TABLE anchor_batches ENABLE ROW LEVEL SECURITY;
 ALTER TABLE cases ENABLE ROW LEVEL SECURITY;
+ALTER TABLE custody_events ENABLE ROW LEVEL SECURITY;
 ALTER TABLE activity_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_checkpoints ENABLE ROW LEVEL SECURITY;
 ALTER TABLE admin_actions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
 ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
 ALTER TABLE evidence_tags ENABLE ROW LEVEL SECURITY;
-ALTER TABLE role_change_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE retention_policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE retention_policy_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE retention_dispositions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE retention_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE legal_holds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE legal_hold_evidence ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pending_actions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pending_action_approvals ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_two_factor ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_backup_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE password_policy ENABLE ROW LEVEL SECURITY;
+ALTER TABLE password_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE password_reset_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE login_lockouts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE auth_nonces ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_permissions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_profile_updates ENABLE ROW LEVEL SECURITY;
 ALTER TABLE case_statuses ENABLE ROW LEVEL SECURITY;
@@ -289,13 +626,81 @@ CREATE POLICY "Users can view active users" ON users FOR SELECT USING (is_active
 CREATE POLICY "Users can register themselves" ON users FOR INSERT WITH CHECK (true);
 CREATE POLICY "Service role full access" ON users FOR ALL USING (current_user = 'service_role');
 
+-- Evidence visibility for the user in the request JWT (sub = users.id). Mirrors
+-- services/policyService.js: admins, auditors, evidence managers and court officials
+-- see everything they are cleared for; other staff see their assigned cases, cases in
+-- their jurisdiction and evidence they submitted or hold; everyone else sees only
+-- published (public) evidence.
+CREATE OR REPLACE FUNCTION can_view_evidence(
+    p_case_id TEXT,
+    p_classification TEXT,
+    p_submitted_by TEXT,
+    p_custodian TEXT
+) RETURNS BOOLEAN AS $$
+DECLARE
+    v_user users%ROWTYPE;
+    v_identifier TEXT;
+    v_levels TEXT[] := ARRAY['public', 'internal', 'confidential', 'restricted'];
+    v_clearance TEXT;
+BEGIN
+    SELECT * INTO v_user
+    FROM users
+    WHERE id::TEXT = current_setting('request.jwt.claims', true)::JSON ->> 'sub'
+    AND is_active = true;
+
+    IF NOT FOUND OR v_user.role = 'public_viewer' THEN
+        RETURN COALESCE(p_classification, 'internal') = 'public';
+    END IF;
+
+    v_clearance := CASE WHEN v_user.role IN ('investigator', 'forensic_analyst', 'legal_professional')
+        THEN 'confidential' ELSE 'restricted' END;
+    IF array_position(v_levels, COALESCE(p_classification, 'internal')) > array_position(v_levels, v_clearance) THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_user.role IN ('admin', 'auditor', 'evidence_manager', 'court_official') THEN
+        RETURN TRUE;
+    END IF;
+
+    v_identifier := COALESCE(v_user.wallet_address, v_user.email);
+    IF v_identifier IN (p_submitted_by, p_custodian) THEN
+        RETURN TRUE;
+    END IF;
+
+    RETURN EXISTS (
+        SELECT 1 FROM cases c
+        WHERE (c.id::TEXT = p_case_id OR c.case_number = p_case_id)
+        AND (
+            v_identifier IN (c.created_by, c.assigned_investigator, c.assigned_prosecutor, c.assigned_judge)
+            OR (LOWER(TRIM(c.jurisdiction)) = LOWER(TRIM(v_user.jurisdiction))
+                AND (c.department IS NULL OR LOWER(TRIM(c.department)) = LOWER(TRIM(v_user.department))))
+            OR EXISTS (
+                SELECT 1 FROM case_assignments ca
+                WHERE ca.case_id = c.id AND ca.assigned_to = v_identifier AND ca.is_active = true
+            )
+            OR EXISTS (
+                SELECT 1 FROM user_permissions up
+                WHERE up.user_id = v_user.id AND up.permission_name = 'evidence:read'
+                AND up.case_id = c.id AND up.is_active = true AND up.expires_at > NOW()
+            )
+        )
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
 -- Evidence table policies
-CREATE POLICY "Users can view evidence" ON evidence FOR SELECT USING (true);
+CREATE POLICY "Users can view evidence in their scope" ON evidence FOR SELECT USING (
+    can_view_evidence(case_id, classification, submitted_by, current_custodian)
+);
 CREATE POLICY "Authorized users can insert evidence" ON evidence FOR INSERT WITH CHECK (
     EXISTS (SELECT 1 FROM users u WHERE u.wallet_address = submitted_by AND u.is_active = true AND u.role IN ('investigator', 'forensic_analyst', 'evidence_manager', 'admin'))
 );
 CREATE POLICY "Service role full access" ON evidence FOR ALL USING (current_user = 'service_role');
 
+-- Anchor batches policies
+CREATE POLICY "Users can view anchor batches" ON anchor_batches FOR SELECT USING (true);
+CREATE POLICY "Service role full access" ON anchor_batches FOR ALL USING (current_user = 'service_role');
+
 -- Cases table policies
 CREATE POLICY "Users can view cases" ON cases FOR SELECT USING (true);
 CREATE POLICY "Authorized users can create cases" ON cases FOR INSERT WITH CHECK (
@@ -303,9 +708,16 @@ CREATE POLICY "Authorized users can create cases" ON cases FOR INSERT WITH CHECK
 );
 CREATE POLICY "Service role full access" ON cases FOR ALL USING (current_user = 'service_role');
 
+-- Custody events policies
+CREATE POLICY "Service role full access" ON custody_events FOR ALL USING (current_user = 'service_role');
+
 -- Activity logs policies
 CREATE POLICY "Service role full access" ON activity_logs FOR ALL USING (current_user = 'service_role');
 
+-- Audit checkpoints policies
+CREATE POLICY "Users can view audit checkpoints" ON audit_checkpoints FOR SELECT USING (true);
+CREATE POLICY "Service role full access" ON audit_checkpoints FOR ALL USING (current_user = 'service_role');
+
 -- Admin actions policies
 CREATE POLICY "Service role full access" ON admin_actions FOR ALL USING (current_user = 'service_role');
 
@@ -320,12 +732,34 @@ CREATE POLICY "Service role full access" ON tags FOR ALL USING (current_user = '
 CREATE POLICY "Users can view evidence tags" ON evidence_tags FOR SELECT USING (true);
 CREATE POLICY "Service role full access" ON evidence_tags FOR ALL USING (current_user = 'service_role');
 
--- Role change requests policies
-CREATE POLICY "Service role full access" ON role_change_requests FOR ALL USING (current_user = 'service_role');
+-- Legal hold policies
+CREATE POLICY "Service role full access" ON retention_policies FOR ALL USING (current_user = 'service_role');
+CREATE POLICY "Service role full access" ON retention_policy_versions FOR ALL USING (current_user = 'service_role');
+CREATE POLICY "Service role full access" ON retention_dispositions FOR ALL USING (current_user = 'service_role');
+CREATE POLICY "Service role full access" ON retention_rules FOR ALL USING (current_user = 'service_role');
+CREATE POLICY "Service role full access" ON legal_holds FOR ALL USING (current_user = 'service_role');
+CREATE POLICY "Service role full access" ON legal_hold_evidence FOR ALL USING (current_user = 'service_role');
+
+-- Pending action policies
+CREATE POLICY "Service role full access" ON pending_actions FOR ALL USING (current_user = 'service_role');
+CREATE POLICY "Service role full access" ON pending_action_approvals FOR ALL USING (current_user = 'service_role');
 
 -- User sessions policies
 CREATE POLICY "Service role full access" ON user_sessions FOR ALL USING (current_user = 'service_role');
 
+-- Two-factor tables policies (service role only)
+CREATE POLICY "Service role full access" ON user_two_factor FOR ALL USING (current_user = 'service_role');
+CREATE POLICY "Service role full access" ON user_backup_codes FOR ALL USING (current_user = 'service_role');
+
+-- Password tables policies (service role only)
+CREATE POLICY "Service role full access" ON password_policy FOR ALL USING (current_user = 'service_role');
+CREATE POLICY "Service role full access" ON password_history FOR ALL USING (current_user = 'service_role');
+CREATE POLICY "Service role full access" ON password_reset_tokens FOR ALL USING (current_user = 'service_role');
+CREATE POLICY "Service role full access" ON login_lockouts FOR ALL USING (current_user = 'service_role');
+
+-- Auth nonces policies
+CREATE POLICY "Service role full access" ON auth_nonces FOR ALL USING (current_user = 'service_role');
+
 -- User permissions policies
 CREATE POLICY "Service role full access" ON user_permissions FOR ALL USING (current_user = 'service_role');
 
@@ -357,7 +791,19 @@ CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_auth_type ON users(auth_type);
 CREATE INDEX idx_evidence_case ON evidence(case_id);
 CREATE INDEX idx_evidence_submitted ON evidence(submitted_by);
+CREATE INDEX idx_evidence_hash ON evidence(hash);
+CREATE UNIQUE INDEX idx_evidence_case_hash ON evidence(case_id, hash);
+CREATE INDEX idx_evidence_blockchain_status ON evidence(blockchain_status);
+CREATE INDEX idx_evidence_merkle_batch ON evidence(merkle_batch_id);
+CREATE INDEX idx_evidence_sealed ON evidence(is_sealed);
+CREATE INDEX idx_custody_events_actor ON custody_events(actor);
 CREATE INDEX idx_activity_user ON activity_logs(user_id);
+CREATE INDEX idx_activity_action ON activity_logs(action);
+CREATE INDEX idx_activity_timestamp ON activity_logs(timestamp);
+CREATE INDEX idx_activity_evidence ON activity_logs(evidence_id);
+CREATE INDEX idx_activity_case ON activity_logs(case_id);
+CREATE INDEX idx_admin_actions_timestamp ON admin_actions(timestamp);
+CREATE INDEX idx_audit_checkpoints_sequence ON audit_checkpoints(sequence);
 CREATE INDEX idx_admin_actions_admin ON admin_actions(admin_wallet);
 CREATE INDEX idx_notifications_user ON notifications(user_wallet);
 CREATE INDEX idx_notifications_unread ON notifications(user_wallet, is_read);
@@ -366,13 +812,29 @@ CREATE INDEX idx_tags_category ON tags(category);
 CREATE INDEX idx_tags_usage_count ON tags(usage_count DESC);
 CREATE INDEX idx_evidence_tags_evidence_id ON evidence_tags(evidence_id);
 CREATE INDEX idx_evidence_tags_tag_id ON evidence_tags(tag_id);
-CREATE INDEX idx_role_change_requests_status ON role_change_requests(status);
-CREATE INDEX idx_role_change_requests_target ON role_change_requests(target_wallet);
-CREATE INDEX idx_role_change_requests_requesting ON role_change_requests(requesting_admin);
+CREATE INDEX idx_retention_rules_policy_id ON retention_rules(policy_id) WHERE is_active;
+CREATE INDEX idx_evidence_expiry_date ON evidence(expiry_date);
+CREATE INDEX idx_evidence_retention_policy_id ON evidence(retention_policy_id);
+CREATE INDEX idx_retention_dispositions_status ON retention_dispositions(status);
+-- One open disposition per item
+CREATE UNIQUE INDEX idx_retention_dispositions_open ON retention_dispositions(evidence_id) WHERE status IN ('pending', 'executing');
+CREATE INDEX idx_legal_holds_status ON legal_holds(status);
+CREATE INDEX idx_legal_holds_case_ids ON legal_holds USING GIN (case_ids);
+CREATE INDEX idx_legal_holds_tag_ids ON legal_holds USING GIN (tag_ids);
+CREATE INDEX idx_legal_hold_evidence_evidence_id ON legal_hold_evidence(evidence_id);
+-- At most one open request per action and target
+CREATE UNIQUE INDEX idx_pending_actions_open ON pending_actions(action_type, target) WHERE status = 'pending';
+CREATE INDEX idx_pending_actions_status ON pending_actions(status, expires_at);
 CREATE INDEX idx_user_sessions_token ON user_sessions(session_token);
 CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id);
 CREATE INDEX idx_user_sessions_active ON user_sessions(is_active, expires_at);
+CREATE INDEX idx_user_backup_codes_user ON user_backup_codes(user_id) WHERE used_at IS NULL;
+CREATE INDEX idx_password_history_user ON password_history(user_id, created_at DESC);
+CREATE INDEX idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+CREATE INDEX idx_login_lockouts_locked ON login_lockouts(locked_until) WHERE locked_until IS NOT NULL;
+CREATE INDEX idx_auth_nonces_expires ON auth_nonces(expires_at);
 CREATE INDEX idx_user_permissions_user_id ON user_permissions(user_id);
+CREATE INDEX idx_user_permissions_active ON user_permissions(user_id, is_active, expires_at);
 CREATE INDEX idx_user_profile_updates_user_id ON user_profile_updates(user_id);
 CREATE INDEX idx_cases_status_id ON cases(status_id);
 CREATE INDEX idx_cases_case_number ON cases(case_number);
@@ -410,6 +872,106 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
+-- Count one failed login against an account or IP (services/loginLockoutService.js).
+-- The counter row is locked while it is updated, so parallel failures are counted one
+-- after another and the one that reaches the threshold is the one that locks.
+CREATE OR REPLACE FUNCTION record_login_failure(
+    p_scope TEXT,
+    p_identifier TEXT,
+    p_threshold INTEGER,
+    p_lockout_minutes INTEGER,
+    p_delay BOOLEAN,
+    p_failure_window_minutes INTEGER,
+    p_max_lockout_minutes INTEGER,
+    p_base_delay_seconds INTEGER,
+    p_max_delay_seconds INTEGER,
+    p_now TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS login_lockouts AS $$
+DECLARE
+    counter login_lockouts;
+BEGIN
+    INSERT INTO login_lockouts (scope, identifier)
+    VALUES (p_scope, p_identifier)
+    ON CONFLICT (scope, identifier) DO NOTHING;
+
+    SELECT * INTO counter FROM login_lockouts
+    WHERE scope = p_scope AND identifier = p_identifier
+    FOR UPDATE;
+
+    -- Failures older than the window no longer count; lockouts stop escalating
+    -- once the counter has been quiet for the longest lockout
+    IF counter.last_failed_at IS NULL OR p_now - counter.last_failed_at >= p_failure_window_minutes * INTERVAL '1 minute' THEN
+        counter.failed_count := 0;
+    END IF;
+    IF counter.last_failed_at IS NULL OR p_now - counter.last_failed_at >= p_max_lockout_minutes * INTERVAL '1 minute' THEN
+        counter.lockout_count := 0;
+    END IF;
+
+    counter.failed_count := counter.failed_count + 1;
+    counter.last_failed_at := p_now;
+    counter.next_attempt_at := NULL;
+    counter.locked_until := NULL;
+
+    IF counter.failed_count >= p_threshold THEN
+        counter.locked_until := p_now + LEAST(p_lockout_minutes * 2 ^ counter.lockout_count, p_max_lockout_minutes) * INTERVAL '1 minute';
+        counter.failed_count := 0;
+        counter.lockout_count := counter.lockout_count + 1;
+    ELSIF p_delay AND counter.failed_count >= 2 THEN
+        counter.next_attempt_at := p_now + LEAST(p_base_delay_seconds * 2 ^ (counter.failed_count - 2), p_max_delay_seconds) * INTERVAL '1 second';
+    END IF;
+
+    UPDATE login_lockouts
+    SET failed_count = counter.failed_count,
+        lockout_count = counter.lockout_count,
+        last_failed_at = counter.last_failed_at,
+        next_attempt_at = counter.next_attempt_at,
+        locked_until = counter.locked_until
+    WHERE id = counter.id;
+
+    RETURN counter;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Append an activity log entry. The caller hashes the entry's fields; the sequence
+-- number and the link to the previous entry are taken under a transaction-level
+-- lock, so concurrent writers can neither collide nor fork the chain.
+-- entry_hash = sha256('<sequence>:<previous_hash>:<content hash>')
+CREATE OR REPLACE FUNCTION append_audit_log(
+    p_user_id TEXT,
+    p_action TEXT,
+    p_details TEXT,
+    p_evidence_id TEXT,
+    p_case_id TEXT,
+    p_ip_address TEXT,
+    p_timestamp TIMESTAMPTZ,
+    p_content_hash TEXT
+)
+RETURNS activity_logs AS $$
+DECLARE
+    last_entry activity_logs;
+    next_sequence BIGINT;
+    previous TEXT;
+    entry activity_logs;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('activity_logs'));
+
+    SELECT * INTO last_entry FROM activity_logs ORDER BY sequence DESC LIMIT 1;
+    next_sequence := COALESCE(last_entry.sequence, 0) + 1;
+    previous := COALESCE(last_entry.entry_hash, repeat('0', 64));
+
+    INSERT INTO activity_logs (
+        sequence, user_id, action, details, evidence_id, case_id, ip_address, timestamp, previous_hash, entry_hash
+    ) VALUES (
+        next_sequence, p_user_id, p_action, p_details, p_evidence_id, p_case_id, p_ip_address, p_timestamp, previous,
+        encode(digest(next_sequence::text || ':' || previous || ':' || p_content_hash, 'sha256'), 'hex')
+    )
+    RETURNING * INTO entry;
+
+    RETURN entry;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
 -- Update trigger for last_updated
 CREATE OR REPLACE FUNCTION update_last_updated()
 RETURNS TRIGGER AS $$
@@ -439,15 +1001,6 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
--- Function to update role change requests timestamp
-CREATE OR REPLACE FUNCTION update_role_change_requests_updated_at()
-RETURNS TRIGGER AS $$
-BEGIN
-    NEW.updated_at = NOW();
-    RETURN NEW;
-END;
-$$ LANGUAGE plpgsql SECURITY DEFINER;
-
 -- Function to log case status changes
 CREATE OR REPLACE FUNCTION log_case_status_change()
 RETURNS TRIGGER AS $$
@@ -493,6 +1046,44 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- activity_logs is append-only; corrections are made by appending new rows
+CREATE OR REPLACE FUNCTION prevent_activity_log_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'activity_logs is append-only (% not allowed)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- retention_policy_versions is append-only; a change is recorded as a new version
+CREATE OR REPLACE FUNCTION prevent_policy_version_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'retention_policy_versions is append-only (% not allowed)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Evidence stays in the scope of its active legal holds: its case cannot change while
+-- a hold covers that case, and a tag cannot be removed while a hold covers that tag
+CREATE OR REPLACE FUNCTION prevent_legal_hold_scope_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_TABLE_NAME = 'evidence' THEN
+        IF NEW.case_id IS DISTINCT FROM OLD.case_id AND EXISTS (
+            SELECT 1 FROM legal_holds h JOIN cases c ON c.id = ANY(h.case_ids)
+            WHERE h.status = 'active' AND OLD.case_id IN (c.id::TEXT, c.case_number)
+        ) THEN
+            RAISE EXCEPTION 'Evidence % is in a case under an active legal hold; its case cannot change', OLD.id;
+        END IF;
+        RETURN NEW;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM legal_holds WHERE status = 'active' AND OLD.tag_id = ANY(tag_ids)) THEN
+        RAISE EXCEPTION 'Tag % is covered by an active legal hold and cannot be removed from evidence %', OLD.tag_id, OLD.evidence_id;
+    END IF;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Email user creation function
 CREATE OR REPLACE FUNCTION create_email_user(
     p_email TEXT,
@@ -671,11 +1262,6 @@ CREATE TRIGGER trigger_update_tag_usage
     AFTER INSERT OR DELETE ON evidence_tags
     FOR EACH ROW EXECUTE FUNCTION update_tag_usage_count();
 
-CREATE TRIGGER role_change_requests_updated_at_trigger
-    BEFORE UPDATE ON role_change_requests
-    FOR EACH ROW
-    EXECUTE FUNCTION update_role_change_requests_updated_at();
-
 CREATE TRIGGER case_status_change_log_trigger
     BEFORE UPDATE ON cases
     FOR EACH ROW
@@ -686,6 +1272,31 @@ CREATE TRIGGER case_number_generation_trigger
     FOR EACH ROW
     EXECUTE FUNCTION generate_case_number();
 
+CREATE TRIGGER activity_logs_append_only_trigger
+    BEFORE UPDATE OR DELETE ON activity_logs
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_activity_log_mutation();
+
+CREATE TRIGGER activity_logs_no_truncate_trigger
+    BEFORE TRUNCATE ON activity_logs
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION prevent_activity_log_mutation();
+
+CREATE TRIGGER retention_policy_versions_append_only_trigger
+    BEFORE UPDATE OR DELETE ON retention_policy_versions
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_policy_version_mutation();
+
+CREATE TRIGGER evidence_held_case_trigger
+    BEFORE UPDATE OF case_id ON evidence
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_legal_hold_scope_change();
+
+CREATE TRIGGER evidence_tags_held_tag_trigger
+    BEFORE DELETE ON evidence_tags
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_legal_hold_scope_change();
+
 -- ============================================================================
 -- DEFAULT DATA
 -- ============================================================================
@@ -752,6 +1363,9 @@ INSERT INTO users (
 ('legal@evid-dgc.com', 'hashed_password_789', 'Michael Legal', 'legal_professional', 'District Attorney', 'County Court', 'email', 'real', 'system_setup', true, true)
 ON CONFLICT (email) DO NOTHING;
 
+-- Default password policy
+INSERT INTO password_policy (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
+
 -- Default tags
 INSERT INTO tags (name, color, category, created_by) VALUES
 ('urgent', '#EF4444', 'priority', 'system'),
@@ -786,5 +1400,5 @@ FROM users;
 SELECT schemaname, tablename, rowsecurity as rls_enabled
 FROM pg_tables
 WHERE schemaname = 'public'
-AND tablename IN ('users', 'evidence', 'cases', 'activity_logs', 'admin_actions', 'notifications', 'tags', 'evidence_tags', 'role_change_requests')
+AND tablename IN ('users', 'evidence', 'cases', 'activity_logs', 'admin_actions', 'notifications', 'tags', 'evidence_tags', 'pending_actions')
 ORDER BY tablename;
\ No newline at end of file
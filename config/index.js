@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 const { createClient } = require('@supabase/supabase-js');
 
 // Supabase configuration
@@ -14,6 +15,19 @@ const supabase = createClient(supabaseUrl, supabaseKey);
 
 const PORT = process.env.PORT || 3000;
 
+// Express 'trust proxy' setting, so req.ip (and with it the per-IP login lockout and
+// the audit log) is the client's address rather than a load balancer's. Unset or
+// 'false' trusts no proxy; a number trusts that many hops in front of the app;
+// anything else is passed through, e.g. 'loopback' or a list of proxy subnets.
+const parseTrustProxy = (value) => {
+    const setting = String(value ?? '').trim();
+    if (!setting || setting === 'false') return false;
+    if (setting === 'true') return true;
+    if (/^\d+$/.test(setting)) return parseInt(setting, 10);
+    return setting;
+};
+const trustProxy = parseTrustProxy(process.env.TRUST_PROXY);
+
 const allowedRoles = [
     'public_viewer',
     'investigator',
@@ -56,10 +70,155 @@ const rateLimits = {
     }
 };
 
+// Evidence blob storage (content-addressed by SHA-256)
+const storage = {
+    backend: process.env.STORAGE_BACKEND || 'local',
+    localPath: path.resolve(__dirname, '..', process.env.UPLOAD_PATH || './uploads')
+};
+
+// Blockchain anchoring (EvidenceStorage.sol over JSON-RPC). Anchoring is only
+// enabled when an RPC endpoint, contract address and signer key are configured.
+const blockchain = {
+    network: process.env.BLOCKCHAIN_NETWORK || 'localhost',
+    rpcUrl: process.env.BLOCKCHAIN_RPC_URL,
+    contractAddress: process.env.EVIDENCE_CONTRACT_ADDRESS,
+    privateKey: process.env.BLOCKCHAIN_PRIVATE_KEY,
+    // The contract takes unseals only from a court official, so they are sent with the
+    // key of an account granted that role; without it unseals are not mirrored on-chain
+    unsealPrivateKey: process.env.BLOCKCHAIN_UNSEAL_PRIVATE_KEY,
+    // Seals likewise need an evidence manager or court official; the unseal account will do
+    sealPrivateKey: process.env.BLOCKCHAIN_SEAL_PRIVATE_KEY || process.env.BLOCKCHAIN_UNSEAL_PRIVATE_KEY,
+    requiredConfirmations: parseInt(process.env.BLOCKCHAIN_CONFIRMATIONS, 10) || 1,
+    // 'batch' anchors a Merkle root per batch on a schedule; 'immediate' anchors every upload
+    anchorMode: process.env.ANCHOR_MODE || 'batch',
+    batchSchedule: process.env.ANCHOR_BATCH_CRON || '*/10 * * * *',
+    batchMaxSize: parseInt(process.env.ANCHOR_BATCH_MAX_SIZE, 10) || 500,
+    // How often the head of the activity_logs hash chain is anchored
+    auditCheckpointSchedule: process.env.AUDIT_CHECKPOINT_CRON || '0 * * * *'
+};
+blockchain.enabled = Boolean(blockchain.rpcUrl && blockchain.contractAddress && blockchain.privateKey);
+
+// Signed access/refresh tokens issued at login
+const auth = {
+    jwtSecret: process.env.JWT_SECRET,
+    issuer: 'evid-dgc',
+    accessTokenTtl: process.env.JWT_ACCESS_TTL || '15m',
+    refreshTokenTtl: process.env.JWT_REFRESH_TTL || '7d',
+    // Sign-In-With-Ethereum (EIP-4361) binding for wallet login
+    siweDomain: process.env.SIWE_DOMAIN,
+    siweChainId: parseInt(process.env.SIWE_CHAIN_ID, 10) || 137,
+    siweNonceTtlMinutes: parseInt(process.env.SIWE_NONCE_TTL_MINUTES, 10) || 10
+};
+
+// Server-side session limits per role, in minutes: idle is the time since the
+// session's last authenticated API request, absolute the time since login
+const sessionTimeouts = {
+    admin: { idle: 30, absolute: 8 * 60 },
+    evidence_manager: { idle: 45, absolute: 8 * 60 },
+    court_official: { idle: 60, absolute: 10 * 60 },
+    auditor: { idle: 90, absolute: 12 * 60 },
+    legal_professional: { idle: 120, absolute: 12 * 60 },
+    forensic_analyst: { idle: 120, absolute: 12 * 60 },
+    investigator: { idle: 180, absolute: 12 * 60 },
+    public_viewer: { idle: 240, absolute: 24 * 60 }
+};
+
+// TOTP two-factor authentication. Secrets are encrypted at rest with encryptionKey.
+const twoFactor = {
+    issuer: 'EVID-DGC',
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.ENCRYPTION_KEY,
+    // Roles that must enroll before using the API
+    requiredRoles: ['admin', 'evidence_manager', 'court_official'],
+    // How long a code entered at login or step-up covers sensitive operations
+    stepUpMinutes: parseInt(process.env.TWO_FACTOR_STEP_UP_MINUTES, 10) || 5,
+    challengeTtl: '5m'
+};
+
+// Password checks that sit outside the stored policy (see services/passwordPolicyService.js)
+const passwords = {
+    // One password per line; new passwords on this list are refused
+    breachedListPath: path.resolve(__dirname, process.env.BREACHED_PASSWORDS_FILE || 'breached-passwords.txt'),
+    resetTokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30,
+    // Base URL of the web app, used to build reset links
+    appUrl: process.env.APP_URL || 'http://localhost:3000'
+};
+
+// Failed email logins. The per-account threshold and lockout length are part of
+// the password policy; these cover the limits per IP and the delays between attempts.
+const loginLockout = {
+    // Failures from one IP, across all accounts, before that IP is locked out
+    ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20,
+    ipLockoutMinutes: parseInt(process.env.LOGIN_IP_LOCKOUT_MINUTES, 10) || 30,
+    // Failures older than this no longer count
+    failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15,
+    // After the second failure an account waits 1s, 2s, 4s... (up to the max) between attempts
+    baseDelaySeconds: 1,
+    maxDelaySeconds: 30,
+    // Repeated lockouts double in length, up to this
+    maxLockoutMinutes: 24 * 60
+};
+
+// Two-person rule: these actions wait in pending_actions until enough other eligible
+// users approve. Quorum is the number of approvals needed (at least 1); requests
+// not decided within expiryHours expire.
+const approvals = {
+    quorum: {
+        create_admin: Math.max(parseInt(process.env.APPROVAL_QUORUM_CREATE_ADMIN, 10) || 1, 1),
+        deactivate_user: Math.max(parseInt(process.env.APPROVAL_QUORUM_DEACTIVATE_USER, 10) || 1, 1),
+        change_role: Math.max(parseInt(process.env.APPROVAL_QUORUM_CHANGE_ROLE, 10) || 1, 1),
+        delete_evidence: Math.max(parseInt(process.env.APPROVAL_QUORUM_DELETE_EVIDENCE, 10) || 1, 1),
+        unseal_evidence: Math.max(parseInt(process.env.APPROVAL_QUORUM_UNSEAL_EVIDENCE, 10) || 1, 1)
+    },
+    expiryHours: parseInt(process.env.APPROVAL_EXPIRY_HOURS, 10) || 72,
+    expirySchedule: process.env.APPROVAL_EXPIRY_CRON || '*/15 * * * *'
+};
+
+// Retention enforcement. The job warns submitters warningDays before evidence
+// expires and queues expired evidence for an evidence manager to approve disposal.
+const retention = {
+    schedule: process.env.RETENTION_CRON || '0 2 * * *',
+    warningDays: parseInt(process.env.RETENTION_WARNING_DAYS, 10) || 30
+};
+
+// Outgoing email. 'console' logs that a message was sent, without its body
+// (development only); 'webhook' POSTs messages as JSON to webhookUrl for a mail
+// relay to deliver. Production needs a real transport, so reset links get delivered.
+const email = {
+    transport: process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console'),
+    from: process.env.EMAIL_FROM || 'EVID-DGC <no-reply@evid-dgc.local>',
+    webhookUrl: process.env.EMAIL_WEBHOOK_URL
+};
+
+if (process.env.NODE_ENV === 'production' && (!email.transport || email.transport === 'console')) {
+    console.error('EMAIL_TRANSPORT must be set to a delivering transport (e.g. webhook) in production');
+    process.exit(1);
+}
+
+// Key used to sign export sidecars and certificates (HMAC-SHA256)
+const signingKey = process.env.EVIDENCE_SIGNING_KEY || process.env.ENCRYPTION_KEY;
+
+// Without it unwatermarked downloads and disposal certificates fail, so refuse to start
+if (process.env.NODE_ENV === 'production' && !signingKey) {
+    console.error('EVIDENCE_SIGNING_KEY must be set in production');
+    process.exit(1);
+}
+
 module.exports = {
     supabase,
     PORT,
+    trustProxy,
     allowedRoles,
     connectedUsers,
-    rateLimits
+    rateLimits,
+    storage,
+    signingKey,
+    blockchain,
+    auth,
+    sessionTimeouts,
+    twoFactor,
+    passwords,
+    loginLockout,
+    approvals,
+    retention,
+    email
 };
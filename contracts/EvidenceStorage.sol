@@ -16,23 +16,107 @@ contract EvidenceStorage {
     mapping(address => bool) public authorizedUsers;
     mapping(address => string) public userRoles;
     
+    struct MerkleBatch {
+        string root;
+        uint256 leafCount;
+        address anchoredBy;
+        uint256 timestamp;
+    }
+    
+    mapping(uint256 => MerkleBatch) public merkleBatches;
+    mapping(string => uint256) public rootToBatchId;
+    mapping(string => bool) public sealedHashes;
+    
+    // Periodic checkpoints of the off-chain audit log's hash chain
+    struct AuditCheckpoint {
+        string headHash;
+        uint256 sequence;
+        address anchoredBy;
+        uint256 timestamp;
+    }
+    
+    mapping(uint256 => AuditCheckpoint) public auditCheckpoints;
+    mapping(string => uint256) public headHashToCheckpointId;
+    
+    // Same eight roles as allowedRoles in config/index.js
+    mapping(bytes32 => bool) public validRoles;
+    
     uint256 public evidenceCounter;
+    uint256 public batchCounter;
+    uint256 public adminCount;
+    uint256 public checkpointCounter;
     
     event EvidenceStored(uint256 indexed evidenceId, string fileHash, address indexed uploadedBy);
-    event EvidenceSealed(uint256 indexed evidenceId, address indexed sealedBy);
+    event EvidenceSealed(uint256 indexed evidenceId, string fileHash, address indexed sealedBy);
+    event EvidenceUnsealed(uint256 indexed evidenceId, string fileHash, address indexed unsealedBy, string courtOrderRef);
+    event MerkleRootAnchored(uint256 indexed batchId, string root, uint256 leafCount, address indexed anchoredBy);
+    event AuditCheckpointAnchored(uint256 indexed checkpointId, string headHash, uint256 sequence, address indexed anchoredBy);
+    event RoleGranted(address indexed user, string role, address indexed grantedBy);
+    event RoleRevoked(address indexed user, string role, address indexed revokedBy);
     
     modifier onlyAuthorized() {
         require(authorizedUsers[msg.sender], "Not authorized");
         _;
     }
     
+    modifier onlyAdmin() {
+        require(_hasRole(msg.sender, "admin"), "Admin role required");
+        _;
+    }
+    
+    // Public viewers are read-only
+    modifier onlyWriter() {
+        require(authorizedUsers[msg.sender], "Not authorized");
+        require(!_hasRole(msg.sender, "public_viewer"), "Role cannot write evidence");
+        _;
+    }
+    
+    modifier onlySealer() {
+        require(
+            _hasRole(msg.sender, "evidence_manager") ||
+            _hasRole(msg.sender, "court_official"),
+            "Evidence manager or court official role required"
+        );
+        _;
+    }
+    
+    // Unsealing needs a court order, so only a court official may do it
+    modifier onlyUnsealer() {
+        require(_hasRole(msg.sender, "court_official"), "Court official role required");
+        _;
+    }
+    
     constructor() {
+        string[8] memory roles = [
+            "public_viewer",
+            "investigator",
+            "forensic_analyst",
+            "legal_professional",
+            "court_official",
+            "evidence_manager",
+            "auditor",
+            "admin"
+        ];
+        for (uint256 i = 0; i < roles.length; i++) {
+            validRoles[keccak256(bytes(roles[i]))] = true;
+        }
+        
         authorizedUsers[msg.sender] = true;
         userRoles[msg.sender] = "admin";
+        adminCount = 1;
+        emit RoleGranted(msg.sender, "admin", msg.sender);
+    }
+    
+    function _hasRole(address _user, string memory _role) internal view returns (bool) {
+        return authorizedUsers[_user] && keccak256(bytes(userRoles[_user])) == keccak256(bytes(_role));
+    }
+    
+    function hasRole(address _user, string memory _role) public view returns (bool) {
+        return _hasRole(_user, _role);
     }
     
     function storeEvidence(string memory _fileHash, string memory _metadata) 
-        public onlyAuthorized returns (uint256) {
+        public onlyWriter returns (uint256) {
         require(hashToEvidenceId[_fileHash] == 0, "Hash already exists");
         
         evidenceCounter++;
@@ -65,9 +149,125 @@ contract EvidenceStorage {
         exists = evidenceId > 0;
     }
     
-    function authorizeUser(address _user, string memory _role) public {
-        require(authorizedUsers[msg.sender], "Not authorized");
+    // Seals are keyed by hash so batch-anchored evidence (which has no
+    // individual record) can be sealed as well.
+    function sealEvidence(string memory _fileHash) public onlySealer {
+        require(!sealedHashes[_fileHash], "Already sealed");
+        
+        sealedHashes[_fileHash] = true;
+        uint256 evidenceId = hashToEvidenceId[_fileHash];
+        if (evidenceId > 0) {
+            evidences[evidenceId].isSealed = true;
+        }
+        emit EvidenceSealed(evidenceId, _fileHash, msg.sender);
+    }
+    
+    function unsealEvidence(string memory _fileHash, string memory _courtOrderRef) public onlyUnsealer {
+        require(sealedHashes[_fileHash], "Not sealed");
+        require(bytes(_courtOrderRef).length > 0, "Court order required");
+        
+        sealedHashes[_fileHash] = false;
+        uint256 evidenceId = hashToEvidenceId[_fileHash];
+        if (evidenceId > 0) {
+            evidences[evidenceId].isSealed = false;
+        }
+        emit EvidenceUnsealed(evidenceId, _fileHash, msg.sender, _courtOrderRef);
+    }
+    
+    function isHashSealed(string memory _fileHash) public view returns (bool) {
+        return sealedHashes[_fileHash];
+    }
+    
+    function anchorMerkleRoot(string memory _root, uint256 _leafCount)
+        public onlyWriter returns (uint256) {
+        require(rootToBatchId[_root] == 0, "Root already anchored");
+        require(_leafCount > 0, "Empty batch");
+        
+        batchCounter++;
+        merkleBatches[batchCounter] = MerkleBatch({
+            root: _root,
+            leafCount: _leafCount,
+            anchoredBy: msg.sender,
+            timestamp: block.timestamp
+        });
+        
+        rootToBatchId[_root] = batchCounter;
+        emit MerkleRootAnchored(batchCounter, _root, _leafCount, msg.sender);
+        return batchCounter;
+    }
+    
+    function verifyMerkleRoot(string memory _root) public view returns (bool exists, uint256 batchId) {
+        batchId = rootToBatchId[_root];
+        exists = batchId > 0;
+    }
+    
+    // Checkpoints must move forward: a rewritten log cannot be re-anchored at an
+    // earlier sequence
+    function anchorAuditCheckpoint(string memory _headHash, uint256 _sequence)
+        public onlyWriter returns (uint256) {
+        require(headHashToCheckpointId[_headHash] == 0, "Checkpoint already anchored");
+        require(
+            checkpointCounter == 0 || _sequence > auditCheckpoints[checkpointCounter].sequence,
+            "Checkpoint must advance the log"
+        );
+        
+        checkpointCounter++;
+        auditCheckpoints[checkpointCounter] = AuditCheckpoint({
+            headHash: _headHash,
+            sequence: _sequence,
+            anchoredBy: msg.sender,
+            timestamp: block.timestamp
+        });
+        
+        headHashToCheckpointId[_headHash] = checkpointCounter;
+        emit AuditCheckpointAnchored(checkpointCounter, _headHash, _sequence, msg.sender);
+        return checkpointCounter;
+    }
+    
+    function verifyAuditCheckpoint(string memory _headHash) public view returns (bool exists, uint256 sequence) {
+        uint256 checkpointId = headHashToCheckpointId[_headHash];
+        exists = checkpointId > 0;
+        sequence = auditCheckpoints[checkpointId].sequence;
+    }
+    
+    function grantRole(address _user, string memory _role) public onlyAdmin {
+        require(_user != address(0), "Invalid address");
+        require(validRoles[keccak256(bytes(_role))], "Unknown role");
+        
+        bool wasAdmin = _hasRole(_user, "admin");
+        bool isAdmin = keccak256(bytes(_role)) == keccak256(bytes("admin"));
+        if (wasAdmin && !isAdmin) {
+            require(adminCount > 1, "Cannot remove the last admin");
+            adminCount--;
+        } else if (!wasAdmin && isAdmin) {
+            adminCount++;
+        }
+        
+        if (authorizedUsers[_user] && bytes(userRoles[_user]).length > 0) {
+            emit RoleRevoked(_user, userRoles[_user], msg.sender);
+        }
+        
         authorizedUsers[_user] = true;
         userRoles[_user] = _role;
+        emit RoleGranted(_user, _role, msg.sender);
+    }
+    
+    function revokeRole(address _user) public onlyAdmin {
+        require(authorizedUsers[_user], "User has no role");
+        
+        if (_hasRole(_user, "admin")) {
+            require(adminCount > 1, "Cannot remove the last admin");
+            adminCount--;
+        }
+        
+        string memory oldRole = userRoles[_user];
+        authorizedUsers[_user] = false;
+        userRoles[_user] = "";
+        emit RoleRevoked(_user, oldRole, msg.sender);
+    }
+    
+    // Kept for existing callers; equivalent to grantRole
+    function authorizeUser(address _user, string memory _role) public {
+        grantRole(_user, _role);
     }
 }
\ No newline at end of file
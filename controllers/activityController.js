@@ -1,20 +1,28 @@
-const { supabase } = require('../config');
+const { appendAuditLog } = require('../services/auditLog');
+
+// Events only the browser sees. Everything else is audited by the server where it
+// happens, so clients cannot add entries that look like server actions.
+const CLIENT_ACTIONS = ['role_selected', 'preview_accessed', 'session_timeout'];
 
 const logActivity = async (req, res) => {
     try {
-        const { user_id, action, details } = req.body;
-        if (!user_id || !action) {
-            return res.status(400).json({ error: 'User ID and action are required' });
+        const { action, details } = req.body;
+        if (!action) {
+            return res.status(400).json({ error: 'Action is required' });
+        }
+        if (!CLIENT_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: `Action must be one of: ${CLIENT_ACTIONS.join(', ')}` });
         }
-        const { error } = await supabase
-            .from('activity_logs')
-            .insert({
-                user_id,
-                action,
-                details: typeof details === 'string' ? details : JSON.stringify(details),
-                timestamp: new Date().toISOString()
-            });
-        if (error) throw error;
+        // Client events are not about a particular item, so the details cannot
+        // fill the evidence and case columns the audit API filters on
+        await appendAuditLog({
+            user_id: req.user.identifier,
+            action,
+            details,
+            evidence_id: null,
+            case_id: null,
+            ip_address: req.ip
+        });
         res.json({ success: true, message: 'Activity logged successfully' });
     } catch (error) {
         console.error('Activity logging error:', error);
@@ -22,4 +30,4 @@ const logActivity = async (req, res) => {
     }
 };
 
-module.exports = { logActivity };
+module.exports = { logActivity, CLIENT_ACTIONS };
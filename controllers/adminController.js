@@ -1,11 +1,24 @@
 const { supabase, allowedRoles } = require('../config');
 const { validateWalletAddress, logAdminAction } = require('../middleware/verifyAdmin');
 const { createNotification } = require('../services/notificationService');
+const { isBlockchainEnabled } = require('../services/blockchainService');
+const { queueRoleSync, buildRoleReconciliationReport, applyRoleReconciliation } = require('../services/roleSyncService');
+const { PERMISSIONS, ROLE_PERMISSIONS, getEffectivePermissions } = require('../services/policyService');
+const { listActiveSessions, revokeSession, revokeUserSessions } = require('../services/sessionService');
+const { getPasswordPolicy, updatePasswordPolicy } = require('../services/passwordPolicyService');
+const { listLockouts, unlockLogin } = require('../services/loginLockoutService');
+const {
+    requestAction, approveAction, rejectAction, listActions, getAction, failureStatus
+} = require('../services/pendingActionService');
+
+// Longest a directly granted permission may last
+const MAX_GRANT_DAYS = 90;
 
 // Create regular user (Admin only)
 const createUser = async (req, res) => {
     try {
-        const { adminWallet, userData } = req.body;
+        const { userData } = req.body;
+        const adminWallet = req.admin.identifier;
         const { walletAddress, fullName, role, department, jurisdiction, badgeNumber } = userData;
 
         // Validate input
@@ -53,6 +66,8 @@ const createUser = async (req, res) => {
             throw error;
         }
 
+        queueRoleSync(walletAddress, role);
+
         // Log admin action
         await logAdminAction(adminWallet, 'create_user', walletAddress, {
             user_name: fullName,
@@ -85,11 +100,11 @@ const createUser = async (req, res) => {
     }
 };
 
-// Create admin user (Admin only)
+// Request a new admin account (Admin only). Held until another admin approves it.
 const createAdmin = async (req, res) => {
     try {
-        const { adminWallet, adminData } = req.body;
-        const { walletAddress, fullName } = adminData;
+        const { adminData, reason } = req.body;
+        const { walletAddress, fullName } = adminData || {};
 
         // Validate input
         if (!validateWalletAddress(walletAddress)) {
@@ -100,82 +115,33 @@ const createAdmin = async (req, res) => {
             return res.status(400).json({ error: 'Full name is required' });
         }
 
-        // Check admin limit
-        const { count } = await supabase
-            .from('users')
-            .select('*', { count: 'exact', head: true })
-            .eq('role', 'admin')
-            .eq('is_active', true);
-
-        if (count >= 10) {
-            return res.status(400).json({ error: 'Maximum admin limit (10) reached' });
-        }
-
-        // Check if wallet already exists
-        const { data: existingUser } = await supabase
-            .from('users')
-            .select('wallet_address')
-            .eq('wallet_address', walletAddress)
-            .single();
-
-        if (existingUser) {
-            return res.status(409).json({ error: 'Wallet address already registered' });
-        }
-
-        // Create admin
-        const { data: newAdmin, error } = await supabase
-            .from('users')
-            .insert({
-                wallet_address: walletAddress,
-                full_name: fullName,
-                role: 'admin',
-                department: 'Administration',
-                jurisdiction: 'System',
-                account_type: 'real',
-                created_by: adminWallet,
-                is_active: true
-            })
-            .select()
-            .single();
+        const result = await requestAction(req.user, {
+            actionType: 'create_admin',
+            target: walletAddress,
+            payload: { full_name: fullName },
+            reason
+        }, { ip: req.ip });
 
-        if (error) {
-            throw error;
+        if (result.error) {
+            return res.status(failureStatus(result.reason)).json({ error: result.error });
         }
 
-        // Log admin action
-        await logAdminAction(adminWallet, 'create_admin', walletAddress, {
-            admin_name: fullName
+        res.status(202).json({
+            success: true,
+            pending_action: result.action,
+            message: 'Admin creation submitted for approval by another administrator'
         });
-
-        // Send welcome notification to new admin
-        await createNotification(
-            walletAddress,
-            'Admin Access Granted',
-            `Your administrator account has been created. You now have full system access.`,
-            'system',
-            { role: 'admin' }
-        );
-
-        // Notify creating admin
-        await createNotification(
-            adminWallet,
-            'New Administrator Created',
-            `Administrator account created for ${fullName}`,
-            'system',
-            { action: 'admin_created', targetAdmin: fullName }
-        );
-
-        res.json({ success: true, admin: newAdmin });
     } catch (error) {
         console.error('Create admin error:', error);
         res.status(500).json({ error: 'Failed to create admin' });
     }
 };
 
-// Delete user (Admin only)
+// Request deactivation of a user (Admin only). Held until another admin approves it.
 const deleteUser = async (req, res) => {
     try {
-        const { adminWallet, targetWallet } = req.body;
+        const { targetWallet, reason } = req.body;
+        const adminWallet = req.admin.identifier;
 
         if (!validateWalletAddress(targetWallet)) {
             return res.status(400).json({ error: 'Invalid target wallet address' });
@@ -186,38 +152,33 @@ const deleteUser = async (req, res) => {
             return res.status(400).json({ error: 'Administrators cannot delete their own account' });
         }
 
-        // Get target user info for logging
+        // Get target user info for the approvers
         const { data: targetUser } = await supabase
             .from('users')
-            .select('*')
+            .select('full_name, role')
             .eq('wallet_address', targetWallet)
-            .single();
+            .maybeSingle();
 
         if (!targetUser) {
             return res.status(404).json({ error: 'Target user not found' });
         }
 
-        // Soft delete user
-        const { error } = await supabase
-            .from('users')
-            .update({
-                is_active: false,
-                last_updated: new Date().toISOString()
-            })
-            .eq('wallet_address', targetWallet);
+        const result = await requestAction(req.user, {
+            actionType: 'deactivate_user',
+            target: targetWallet,
+            payload: { full_name: targetUser.full_name, role: targetUser.role },
+            reason
+        }, { ip: req.ip });
 
-        if (error) {
-            throw error;
+        if (result.error) {
+            return res.status(failureStatus(result.reason)).json({ error: result.error });
         }
 
-        // Log admin action
-        await logAdminAction(adminWallet, 'delete_user', targetWallet, {
-            action: 'soft_delete',
-            target_user_name: targetUser.full_name,
-            target_user_role: targetUser.role
+        res.status(202).json({
+            success: true,
+            pending_action: result.action,
+            message: 'User deactivation submitted for approval by another administrator'
         });
-
-        res.json({ success: true });
     } catch (error) {
         console.error('Delete user error:', error);
         res.status(500).json({ error: 'Failed to delete user' });
@@ -227,25 +188,8 @@ const deleteUser = async (req, res) => {
 // Get all users with enhanced filtering and pagination
 const getAllUsers = async (req, res) => {
     try {
-        const { adminWallet } = req.query;
         const { limit = 50, offset = 0, role, active_only = 'true' } = req.query;
 
-        if (!validateWalletAddress(adminWallet)) {
-            return res.status(400).json({ error: 'Invalid admin wallet address' });
-        }
-
-        // Verify admin permissions
-        const { data: admin } = await supabase
-            .from('users')
-            .select('role')
-            .eq('wallet_address', adminWallet)
-            .eq('is_active', true)
-            .single();
-
-        if (!admin || admin.role !== 'admin') {
-            return res.status(403).json({ error: 'Admin privileges required' });
-        }
-
         // Use database function for efficient user retrieval
         const { data: result, error } = await supabase
             .rpc('get_all_users', {
@@ -269,10 +213,11 @@ const getAllUsers = async (req, res) => {
     }
 };
 
-// Request role change (Admin only)
+// Request a role change (Admin only). Held in the approval queue until another admin approves it.
 const roleChangeRequest = async (req, res) => {
     try {
-        const { adminWallet, targetWallet, newRole, reason } = req.body;
+        const { targetWallet, newRole, reason } = req.body;
+        const adminWallet = req.admin.identifier;
 
         if (!validateWalletAddress(targetWallet) || !allowedRoles.includes(newRole)) {
             return res.status(400).json({ error: 'Invalid target wallet or role' });
@@ -284,153 +229,427 @@ const roleChangeRequest = async (req, res) => {
 
         const { data: targetUser } = await supabase
             .from('users')
-            .select('*')
+            .select('full_name, role')
             .eq('wallet_address', targetWallet)
-            .single();
+            .maybeSingle();
 
         if (!targetUser) {
             return res.status(404).json({ error: 'Target user not found' });
         }
 
-        const { data: request, error } = await supabase
-            .from('role_change_requests')
-            .insert({
-                requesting_admin: adminWallet,
-                target_wallet: targetWallet,
-                old_role: targetUser.role,
-                new_role: newRole,
-                reason: reason || '',
-                status: 'pending'
-            })
-            .select()
-            .single();
+        if (targetUser.role === newRole) {
+            return res.status(400).json({ error: `User already has the ${newRole} role` });
+        }
 
-        if (error) throw error;
+        const result = await requestAction(req.user, {
+            actionType: 'change_role',
+            target: targetWallet,
+            payload: { full_name: targetUser.full_name, old_role: targetUser.role, new_role: newRole },
+            reason
+        }, { ip: req.ip });
+
+        if (result.error) {
+            return res.status(failureStatus(result.reason)).json({ error: result.error });
+        }
 
-        res.json({ success: true, request });
+        res.status(202).json({
+            success: true,
+            pending_action: result.action,
+            message: 'Role change submitted for approval by another administrator'
+        });
     } catch (error) {
         console.error('Role change request error:', error);
         res.status(500).json({ error: 'Failed to create role change request' });
     }
 };
 
-// Get pending role change requests
+// Pending role changes this admin can decide on
 const getRoleChangeRequests = async (req, res) => {
     try {
-        const { adminWallet } = req.query;
+        const actions = await listActions(req.user, { status: 'pending' });
+        const requests = actions.filter(action => action.action_type === 'change_role' && action.can_approve);
+
+        res.json({ success: true, requests });
+    } catch (error) {
+        console.error('Get role change requests error:', error);
+        res.status(500).json({ error: 'Failed to get role change requests' });
+    }
+};
+
+// Find a role change in the approval queue; other action types are not decided here
+const loadRoleChange = async (user, requestId) => {
+    const result = await getAction(user, requestId);
+    if (result.error || result.action.action_type === 'change_role') return result;
+    return { error: 'Role change request not found', reason: 'not_found' };
+};
+
+// Approve a role change request. The role changes once enough admins have approved.
+const approveRoleChange = async (req, res) => {
+    try {
+        const { requestId, comment } = req.body;
 
-        if (!validateWalletAddress(adminWallet)) {
-            return res.status(400).json({ error: 'Invalid admin wallet' });
+        const found = await loadRoleChange(req.user, requestId);
+        const result = found.error ? found : await approveAction(req.user, requestId, { comment, ip: req.ip });
+        if (result.error) {
+            return res.status(failureStatus(result.reason)).json({ error: result.error });
         }
 
-        const { data: requests, error } = await supabase
-            .from('role_change_requests')
+        res.json({ success: true, action: result.action, approvals: result.approvals });
+    } catch (error) {
+        console.error('Approve role change error:', error);
+        res.status(500).json({ error: 'Failed to approve role change' });
+    }
+};
+
+// Reject role change request
+const rejectRoleChange = async (req, res) => {
+    try {
+        const { requestId, reason } = req.body;
+
+        const found = await loadRoleChange(req.user, requestId);
+        const result = found.error ? found : await rejectAction(req.user, requestId, { reason, ip: req.ip });
+        if (result.error) {
+            return res.status(failureStatus(result.reason)).json({ error: result.error });
+        }
+
+        res.json({ success: true, action: result.action });
+    } catch (error) {
+        console.error('Reject role change error:', error);
+        res.status(500).json({ error: 'Failed to reject role change' });
+    }
+};
+
+// Compare users.role with on-chain roles
+const getRoleReconciliation = async (req, res) => {
+    try {
+        if (!isBlockchainEnabled()) {
+            return res.status(503).json({ error: 'Blockchain anchoring is not configured' });
+        }
+
+        const report = await buildRoleReconciliationReport();
+
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error('Role reconciliation report error:', error);
+        res.status(500).json({ error: 'Failed to build role reconciliation report' });
+    }
+};
+
+// Push database roles to the contract wherever they have drifted
+const reconcileRoles = async (req, res) => {
+    try {
+        const adminWallet = req.admin.identifier;
+
+        if (!isBlockchainEnabled()) {
+            return res.status(503).json({ error: 'Blockchain anchoring is not configured' });
+        }
+
+        const result = await applyRoleReconciliation();
+
+        await logAdminAction(adminWallet, 'role_reconciliation', null, {
+            summary: result.summary,
+            applied: result.results.filter(r => r.applied).length,
+            failed: result.results.filter(r => !r.applied).length
+        });
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Role reconciliation error:', error);
+        res.status(500).json({ error: 'Failed to reconcile roles' });
+    }
+};
+
+// List a user's role permissions and time-limited grants
+const getUserPermissions = async (req, res) => {
+    try {
+        const { userId } = req.query;
+
+        const { data: user, error: userError } = await supabase
+            .from('users')
+            .select('id, wallet_address, email, full_name, role, is_active')
+            .eq('id', userId)
+            .maybeSingle();
+
+        if (userError) throw userError;
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { data: grants, error } = await supabase
+            .from('user_permissions')
             .select('*')
-            .eq('status', 'pending')
-            .neq('requesting_admin', adminWallet)
-            .order('created_at', { ascending: false });
+            .eq('user_id', user.id)
+            .order('granted_at', { ascending: false });
 
         if (error) throw error;
 
-        res.json({ success: true, requests });
+        res.json({
+            success: true,
+            user,
+            role_permissions: PERMISSIONS.filter(action => ROLE_PERMISSIONS[action].includes(user.role)),
+            effective_permissions: user.is_active ? await getEffectivePermissions(user) : [],
+            grants
+        });
     } catch (error) {
-        console.error('Get role change requests error:', error);
-        res.status(500).json({ error: 'Failed to get role change requests' });
+        console.error('Get user permissions error:', error);
+        res.status(500).json({ error: 'Failed to get user permissions' });
     }
 };
 
-// Approve role change request
-const approveRoleChange = async (req, res) => {
+// Grant a permission to a user until expiresAt, optionally limited to one case
+const grantPermission = async (req, res) => {
     try {
-        const { adminWallet, requestId } = req.body;
+        const { userId, permission, expiresAt, caseId, reason } = req.body;
+        const adminWallet = req.admin.identifier;
 
-        const { data: request } = await supabase
-            .from('role_change_requests')
-            .select('*')
-            .eq('id', requestId)
-            .eq('status', 'pending')
-            .single();
+        if (!PERMISSIONS.includes(permission)) {
+            return res.status(400).json({ error: `Unknown permission. Expected one of: ${PERMISSIONS.join(', ')}` });
+        }
 
-        if (!request) {
-            return res.status(404).json({ error: 'Request not found or already processed' });
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({ error: 'A reason is required to grant a permission' });
         }
 
-        if (request.requesting_admin === adminWallet) {
-            return res.status(400).json({ error: 'Cannot approve own request' });
+        const expiry = new Date(expiresAt);
+        const maxExpiry = new Date(Date.now() + MAX_GRANT_DAYS * 24 * 60 * 60 * 1000);
+        if (Number.isNaN(expiry.getTime()) || expiry <= new Date() || expiry > maxExpiry) {
+            return res.status(400).json({ error: `expiresAt must be in the future and within ${MAX_GRANT_DAYS} days` });
         }
 
-        // Update user role
-        const { error: userError } = await supabase
+        const { data: user } = await supabase
             .from('users')
-            .update({ role: request.new_role })
-            .eq('wallet_address', request.target_wallet);
+            .select('id, wallet_address, email, role')
+            .eq('id', userId)
+            .eq('is_active', true)
+            .maybeSingle();
 
-        if (userError) throw userError;
+        if (!user) {
+            return res.status(404).json({ error: 'Target user not found or inactive' });
+        }
 
-        // Update request status
-        const { error: requestError } = await supabase
-            .from('role_change_requests')
-            .update({
-                status: 'approved',
-                approved_by: adminWallet,
-                approved_at: new Date().toISOString()
+        if (caseId) {
+            const { data: caseRecord } = await supabase
+                .from('cases')
+                .select('id')
+                .eq('id', caseId)
+                .maybeSingle();
+
+            if (!caseRecord) {
+                return res.status(404).json({ error: 'Case not found' });
+            }
+        }
+
+        const { data: grant, error } = await supabase
+            .from('user_permissions')
+            .insert({
+                user_id: user.id,
+                permission_name: permission,
+                case_id: caseId || null,
+                reason: String(reason).trim(),
+                granted_by: req.admin.id,
+                expires_at: expiry.toISOString()
             })
-            .eq('id', requestId);
+            .select()
+            .single();
 
-        if (requestError) throw requestError;
+        if (error) throw error;
 
-        await logAdminAction(adminWallet, 'role_change_approved', request.target_wallet, {
-            old_role: request.old_role,
-            new_role: request.new_role,
-            request_id: requestId
+        const target = user.wallet_address || user.email;
+        await logAdminAction(adminWallet, 'permission_granted', target, {
+            grant_id: grant.id,
+            permission,
+            case_id: caseId || null,
+            expires_at: grant.expires_at,
+            reason: grant.reason
         });
 
-        res.json({ success: true });
+        await createNotification(
+            target,
+            'Permission Granted',
+            `You have been granted ${permission}${caseId ? ` on case ${caseId}` : ''} until ${expiry.toISOString()}`,
+            'system',
+            { grant_id: grant.id, permission, case_id: caseId || null }
+        );
+
+        res.json({ success: true, grant });
     } catch (error) {
-        console.error('Approve role change error:', error);
-        res.status(500).json({ error: 'Failed to approve role change' });
+        console.error('Grant permission error:', error);
+        res.status(500).json({ error: 'Failed to grant permission' });
     }
 };
 
-// Reject role change request
-const rejectRoleChange = async (req, res) => {
+// Revoke a grant before it expires
+const revokePermission = async (req, res) => {
     try {
-        const { adminWallet, requestId, reason } = req.body;
+        const { grantId, reason } = req.body;
+        const adminWallet = req.admin.identifier;
 
-        const { data: request } = await supabase
-            .from('role_change_requests')
-            .select('*')
-            .eq('id', requestId)
-            .eq('status', 'pending')
-            .single();
+        const { data: grant, error } = await supabase
+            .from('user_permissions')
+            .update({
+                is_active: false,
+                revoked_by: req.admin.id,
+                revoked_at: new Date().toISOString()
+            })
+            .eq('id', grantId)
+            .eq('is_active', true)
+            .select('*, users!user_permissions_user_id_fkey(wallet_address, email)')
+            .maybeSingle();
 
-        if (!request) {
-            return res.status(404).json({ error: 'Request not found or already processed' });
+        if (error) throw error;
+        if (!grant) {
+            return res.status(404).json({ error: 'Grant not found or already revoked' });
         }
 
-        const { error } = await supabase
-            .from('role_change_requests')
-            .update({
-                status: 'rejected',
-                rejected_by: adminWallet,
-                rejected_at: new Date().toISOString(),
-                rejection_reason: reason || ''
-            })
-            .eq('id', requestId);
+        await logAdminAction(adminWallet, 'permission_revoked', grant.users?.wallet_address || grant.users?.email || null, {
+            grant_id: grant.id,
+            permission: grant.permission_name,
+            case_id: grant.case_id,
+            reason: reason || null
+        });
+
+        res.json({ success: true, grant });
+    } catch (error) {
+        console.error('Revoke permission error:', error);
+        res.status(500).json({ error: 'Failed to revoke permission' });
+    }
+};
+
+// List a user's active sessions
+const getUserSessions = async (req, res) => {
+    try {
+        const { userId } = req.query;
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, wallet_address, email, full_name, role, is_active')
+            .eq('id', userId)
+            .maybeSingle();
 
         if (error) throw error;
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
 
-        await logAdminAction(adminWallet, 'role_change_rejected', request.target_wallet, {
-            old_role: request.old_role,
-            new_role: request.new_role,
-            request_id: requestId,
-            reason
+        res.json({ success: true, user, sessions: await listActiveSessions(user) });
+    } catch (error) {
+        console.error('Get user sessions error:', error);
+        res.status(500).json({ error: 'Failed to get user sessions' });
+    }
+};
+
+// End one session ({ userId, sessionId }) or every session ({ userId }) of a user.
+// Open pages of those sessions are signed out over Socket.IO.
+const revokeUserSession = async (req, res) => {
+    try {
+        const { userId, sessionId, reason } = req.body;
+        const adminWallet = req.admin.identifier;
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({ error: 'A reason is required to revoke sessions' });
+        }
+
+        const { data: user } = await supabase
+            .from('users')
+            .select('id, wallet_address, email')
+            .eq('id', userId)
+            .maybeSingle();
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const options = { revokedBy: req.admin.id, reason: 'revoked_by_admin' };
+        let revoked;
+        if (sessionId) {
+            const session = await revokeSession(user.id, sessionId, options);
+            if (!session) {
+                return res.status(404).json({ error: 'Session not found or already ended' });
+            }
+            revoked = [session];
+        } else {
+            revoked = await revokeUserSessions(user.id, options);
+        }
+
+        await logAdminAction(adminWallet, 'sessions_revoked', user.wallet_address || user.email, {
+            session_ids: revoked.map(session => session.id),
+            reason: String(reason).trim()
         });
 
-        res.json({ success: true });
+        res.json({ success: true, revoked: revoked.length });
     } catch (error) {
-        console.error('Reject role change error:', error);
-        res.status(500).json({ error: 'Failed to reject role change' });
+        console.error('Revoke user session error:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+};
+
+// Current password policy
+const getPasswordPolicySettings = async (req, res) => {
+    try {
+        res.json({ success: true, policy: await getPasswordPolicy() });
+    } catch (error) {
+        console.error('Get password policy error:', error);
+        res.status(500).json({ error: 'Failed to get password policy' });
+    }
+};
+
+// Change password policy settings. Applies to new passwords; a shorter max age
+// also expires existing passwords sooner.
+const updatePasswordPolicySettings = async (req, res) => {
+    try {
+        const { policy, error } = await updatePasswordPolicy(req.body, req.admin.id);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await logAdminAction(req.admin.identifier, 'password_policy_updated', null, policy);
+
+        res.json({ success: true, policy });
+    } catch (error) {
+        console.error('Update password policy error:', error);
+        res.status(500).json({ error: 'Failed to update password policy' });
+    }
+};
+
+// Accounts and IPs currently locked out after failed email logins
+const getLoginLockouts = async (req, res) => {
+    try {
+        res.json({ success: true, lockouts: await listLockouts() });
+    } catch (error) {
+        console.error('Get login lockouts error:', error);
+        res.status(500).json({ error: 'Failed to get login lockouts' });
+    }
+};
+
+// Lift a lockout for an account ({ email }) or a client IP ({ ip })
+const unlockLoginLockout = async (req, res) => {
+    try {
+        const { email, ip, reason } = req.body;
+        const adminWallet = req.admin.identifier;
+
+        if (Boolean(email) === Boolean(ip)) {
+            return res.status(400).json({ error: 'Provide either email or ip' });
+        }
+
+        const scope = email ? 'email' : 'ip';
+        const identifier = email ? String(email).toLowerCase() : String(ip);
+        const lockout = await unlockLogin(scope, identifier);
+
+        if (!lockout) {
+            return res.status(404).json({ error: 'No failed logins recorded for that account or IP' });
+        }
+
+        await logAdminAction(adminWallet, 'login_unlocked', identifier, {
+            scope,
+            locked_until: lockout.locked_until,
+            failed_count: lockout.failed_count,
+            reason: reason || null
+        });
+
+        res.json({ success: true, lockout });
+    } catch (error) {
+        console.error('Unlock login error:', error);
+        res.status(500).json({ error: 'Failed to unlock login' });
     }
 };
 
@@ -450,5 +669,16 @@ module.exports = {
     getRoleChangeRequests,
     approveRoleChange,
     rejectRoleChange,
+    getRoleReconciliation,
+    reconcileRoles,
+    getUserPermissions,
+    grantPermission,
+    revokePermission,
+    getUserSessions,
+    revokeUserSession,
+    getPasswordPolicySettings,
+    updatePasswordPolicySettings,
+    getLoginLockouts,
+    unlockLoginLockout,
     blockUnauthorizedAdmin
 };
@@ -0,0 +1,80 @@
+const {
+    failureStatus, listActions, getAction, approveAction, rejectAction, cancelAction
+} = require('../services/pendingActionService');
+
+const sendFailure = (res, result) =>
+    res.status(failureStatus(result.reason)).json({ error: result.error, reason: result.reason });
+
+// Requests the caller made or may decide on (?status=pending|executed|...|all)
+const getPendingActions = async (req, res) => {
+    try {
+        const actions = await listActions(req.user, { status: req.query.status || 'pending' });
+        res.json({ success: true, actions });
+    } catch (error) {
+        console.error('Get pending actions error:', error);
+        res.status(500).json({ error: 'Failed to get pending actions' });
+    }
+};
+
+const getPendingAction = async (req, res) => {
+    try {
+        const result = await getAction(req.user, req.params.id);
+        if (result.error) return sendFailure(res, result);
+
+        res.json({ success: true, action: result.action });
+    } catch (error) {
+        console.error('Get pending action error:', error);
+        res.status(500).json({ error: 'Failed to get pending action' });
+    }
+};
+
+// Approve a request: { comment? }. The action runs once enough approvals are in.
+const approvePendingAction = async (req, res) => {
+    try {
+        const result = await approveAction(req.user, req.params.id, { comment: req.body.comment, ip: req.ip });
+        if (result.error) return sendFailure(res, result);
+
+        res.json({ success: true, action: result.action, approvals: result.approvals });
+    } catch (error) {
+        console.error('Approve pending action error:', error);
+        res.status(500).json({ error: 'Failed to approve pending action' });
+    }
+};
+
+// Reject a request: { reason }
+const rejectPendingAction = async (req, res) => {
+    try {
+        const { reason } = req.body;
+        if (!reason) {
+            return res.status(400).json({ error: 'A reason is required to reject a request' });
+        }
+
+        const result = await rejectAction(req.user, req.params.id, { reason, ip: req.ip });
+        if (result.error) return sendFailure(res, result);
+
+        res.json({ success: true, action: result.action });
+    } catch (error) {
+        console.error('Reject pending action error:', error);
+        res.status(500).json({ error: 'Failed to reject pending action' });
+    }
+};
+
+const cancelPendingAction = async (req, res) => {
+    try {
+        const result = await cancelAction(req.user, req.params.id, { ip: req.ip });
+        if (result.error) return sendFailure(res, result);
+
+        res.json({ success: true, action: result.action });
+    } catch (error) {
+        console.error('Cancel pending action error:', error);
+        res.status(500).json({ error: 'Failed to cancel pending action' });
+    }
+};
+
+module.exports = {
+    getPendingActions,
+    getPendingAction,
+    approvePendingAction,
+    rejectPendingAction,
+    cancelPendingAction
+};
@@ -0,0 +1,158 @@
+const { supabase } = require('../config');
+const { verifyAuditChain, appendAuditLog } = require('../services/auditLog');
+const {
+    CSV_COLUMNS, parseAuditFilters, queryAuditEntries, iterateAuditEntries, toCsvRow
+} = require('../services/auditQueryService');
+const { isBlockchainEnabled, verifyAuditCheckpointOnChain } = require('../services/blockchainService');
+
+const MAX_PAGE_SIZE = 200;
+
+// Confirm recent checkpoints still match the log and are anchored on-chain.
+// A log rewritten from the genesis entry would verify on its own but no longer
+// match the hashes anchored at checkpoint time.
+const checkCheckpoints = async () => {
+    const { data: checkpoints, error } = await supabase
+        .from('audit_checkpoints')
+        .select('*')
+        .eq('status', 'confirmed')
+        .order('sequence', { ascending: false })
+        .limit(10);
+
+    if (error) throw error;
+    if (!checkpoints || checkpoints.length === 0) return [];
+
+    const { data: rows, error: rowsError } = await supabase
+        .from('activity_logs')
+        .select('sequence, entry_hash')
+        .in('sequence', checkpoints.map(checkpoint => checkpoint.sequence));
+
+    if (rowsError) throw rowsError;
+
+    const results = [];
+    for (const checkpoint of checkpoints) {
+        const row = rows.find(r => Number(r.sequence) === Number(checkpoint.sequence));
+        const result = {
+            sequence: checkpoint.sequence,
+            entry_hash: checkpoint.entry_hash,
+            blockchain_tx: checkpoint.blockchain_tx,
+            anchored_at: checkpoint.anchored_at,
+            matches_log: Boolean(row && row.entry_hash === checkpoint.entry_hash),
+            on_chain: null
+        };
+
+        if (isBlockchainEnabled()) {
+            try {
+                const onChain = await verifyAuditCheckpointOnChain(checkpoint.entry_hash);
+                result.on_chain = onChain.exists && onChain.sequence === Number(checkpoint.sequence);
+            } catch (chainError) {
+                console.error('Audit checkpoint lookup error:', chainError.message);
+            }
+        }
+        results.push(result);
+    }
+    return results;
+};
+
+// Verify the activity_logs hash chain (Admin or Auditor)
+const verifyAuditLogChain = async (req, res) => {
+    try {
+        const chain = await verifyAuditChain();
+        const checkpoints = await checkCheckpoints();
+        const checkpointsValid = checkpoints.every(c => c.matches_log && c.on_chain !== false);
+
+        res.json({
+            success: true,
+            valid: chain.valid && checkpointsValid,
+            chain,
+            checkpoints,
+            verified_at: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Audit chain verification error:', error);
+        res.status(500).json({ error: 'Failed to verify audit log chain' });
+    }
+};
+
+// Query activity_logs or admin_actions with filters and pagination (Admin or Auditor)
+const getAuditLogs = async (req, res) => {
+    try {
+        const { page = 1, limit = 50 } = req.query;
+
+        const { filters, error: filterError } = parseAuditFilters(req.query);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+        const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || 50));
+
+        const { entries, total } = await queryAuditEntries(filters, {
+            offset: (pageNumber - 1) * pageSize,
+            limit: pageSize
+        });
+
+        res.json({
+            success: true,
+            source: filters.source,
+            entries,
+            pagination: {
+                page: pageNumber,
+                limit: pageSize,
+                total,
+                total_pages: Math.ceil(total / pageSize)
+            }
+        });
+    } catch (error) {
+        console.error('Audit log query error:', error);
+        res.status(500).json({ error: 'Failed to query audit logs' });
+    }
+};
+
+// Export every matching entry as CSV or JSON Lines (Admin or Auditor)
+const exportAuditLogs = async (req, res) => {
+    try {
+        const { format = 'csv' } = req.query;
+
+        if (!['csv', 'jsonl'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be csv or jsonl' });
+        }
+
+        const { filters, error: filterError } = parseAuditFilters(req.query);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        // Exporting the audit trail is itself audited
+        await appendAuditLog({
+            user_id: req.user.identifier,
+            action: 'audit_log_export',
+            details: JSON.stringify({ format, filters }),
+            ip_address: req.ip
+        });
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+        res.setHeader('Content-Disposition', `attachment; filename="audit_${filters.source}_${timestamp}.${format}"`);
+
+        if (format === 'csv') {
+            res.write(CSV_COLUMNS.join(',') + '\n');
+        }
+        for await (const entry of iterateAuditEntries(filters)) {
+            res.write((format === 'csv' ? toCsvRow(entry) : JSON.stringify(entry)) + '\n');
+        }
+        res.end();
+    } catch (error) {
+        console.error('Audit log export error:', error);
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: 'Failed to export audit logs' });
+        }
+    }
+};
+
+module.exports = {
+    verifyAuditLogChain,
+    getAuditLogs,
+    exportAuditLogs
+};
@@ -1,24 +1,58 @@
 const { supabase, allowedRoles } = require('../config');
 const { validateWalletAddress } = require('../middleware/verifyAdmin');
+const { queueRoleSync } = require('../services/roleSyncService');
+const { appendAuditLog } = require('../services/auditLog');
+const { issueTokens, issueTwoFactorChallenge, verifyToken } = require('../services/tokenService');
+const { createSiweChallenge, verifySiweSignature } = require('../services/siweService');
+const {
+    startSession, validateSession, listActiveSessions, revokeSession, revokeUserSessions
+} = require('../services/sessionService');
+const {
+    getPasswordPolicy, checkNewPassword, recordPasswordHistory, isPasswordExpired
+} = require('../services/passwordPolicyService');
+const { getLoginBlock, recordLoginFailure, clearLoginFailures } = require('../services/loginLockoutService');
+const { createNotification } = require('../services/notificationService');
+
+// Anyone can sign up as a viewer; other roles are granted by an administrator
+const SELF_REGISTRATION_ROLES = ['public_viewer'];
+
+// Issue a Sign-In-With-Ethereum nonce and message for a wallet
+const walletNonce = async (req, res) => {
+    try {
+        const { walletAddress } = req.body;
+
+        if (!validateWalletAddress(walletAddress)) {
+            return res.status(400).json({ error: 'Invalid wallet address format' });
+        }
+
+        const challenge = await createSiweChallenge(req, walletAddress);
+
+        res.json({ success: true, ...challenge });
+    } catch (error) {
+        console.error('Wallet nonce error:', error);
+        res.status(500).json({ error: 'Failed to issue sign-in nonce' });
+    }
+};
 
-// Wallet login
+// Wallet login with a signed SIWE message
 const walletLogin = async (req, res) => {
     try {
-        const { walletAddress } = req.body;
+        const { message, signature } = req.body;
 
-        if (!walletAddress) {
-            return res.status(400).json({ error: 'Wallet address is required' });
+        if (!message || !signature) {
+            return res.status(400).json({ error: 'Signed sign-in message is required' });
         }
 
-        if (!validateWalletAddress(walletAddress)) {
-            return res.status(400).json({ error: 'Invalid wallet address format' });
+        const { walletAddress, error: siweError } = await verifySiweSignature(req, message, signature);
+        if (siweError) {
+            return res.status(401).json({ error: siweError });
         }
 
         // Get user by wallet address
         const { data: user, error } = await supabase
             .from('users')
             .select('*')
-            .eq('wallet_address', walletAddress.toLowerCase())
+            .eq('wallet_address', walletAddress)
             .eq('is_active', true)
             .single();
 
@@ -27,14 +61,21 @@ const walletLogin = async (req, res) => {
         }
 
         // Log login activity
-        await supabase
-            .from('activity_logs')
-            .insert({
-                user_id: user.wallet_address,
-                action: 'wallet_login',
-                details: JSON.stringify({ auth_type: 'wallet' }),
-                timestamp: new Date().toISOString()
+        await appendAuditLog({
+            user_id: user.wallet_address,
+            action: 'wallet_login',
+            details: JSON.stringify({ auth_type: 'wallet', method: 'siwe' }),
+            ip_address: req.ip
+        });
+
+        // With two-factor authentication on, the session is only opened at /auth/2fa/verify
+        if (user.two_factor_enabled) {
+            return res.json({
+                success: true,
+                two_factor_required: true,
+                challenge_token: issueTwoFactorChallenge(user, 'wallet')
             });
+        }
 
         res.json({ 
             success: true, 
@@ -47,7 +88,8 @@ const walletLogin = async (req, res) => {
                 jurisdiction: user.jurisdiction,
                 badge_number: user.badge_number,
                 auth_type: user.auth_type
-            }
+            },
+            ...await startSession(req, user, 'wallet')
         });
     } catch (error) {
         console.error('Wallet login error:', error);
@@ -55,7 +97,68 @@ const walletLogin = async (req, res) => {
     }
 };
 
-// Email login
+// Answer a login refused by a lockout or a progressive delay with 429 and Retry-After
+const sendLoginBlocked = (res, block) => {
+    const wait = block.retryAfterSeconds >= 60
+        ? `${Math.ceil(block.retryAfterSeconds / 60)} minute(s)`
+        : `${block.retryAfterSeconds} second(s)`;
+
+    res.set('Retry-After', String(block.retryAfterSeconds));
+    return res.status(429).json({
+        error: block.reason === 'locked'
+            ? `Too many failed sign-in attempts. Try again in ${wait}`
+            : `Please wait ${wait} before trying again`,
+        reason: block.reason === 'locked' ? 'login_locked' : 'login_throttled',
+        retry_after: block.retryAfterSeconds
+    });
+};
+
+// Count a wrong email or password. Audits new lockouts and tells the account owner.
+// Returns the block that now applies, if the failure started a lockout.
+const recordFailedEmailLogin = async (req, email, user) => {
+    const policy = await getPasswordPolicy();
+    const counters = await recordLoginFailure(email, req.ip, policy);
+
+    for (const counter of [counters.email, counters.ip]) {
+        if (!counter.locked_until) continue;
+
+        await appendAuditLog({
+            user_id: email,
+            action: counter.scope === 'email' ? 'account_locked' : 'ip_locked',
+            details: JSON.stringify({
+                auth_type: 'email',
+                locked_until: counter.locked_until,
+                lockout_count: counter.lockout_count,
+                account_found: Boolean(user)
+            }),
+            ip_address: req.ip
+        });
+    }
+
+    if (counters.email.locked_until && user) {
+        await createNotification(
+            user.wallet_address || user.email,
+            'Account temporarily locked',
+            `Sign-in to your account was locked until ${new Date(counters.email.locked_until).toUTCString()} after ${policy.lockout_threshold} failed attempts. If this was not you, change your password.`,
+            'urgent',
+            { action: 'account_locked', locked_until: counters.email.locked_until, ip_address: req.ip }
+        );
+    }
+
+    const locked = [counters.email, counters.ip].find(counter => counter.locked_until);
+    if (!locked) return null;
+
+    return {
+        scope: locked.scope,
+        reason: 'locked',
+        lockedUntil: locked.locked_until,
+        retryAfterSeconds: Math.ceil((new Date(locked.locked_until) - Date.now()) / 1000)
+    };
+};
+
+// Email login. Failures are counted per account and per IP: after the second
+// failure each attempt has to wait longer, and enough failures lock the
+// account (or IP) for a while. See services/loginLockoutService.js.
 const emailLogin = async (req, res) => {
     try {
         const { email, password } = req.body;
@@ -64,35 +167,63 @@ const emailLogin = async (req, res) => {
             return res.status(400).json({ error: 'Email and password are required' });
         }
 
+        const normalizedEmail = String(email).toLowerCase();
+
+        const block = await getLoginBlock(normalizedEmail, req.ip);
+        if (block) {
+            await appendAuditLog({
+                user_id: normalizedEmail,
+                action: 'login_blocked',
+                details: JSON.stringify({
+                    auth_type: 'email',
+                    scope: block.scope,
+                    reason: block.reason,
+                    locked_until: block.lockedUntil
+                }),
+                ip_address: req.ip
+            });
+            return sendLoginBlocked(res, block);
+        }
+
         // Get user by email
-        const { data: user, error } = await supabase
+        const { data: user } = await supabase
             .from('users')
             .select('*')
-            .eq('email', email.toLowerCase())
+            .eq('email', normalizedEmail)
             .eq('is_active', true)
-            .single();
-
-        if (error || !user) {
-            return res.status(401).json({ error: 'Invalid email or password' });
-        }
+            .maybeSingle();
 
         // Verify password using database function
-        const { data: passwordValid, error: verifyError } = await supabase
-            .rpc('verify_password', { password, hash: user.password_hash });
+        const { data: passwordValid, error: verifyError } = user && user.password_hash
+            ? await supabase.rpc('verify_password', { password, hash: user.password_hash })
+            : { data: false };
 
         if (verifyError || !passwordValid) {
+            const lockout = await recordFailedEmailLogin(req, normalizedEmail, user);
+            if (lockout) {
+                return sendLoginBlocked(res, lockout);
+            }
             return res.status(401).json({ error: 'Invalid email or password' });
         }
 
+        await clearLoginFailures(normalizedEmail);
+
         // Log login activity
-        await supabase
-            .from('activity_logs')
-            .insert({
-                user_id: user.email,
-                action: 'email_login',
-                details: JSON.stringify({ auth_type: 'email' }),
-                timestamp: new Date().toISOString()
+        await appendAuditLog({
+            user_id: user.email,
+            action: 'email_login',
+            details: JSON.stringify({ auth_type: 'email' }),
+            ip_address: req.ip
+        });
+
+        // With two-factor authentication on, the session is only opened at /auth/2fa/verify
+        if (user.two_factor_enabled) {
+            return res.json({
+                success: true,
+                two_factor_required: true,
+                challenge_token: issueTwoFactorChallenge(user, 'email')
             });
+        }
 
         res.json({ 
             success: true, 
@@ -104,7 +235,9 @@ const emailLogin = async (req, res) => {
                 department: user.department,
                 jurisdiction: user.jurisdiction,
                 auth_type: user.auth_type
-            }
+            },
+            password_expired: isPasswordExpired(user, await getPasswordPolicy()),
+            ...await startSession(req, user, 'email')
         });
     } catch (error) {
         console.error('Email login error:', error);
@@ -116,21 +249,29 @@ const emailLogin = async (req, res) => {
 const emailRegister = async (req, res) => {
     try {
         const { email, password, fullName, role, department, jurisdiction } = req.body;
-        
-        console.log('Email registration request:', { email, fullName, role, department, jurisdiction });
 
         if (!email || !password || !fullName || !role) {
             return res.status(400).json({ error: 'Email, password, full name, and role are required' });
         }
 
-        if (password.length < 6) {
-            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
-        }
-
         if (!allowedRoles.includes(role)) {
             return res.status(400).json({ error: 'Invalid role selected' });
         }
 
+        if (!SELF_REGISTRATION_ROLES.includes(role)) {
+            return res.status(403).json({ error: 'This role must be granted by an administrator' });
+        }
+
+        const policy = await getPasswordPolicy();
+        const { passwordHash, error: passwordError, issues } = await checkNewPassword(
+            { email: email.toLowerCase(), full_name: fullName },
+            password,
+            policy
+        );
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError, issues });
+        }
+
         // Check if email already exists
         const { data: existingUser } = await supabase
             .from('users')
@@ -142,21 +283,13 @@ const emailRegister = async (req, res) => {
             return res.status(409).json({ error: 'Email address already registered' });
         }
 
-        // Hash password using database function
-        const { data: hashedPassword, error: hashError } = await supabase
-            .rpc('hash_password', { password });
-
-        if (hashError) {
-            console.error('Password hashing error:', hashError);
-            throw hashError;
-        }
-
         // Create user
         const { data: newUser, error } = await supabase
             .from('users')
             .insert({
                 email: email.toLowerCase(),
-                password_hash: hashedPassword,
+                password_hash: passwordHash,
+                password_changed_at: new Date().toISOString(),
                 full_name: fullName,
                 role: role,
                 department: department || 'General',
@@ -175,21 +308,19 @@ const emailRegister = async (req, res) => {
             throw error;
         }
 
-        console.log('User created successfully:', newUser.id);
+        await recordPasswordHistory(newUser.id, passwordHash, policy);
 
         // Log registration activity
-        await supabase
-            .from('activity_logs')
-            .insert({
-                user_id: newUser.email,
-                action: 'email_registration',
-                details: JSON.stringify({ 
-                    role: role,
-                    auth_type: 'email',
-                    department: department || 'General'
-                }),
-                timestamp: new Date().toISOString()
-            });
+        await appendAuditLog({
+            user_id: newUser.email,
+            action: 'email_registration',
+            details: JSON.stringify({ 
+                role: role,
+                auth_type: 'email',
+                department: department || 'General'
+            }),
+            ip_address: req.ip
+        });
 
         res.json({ 
             success: true, 
@@ -202,7 +333,8 @@ const emailRegister = async (req, res) => {
                 department: newUser.department,
                 jurisdiction: newUser.jurisdiction,
                 auth_type: newUser.auth_type
-            }
+            },
+            ...await startSession(req, newUser, 'email')
         });
     } catch (error) {
         console.error('Email registration error:', error);
@@ -213,12 +345,10 @@ const emailRegister = async (req, res) => {
 // Wallet registration
 const walletRegister = async (req, res) => {
     try {
-        const { walletAddress, fullName, role, department, jurisdiction, badgeNumber } = req.body;
-        
-        console.log('Wallet registration request:', { walletAddress, fullName, role, department, jurisdiction });
+        const { message, signature, fullName, role, department, jurisdiction, badgeNumber } = req.body;
 
-        if (!validateWalletAddress(walletAddress)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
+        if (!message || !signature) {
+            return res.status(400).json({ error: 'Signed sign-in message is required' });
         }
 
         if (!fullName || !role) {
@@ -229,11 +359,21 @@ const walletRegister = async (req, res) => {
             return res.status(400).json({ error: 'Invalid role selected' });
         }
 
+        if (!SELF_REGISTRATION_ROLES.includes(role)) {
+            return res.status(403).json({ error: 'This role must be granted by an administrator' });
+        }
+
+        // Registering a wallet proves ownership the same way logging in does
+        const { walletAddress, error: siweError } = await verifySiweSignature(req, message, signature);
+        if (siweError) {
+            return res.status(401).json({ error: siweError });
+        }
+
         // Check if wallet already exists
         const { data: existingUser } = await supabase
             .from('users')
             .select('wallet_address')
-            .eq('wallet_address', walletAddress.toLowerCase())
+            .eq('wallet_address', walletAddress)
             .single();
 
         if (existingUser) {
@@ -244,7 +384,7 @@ const walletRegister = async (req, res) => {
         const { data: newUser, error } = await supabase
             .from('users')
             .insert({
-                wallet_address: walletAddress.toLowerCase(),
+                wallet_address: walletAddress,
                 full_name: fullName,
                 role: role,
                 department: department || 'General',
@@ -263,21 +403,19 @@ const walletRegister = async (req, res) => {
             throw error;
         }
 
-        console.log('Wallet user created successfully:', newUser.id);
+        queueRoleSync(newUser.wallet_address, newUser.role);
 
         // Log registration activity
-        await supabase
-            .from('activity_logs')
-            .insert({
-                user_id: newUser.wallet_address,
-                action: 'wallet_registration',
-                details: JSON.stringify({ 
-                    role: role,
-                    auth_type: 'wallet',
-                    department: department || 'General'
-                }),
-                timestamp: new Date().toISOString()
-            });
+        await appendAuditLog({
+            user_id: newUser.wallet_address,
+            action: 'wallet_registration',
+            details: JSON.stringify({ 
+                role: role,
+                auth_type: 'wallet',
+                department: department || 'General'
+            }),
+            ip_address: req.ip
+        });
 
         res.json({ 
             success: true, 
@@ -291,7 +429,8 @@ const walletRegister = async (req, res) => {
                 jurisdiction: newUser.jurisdiction,
                 badge_number: newUser.badge_number,
                 auth_type: newUser.auth_type
-            }
+            },
+            ...await startSession(req, newUser, 'wallet')
         });
     } catch (error) {
         console.error('Wallet registration error:', error);
@@ -299,9 +438,116 @@ const walletRegister = async (req, res) => {
     }
 };
 
+// Exchange a refresh token for a new token pair
+const refreshToken = async (req, res) => {
+    try {
+        const { refreshToken: token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        let payload;
+        try {
+            payload = verifyToken(token, 'refresh');
+        } catch (error) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('*')
+            .eq('id', payload.sub)
+            .eq('is_active', true)
+            .single();
+
+        if (error || !user) {
+            return res.status(401).json({ error: 'Account not found or inactive' });
+        }
+
+        const { error: sessionError } = await validateSession(payload.sid, user);
+        if (sessionError) {
+            return res.status(401).json({ error: 'Session has ended', reason: sessionError });
+        }
+
+        res.json({ success: true, tokens: issueTokens(user, payload.sid) });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Failed to refresh token' });
+    }
+};
+
+// End the current session
+const logout = async (req, res) => {
+    try {
+        await revokeSession(req.user.id, req.userSession.id, { revokedBy: req.user.id, reason: 'logout' });
+
+        await appendAuditLog({
+            user_id: req.user.identifier,
+            action: 'logout',
+            details: JSON.stringify({ session_id: req.userSession.id }),
+            ip_address: req.ip
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+};
+
+// List the caller's active sessions
+const getSessions = async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.user, req.userSession.id);
+        res.json({ success: true, sessions });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Failed to get sessions' });
+    }
+};
+
+// End one of the caller's sessions ({ sessionId }) or all but the current one ({ all: true })
+const revokeOwnSessions = async (req, res) => {
+    try {
+        const { sessionId, all } = req.body;
+        const options = { revokedBy: req.user.id, reason: 'revoked_by_user' };
+
+        let revoked;
+        if (all) {
+            revoked = await revokeUserSessions(req.user.id, { ...options, exceptSessionId: req.userSession.id });
+        } else if (sessionId) {
+            const session = await revokeSession(req.user.id, sessionId, options);
+            if (!session) {
+                return res.status(404).json({ error: 'Session not found or already ended' });
+            }
+            revoked = [session];
+        } else {
+            return res.status(400).json({ error: 'sessionId or all is required' });
+        }
+
+        await appendAuditLog({
+            user_id: req.user.identifier,
+            action: 'sessions_revoked',
+            details: JSON.stringify({ session_ids: revoked.map(session => session.id) }),
+            ip_address: req.ip
+        });
+
+        res.json({ success: true, revoked: revoked.length });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+};
+
 module.exports = {
     emailLogin,
     emailRegister,
+    walletNonce,
     walletLogin,
-    walletRegister
+    walletRegister,
+    refreshToken,
+    logout,
+    getSessions,
+    revokeOwnSessions
 };
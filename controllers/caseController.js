@@ -2,6 +2,10 @@ const { supabase } = require('../config');
 const { validateWalletAddress } = require('../middleware/verifyAdmin');
 const { createNotification } = require('../services/notificationService');
 const { createStatusChangeNotification } = require('../services/caseHelpers');
+const { appendAuditLog } = require('../services/auditLog');
+const { emitToCase, joinCaseRoom, leaveCaseRoom } = require('../services/realtimeService');
+const { loadCase, isAssignedToCase } = require('../services/policyService');
+const { assignRetentionPoliciesForCase } = require('../services/retentionRuleService');
 
 // Get cases for timeline
 const getCases = async (req, res) => {
@@ -68,11 +72,9 @@ const getEnhancedCases = async (req, res) => {
 // Create new case
 const createCase = async (req, res) => {
     try {
-        const { title, description, priority_level, case_type, jurisdiction, estimated_completion, created_by } = req.body;
+        const { title, description, priority_level, case_type, jurisdiction, estimated_completion } = req.body;
+        const created_by = req.user.identifier;
 
-        if (!validateWalletAddress(created_by)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
-        }
         if (!title) {
             return res.status(400).json({ error: 'Case title is required' });
         }
@@ -85,7 +87,9 @@ const createCase = async (req, res) => {
             .select().single();
         if (error) throw error;
 
-        await supabase.from('activity_logs').insert({ user_id: created_by, action: 'case_created', details: JSON.stringify({ case_id: newCase.id, case_title: title, case_type }) });
+        joinCaseRoom(created_by, newCase.id);
+
+        await appendAuditLog({ user_id: created_by, action: 'case_created', details: JSON.stringify({ case_id: newCase.id, case_title: title, case_type }), ip_address: req.ip });
 
         res.json({ success: true, case: newCase });
     } catch (error) {
@@ -102,8 +106,9 @@ const getCaseDetails = async (req, res) => {
         const { data: caseData, error: caseError } = await supabase
             .from('cases')
             .select(`*, case_statuses(status_code, status_name, color_code, icon, description)`)
-            .eq('id', id).single();
+            .eq('id', id).maybeSingle();
         if (caseError) throw caseError;
+        if (!caseData) return res.status(404).json({ error: 'Case not found' });
 
         const { data: statusHistory, error: historyError } = await supabase
             .from('case_status_history')
@@ -128,12 +133,9 @@ const getCaseDetails = async (req, res) => {
 const updateCaseStatus = async (req, res) => {
     try {
         const { id } = req.params;
-        const { newStatusCode, userWallet, reason, metadata = {} } = req.body;
-
-        if (!validateWalletAddress(userWallet)) return res.status(400).json({ error: 'Invalid wallet address' });
-
-        const { data: user, error: userError } = await supabase.from('users').select('role').eq('wallet_address', userWallet).eq('is_active', true).single();
-        if (userError || !user) return res.status(403).json({ error: 'User not found or inactive' });
+        const { newStatusCode, reason, metadata = {} } = req.body;
+        const { user } = req;
+        const userWallet = user.identifier;
 
         const { data: currentCase, error: caseError } = await supabase.from('cases').select('status_id, case_statuses(status_code)').eq('id', id).single();
         if (caseError || !currentCase) return res.status(404).json({ error: 'Case not found' });
@@ -150,8 +152,12 @@ const updateCaseStatus = async (req, res) => {
         await supabase.from('case_status_history').insert({ case_id: id, from_status_id: currentCase.status_id, to_status_id: newStatus.id, changed_by: userWallet, change_reason: reason || 'Status updated via API', metadata: { ...metadata, user_role: user.role, transition_name: transition.transition_name } });
 
         await createStatusChangeNotification(id, currentCase.status_id, newStatus.id, userWallet);
+        emitToCase(id, 'case_update', { case_id: id, type: 'status_change', from_status: currentCase.case_statuses.status_code, to_status: newStatusCode, changed_by: userWallet });
+
+        await appendAuditLog({ user_id: userWallet, action: 'case_status_change', details: JSON.stringify({ case_id: id, from_status: currentCase.case_statuses.status_code, to_status: newStatusCode, reason }), ip_address: req.ip });
 
-        await supabase.from('activity_logs').insert({ user_id: userWallet, action: 'case_status_change', details: JSON.stringify({ case_id: id, from_status: currentCase.case_statuses.status_code, to_status: newStatusCode, reason }) });
+        // Rules can start retention at a status, such as closure
+        await assignRetentionPoliciesForCase(id, { actor: userWallet });
 
         res.json({ success: true, message: 'Case status updated successfully', newStatus: newStatusCode });
     } catch (error) {
@@ -164,12 +170,7 @@ const updateCaseStatus = async (req, res) => {
 const getAvailableTransitions = async (req, res) => {
     try {
         const { id } = req.params;
-        const { userWallet } = req.query;
-
-        if (!validateWalletAddress(userWallet)) return res.status(400).json({ error: 'Invalid wallet address' });
-
-        const { data: user, error: userError } = await supabase.from('users').select('role').eq('wallet_address', userWallet).single();
-        if (userError || !user) return res.status(403).json({ error: 'User not found' });
+        const { user } = req;
 
         const { data: currentCase, error: caseError } = await supabase.from('cases').select('status_id').eq('id', id).single();
         if (caseError || !currentCase) return res.status(404).json({ error: 'Case not found' });
@@ -191,17 +192,15 @@ const getAvailableTransitions = async (req, res) => {
 const assignCase = async (req, res) => {
     try {
         const { id } = req.params;
-        const { assignToWallet, roleType, assignmentType = 'primary', assignedByWallet, notes } = req.body;
-
-        if (!validateWalletAddress(assignToWallet) || !validateWalletAddress(assignedByWallet)) return res.status(400).json({ error: 'Invalid wallet addresses' });
+        const { assignToWallet, roleType, assignmentType = 'primary', notes } = req.body;
+        const assignedByWallet = req.user.identifier;
 
-        const { data: assigner, error: assignerError } = await supabase.from('users').select('role').eq('wallet_address', assignedByWallet).single();
-        if (assignerError || !assigner || !['admin', 'court_official', 'evidence_manager'].includes(assigner.role)) return res.status(403).json({ error: 'Insufficient permissions to assign cases' });
+        if (!validateWalletAddress(assignToWallet)) return res.status(400).json({ error: 'Invalid wallet address' });
 
         const { data: assignee, error: assigneeError } = await supabase.from('users').select('role, full_name').eq('wallet_address', assignToWallet).single();
         if (assigneeError || !assignee) return res.status(404).json({ error: 'Assignee not found' });
 
-        await supabase.from('case_assignments').update({ is_active: false, unassigned_at: new Date().toISOString() }).eq('case_id', id).eq('role_type', roleType).eq('assignment_type', assignmentType);
+        const { data: replaced } = await supabase.from('case_assignments').update({ is_active: false, unassigned_at: new Date().toISOString() }).eq('case_id', id).eq('role_type', roleType).eq('assignment_type', assignmentType).eq('is_active', true).select('assigned_to');
 
         const { error: assignError } = await supabase.from('case_assignments').insert({ case_id: id, assigned_to: assignToWallet, assigned_by: assignedByWallet, role_type: roleType, assignment_type: assignmentType, notes });
         if (assignError) throw assignError;
@@ -214,7 +213,16 @@ const assignCase = async (req, res) => {
 
         await createNotification(assignToWallet, 'Case Assignment', `You have been assigned to case as ${roleType}`, 'system', { case_id: id, role_type: roleType });
 
-        await supabase.from('activity_logs').insert({ user_id: assignedByWallet, action: 'case_assignment', details: JSON.stringify({ case_id: id, assigned_to: assignToWallet, role_type: roleType, assignee_name: assignee.full_name }) });
+        // Move live sockets: replaced assignees leave the case room unless they are still assigned to the case some other way
+        const caseRecord = await loadCase(id);
+        for (const { assigned_to: previous } of replaced || []) {
+            if (previous === assignToWallet) continue;
+            if (!caseRecord || !await isAssignedToCase({ identifier: previous }, caseRecord)) leaveCaseRoom(previous, id);
+        }
+        joinCaseRoom(assignToWallet, id);
+        emitToCase(id, 'case_update', { case_id: id, type: 'assignment', assigned_to: assignToWallet, role_type: roleType, assignment_type: assignmentType, assigned_by: assignedByWallet });
+
+        await appendAuditLog({ user_id: assignedByWallet, action: 'case_assignment', details: JSON.stringify({ case_id: id, assigned_to: assignToWallet, role_type: roleType, assignee_name: assignee.full_name }), ip_address: req.ip });
 
         res.json({ success: true, message: 'Case assigned successfully' });
     } catch (error) {
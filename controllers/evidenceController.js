@@ -1,31 +1,70 @@
 const { supabase } = require('../config');
 const { validateWalletAddress } = require('../middleware/verifyAdmin');
-const { 
-    generateWatermarkText, watermarkImage, watermarkPDF, 
-    logDownloadAction, generateMockIPFSHash, generateMockTxHash 
+const {
+    prepareEvidenceFile, contentDisposition, logDownloadAction, generateMockIPFSHash,
+    VERIFICATION_STUB_COLUMNS, toVerificationStub
 } = require('../services/evidenceHelpers');
 const { createNotification } = require('../services/notificationService');
+const { storeBlob, blobExists, removeBlob } = require('../services/evidenceStorage');
+const { verifyStoredEvidence, recordVerificationReport, getLatestVerificationReport } = require('../services/integrityService');
+const { isBlockchainEnabled, queueAnchor, getAnchorStatus } = require('../services/blockchainService');
+const { verifyMerkleProof } = require('../services/merkleTree');
+const {
+    rejectIfSealed, sealEvidenceRecord
+} = require('../services/sealService');
+const { recordCustodyEvent, getCustodyChain, verifyCustodyChain } = require('../services/custodyService');
+const { appendAuditLog } = require('../services/auditLog');
+const { requestAction, failureStatus } = require('../services/pendingActionService');
+const { applyHoldsToEvidence, getActiveHoldsForEvidence } = require('../services/legalHoldService');
+const { sendExpiryWarnings, queueExpiredEvidence } = require('../services/retentionService');
+const { assignRetentionPolicy } = require('../services/retentionRuleService');
+const {
+    can, authorize, loadCase, getEvidenceScope, applyEvidenceScope, isPublished,
+    CLASSIFICATIONS, PUBLISHED_CLASSIFICATION
+} = require('../services/policyService');
 const archiver = require('archiver');
 
+// Remove a blob this upload wrote when no evidence row ended up referencing it.
+// Blobs are content-addressed, so one that another row uses is left alone.
+const removeUnreferencedBlob = async (storageKey) => {
+    try {
+        const { data: referencing, error } = await supabase
+            .from('evidence')
+            .select('id')
+            .eq('storage_key', storageKey)
+            .limit(1);
+        if (error) throw error;
+
+        if (!referencing || referencing.length === 0) await removeBlob(storageKey);
+    } catch (error) {
+        console.error(`Removing unreferenced blob ${storageKey} failed:`, error);
+    }
+};
+
 // Enhanced Evidence Upload
 const uploadEvidence = async (req, res) => {
     try {
-        const { caseId, type, description, location, collectionDate, uploadedBy } = req.body;
+        const { caseId, type, title, description, location, collectionDate, classification = 'internal' } = req.body;
+        const uploadedBy = req.user.identifier;
         const file = req.file;
 
         if (!file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        if (!caseId || !type || !uploadedBy) {
-            return res.status(400).json({ error: 'Case ID, type, and uploader are required' });
+        if (!caseId || !type) {
+            return res.status(400).json({ error: 'Case ID and type are required' });
         }
 
-        if (!validateWalletAddress(uploadedBy)) {
-            return res.status(400).json({ error: 'Invalid uploader wallet address' });
+        if (!CLASSIFICATIONS.includes(classification)) {
+            return res.status(400).json({ error: `Classification must be one of: ${CLASSIFICATIONS.join(', ')}` });
         }
 
         const sanitizedCaseId = String(caseId).trim();
+        if (!await loadCase(sanitizedCaseId)) {
+            return res.status(404).json({ error: 'Case not found' });
+        }
+
         const sanitizedType = String(type).trim();
         const sanitizedDescription = description ? String(description).trim() : '';
         const sanitizedLocation = location ? String(location).trim() : '';
@@ -64,29 +103,82 @@ const uploadEvidence = async (req, res) => {
             });
         }
 
-        const crypto = require('crypto');
-        const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
-
-        const evidenceData = {
-            id: 'EVD-' + Date.now(),
-            caseId: sanitizedCaseId,
-            type: sanitizedType,
-            description: sanitizedDescription,
-            location: sanitizedLocation,
-            collectionDate,
-            fileName: file.originalname,
-            fileSize: file.size,
-            mimeType: file.mimetype,
-            hash,
-            uploadedBy,
-            uploadedAt: new Date().toISOString(),
-            status: 'uploaded'
-        };
+        const stored = await storeBlob(file.buffer);
+
+        // The same bytes uploaded again to the same case resolve to the existing record,
+        // unless that record was deleted or disposed of
+        const { data: existing } = await supabase
+            .from('evidence')
+            .select('*')
+            .eq('hash', stored.hash)
+            .eq('case_id', sanitizedCaseId)
+            .neq('status', 'deleted')
+            .is('disposed_at', null)
+            .limit(1)
+            .maybeSingle();
+
+        if (existing) {
+            return res.json({
+                success: true,
+                duplicate: true,
+                evidence: existing,
+                message: 'Identical evidence already exists for this case'
+            });
+        }
+
+        const { data: evidence, error } = await supabase
+            .from('evidence')
+            .insert({
+                case_id: sanitizedCaseId,
+                title: title ? String(title).trim() : file.originalname,
+                description: sanitizedDescription,
+                type: sanitizedType,
+                location: sanitizedLocation,
+                collection_date: collectionDate || null,
+                file_name: file.originalname,
+                file_size: file.size,
+                file_type: file.mimetype,
+                hash: stored.hash,
+                storage_backend: stored.backend,
+                storage_key: stored.key,
+                classification,
+                submitted_by: uploadedBy,
+                current_custodian: uploadedBy,
+                status: 'uploaded'
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (!stored.deduplicated) await removeUnreferencedBlob(stored.key);
+            throw error;
+        }
+
+        await recordCustodyEvent(evidence.id, {
+            eventType: 'created',
+            actor: uploadedBy,
+            purpose: 'Evidence collection',
+            details: { hash: evidence.hash, file_name: evidence.file_name, case_id: evidence.case_id }
+        });
+
+        queueAnchor(evidence);
+
+        // Evidence added to a case under legal hold is held from the start
+        if ((await applyHoldsToEvidence(evidence, { actor: uploadedBy })).length > 0) {
+            evidence.legal_hold = true;
+        }
+
+        // Retention policy from the assignment rules, if any match
+        const assigned = await assignRetentionPolicy(evidence, { actor: uploadedBy });
+        if (assigned) Object.assign(evidence, assigned);
 
         res.json({
             success: true,
-            evidence: evidenceData,
-            message: 'Evidence uploaded successfully'
+            duplicate: false,
+            evidence,
+            message: stored.deduplicated
+                ? 'Evidence uploaded successfully (content already in storage)'
+                : 'Evidence uploaded successfully'
         });
     } catch (error) {
         console.error('Evidence upload error:', error);
@@ -98,26 +190,9 @@ const uploadEvidence = async (req, res) => {
 const downloadEvidence = async (req, res) => {
     try {
         const { id } = req.params;
-        const { userWallet } = req.body;
-
-        if (!validateWalletAddress(userWallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
-        }
-
-        const { data: user, error: userError } = await supabase
-            .from('users')
-            .select('*')
-            .eq('wallet_address', userWallet)
-            .eq('is_active', true)
-            .single();
-
-        if (userError || !user) {
-            return res.status(403).json({ error: 'Unauthorized access' });
-        }
-
-        if (user.role === 'public_viewer') {
-            return res.status(403).json({ error: 'Public viewers cannot download evidence' });
-        }
+        const { purpose, reason } = req.body;
+        const { user } = req;
+        const userWallet = user.identifier;
 
         const { data: evidence, error: evidenceError } = await supabase
             .from('evidence')
@@ -129,40 +204,50 @@ const downloadEvidence = async (req, res) => {
             return res.status(404).json({ error: 'Evidence not found' });
         }
 
-        const watermarkText = generateWatermarkText(userWallet, evidence.case_number, new Date());
-        
-        let fileBuffer;
-        let contentType;
-        let filename;
-
-        if (evidence.file_type?.startsWith('image/')) {
-            fileBuffer = Buffer.from('Mock image data for evidence ' + id);
-            contentType = evidence.file_type;
-            filename = `evidence_${id}_watermarked.jpg`;
-        } else if (evidence.file_type === 'application/pdf') {
-            fileBuffer = Buffer.from('Mock PDF data for evidence ' + id);
-            contentType = 'application/pdf';
-            filename = `evidence_${id}_watermarked.pdf`;
-        } else {
-            fileBuffer = Buffer.from('Mock file data for evidence ' + id);
-            contentType = 'application/octet-stream';
-            filename = `evidence_${id}_watermarked.bin`;
+        if (!evidence.storage_key || !await blobExists(evidence.storage_key)) {
+            return res.status(404).json({ error: 'Evidence has no stored file' });
         }
 
+        const prepared = await prepareEvidenceFile(evidence, userWallet);
+
         await logDownloadAction(userWallet, id, 'evidence_download', {
             evidence_id: id,
-            evidence_name: evidence.name,
+            evidence_name: evidence.title,
             file_type: evidence.file_type,
-            watermark_applied: true,
+            watermark_applied: prepared.watermarkApplied,
+            signed_sidecar: Boolean(prepared.sidecar),
             download_timestamp: new Date().toISOString()
+        }, req.ip);
+
+        await recordCustodyEvent(evidence.id, {
+            eventType: 'download',
+            actor: userWallet,
+            actorRole: user.role,
+            purpose: purpose || reason,
+            details: { watermark_applied: prepared.watermarkApplied, signed_sidecar: Boolean(prepared.sidecar) }
         });
 
-        res.setHeader('Content-Type', contentType);
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.setHeader('X-Watermark-Applied', 'true');
+        res.setHeader('X-Watermark-Applied', String(prepared.watermarkApplied));
         res.setHeader('X-Downloaded-By', userWallet.slice(0, 8) + '...');
-        
-        res.send(fileBuffer);
+
+        if (!prepared.sidecar) {
+            res.setHeader('Content-Type', prepared.contentType);
+            res.setHeader('Content-Disposition', contentDisposition(prepared.filename));
+            return res.send(prepared.content);
+        }
+
+        // Unwatermarked copies always travel with their signed sidecar
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', contentDisposition(`evidence_${id}.zip`));
+        archive.on('error', (err) => {
+            console.error('Evidence download archive error:', err);
+            res.destroy(err);
+        });
+        archive.pipe(res);
+        archive.append(prepared.content, { name: prepared.filename });
+        archive.append(JSON.stringify(prepared.sidecar, null, 2), { name: `${prepared.filename}.sidecar.json` });
+        archive.finalize();
     } catch (error) {
         console.error('Evidence download error:', error);
         res.status(500).json({ error: 'Failed to download evidence' });
@@ -172,11 +257,9 @@ const downloadEvidence = async (req, res) => {
 // Bulk export multiple evidence files as ZIP
 const bulkExport = async (req, res) => {
     try {
-        const { evidenceIds, userWallet } = req.body;
-
-        if (!validateWalletAddress(userWallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
-        }
+        const { evidenceIds, purpose } = req.body;
+        const { user } = req;
+        const userWallet = user.identifier;
 
         if (!evidenceIds || !Array.isArray(evidenceIds) || evidenceIds.length === 0) {
             return res.status(400).json({ error: 'Evidence IDs array is required' });
@@ -186,21 +269,6 @@ const bulkExport = async (req, res) => {
             return res.status(400).json({ error: 'Maximum 50 files per bulk export' });
         }
 
-        const { data: user, error: userError } = await supabase
-            .from('users')
-            .select('*')
-            .eq('wallet_address', userWallet)
-            .eq('is_active', true)
-            .single();
-
-        if (userError || !user) {
-            return res.status(403).json({ error: 'Unauthorized access' });
-        }
-
-        if (user.role === 'public_viewer') {
-            return res.status(403).json({ error: 'Public viewers cannot export evidence' });
-        }
-
         const { data: evidenceItems, error: evidenceError } = await supabase
             .from('evidence')
             .select('*')
@@ -210,66 +278,109 @@ const bulkExport = async (req, res) => {
             return res.status(404).json({ error: 'No evidence found with provided IDs' });
         }
 
+        // The route checks the role; each item is checked against its case and classification
+        const forbidden = [];
+        for (const evidence of evidenceItems) {
+            const caseRecord = await loadCase(evidence.case_id);
+            if (!await can(user, 'evidence:export', { evidence, caseRecord })) {
+                forbidden.push(evidence.id);
+            }
+        }
+        if (forbidden.length > 0) {
+            return res.status(403).json({ error: 'Forbidden: some of the requested evidence is outside your access', forbidden_evidence_ids: forbidden });
+        }
+
+        // Prepare every file, and check it is in storage, before any bytes are sent so
+        // failures still produce a JSON error
+        const prepared = [];
+        const missingFiles = [];
+        for (const evidence of evidenceItems) {
+            if (!evidence.storage_key || !await blobExists(evidence.storage_key)) {
+                missingFiles.push(evidence.id);
+                continue;
+            }
+            prepared.push({ evidence, file: await prepareEvidenceFile(evidence, userWallet) });
+        }
+
+        if (prepared.length === 0) {
+            return res.status(404).json({ error: 'None of the requested evidence has a stored file' });
+        }
+
         const archive = archiver('zip', { zlib: { level: 9 } });
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         const zipFilename = `evidence_export_${timestamp}.zip`;
 
         res.setHeader('Content-Type', 'application/zip');
-        res.setHeader('Content-Disposition', `attachment; filename="${zipFilename}"`);
-        res.setHeader('X-Export-Count', evidenceItems.length.toString());
+        res.setHeader('Content-Disposition', contentDisposition(zipFilename));
+        res.setHeader('X-Export-Count', prepared.length.toString());
         res.setHeader('X-Exported-By', userWallet.slice(0, 8) + '...');
 
+        archive.on('error', (err) => {
+            console.error('Bulk export archive error:', err);
+            res.destroy(err);
+        });
         archive.pipe(res);
 
         const metadata = {
             export_info: {
                 exported_by: userWallet,
                 export_timestamp: new Date().toISOString(),
-                total_files: evidenceItems.length,
-                watermark_applied: true
+                total_files: prepared.length,
+                missing_files: missingFiles
             },
-            evidence_items: evidenceItems.map(item => ({
-                id: item.id,
-                name: item.name,
-                case_number: item.case_number,
-                file_type: item.file_type,
-                hash: item.hash,
-                submitted_by: item.submitted_by,
-                timestamp: item.timestamp,
-                blockchain_verified: true
+            evidence_items: prepared.map(({ evidence, file }) => ({
+                id: evidence.id,
+                title: evidence.title,
+                case_id: evidence.case_id,
+                file_name: `${evidence.id}_${file.filename}`,
+                file_type: evidence.file_type,
+                hash: evidence.hash,
+                submitted_by: evidence.submitted_by,
+                timestamp: evidence.timestamp,
+                watermark_applied: file.watermarkApplied,
+                signed_sidecar: Boolean(file.sidecar),
+                blockchain_tx: evidence.blockchain_tx || null,
+                blockchain_verified: evidence.blockchain_status === 'confirmed'
             }))
         };
 
         archive.append(JSON.stringify(metadata, null, 2), { name: 'export_metadata.json' });
 
-        for (const evidence of evidenceItems) {
-            const watermarkText = generateWatermarkText(userWallet, evidence.case_number, new Date());
-            let fileBuffer = Buffer.from(`Mock evidence data for ${evidence.name} (ID: ${evidence.id})`);
-            let filename = `${evidence.id}_${evidence.name || 'evidence'}`;
-
-            if (evidence.file_type?.startsWith('image/')) {
-                filename += '_watermarked.jpg';
-            } else if (evidence.file_type === 'application/pdf') {
-                filename += '_watermarked.pdf';
-            } else {
-                filename += '_watermarked.bin';
+        for (const { evidence, file } of prepared) {
+            const filename = `${evidence.id}_${file.filename}`;
+            archive.append(file.content, { name: filename });
+            if (file.sidecar) {
+                archive.append(JSON.stringify(file.sidecar, null, 2), { name: `${filename}.sidecar.json` });
             }
-
-            archive.append(fileBuffer, { name: filename });
         }
 
         await logDownloadAction(userWallet, null, 'evidence_bulk_export', {
             evidence_ids: evidenceIds,
-            total_files: evidenceItems.length,
+            total_files: prepared.length,
+            missing_files: missingFiles,
             export_format: 'zip',
-            watermark_applied: true,
+            watermarked_files: prepared.filter(({ file }) => file.watermarkApplied).length,
             export_timestamp: new Date().toISOString()
-        });
+        }, req.ip);
+
+        for (const { evidence, file } of prepared) {
+            await recordCustodyEvent(evidence.id, {
+                eventType: 'export',
+                actor: userWallet,
+                actorRole: user.role,
+                purpose,
+                details: { export_file: zipFilename, watermark_applied: file.watermarkApplied }
+            });
+        }
 
         archive.finalize();
     } catch (error) {
         console.error('Bulk export error:', error);
-        res.status(500).json({ error: 'Failed to export evidence' });
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: 'Failed to export evidence' });
+        }
     }
 };
 
@@ -277,28 +388,12 @@ const bulkExport = async (req, res) => {
 const getDownloadHistory = async (req, res) => {
     try {
         const { id } = req.params;
-        const { userWallet } = req.query;
-
-        if (!validateWalletAddress(userWallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
-        }
-
-        const { data: user, error: userError } = await supabase
-            .from('users')
-            .select('role')
-            .eq('wallet_address', userWallet)
-            .eq('is_active', true)
-            .single();
-
-        if (userError || !user || !['admin', 'auditor'].includes(user.role)) {
-            return res.status(403).json({ error: 'Unauthorized: Admin or Auditor role required' });
-        }
 
         const { data: downloadHistory, error } = await supabase
             .from('activity_logs')
             .select('*')
             .or(`action.eq.evidence_download,action.eq.evidence_bulk_export`)
-            .ilike('details', `%"evidence_id":${id}%`)
+            .eq('evidence_id', String(id))
             .order('timestamp', { ascending: false });
 
         if (error) {
@@ -326,14 +421,21 @@ const getDownloadHistory = async (req, res) => {
 // Get all evidence
 const getAllEvidence = async (req, res) => {
     try {
-        const { limit = 50, offset = 0, case_id, status, submitted_by } = req.query;
+        const { case_id, status, submitted_by } = req.query;
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = parseInt(req.query.offset) || 0;
+        const scope = await getEvidenceScope(req.user);
         
         let query = supabase
             .from('evidence')
-            .select('*')
+            .select(scope.stubsOnly ? VERIFICATION_STUB_COLUMNS : '*')
+            .neq('status', 'deleted')
             .order('timestamp', { ascending: false })
             .range(offset, offset + limit - 1);
         
+        query = scope.stubsOnly
+            ? query.eq('classification', PUBLISHED_CLASSIFICATION)
+            : applyEvidenceScope(query, scope);
         if (case_id) query = query.eq('case_id', case_id);
         if (status) query = query.eq('status', status);
         if (submitted_by) query = query.eq('submitted_by', submitted_by);
@@ -342,13 +444,14 @@ const getAllEvidence = async (req, res) => {
         
         if (error) throw error;
         
-        const enrichedEvidence = evidence.map(item => ({
-            ...item,
-            ipfs_hash: item.ipfs_hash || generateMockIPFSHash(),
-            blockchain_tx: item.blockchain_tx || generateMockTxHash(),
-            blockchain_verified: true,
-            verification_timestamp: new Date().toISOString()
-        }));
+        const enrichedEvidence = scope.stubsOnly
+            ? evidence.map(toVerificationStub)
+            : evidence.map(item => ({
+                ...item,
+                ipfs_hash: item.ipfs_hash || generateMockIPFSHash(),
+                blockchain_verified: item.blockchain_status === 'confirmed',
+                verification_timestamp: item.anchored_at || null
+            }));
         
         res.json({ 
             success: true, 
@@ -361,6 +464,12 @@ const getAllEvidence = async (req, res) => {
     }
 };
 
+// evidence:read on a single item, checked against its case
+const authorizeRead = async (user, evidence) => authorize(user, 'evidence:read', {
+    evidence,
+    caseRecord: await loadCase(evidence.case_id)
+});
+
 // Get evidence details for preview
 const getEvidenceById = async (req, res) => {
     try {
@@ -375,6 +484,24 @@ const getEvidenceById = async (req, res) => {
             return res.status(404).json({ error: 'Evidence not found' });
         }
 
+        const decision = await authorizeRead(req.user, evidence);
+        if (!decision.allowed) {
+            // Without read access only published evidence exists, and only as a stub
+            if (decision.reason === 'role') {
+                return isPublished(evidence)
+                    ? res.json(toVerificationStub(evidence))
+                    : res.status(404).json({ error: 'Evidence not found' });
+            }
+            return res.status(403).json({ error: `Forbidden: ${decision.message}`, reason: decision.reason });
+        }
+
+        await recordCustodyEvent(evidence.id, {
+            eventType: 'view',
+            actor: req.user.identifier,
+            actorRole: req.user.role,
+            purpose: req.query.purpose
+        });
+
         res.json(evidence);
     } catch (error) {
         console.error('Get evidence error:', error);
@@ -396,8 +523,29 @@ const verifyEvidenceHash = async (req, res) => {
             return res.status(404).json({ error: 'Evidence not found' });
         }
 
-        const valid = true;
-        res.json({ valid, hash: evidence.hash });
+        // Checked before verifying, so nothing is recorded for evidence the caller cannot see
+        const decision = await authorizeRead(req.user, evidence);
+        if (!decision.allowed) {
+            return decision.reason === 'role'
+                ? res.status(404).json({ error: 'Evidence not found' })
+                : res.status(403).json({ error: `Forbidden: ${decision.message}`, reason: decision.reason });
+        }
+
+        const { algorithms = '' } = req.query;
+        const report = await verifyStoredEvidence(evidence, {
+            algorithms: String(algorithms).split(',').map(a => a.trim().toLowerCase()).filter(Boolean)
+        });
+
+        await recordVerificationReport(req.user.identifier, report, req.ip);
+        await recordCustodyEvent(evidence.id, {
+            eventType: 'verification',
+            actor: req.user.identifier,
+            actorRole: req.user.role,
+            purpose: 'Integrity verification',
+            details: { valid: report.valid, checks: report.checks.map(({ name, status }) => ({ name, status })) }
+        });
+
+        res.json({ valid: report.valid, hash: evidence.hash, report });
     } catch (error) {
         console.error('Verify evidence error:', error);
         res.status(500).json({ error: 'Failed to verify evidence' });
@@ -418,23 +566,39 @@ const getBlockchainProof = async (req, res) => {
             return res.status(404).json({ error: 'Evidence not found' });
         }
 
+        const anchor = await getAnchorStatus(evidence);
+        const custodyChain = await getCustodyChain(evidence.id);
+        const custodyCheck = verifyCustodyChain(custodyChain);
+        const integrityCheck = await getLatestVerificationReport(evidence.id);
+
         const blockchainProof = {
             evidence_id: evidence.id,
             hash: evidence.hash,
             timestamp: evidence.timestamp,
             submitted_by: evidence.submitted_by,
-            verification_status: 'verified',
-            blockchain_network: 'Ethereum',
-            verification_method: 'SHA-256',
+            verification_status: anchor.status === 'confirmed' ? 'verified' : anchor.status,
+            blockchain_network: anchor.network,
+            verification_method: evidence.merkle_root ? 'SHA-256 + Merkle inclusion proof' : 'SHA-256',
+            anchor,
+            merkle_proof: evidence.merkle_root ? {
+                batch_id: evidence.merkle_batch_id,
+                root: evidence.merkle_root,
+                leaf_index: evidence.merkle_leaf_index,
+                leaf: evidence.hash,
+                path: evidence.merkle_proof || [],
+                valid: verifyMerkleProof(evidence.hash, evidence.merkle_proof || [], evidence.merkle_root)
+            } : null,
             chain_of_custody: {
                 created: evidence.timestamp,
-                last_accessed: new Date().toISOString(),
-                access_count: 1
+                current_custodian: evidence.current_custodian || evidence.submitted_by,
+                last_accessed: custodyChain.length > 0 ? custodyChain[custodyChain.length - 1].created_at : null,
+                access_count: custodyChain.filter(entry => ['view', 'download', 'export'].includes(entry.event_type)).length,
+                entry_count: custodyCheck.length,
+                valid: custodyCheck.valid,
+                head_hash: custodyCheck.head_hash || null
             },
-            integrity_check: {
-                status: 'passed',
-                verified_at: new Date().toISOString()
-            }
+            // Latest stored verification, null until the file has been checked
+            integrity_check: integrityCheck
         };
 
         res.json({ success: true, proof: blockchainProof });
@@ -444,42 +608,56 @@ const getBlockchainProof = async (req, res) => {
     }
 };
 
-// Verify file integrity against blockchain
+// (Re)submit an evidence hash for on-chain anchoring
+const anchorEvidenceHash = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isBlockchainEnabled()) {
+            return res.status(503).json({ error: 'Blockchain anchoring is not configured' });
+        }
+
+        const { data: evidence, error } = await supabase
+            .from('evidence')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error || !evidence) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+
+        if (['submitted', 'confirmed'].includes(evidence.blockchain_status)) {
+            return res.status(409).json({ error: `Evidence anchor is already ${evidence.blockchain_status}` });
+        }
+
+        queueAnchor(evidence);
+
+        res.status(202).json({ success: true, evidence_id: evidence.id, blockchain_status: 'pending' });
+    } catch (error) {
+        console.error('Anchor evidence error:', error);
+        res.status(500).json({ error: 'Failed to anchor evidence' });
+    }
+};
+
+// Verify file integrity against blockchain. Unauthenticated, so a match returns only
+// the public verification stub and a mismatch returns nothing about the stored item.
 const verifyIntegrity = async (req, res) => {
     try {
         const { fileName, fileSize, calculatedHash, evidenceId } = req.body;
 
-        let evidence = null;
-        let verified = false;
-        let blockchainHash = null;
-
-        if (evidenceId) {
-            const { data: evidenceData, error } = await supabase
-                .from('evidence')
-                .select('*')
-                .eq('id', evidenceId)
-                .single();
-
-            if (evidenceData) {
-                evidence = evidenceData;
-                blockchainHash = evidenceData.hash;
-                verified = calculatedHash === blockchainHash;
-            }
-        } else {
-            const { data: evidenceData, error } = await supabase
-                .from('evidence')
-                .select('*')
-                .eq('hash', calculatedHash)
-                .single();
-
-            if (evidenceData) {
-                evidence = evidenceData;
-                blockchainHash = evidenceData.hash;
-                verified = true;
-            }
+        if (typeof calculatedHash !== 'string' || !calculatedHash) {
+            return res.status(400).json({ error: 'calculatedHash is required' });
         }
 
-        await supabase.from('activity_logs').insert({
+        const query = supabase
+            .from('evidence')
+            .select(VERIFICATION_STUB_COLUMNS)
+            .eq('hash', calculatedHash);
+
+        const { data: evidence } = await (evidenceId ? query.eq('id', evidenceId) : query.limit(1)).maybeSingle();
+        const verified = Boolean(evidence);
+
+        await appendAuditLog({
             user_id: 'public_verification',
             action: 'evidence_verification',
             details: JSON.stringify({
@@ -489,15 +667,15 @@ const verifyIntegrity = async (req, res) => {
                 verified,
                 evidenceId
             }),
-            timestamp: new Date().toISOString()
+            ip_address: req.ip
         });
 
         res.json({
             success: true,
             verified,
             calculatedHash,
-            blockchainHash,
-            evidence,
+            blockchainHash: verified ? evidence.hash : null,
+            evidence: verified ? toVerificationStub(evidence) : null,
             verificationUrl: `${req.protocol}://${req.get('host')}/verify/${calculatedHash}`,
             timestamp: new Date().toISOString()
         });
@@ -533,7 +711,7 @@ This certificate confirms the integrity verification of the above evidence file.
         `;
 
         res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="verification_certificate_${fileName}_${Date.now()}.pdf"`);
+        res.setHeader('Content-Disposition', contentDisposition(`verification_certificate_${fileName}_${Date.now()}.pdf`));
         res.send(Buffer.from(pdfContent));
     } catch (error) {
         console.error('Certificate generation error:', error);
@@ -548,7 +726,7 @@ const publicVerify = async (req, res) => {
 
         const { data: evidence, error } = await supabase
             .from('evidence')
-            .select('id, title, case_id, timestamp, submitted_by, hash')
+            .select(VERIFICATION_STUB_COLUMNS)
             .eq('hash', hash)
             .single();
 
@@ -559,14 +737,7 @@ const publicVerify = async (req, res) => {
         res.json({
             success: true,
             verified: true,
-            evidence: {
-                id: evidence.id,
-                title: evidence.title,
-                case_id: evidence.case_id,
-                timestamp: evidence.timestamp,
-                submitted_by: evidence.submitted_by.substring(0, 8) + '...',
-                hash: evidence.hash
-            },
+            evidence: toVerificationStub(evidence),
             verification_timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -578,27 +749,12 @@ const publicVerify = async (req, res) => {
 // Get verification history
 const getVerificationHistory = async (req, res) => {
     try {
-        const { userWallet, limit = 100 } = req.query;
-
-        if (!validateWalletAddress(userWallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
-        }
-
-        const { data: user, error: userError } = await supabase
-            .from('users')
-            .select('role')
-            .eq('wallet_address', userWallet)
-            .eq('is_active', true)
-            .single();
-
-        if (userError || !user || !['admin', 'auditor'].includes(user.role)) {
-            return res.status(403).json({ error: 'Unauthorized: Admin or Auditor role required' });
-        }
+        const { limit = 100 } = req.query;
 
         const { data: history, error } = await supabase
             .from('activity_logs')
             .select('*')
-            .eq('action', 'evidence_verification')
+            .in('action', ['evidence_verification', 'evidence_integrity_check'])
             .order('timestamp', { ascending: false })
             .limit(parseInt(limit));
 
@@ -615,7 +771,14 @@ const getVerificationHistory = async (req, res) => {
 const getEvidenceExpiry = async (req, res) => {
     try {
         const { filter = 'all' } = req.query;
-        let query = supabase.from('evidence').select('*');
+        const scope = await getEvidenceScope(req.user);
+        let query = supabase
+            .from('evidence')
+            .select(scope.stubsOnly ? VERIFICATION_STUB_COLUMNS : '*')
+            .neq('status', 'deleted');
+        query = scope.stubsOnly
+            ? query.eq('classification', PUBLISHED_CLASSIFICATION)
+            : applyEvidenceScope(query, scope);
 
         const now = new Date();
         const thirtyDaysFromNow = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
@@ -639,7 +802,7 @@ const getEvidenceExpiry = async (req, res) => {
         const { data: evidence, error } = await query.order('expiry_date', { ascending: true });
         if (error) throw error;
 
-        res.json({ success: true, evidence });
+        res.json({ success: true, evidence: scope.stubsOnly ? evidence.map(toVerificationStub) : evidence });
     } catch (error) {
         console.error('Get evidence expiry error:', error);
         res.status(500).json({ error: 'Failed to get evidence expiry information' });
@@ -650,10 +813,20 @@ const getEvidenceExpiry = async (req, res) => {
 const setLegalHold = async (req, res) => {
     try {
         const { id } = req.params;
-        const { legalHold, userWallet } = req.body;
-
-        if (!validateWalletAddress(userWallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
+        const { legalHold } = req.body;
+        const userWallet = req.user.identifier;
+
+        if (await rejectIfSealed(res, id)) return;
+
+        // Named holds are released through /api/legal-holds, not by clearing the flag
+        if (!legalHold) {
+            const holds = await getActiveHoldsForEvidence(id);
+            if (holds.length > 0) {
+                return res.status(409).json({
+                    error: 'Evidence is covered by an active legal hold; release the hold or remove the item from it',
+                    legal_holds: holds
+                });
+            }
         }
 
         const { error } = await supabase
@@ -663,11 +836,11 @@ const setLegalHold = async (req, res) => {
 
         if (error) throw error;
 
-        await supabase.from('activity_logs').insert({
+        await appendAuditLog({
             user_id: userWallet,
             action: legalHold ? 'legal_hold_set' : 'legal_hold_removed',
-            details: `Evidence ID: ${id}`,
-            timestamp: new Date().toISOString()
+            details: JSON.stringify({ evidence_id: id, legal_hold: legalHold }),
+            ip_address: req.ip
         });
 
         res.json({ success: true });
@@ -677,25 +850,272 @@ const setLegalHold = async (req, res) => {
     }
 };
 
-// Apply retention policy to multiple evidence
-const bulkRetentionPolicy = async (req, res) => {
+// Seal evidence (Evidence Manager or Court Official)
+const sealEvidence = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+        const { user } = req;
+        const userWallet = user.identifier;
+
+        const { data: evidence, error } = await supabase
+            .from('evidence')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error || !evidence) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+
+        if (evidence.is_sealed) {
+            return res.status(409).json({ error: 'Evidence is already sealed' });
+        }
+
+        const sealed = await sealEvidenceRecord(evidence, userWallet, reason);
+
+        await recordCustodyEvent(evidence.id, {
+            eventType: 'seal',
+            actor: userWallet,
+            actorRole: user.role,
+            purpose: reason
+        });
+
+        await appendAuditLog({
+            user_id: userWallet,
+            action: 'evidence_sealed',
+            details: JSON.stringify({ evidence_id: evidence.id, role: user.role, reason: reason || null }),
+            ip_address: req.ip
+        });
+
+        res.json({ success: true, evidence: sealed });
+    } catch (error) {
+        console.error('Seal evidence error:', error);
+        res.status(500).json({ error: 'Failed to seal evidence' });
+    }
+};
+
+// Request an unseal under a court order (Court Official only). Held until another
+// court official approves it.
+const unsealEvidence = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { courtOrderReference, reason } = req.body;
+
+        if (!courtOrderReference || !reason) {
+            return res.status(400).json({ error: 'Court order reference and reason are required to unseal evidence' });
+        }
+
+        const { data: evidence, error } = await supabase
+            .from('evidence')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error || !evidence) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+
+        if (!evidence.is_sealed) {
+            return res.status(409).json({ error: 'Evidence is not sealed' });
+        }
+
+        const result = await requestAction(req.user, {
+            actionType: 'unseal_evidence',
+            target: evidence.id,
+            payload: { title: evidence.title, court_order_reference: String(courtOrderReference).trim() },
+            reason: String(reason).trim()
+        }, { ip: req.ip });
+
+        if (result.error) {
+            return res.status(failureStatus(result.reason)).json({ error: result.error });
+        }
+
+        res.status(202).json({
+            success: true,
+            pending_action: result.action,
+            message: 'Unseal submitted for approval by another court official'
+        });
+    } catch (error) {
+        console.error('Unseal evidence error:', error);
+        res.status(500).json({ error: 'Failed to unseal evidence' });
+    }
+};
+
+// Transfer custody to another user (current custodian, Evidence Manager or Admin)
+const transferCustody = async (req, res) => {
     try {
-        const { policyId, evidenceIds, userWallet } = req.body;
+        const { id } = req.params;
+        const { toWallet, purpose } = req.body;
+        const sender = req.user;
+        const userWallet = sender.identifier;
 
-        if (!validateWalletAddress(userWallet)) {
+        if (!validateWalletAddress(toWallet)) {
             return res.status(400).json({ error: 'Invalid wallet address' });
         }
 
+        if (!purpose) {
+            return res.status(400).json({ error: 'Purpose of the transfer is required' });
+        }
+
+        const { data: evidence, error } = await supabase
+            .from('evidence')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error || !evidence) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+
+        const { data: recipient, error: recipientError } = await supabase
+            .from('users')
+            .select('wallet_address, role')
+            .eq('wallet_address', toWallet)
+            .eq('is_active', true)
+            .maybeSingle();
+
+        if (recipientError) throw recipientError;
+
+        const currentCustodian = evidence.current_custodian || evidence.submitted_by;
+
+        if (userWallet !== currentCustodian
+            && !await can(sender, 'custody:transfer', { evidence, caseRecord: await loadCase(evidence.case_id) })) {
+            return res.status(403).json({ error: 'Unauthorized: only the current custodian, an Evidence Manager or an Admin can transfer custody' });
+        }
+
+        if (!recipient || recipient.role === 'public_viewer') {
+            return res.status(400).json({ error: 'Recipient must be an active user who can hold evidence' });
+        }
+
+        if (toWallet === currentCustodian) {
+            return res.status(409).json({ error: 'Recipient is already the custodian' });
+        }
+
+        const { data: updated, error: updateError } = await supabase
+            .from('evidence')
+            .update({ current_custodian: toWallet })
+            .eq('id', id)
+            .select()
+            .single();
+
+        if (updateError) throw updateError;
+
+        const entry = await recordCustodyEvent(evidence.id, {
+            eventType: 'transfer',
+            actor: userWallet,
+            actorRole: sender.role,
+            purpose: String(purpose).trim(),
+            details: { from: currentCustodian, to: toWallet, to_role: recipient.role }
+        });
+
+        await createNotification(
+            toWallet,
+            'Custody Transferred',
+            `You are now the custodian of evidence "${evidence.title}"`,
+            'system',
+            { evidence_id: evidence.id, from: currentCustodian }
+        );
+
+        res.json({ success: true, evidence: updated, custody_entry: entry });
+    } catch (error) {
+        console.error('Custody transfer error:', error);
+        res.status(500).json({ error: 'Failed to transfer custody' });
+    }
+};
+
+// Get the custody chain for evidence with a link-by-link validity check
+const getCustodyLedger = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { data: evidence, error } = await supabase
+            .from('evidence')
+            .select('id, title, hash, submitted_by, current_custodian')
+            .eq('id', id)
+            .single();
+
+        if (error || !evidence) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+
+        const chain = await getCustodyChain(evidence.id);
+
+        res.json({
+            success: true,
+            evidence_id: evidence.id,
+            current_custodian: evidence.current_custodian || evidence.submitted_by,
+            chain,
+            verification: verifyCustodyChain(chain)
+        });
+    } catch (error) {
+        console.error('Custody chain error:', error);
+        res.status(500).json({ error: 'Failed to retrieve custody chain' });
+    }
+};
+
+// Request a soft delete (Admin or Evidence Manager). Held until a second
+// admin or evidence manager approves it.
+const deleteEvidence = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        const { data: evidence, error } = await supabase
+            .from('evidence')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (error || !evidence) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+
+        if (await rejectIfSealed(res, evidence.id)) return;
+
+        if (evidence.legal_hold) {
+            return res.status(423).json({ error: 'Evidence under legal hold cannot be deleted' });
+        }
+
+        const result = await requestAction(req.user, {
+            actionType: 'delete_evidence',
+            target: evidence.id,
+            payload: { title: evidence.title, hash: evidence.hash },
+            reason
+        }, { ip: req.ip });
+
+        if (result.error) {
+            return res.status(failureStatus(result.reason)).json({ error: result.error });
+        }
+
+        res.status(202).json({
+            success: true,
+            pending_action: result.action,
+            message: 'Deletion submitted for approval by a second evidence manager or admin'
+        });
+    } catch (error) {
+        console.error('Delete evidence error:', error);
+        res.status(500).json({ error: 'Failed to delete evidence' });
+    }
+};
+
+// Apply retention policy to multiple evidence
+const bulkRetentionPolicy = async (req, res) => {
+    try {
+        const { policyId, evidenceIds } = req.body;
+
         const { data: policy, error: policyError } = await supabase
             .from('retention_policies')
             .select('*')
             .eq('id', policyId)
             .single();
 
-        if (policyError || !policy) {
+        // Deleted policies stay in the table for their version history
+        if (policyError || !policy || !policy.is_active) {
             return res.status(404).json({ error: 'Retention policy not found' });
         }
 
+        if (await rejectIfSealed(res, evidenceIds)) return;
+
         const expiryDate = new Date();
         expiryDate.setDate(expiryDate.getDate() + policy.retention_days);
 
@@ -703,7 +1123,18 @@ const bulkRetentionPolicy = async (req, res) => {
             .from('evidence')
             .update({
                 retention_policy_id: policyId,
-                expiry_date: expiryDate.toISOString()
+                expiry_date: expiryDate.toISOString(),
+                expiry_warning_sent_at: null,
+                // A manual choice is kept over the assignment rules
+                retention_assignment: {
+                    source: 'manual',
+                    policy_id: policy.id,
+                    policy_name: policy.name,
+                    retention_days: policy.retention_days,
+                    assigned_by: req.user.identifier,
+                    assigned_at: new Date().toISOString(),
+                    explanation: `Assigned "${policy.name}" manually`
+                }
             })
             .in('id', evidenceIds);
 
@@ -716,35 +1147,14 @@ const bulkRetentionPolicy = async (req, res) => {
     }
 };
 
-// Check for expiring evidence and send notifications
+// Run the retention check now instead of waiting for the scheduled job: warn
+// about evidence nearing expiry and queue expired evidence for disposal approval
 const checkExpiry = async (req, res) => {
     try {
-        const now = new Date();
-        const thirtyDaysFromNow = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
+        const notificationsSent = await sendExpiryWarnings();
+        const queued = await queueExpiredEvidence();
 
-        let notificationsSent = 0;
-
-        const { data: expiring30, error: error30 } = await supabase
-            .from('evidence')
-            .select('*')
-            .lte('expiry_date', thirtyDaysFromNow.toISOString())
-            .gte('expiry_date', now.toISOString())
-            .eq('legal_hold', false);
-
-        if (expiring30) {
-            for (const evidence of expiring30) {
-                await createNotification(
-                    evidence.submitted_by,
-                    'Evidence Expiry Warning',
-                    `Evidence "${evidence.title}" will expire in 30 days`,
-                    'system',
-                    { evidence_id: evidence.id, expiry_date: evidence.expiry_date }
-                );
-                notificationsSent++;
-            }
-        }
-
-        res.json({ success: true, notifications_sent: notificationsSent });
+        res.json({ success: true, notifications_sent: notificationsSent, queued_for_disposition: queued.length });
     } catch (error) {
         console.error('Check expiry error:', error);
         res.status(500).json({ error: 'Failed to check expiring evidence' });
@@ -777,10 +1187,19 @@ const compareEvidence = async (req, res) => {
             return res.status(404).json({ error: 'No evidence found with provided IDs' });
         }
 
+        for (const item of evidenceItems) {
+            const decision = await authorizeRead(req.user, item);
+            if (!decision.allowed) {
+                return decision.reason === 'role'
+                    ? res.status(404).json({ error: 'No evidence found with provided IDs' })
+                    : res.status(403).json({ error: `Forbidden: ${decision.message}`, reason: decision.reason, evidence_id: item.id });
+            }
+        }
+
         const enrichedEvidence = evidenceItems.map(item => ({
             ...item,
-            blockchain_verified: true,
-            verification_timestamp: new Date().toISOString()
+            blockchain_verified: item.blockchain_status === 'confirmed',
+            verification_timestamp: item.anchored_at || null
         }));
 
         res.json({
@@ -797,7 +1216,8 @@ const compareEvidence = async (req, res) => {
 // Create comparison report
 const createComparisonReport = async (req, res) => {
     try {
-        const { evidenceIds, reportData, generatedBy } = req.body;
+        const { evidenceIds, reportData } = req.body;
+        const generatedBy = req.user.identifier;
 
         if (!evidenceIds || !Array.isArray(evidenceIds) || evidenceIds.length < 2) {
             return res.status(400).json({ error: 'At least 2 evidence IDs required' });
@@ -811,14 +1231,12 @@ const createComparisonReport = async (req, res) => {
             report_type: 'evidence_comparison'
         };
 
-        await supabase
-            .from('activity_logs')
-            .insert({
-                user_id: generatedBy,
-                action: 'evidence_comparison_report_generated',
-                details: `Generated comparison report for ${evidenceIds.length} evidence items`,
-                timestamp: new Date().toISOString()
-            });
+        await appendAuditLog({
+            user_id: generatedBy,
+            action: 'evidence_comparison_report_generated',
+            details: `Generated comparison report for ${evidenceIds.length} evidence items`,
+            ip_address: req.ip
+        });
 
         res.json({
             success: true,
@@ -835,16 +1253,24 @@ const createComparisonReport = async (req, res) => {
 const getEvidenceByCase = async (req, res) => {
     try {
         const { caseId } = req.params;
+        const scope = await getEvidenceScope(req.user);
 
-        const { data: evidence, error } = await supabase
+        let query = supabase
             .from('evidence')
-            .select('*')
+            .select(scope.stubsOnly ? VERIFICATION_STUB_COLUMNS : '*')
             .eq('case_id', caseId)
+            .neq('status', 'deleted')
             .order('timestamp', { ascending: true });
 
+        query = scope.stubsOnly
+            ? query.eq('classification', PUBLISHED_CLASSIFICATION)
+            : applyEvidenceScope(query, scope);
+
+        const { data: evidence, error } = await query;
+
         if (error) throw error;
 
-        res.json({ success: true, evidence });
+        res.json({ success: true, evidence: scope.stubsOnly ? evidence.map(toVerificationStub) : evidence });
     } catch (error) {
         console.error('Get evidence by case error:', error);
         res.status(500).json({ error: 'Failed to get evidence for case' });
@@ -860,12 +1286,18 @@ module.exports = {
     getEvidenceById,
     verifyEvidenceHash,
     getBlockchainProof,
+    anchorEvidenceHash,
     verifyIntegrity,
     generateVerificationCertificate,
     publicVerify,
     getVerificationHistory,
     getEvidenceExpiry,
     setLegalHold,
+    sealEvidence,
+    unsealEvidence,
+    transferCustody,
+    getCustodyLedger,
+    deleteEvidence,
     bulkRetentionPolicy,
     checkExpiry,
     compareEvidence,
@@ -0,0 +1,132 @@
+const {
+    listLegalHolds, getLegalHold, createLegalHold, updateLegalHold,
+    removeEvidenceFromHold, releaseLegalHold, getHoldReport
+} = require('../services/legalHoldService');
+
+const REASON_STATUS = { not_found: 404, conflict: 409 };
+
+const sendFailure = (res, result) => res.status(REASON_STATUS[result.reason] || 400).json({ error: result.error });
+
+// ?status=active|released|all (default all)
+const getLegalHolds = async (req, res) => {
+    try {
+        const holds = await listLegalHolds({ status: req.query.status });
+        res.json({ success: true, holds });
+    } catch (error) {
+        console.error('Get legal holds error:', error);
+        res.status(500).json({ error: 'Failed to get legal holds' });
+    }
+};
+
+const getLegalHoldById = async (req, res) => {
+    try {
+        const hold = await getLegalHold(req.params.id);
+        if (!hold) {
+            return res.status(404).json({ error: 'Legal hold not found' });
+        }
+        res.json({ success: true, hold });
+    } catch (error) {
+        console.error('Get legal hold error:', error);
+        res.status(500).json({ error: 'Failed to get legal hold' });
+    }
+};
+
+// { matterName, issuingAuthority, courtOrderReference?, description?, custodians?,
+//   caseIds?, tagIds?, evidenceIds?, startsAt? }
+const createHold = async (req, res) => {
+    try {
+        const result = await createLegalHold(req.user, req.body, { ip: req.ip });
+        if (result.error) return sendFailure(res, result);
+
+        res.status(201).json({ success: true, hold: result.hold });
+    } catch (error) {
+        console.error('Create legal hold error:', error);
+        res.status(500).json({ error: 'Failed to create legal hold' });
+    }
+};
+
+// Same fields as creation; scope can only be widened
+const updateHold = async (req, res) => {
+    try {
+        const result = await updateLegalHold(req.user, req.params.id, req.body, { ip: req.ip });
+        if (result.error) return sendFailure(res, result);
+
+        res.json({ success: true, hold: result.hold, evidence_added: result.added });
+    } catch (error) {
+        console.error('Update legal hold error:', error);
+        res.status(500).json({ error: 'Failed to update legal hold' });
+    }
+};
+
+// { reason }
+const releaseHold = async (req, res) => {
+    try {
+        const result = await releaseLegalHold(req.user, req.params.id, req.body.reason, { ip: req.ip });
+        if (result.error) return sendFailure(res, result);
+
+        res.json({ success: true, hold: result.hold });
+    } catch (error) {
+        console.error('Release legal hold error:', error);
+        res.status(500).json({ error: 'Failed to release legal hold' });
+    }
+};
+
+const getLegalHoldReport = async (req, res) => {
+    try {
+        const report = await getHoldReport(req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Legal hold not found' });
+        }
+        res.json({ success: true, ...report });
+    } catch (error) {
+        console.error('Legal hold report error:', error);
+        res.status(500).json({ error: 'Failed to build legal hold report' });
+    }
+};
+
+// Add evidence items to a hold: { holdId, evidenceIds }
+const applyLegalHold = async (req, res) => {
+    try {
+        const { holdId, evidenceIds } = req.body;
+        if (!holdId || !Array.isArray(evidenceIds) || evidenceIds.length === 0) {
+            return res.status(400).json({ error: 'Hold ID and evidence IDs array are required' });
+        }
+
+        const result = await updateLegalHold(req.user, holdId, { evidenceIds }, { ip: req.ip });
+        if (result.error) return sendFailure(res, result);
+
+        res.json({ success: true, hold: result.hold, evidence_added: result.added });
+    } catch (error) {
+        console.error('Apply legal hold error:', error);
+        res.status(500).json({ error: 'Failed to apply legal hold' });
+    }
+};
+
+// Take evidence items off a hold's list: { holdId, evidenceIds, reason }
+const removeLegalHold = async (req, res) => {
+    try {
+        const { holdId, evidenceIds, reason } = req.body;
+        if (!holdId || !Array.isArray(evidenceIds) || evidenceIds.length === 0) {
+            return res.status(400).json({ error: 'Hold ID and evidence IDs array are required' });
+        }
+
+        const result = await removeEvidenceFromHold(req.user, holdId, evidenceIds, reason, { ip: req.ip });
+        if (result.error) return sendFailure(res, result);
+
+        res.json({ success: true, hold: result.hold, released: result.removed, still_held: result.still_held });
+    } catch (error) {
+        console.error('Remove legal hold error:', error);
+        res.status(500).json({ error: 'Failed to remove evidence from legal hold' });
+    }
+};
+
+module.exports = {
+    getLegalHolds,
+    getLegalHoldById,
+    createHold,
+    updateHold,
+    releaseHold,
+    getLegalHoldReport,
+    applyLegalHold,
+    removeLegalHold
+};
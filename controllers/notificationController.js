@@ -1,5 +1,4 @@
 const { supabase, connectedUsers } = require('../config');
-const { validateWalletAddress } = require('../middleware/verifyAdmin');
 
 // io instance will be set after server initialization
 let io = null;
@@ -8,11 +7,12 @@ const setIO = (socketIO) => { io = socketIO; };
 // Get user notifications
 const getNotifications = async (req, res) => {
     try {
-        const { wallet } = req.params;
+        const wallet = req.user.identifier;
         const { limit = 50, offset = 0, unread_only = false } = req.query;
 
-        if (!validateWalletAddress(wallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
+        // Notifications can carry sign-in details such as IP addresses, so users only read their own
+        if (req.params.wallet.toLowerCase() !== wallet.toLowerCase()) {
+            return res.status(403).json({ error: 'You can only read your own notifications' });
         }
 
         let query = supabase
@@ -48,11 +48,7 @@ const getNotifications = async (req, res) => {
 const markAsRead = async (req, res) => {
     try {
         const { id } = req.params;
-        const { userWallet } = req.body;
-
-        if (!validateWalletAddress(userWallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
-        }
+        const userWallet = req.user.identifier;
 
         const { error } = await supabase
             .from('notifications')
@@ -72,11 +68,7 @@ const markAsRead = async (req, res) => {
 // Mark all notifications as read
 const markAllAsRead = async (req, res) => {
     try {
-        const { userWallet } = req.body;
-
-        if (!validateWalletAddress(userWallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
-        }
+        const userWallet = req.user.identifier;
 
         const { error } = await supabase
             .from('notifications')
@@ -93,14 +85,11 @@ const markAllAsRead = async (req, res) => {
     }
 };
 
-// Create notification (for testing)
+// Create notification (for testing); it is only ever sent to the caller
 const createTestNotification = async (req, res) => {
     try {
-        const { userWallet, title, message, type, data } = req.body;
-
-        if (!validateWalletAddress(userWallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
-        }
+        const { title, message, type, data } = req.body;
+        const userWallet = req.user.identifier;
 
         // Create notification object
         const notification = {
@@ -0,0 +1,164 @@
+const { supabase } = require('../config');
+const { appendAuditLog } = require('../services/auditLog');
+const { revokeUserSessions } = require('../services/sessionService');
+const {
+    getPasswordPolicy, checkNewPassword, setPassword, getPasswordExpiry
+} = require('../services/passwordPolicyService');
+const { sendPasswordReset, findResetTokenUser, consumeResetToken } = require('../services/passwordResetService');
+
+// Rules a new password must meet, for registration and change forms
+const getPasswordRules = async (req, res) => {
+    try {
+        res.json({ success: true, policy: await getPasswordPolicy() });
+    } catch (error) {
+        console.error('Get password policy error:', error);
+        res.status(500).json({ error: 'Failed to get password policy' });
+    }
+};
+
+// Change the caller's password: { currentPassword, newPassword }.
+// Other sessions are signed out; the current one stays.
+const changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ error: 'Current and new password are required' });
+        }
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('*')
+            .eq('id', req.user.id)
+            .single();
+
+        if (error || !user || !user.password_hash) {
+            return res.status(400).json({ error: 'This account does not use a password' });
+        }
+
+        const { data: passwordValid } = await supabase
+            .rpc('verify_password', { password: currentPassword, hash: user.password_hash });
+
+        if (!passwordValid) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+
+        const policy = await getPasswordPolicy();
+        const { passwordHash, error: passwordError, issues } = await checkNewPassword(user, newPassword, policy);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError, issues });
+        }
+
+        await setPassword(user.id, passwordHash, policy);
+        const ended = await revokeUserSessions(user.id, {
+            exceptSessionId: req.userSession.id,
+            revokedBy: user.id,
+            reason: 'password_changed'
+        });
+
+        await appendAuditLog({
+            user_id: req.user.identifier,
+            action: 'password_changed',
+            details: JSON.stringify({ sessions_ended: ended.length }),
+            ip_address: req.ip
+        });
+
+        res.json({
+            success: true,
+            password_expires_at: getPasswordExpiry({ ...user, password_changed_at: new Date() }, policy)
+        });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+};
+
+// Email a reset link: { email }. The response is the same whether or not the
+// account exists, so it cannot be used to discover registered addresses.
+const forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email address is required' });
+        }
+
+        const { data: user } = await supabase
+            .from('users')
+            .select('id, email, full_name, password_hash')
+            .eq('email', String(email).toLowerCase())
+            .eq('is_active', true)
+            .maybeSingle();
+
+        // Only requests for real accounts are audited, so unknown addresses cannot flood the log
+        if (user && user.password_hash) {
+            try {
+                await sendPasswordReset(user, req);
+            } catch (error) {
+                console.error('Password reset email error:', error);
+            }
+
+            await appendAuditLog({
+                user_id: user.email,
+                action: 'password_reset_requested',
+                details: JSON.stringify({ user_id: user.id }),
+                ip_address: req.ip
+            });
+        }
+
+        res.json({ success: true, message: 'If an account exists for that email, a reset link has been sent' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to request password reset' });
+    }
+};
+
+// Set a new password with an emailed token: { token, newPassword }.
+// Every session of the account is signed out.
+const resetPassword = async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        if (!token || !newPassword) {
+            return res.status(400).json({ error: 'Reset token and new password are required' });
+        }
+
+        const found = await findResetTokenUser(token);
+        if (!found) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        const { user, resetTokenId } = found;
+        const policy = await getPasswordPolicy();
+        const { passwordHash, error: passwordError, issues } = await checkNewPassword(user, newPassword, policy);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError, issues });
+        }
+
+        if (!await consumeResetToken(resetTokenId)) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        await setPassword(user.id, passwordHash, policy);
+        await revokeUserSessions(user.id, { reason: 'password_reset' });
+
+        await appendAuditLog({
+            user_id: user.wallet_address || user.email,
+            action: 'password_reset',
+            details: JSON.stringify({ method: 'email_token' }),
+            ip_address: req.ip
+        });
+
+        res.json({ success: true, message: 'Password reset. You can now sign in' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+};
+
+module.exports = {
+    getPasswordRules,
+    changePassword,
+    forgotPassword,
+    resetPassword
+};
@@ -1,5 +1,17 @@
 const { supabase } = require('../config');
-const { validateWalletAddress } = require('../middleware/verifyAdmin');
+const {
+    listDispositions, getDisposition, approveDisposition, rejectDisposition
+} = require('../services/retentionService');
+const {
+    getPolicy, getPolicyEvidence, createPolicy, previewPolicyUpdate, updatePolicy, deletePolicy, getPolicyVersions
+} = require('../services/retentionPolicyService');
+const { listRules, createRule, deactivateRule } = require('../services/retentionRuleService');
+const { buildRetentionReport, reportToCsv, reportToPdf } = require('../services/retentionReportService');
+const { appendAuditLog } = require('../services/auditLog');
+
+const REASON_STATUS = { not_found: 404, conflict: 409 };
+
+const sendFailure = (res, result) => res.status(REASON_STATUS[result.reason] || 400).json({ error: result.error });
 
 const getRetentionPolicies = async (req, res) => {
     try {
@@ -16,28 +28,209 @@ const getRetentionPolicies = async (req, res) => {
     }
 };
 
+// { name, caseType, retentionDays, archiveMethod, jurisdiction, lawReference }
 const createRetentionPolicy = async (req, res) => {
     try {
-        const { name, caseType, retentionDays, archiveMethod, jurisdiction, lawReference, userWallet } = req.body;
-        if (!validateWalletAddress(userWallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
-        }
-        const { data: policy, error } = await supabase
-            .from('retention_policies')
-            .insert({
-                name, case_type: caseType, retention_days: retentionDays,
-                archive_method: archiveMethod, jurisdiction,
-                law_reference: lawReference, created_by: userWallet
-            })
-            .select().single();
-        if (error) throw error;
-        res.json({ success: true, policy });
+        const result = await createPolicy(req.user, req.body, { ip: req.ip });
+        if (result.error) return sendFailure(res, result);
+
+        res.json({ success: true, policy: result.policy });
     } catch (error) {
         console.error('Create retention policy error:', error);
         res.status(500).json({ error: 'Failed to create retention policy' });
     }
 };
 
+// Same fields as creation. With dryRun: true, returns the changes and each affected
+// item's old and new expiry date without saving. Otherwise `version` (from the dry
+// run) and `reason` are required, and the changes are applied.
+const updateRetentionPolicy = async (req, res) => {
+    try {
+        const { dryRun, version, reason, ...fields } = req.body;
+        const result = dryRun
+            ? await previewPolicyUpdate(req.params.id, fields)
+            : await updatePolicy(req.user, req.params.id, fields, { version, reason, ip: req.ip });
+        if (result.error) return sendFailure(res, result);
+
+        res.json({ success: true, dry_run: Boolean(dryRun), ...result });
+    } catch (error) {
+        console.error('Update retention policy error:', error);
+        res.status(500).json({ error: 'Failed to update retention policy' });
+    }
+};
+
+// Soft delete; refused while evidence is still under the policy
+const deleteRetentionPolicy = async (req, res) => {
+    try {
+        const reason = req.body?.reason || req.query.reason;
+        const result = await deletePolicy(req.user, req.params.id, { reason, ip: req.ip });
+        if (result.error) {
+            return res.status(REASON_STATUS[result.reason] || 400).json({ error: result.error, evidence_count: result.evidence_count });
+        }
+
+        res.json({ success: true, policy: result.policy });
+    } catch (error) {
+        console.error('Delete retention policy error:', error);
+        res.status(500).json({ error: 'Failed to delete retention policy' });
+    }
+};
+
+const getRetentionPolicyVersions = async (req, res) => {
+    try {
+        const policy = await getPolicy(req.params.id);
+        if (!policy) {
+            return res.status(404).json({ error: 'Retention policy not found' });
+        }
+
+        const versions = await getPolicyVersions(policy.id);
+        res.json({ success: true, policy, versions });
+    } catch (error) {
+        console.error('Get retention policy versions error:', error);
+        res.status(500).json({ error: 'Failed to get retention policy versions' });
+    }
+};
+
+// Evidence still governed by a policy (not deleted or disposed of)
+const getEvidenceByRetentionPolicy = async (req, res) => {
+    try {
+        const evidence = await getPolicyEvidence(req.params.id);
+        res.json({ success: true, evidence });
+    } catch (error) {
+        console.error('Get evidence by retention policy error:', error);
+        res.status(500).json({ error: 'Failed to get evidence by retention policy' });
+    }
+};
+
+// Assignment rules; ?all=true includes deactivated ones
+const getRetentionRules = async (req, res) => {
+    try {
+        const rules = await listRules({ includeInactive: req.query.all === 'true' });
+        res.json({ success: true, rules });
+    } catch (error) {
+        console.error('Get retention rules error:', error);
+        res.status(500).json({ error: 'Failed to get retention rules' });
+    }
+};
+
+// { name, policyId, caseType, jurisdiction, evidenceType, tagId, startsOnStatus }
+const createRetentionRule = async (req, res) => {
+    try {
+        const result = await createRule(req.user, req.body, { ip: req.ip });
+        if (result.error) return sendFailure(res, result);
+
+        res.json({ success: true, rule: result.rule });
+    } catch (error) {
+        console.error('Create retention rule error:', error);
+        res.status(500).json({ error: 'Failed to create retention rule' });
+    }
+};
+
+// Policies already assigned by the rule stay in place
+const deactivateRetentionRule = async (req, res) => {
+    try {
+        const result = await deactivateRule(req.user, req.params.id, { ip: req.ip });
+        if (result.error) return sendFailure(res, result);
+
+        res.json({ success: true, rule: result.rule });
+    } catch (error) {
+        console.error('Deactivate retention rule error:', error);
+        res.status(500).json({ error: 'Failed to deactivate retention rule' });
+    }
+};
+
+// Disposition queue: ?status=pending|completed|rejected|cancelled|failed|all (default pending)
+const getDispositions = async (req, res) => {
+    try {
+        const dispositions = await listDispositions({ status: req.query.status });
+        res.json({ success: true, dispositions });
+    } catch (error) {
+        console.error('Get dispositions error:', error);
+        res.status(500).json({ error: 'Failed to get dispositions' });
+    }
+};
+
+const approveDispositionRequest = async (req, res) => {
+    try {
+        const result = await approveDisposition(req.user, req.params.id, { ip: req.ip });
+        if (result.error) return sendFailure(res, result);
+
+        res.json({ success: result.disposition.status === 'completed', disposition: result.disposition });
+    } catch (error) {
+        console.error('Approve disposition error:', error);
+        res.status(500).json({ error: 'Failed to approve disposition' });
+    }
+};
+
+const rejectDispositionRequest = async (req, res) => {
+    try {
+        const result = await rejectDisposition(req.user, req.params.id, req.body.reason, { ip: req.ip });
+        if (result.error) return sendFailure(res, result);
+
+        res.json({ success: true, disposition: result.disposition });
+    } catch (error) {
+        console.error('Reject disposition error:', error);
+        res.status(500).json({ error: 'Failed to reject disposition' });
+    }
+};
+
+// Signed certificate of archival, anonymization or destruction
+const getDispositionCertificate = async (req, res) => {
+    try {
+        const disposition = await getDisposition(req.params.id);
+        if (!disposition || !disposition.certificate) {
+            return res.status(404).json({ error: 'Certificate not found' });
+        }
+        res.setHeader('Content-Disposition', `attachment; filename="disposition_${disposition.id}_certificate.json"`);
+        res.json(disposition.certificate);
+    } catch (error) {
+        console.error('Get disposition certificate error:', error);
+        res.status(500).json({ error: 'Failed to get disposition certificate' });
+    }
+};
+
+// Retention compliance report: ?format=json|csv|pdf (default json), ?from=&to= bound the
+// disposition history (default the last 90 days), ?weeks= of upcoming expirations (default 13)
+const getRetentionReport = async (req, res) => {
+    try {
+        const { format = 'json', from, to } = req.query;
+        if (!['json', 'csv', 'pdf'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be json, csv or pdf' });
+        }
+        if ([from, to].some(value => value && isNaN(new Date(value)))) {
+            return res.status(400).json({ error: 'from and to must be dates' });
+        }
+        const weeks = req.query.weeks === undefined ? 13 : parseInt(req.query.weeks, 10);
+        if (!(weeks >= 1 && weeks <= 52)) {
+            return res.status(400).json({ error: 'weeks must be between 1 and 52' });
+        }
+
+        const report = await buildRetentionReport({ from, to, weeks });
+
+        await appendAuditLog({
+            user_id: req.user.identifier,
+            action: 'retention_report_generated',
+            details: JSON.stringify({ format, period: report.period, weeks }),
+            ip_address: req.ip
+        });
+
+        if (format === 'json') {
+            return res.json({ success: true, report });
+        }
+
+        const filename = `retention_report_${report.generated_at.split('T')[0]}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            return res.send(reportToCsv(report));
+        }
+        res.setHeader('Content-Type', 'application/pdf');
+        res.send(await reportToPdf(report));
+    } catch (error) {
+        console.error('Retention report error:', error);
+        res.status(500).json({ error: 'Failed to generate retention report' });
+    }
+};
+
 const exportTimelinePdf = async (req, res) => {
     try {
         const { caseId, evidence } = req.body;
@@ -51,4 +244,20 @@ const exportTimelinePdf = async (req, res) => {
     }
 };
 
-module.exports = { getRetentionPolicies, createRetentionPolicy, exportTimelinePdf };
+module.exports = {
+    getRetentionPolicies,
+    createRetentionPolicy,
+    updateRetentionPolicy,
+    deleteRetentionPolicy,
+    getRetentionPolicyVersions,
+    getEvidenceByRetentionPolicy,
+    getRetentionRules,
+    createRetentionRule,
+    deactivateRetentionRule,
+    getDispositions,
+    approveDispositionRequest,
+    rejectDispositionRequest,
+    getDispositionCertificate,
+    getRetentionReport,
+    exportTimelinePdf
+};
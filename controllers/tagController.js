@@ -1,5 +1,9 @@
 const { supabase } = require('../config');
-const { validateWalletAddress } = require('../middleware/verifyAdmin');
+const { rejectIfSealed } = require('../services/sealService');
+const { applyHoldsToEvidence, getActiveHoldsForTag } = require('../services/legalHoldService');
+const { assignRetentionPolicy } = require('../services/retentionRuleService');
+const { getEvidenceScope, applyEvidenceScope, PUBLISHED_CLASSIFICATION } = require('../services/policyService');
+const { VERIFICATION_STUB_COLUMNS, toVerificationStub } = require('../services/evidenceHelpers');
 
 // Get all tags with usage statistics
 const getAllTags = async (req, res) => {
@@ -21,11 +25,8 @@ const getAllTags = async (req, res) => {
 // Create new tag
 const createTag = async (req, res) => {
     try {
-        const { name, color, category, userWallet } = req.body;
-
-        if (!validateWalletAddress(userWallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
-        }
+        const { name, color, category } = req.body;
+        const userWallet = req.user.identifier;
 
         if (!name || name.trim().length === 0) {
             return res.status(400).json({ error: 'Tag name is required' });
@@ -60,16 +61,15 @@ const createTag = async (req, res) => {
 const addTagsToEvidence = async (req, res) => {
     try {
         const { id } = req.params;
-        const { tagIds, userWallet } = req.body;
-
-        if (!validateWalletAddress(userWallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
-        }
+        const { tagIds } = req.body;
+        const userWallet = req.user.identifier;
 
         if (!tagIds || !Array.isArray(tagIds)) {
             return res.status(400).json({ error: 'Tag IDs array is required' });
         }
 
+        if (await rejectIfSealed(res, id)) return;
+
         const evidenceTags = tagIds.map(tagId => ({
             evidence_id: parseInt(id),
             tag_id: tagId,
@@ -83,6 +83,10 @@ const addTagsToEvidence = async (req, res) => {
 
         if (error) throw error;
 
+        // Tagged evidence joins any legal hold covering these tags, and may match a retention rule
+        await applyHoldsToEvidence({ id: parseInt(id) }, { actor: userWallet, tagIds });
+        await assignRetentionPolicy(parseInt(id), { actor: userWallet });
+
         res.json({ success: true, evidence_tags: data });
     } catch (error) {
         console.error('Add evidence tags error:', error);
@@ -94,10 +98,17 @@ const addTagsToEvidence = async (req, res) => {
 const removeTagFromEvidence = async (req, res) => {
     try {
         const { id, tagId } = req.params;
-        const { userWallet } = req.body;
+        const userWallet = req.user.identifier;
 
-        if (!validateWalletAddress(userWallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
+        if (await rejectIfSealed(res, id)) return;
+
+        // The tag keeps the item in any hold that covers it
+        const holds = await getActiveHoldsForTag(tagId);
+        if (holds.length > 0) {
+            return res.status(409).json({
+                error: 'This tag is covered by an active legal hold and cannot be removed until the hold is released',
+                legal_holds: holds
+            });
         }
 
         const { error } = await supabase
@@ -119,16 +130,15 @@ const removeTagFromEvidence = async (req, res) => {
 // Batch tag operations
 const batchTag = async (req, res) => {
     try {
-        const { evidenceIds, tagIds, userWallet } = req.body;
-
-        if (!validateWalletAddress(userWallet)) {
-            return res.status(400).json({ error: 'Invalid wallet address' });
-        }
+        const { evidenceIds, tagIds } = req.body;
+        const userWallet = req.user.identifier;
 
         if (!evidenceIds || !Array.isArray(evidenceIds) || !tagIds || !Array.isArray(tagIds)) {
             return res.status(400).json({ error: 'Evidence IDs and tag IDs arrays are required' });
         }
 
+        if (await rejectIfSealed(res, evidenceIds)) return;
+
         const evidenceTags = [];
         evidenceIds.forEach(evidenceId => {
             tagIds.forEach(tagId => {
@@ -147,6 +157,11 @@ const batchTag = async (req, res) => {
 
         if (error) throw error;
 
+        for (const evidenceId of evidenceIds) {
+            await applyHoldsToEvidence({ id: parseInt(evidenceId) }, { actor: userWallet, tagIds });
+            await assignRetentionPolicy(parseInt(evidenceId), { actor: userWallet });
+        }
+
         res.json({ success: true, tagged_count: data.length });
     } catch (error) {
         console.error('Batch tag error:', error);
@@ -164,6 +179,7 @@ const filterByTags = async (req, res) => {
         }
 
         const tagIdArray = tagIds.split(',').map(id => parseInt(id.trim()));
+        const scope = await getEvidenceScope(req.user);
 
         let query;
         if (logic === 'OR') {
@@ -183,11 +199,20 @@ const filterByTags = async (req, res) => {
             });
         }
 
+        query = query.neq('status', 'deleted');
+        query = scope.stubsOnly
+            ? query.eq('classification', PUBLISHED_CLASSIFICATION)
+            : applyEvidenceScope(query, scope);
+
         const { data: evidence, error } = await query;
 
         if (error) throw error;
 
-        res.json({ success: true, evidence, filter_logic: logic });
+        res.json({
+            success: true,
+            evidence: scope.stubsOnly ? evidence.map(toVerificationStub) : evidence,
+            filter_logic: logic
+        });
     } catch (error) {
         console.error('Filter by tags error:', error);
         res.status(500).json({ error: 'Failed to filter evidence by tags' });
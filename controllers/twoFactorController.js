@@ -0,0 +1,208 @@
+const { supabase } = require('../config');
+const { appendAuditLog } = require('../services/auditLog');
+const { verifyToken } = require('../services/tokenService');
+const { startSession, markTwoFactorVerified, hasRecentTwoFactor } = require('../services/sessionService');
+const {
+    requiresTwoFactor, countRemainingBackupCodes, beginEnrollment, confirmEnrollment,
+    verifySecondFactor, replaceBackupCodes, disableTwoFactor
+} = require('../services/twoFactorService');
+const { getPasswordPolicy, isPasswordExpired } = require('../services/passwordPolicyService');
+
+const logTwoFactorEvent = (req, user, action, details = {}) => appendAuditLog({
+    user_id: user.wallet_address || user.email,
+    action,
+    details: JSON.stringify(details),
+    ip_address: req.ip
+});
+
+// Two-factor state for the caller
+const getTwoFactorStatus = async (req, res) => {
+    try {
+        const { user } = req;
+
+        res.json({
+            success: true,
+            enabled: Boolean(user.two_factor_enabled),
+            required: requiresTwoFactor(user.role),
+            backup_codes_remaining: user.two_factor_enabled ? await countRemainingBackupCodes(user.id) : 0,
+            verified_recently: hasRecentTwoFactor(req.userSession)
+        });
+    } catch (error) {
+        console.error('Two-factor status error:', error);
+        res.status(500).json({ error: 'Failed to get two-factor status' });
+    }
+};
+
+// Generate a secret and QR code for the caller's authenticator app
+const setupTwoFactor = async (req, res) => {
+    try {
+        if (req.user.two_factor_enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const enrollment = await beginEnrollment(req.user);
+
+        res.json({ success: true, ...enrollment });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+};
+
+// Confirm setup with a code from the app. Returns backup codes, shown only this once.
+const enableTwoFactor = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({ error: 'Authentication code is required' });
+        }
+
+        const { backupCodes, error } = await confirmEnrollment(req.user, code);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await markTwoFactorVerified(req.userSession.id);
+        await logTwoFactorEvent(req, req.user, 'two_factor_enabled');
+
+        res.json({ success: true, backup_codes: backupCodes });
+    } catch (error) {
+        console.error('Enable two-factor error:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+};
+
+// Finish a login that returned two_factor_required: { challengeToken, code | backupCode }
+const verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { challengeToken, code, backupCode } = req.body;
+
+        if (!challengeToken || (!code && !backupCode)) {
+            return res.status(400).json({ error: 'Challenge token and authentication code are required' });
+        }
+
+        let payload;
+        try {
+            payload = verifyToken(challengeToken, 'two_factor');
+        } catch (error) {
+            return res.status(401).json({ error: 'Sign-in challenge is invalid or expired. Please sign in again' });
+        }
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('*')
+            .eq('id', payload.sub)
+            .eq('is_active', true)
+            .single();
+
+        if (error || !user) {
+            return res.status(401).json({ error: 'Account not found or inactive' });
+        }
+
+        const method = await verifySecondFactor(user, { code, backupCode });
+        if (!method) {
+            await logTwoFactorEvent(req, user, 'two_factor_failed', { stage: 'login' });
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        await logTwoFactorEvent(req, user, 'two_factor_verified', { stage: 'login', method });
+
+        res.json({
+            success: true,
+            user: {
+                id: user.id,
+                wallet_address: user.wallet_address,
+                email: user.email,
+                full_name: user.full_name,
+                role: user.role,
+                department: user.department,
+                jurisdiction: user.jurisdiction,
+                badge_number: user.badge_number,
+                auth_type: user.auth_type
+            },
+            password_expired: isPasswordExpired(user, await getPasswordPolicy()),
+            ...await startSession(req, user, payload.login_type, { twoFactorVerified: true })
+        });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ error: 'Two-factor verification failed' });
+    }
+};
+
+// Re-confirm the second factor before a sensitive operation
+const stepUpTwoFactor = async (req, res) => {
+    try {
+        const { code, backupCode } = req.body;
+
+        if (!code && !backupCode) {
+            return res.status(400).json({ error: 'Authentication code is required' });
+        }
+
+        const method = await verifySecondFactor(req.user, { code, backupCode });
+        if (!method) {
+            await logTwoFactorEvent(req, req.user, 'two_factor_failed', { stage: 'step_up' });
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        await markTwoFactorVerified(req.userSession.id);
+        await logTwoFactorEvent(req, req.user, 'two_factor_verified', { stage: 'step_up', method });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Two-factor step-up error:', error);
+        res.status(500).json({ error: 'Two-factor verification failed' });
+    }
+};
+
+// Replace the caller's backup codes (needs a current code)
+const regenerateBackupCodes = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!await verifySecondFactor(req.user, { code })) {
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        const backupCodes = await replaceBackupCodes(req.user.id);
+        await logTwoFactorEvent(req, req.user, 'two_factor_backup_codes_regenerated');
+
+        res.json({ success: true, backup_codes: backupCodes });
+    } catch (error) {
+        console.error('Regenerate backup codes error:', error);
+        res.status(500).json({ error: 'Failed to regenerate backup codes' });
+    }
+};
+
+// Turn 2FA off. Not allowed for roles that require it.
+const disableTwoFactorAuth = async (req, res) => {
+    try {
+        const { code, backupCode } = req.body;
+
+        if (requiresTwoFactor(req.user.role)) {
+            return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+        }
+
+        if (!await verifySecondFactor(req.user, { code, backupCode })) {
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        await disableTwoFactor(req.user.id);
+        await logTwoFactorEvent(req, req.user, 'two_factor_disabled');
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Disable two-factor error:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+};
+
+module.exports = {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    verifyTwoFactorLogin,
+    stepUpTwoFactor,
+    regenerateBackupCodes,
+    disableTwoFactorAuth
+};
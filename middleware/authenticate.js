@@ -0,0 +1,122 @@
+const { supabase } = require('../config');
+const { verifyToken } = require('../services/tokenService');
+const { validateSession } = require('../services/sessionService');
+const { requiresTwoFactor } = require('../services/twoFactorService');
+const { getPasswordPolicy, isPasswordExpired } = require('../services/passwordPolicyService');
+
+const readBearerToken = (req) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+};
+
+// Load the active user a token was issued to. Role and status always come from
+// the users table, so deactivation and role changes apply immediately.
+const loadTokenUser = async (payload) => {
+    const { data: user, error } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', payload.sub)
+        .eq('is_active', true)
+        .single();
+
+    if (error || !user) return null;
+
+    const { password_hash, ...safeUser } = user;
+    // Wallet users are identified by address, email users by email
+    return { ...safeUser, identifier: user.wallet_address || user.email, has_password: Boolean(password_hash) };
+};
+
+// Resolve a bearer token to { user, session }, or { rejection } to send with a 401.
+// Every request must belong to a live server-side session, and counts as activity on it.
+const resolveToken = async (token) => {
+    let payload;
+    try {
+        payload = verifyToken(token, 'access');
+    } catch (error) {
+        return { rejection: { error: 'Invalid or expired token' } };
+    }
+
+    const user = await loadTokenUser(payload);
+    if (!user) {
+        return { rejection: { error: 'Account not found or inactive' } };
+    }
+
+    const { session, error } = await validateSession(payload.sid, user, { touch: true });
+    if (error) {
+        return { rejection: { error: 'Session has ended', reason: error } };
+    }
+
+    return { user, session };
+};
+
+// Require a valid access token and populate req.user and req.userSession. Users
+// whose role requires two-factor authentication must enroll, and users whose
+// password has expired must change it, before anything else. allowUnenrolled
+// skips both checks (for the enrollment, password and session endpoints).
+const authenticateRequest = ({ allowUnenrolled }) => async (req, res, next) => {
+    const token = readBearerToken(req);
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+        const { user, session, rejection } = await resolveToken(token);
+        if (rejection) {
+            return res.status(401).json(rejection);
+        }
+
+        if (!allowUnenrolled && requiresTwoFactor(user.role) && !user.two_factor_enabled) {
+            return res.status(403).json({
+                error: 'Your role requires two-factor authentication. Set it up to continue',
+                reason: 'two_factor_enrollment_required'
+            });
+        }
+
+        if (!allowUnenrolled && isPasswordExpired(user, await getPasswordPolicy())) {
+            return res.status(403).json({
+                error: 'Your password has expired. Change it to continue',
+                reason: 'password_expired'
+            });
+        }
+
+        req.user = user;
+        req.userSession = session;
+        next();
+    } catch (error) {
+        console.error('Authentication error:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+};
+
+const authenticate = authenticateRequest({ allowUnenrolled: false });
+const authenticateAllowingUnenrolled = authenticateRequest({ allowUnenrolled: true });
+
+// Socket.IO middleware: require an access token in the handshake (auth.token) and
+// populate socket.data.user and socket.data.session. Sockets only carry events for
+// their own user, so the 2FA enrollment and password expiry checks are not applied.
+const authenticateSocket = async (socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token) {
+        return next(new Error('Authentication required'));
+    }
+
+    try {
+        const { user, session, rejection } = await resolveToken(token);
+        if (rejection) {
+            return next(new Error(rejection.error));
+        }
+
+        socket.data.user = user;
+        socket.data.session = session;
+        next();
+    } catch (error) {
+        console.error('Socket authentication error:', error);
+        next(new Error('Authentication failed'));
+    }
+};
+
+module.exports = {
+    authenticate,
+    authenticateAllowingUnenrolled,
+    authenticateSocket
+};
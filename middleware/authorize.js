@@ -0,0 +1,48 @@
+const { supabase } = require('../config');
+const { authorize, loadCase } = require('../services/policyService');
+
+// Resource an action applies to, taken from the route parameters
+const resolveResource = async (action, params) => {
+    const [resourceType] = action.split(':');
+
+    if (['evidence', 'custody'].includes(resourceType) && params.id) {
+        const { data: evidence } = await supabase
+            .from('evidence')
+            .select('id, case_id, classification, submitted_by, current_custodian')
+            .eq('id', params.id)
+            .maybeSingle();
+        return evidence ? { evidence, caseRecord: await loadCase(evidence.case_id) } : null;
+    }
+
+    const caseRef = params.caseId || (resourceType === 'case' ? params.id : null);
+    if (caseRef) {
+        const caseRecord = await loadCase(caseRef);
+        return caseRecord ? { caseRecord } : null;
+    }
+
+    return {};
+};
+
+// Must run after authenticate. Missing resources are left to the handler's 404.
+// With caseFromBody the case is read from req.body.caseId, so for multipart forms
+// the check must come after the upload middleware has parsed the body.
+const requirePermission = (action, { caseFromBody = false } = {}) => async (req, res, next) => {
+    try {
+        const params = caseFromBody ? { caseId: String((req.body && req.body.caseId) || '').trim() } : req.params;
+        const resource = await resolveResource(action, params);
+        if (resource === null) return next();
+
+        const decision = await authorize(req.user, action, resource);
+        if (!decision.allowed) {
+            return res.status(403).json({ error: `Forbidden: ${decision.message}`, reason: decision.reason });
+        }
+        next();
+    } catch (error) {
+        console.error('Authorization error:', error);
+        res.status(500).json({ error: 'Authorization check failed' });
+    }
+};
+
+module.exports = {
+    requirePermission
+};
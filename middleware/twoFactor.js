@@ -0,0 +1,25 @@
+const { hasRecentTwoFactor } = require('../services/sessionService');
+
+// Must run after authenticate. Sensitive operations need a second-factor check on
+// this session within the step-up window (see POST /auth/2fa/step-up).
+const requireStepUp = (req, res, next) => {
+    if (!req.user.two_factor_enabled) {
+        return res.status(403).json({
+            error: 'Enable two-factor authentication to perform this operation',
+            reason: 'two_factor_required'
+        });
+    }
+
+    if (!hasRecentTwoFactor(req.userSession)) {
+        return res.status(403).json({
+            error: 'Confirm this operation with your authentication code',
+            reason: 'step_up_required'
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    requireStepUp
+};
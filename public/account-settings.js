@@ -23,6 +23,25 @@ class AccountSettings {
             }
         }
 
+        // Signed in through the API, which stores { type, user } from the login response
+        if (!this.currentUser && window.authSession && window.authSession.current()) {
+            try {
+                const { type, user } = JSON.parse(currentUserKey);
+                this.currentUser = {
+                    fullName: user.full_name,
+                    email: user.email,
+                    walletAddress: user.wallet_address,
+                    role: user.role,
+                    department: user.department,
+                    jurisdiction: user.jurisdiction,
+                    badgeNumber: user.badge_number,
+                    authType: type
+                };
+            } catch (error) {
+                this.currentUser = null;
+            }
+        }
+
         if (!this.currentUser) {
             window.location.href = '/';
             return;
@@ -100,46 +119,29 @@ class AccountSettings {
         const newPassword = document.getElementById('newPassword').value;
         const confirmPassword = document.getElementById('confirmPassword').value;
 
-        // Validate current password
-        if (this.currentUser.password && this.currentUser.password !== currentPassword) {
-            this.showAlert('Current password is incorrect', 'error');
-            return;
-        }
-
-        // Validate new password
         if (newPassword !== confirmPassword) {
             this.showAlert('New passwords do not match', 'error');
             return;
         }
 
-        if (newPassword.length < 6) {
-            this.showAlert('Password must be at least 6 characters long', 'error');
-            return;
-        }
-
         try {
-            // Update password
-            const updatedData = {
-                ...this.currentUser,
-                password: newPassword,
-                lastPasswordChange: new Date().toISOString()
-            };
-
-            // Save to localStorage
-            const currentUserKey = localStorage.getItem('currentUser');
-            if (currentUserKey.startsWith('email_')) {
-                localStorage.setItem('evidUser_' + currentUserKey, JSON.stringify(updatedData));
-                localStorage.setItem('emailUser_' + this.currentUser.email, JSON.stringify(updatedData));
-            } else {
-                localStorage.setItem('evidUser_' + currentUserKey, JSON.stringify(updatedData));
+            // The server checks the current password and the password policy
+            const response = await fetch(`${config.API_BASE_URL}/auth/password/change`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ currentPassword, newPassword })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                this.showAlert(data.error || 'Failed to update password. Please try again.', 'error');
+                return;
             }
 
-            this.currentUser = updatedData;
-            
             // Clear form
             document.getElementById('passwordForm').reset();
             
-            this.showAlert('Password updated successfully!', 'success');
+            this.showAlert('Password updated successfully! Your other sessions were signed out.', 'success');
         } catch (error) {
             this.showAlert('Failed to update password. Please try again.', 'error');
         }
@@ -258,22 +260,8 @@ class AccountSettings {
     }
 
     toggleTwoFactor() {
-        const status = document.getElementById('twoFactorStatus');
-        const button = document.getElementById('twoFactorToggle');
-        
-        if (status.textContent === 'Disabled') {
-            // Enable 2FA
-            status.textContent = 'Enabled';
-            status.className = 'status-badge enabled';
-            button.textContent = 'Disable';
-            this.showAlert('Two-factor authentication enabled', 'success');
-        } else {
-            // Disable 2FA
-            status.textContent = 'Disabled';
-            status.className = 'status-badge disabled';
-            button.textContent = 'Enable';
-            this.showAlert('Two-factor authentication disabled', 'info');
-        }
+        // Enrollment and verification happen on the server
+        window.twoFactorAuth.toggle2FA();
     }
 
     loadNotificationSettings() {
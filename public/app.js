@@ -165,7 +165,7 @@ async function handleEmailLogin(event) {
       body: JSON.stringify({ email, password }),
     });
 
-    const data = await response.json();
+    const data = await authSession.completeTwoFactor(await response.json());
 
     if (data.success) {
       // Store user data
@@ -176,6 +176,12 @@ async function handleEmailLogin(event) {
           user: data.user,
         })
       );
+      authSession.save(data);
+
+      if (data.password_expired) {
+        authSession.showPasswordExpired();
+        return;
+      }
 
       showAlert("Login successful!", "success");
       closeEmailLogin();
@@ -218,11 +224,6 @@ async function handleEmailRegistration(event) {
     return;
   }
 
-  if (password.length < 6) {
-    showAlert("Password must be at least 6 characters.", "error");
-    return;
-  }
-
   if (!fullName || !role) {
     showAlert("Please fill in all required fields.", "error");
     return;
@@ -257,6 +258,7 @@ async function handleEmailRegistration(event) {
           user: data.user,
         })
       );
+      authSession.save(data);
 
       showAlert(
         "Registration successful! Redirecting to dashboard...",
@@ -447,6 +449,29 @@ function updateWalletUI() {
   }
 }
 
+// Sign a server-issued Sign-In-With-Ethereum message to prove wallet ownership
+async function signInWithEthereum(address) {
+  const response = await fetch(`${config.API_BASE_URL}/auth/wallet/nonce`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ walletAddress: address }),
+  });
+  const challenge = await response.json();
+
+  if (!challenge.success) {
+    throw new Error(challenge.error || "Could not start wallet sign-in");
+  }
+
+  const signature = await window.ethereum.request({
+    method: "personal_sign",
+    params: [challenge.message, address],
+  });
+
+  return { message: challenge.message, signature };
+}
+
 // Check registration status
 async function checkRegistrationStatus() {
   console.log("Checking registration status for:", userAccount);
@@ -459,10 +484,28 @@ async function checkRegistrationStatus() {
   try {
     showLoading(true, "Checking registration...");
 
-    const response = await fetch(`${config.API_BASE_URL}/users/wallet/${userAccount}`);
-    const data = await response.json();
+    const lookup = await fetch(`${config.API_BASE_URL}/users/wallet/${userAccount}`);
+    const existing = await lookup.json();
 
-    if (data.user) {
+    if (!existing.user) {
+      console.log("No existing user found, showing registration");
+      toggleSections("registration");
+      return;
+    }
+
+    showLoading(true, "Please sign the sign-in request in your wallet...");
+    const signed = await signInWithEthereum(userAccount);
+
+    const response = await fetch(`${config.API_BASE_URL}/auth/wallet/login`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(signed),
+    });
+    const data = await authSession.completeTwoFactor(await response.json());
+
+    if (data.success) {
       console.log("Found existing user:", data.user);
 
       // Store user data
@@ -473,6 +516,7 @@ async function checkRegistrationStatus() {
           user: data.user,
         })
       );
+      authSession.save(data);
 
       displayUserInfo(data.user);
 
@@ -484,8 +528,7 @@ async function checkRegistrationStatus() {
       }
       updateNavbarAuth();
     } else {
-      console.log("No existing user found, showing registration");
-      toggleSections("registration");
+      showAlert(data.error || "Wallet sign-in failed", "error");
     }
   } catch (error) {
     console.error("Error checking registration:", error);
@@ -594,6 +637,9 @@ async function handleRegistration(event) {
       return;
     }
 
+    showLoading(true, "Please sign the registration request in your wallet...");
+    const signed = await signInWithEthereum(userAccount);
+
     showLoading(true, "Registering user...");
 
     const response = await fetch(
@@ -604,7 +650,7 @@ async function handleRegistration(event) {
           "Content-Type": "application/json",
         },
         body: JSON.stringify({
-          walletAddress: userAccount.toLowerCase(),
+          ...signed,
           fullName: fullName.trim(),
           role: role,
           badgeNumber: badgeNumber || "",
@@ -625,6 +671,7 @@ async function handleRegistration(event) {
           user: data.user,
         })
       );
+      authSession.save(data);
 
       showAlert(
         "Registration successful! Redirecting to dashboard...",
@@ -655,7 +702,8 @@ function goToAdminDashboard() {
   window.location.href = "admin.html";
 }
 
-function logout() {
+async function logout() {
+  await authSession.signOut();
   localStorage.clear();
   userAccount = null;
 
@@ -26,6 +26,11 @@ class CaseStatusManager {
     }
 
     bindEvents() {
+        // Reload when a case this user is assigned to changes elsewhere
+        if (window.realtimeSocket) {
+            window.realtimeSocket.on('case_update', () => this.loadCases(this.currentFilters));
+        }
+
         // Status change buttons
         document.addEventListener('click', (e) => {
             if (e.target.classList.contains('status-change-btn')) {
@@ -73,6 +73,216 @@ const config = {
     LOG_LEVEL: 'error'
 };
 
+// Attach the stored access token to API requests, refreshing it once if it has expired
+(() => {
+    if (typeof window === 'undefined' || !window.fetch) return;
+
+    const nativeFetch = window.fetch.bind(window);
+    const TOKEN_KEY = 'authTokens';
+
+    const readTokens = () => {
+        try {
+            return JSON.parse(localStorage.getItem(TOKEN_KEY));
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const isApiRequest = (url) => url.startsWith(config.API_BASE_URL) || url.startsWith('/api/');
+
+    const withToken = (init, tokens) => {
+        const headers = new Headers(init.headers || {});
+        if (tokens && tokens.access_token && !headers.has('Authorization')) {
+            headers.set('Authorization', `Bearer ${tokens.access_token}`);
+        }
+        return { ...init, headers };
+    };
+
+    const refreshTokens = async (tokens) => {
+        const response = await nativeFetch(`${config.API_BASE_URL}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: tokens.refresh_token })
+        });
+        if (!response.ok) {
+            localStorage.removeItem(TOKEN_KEY);
+            return null;
+        }
+        const data = await response.json();
+        localStorage.setItem(TOKEN_KEY, JSON.stringify(data.tokens));
+        return data.tokens;
+    };
+
+    // Ask for an authenticator or backup code: { code } or { backupCode }, or null if cancelled
+    const askForSecondFactor = async () => {
+        if (window.twoFactorAuth) {
+            return window.twoFactorAuth.promptForCode();
+        }
+        const code = prompt('Enter the 6-digit code from your authenticator app:');
+        return code ? { code: code.trim() } : null;
+    };
+
+    // Expired passwords block the API until changed on the account settings page
+    const PASSWORD_CHANGE_PAGE = 'account-settings.html';
+
+    const showPasswordExpired = () => {
+        if (window.location.pathname.endsWith(PASSWORD_CHANGE_PAGE)) return;
+        alert('Your password has expired. Please choose a new one to continue.');
+        window.location.href = PASSWORD_CHANGE_PAGE;
+    };
+
+    const getRejectionReason = async (response) => {
+        try {
+            return (await response.clone().json()).reason;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    // Sensitive operations answer 403 step_up_required until the session re-confirms
+    // its second factor; do that and send the request once more
+    const stepUpAndRetry = async (input, init, response) => {
+        const answer = await askForSecondFactor();
+        if (!answer) return response;
+
+        const stepUp = await window.fetch(`${config.API_BASE_URL}/auth/2fa/step-up`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(answer)
+        });
+        if (!stepUp.ok) {
+            alert('Invalid authentication code');
+            return response;
+        }
+        return nativeFetch(input, withToken(init, readTokens()));
+    };
+
+    window.fetch = async (input, init = {}) => {
+        const url = typeof input === 'string' ? input : input.url;
+        const tokens = readTokens();
+        if (!isApiRequest(url) || !tokens) {
+            return nativeFetch(input, init);
+        }
+
+        let response = await nativeFetch(input, withToken(init, tokens));
+        if (response.status === 401 && tokens.refresh_token && !url.includes('/auth/')) {
+            const refreshed = await refreshTokens(tokens);
+            if (!refreshed) return response;
+            response = await nativeFetch(input, withToken(init, refreshed));
+        }
+
+        if (response.status === 403 && !url.includes('/auth/2fa/')) {
+            const reason = await getRejectionReason(response);
+            if (reason === 'step_up_required') {
+                return stepUpAndRetry(input, init, response);
+            }
+            if (reason === 'password_expired') {
+                showPasswordExpired();
+            }
+        }
+        return response;
+    };
+
+    // Server-side session bookkeeping shared by the login and logout handlers
+    const SESSION_KEY = 'authSession';
+
+    const clearSession = () => {
+        localStorage.removeItem(TOKEN_KEY);
+        localStorage.removeItem(SESSION_KEY);
+        localStorage.removeItem('currentUser');
+    };
+
+    window.authSession = {
+        // Store the tokens and session returned by a login or registration
+        save(data) {
+            localStorage.setItem(TOKEN_KEY, JSON.stringify(data.tokens));
+            localStorage.setItem(SESSION_KEY, JSON.stringify({
+                ...data.session,
+                identifier: data.user.wallet_address || data.user.email
+            }));
+        },
+
+        // Finish a login that answered two_factor_required by asking for a code.
+        // Returns the final login response, or the original one if the user cancels.
+        async completeTwoFactor(data) {
+            if (!data.two_factor_required) return data;
+
+            while (true) {
+                const answer = await askForSecondFactor();
+                if (!answer) {
+                    return { success: false, error: 'Two-factor verification cancelled' };
+                }
+
+                const response = await nativeFetch(`${config.API_BASE_URL}/auth/2fa/verify`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ challengeToken: data.challenge_token, ...answer })
+                });
+                const result = await response.json();
+                if (response.status !== 401 || result.error !== 'Invalid authentication code') {
+                    return result;
+                }
+                alert(result.error);
+            }
+        },
+
+        showPasswordExpired,
+
+        current() {
+            try {
+                return JSON.parse(localStorage.getItem(SESSION_KEY));
+            } catch (error) {
+                return null;
+            }
+        },
+
+        // End the session on the server, then forget it locally
+        async signOut() {
+            if (readTokens()) {
+                try {
+                    await window.fetch(`${config.API_BASE_URL}/auth/logout`, { method: 'POST' });
+                } catch (error) {
+                    console.error('Logout request failed:', error);
+                }
+            }
+            clearSession();
+        }
+    };
+
+    // Real-time events arrive over Socket.IO. The socket authenticates with the access
+    // token (read again on every reconnect) and receives only this user's notifications
+    // plus updates for their role and assigned cases. Sessions revoked by an admin, by
+    // the user elsewhere, or by timeout are pushed too; sign this page out when it is ours.
+    document.addEventListener('DOMContentLoaded', () => {
+        const session = window.authSession.current();
+        if (typeof window.io !== 'function' || !session || !readTokens()) return;
+
+        const socket = window.io({
+            auth: (send) => send({ token: (readTokens() || {}).access_token })
+        });
+        window.realtimeSocket = socket;
+
+        // The server refuses an expired access token; refresh it once and reconnect
+        let refreshed = false;
+        socket.on('connect', () => { refreshed = false; });
+        socket.on('connect_error', async (error) => {
+            const tokens = readTokens();
+            if (error.message !== 'Invalid or expired token' || refreshed || !tokens) return;
+            refreshed = true;
+            if (await refreshTokens(tokens)) socket.connect();
+        });
+
+        socket.on('force_logout', ({ session_id: sessionId, reason }) => {
+            if (sessionId !== session.id) return;
+            clearSession();
+            alert(reason === 'idle_timeout' || reason === 'expired'
+                ? 'Your session has expired. Please sign in again.'
+                : 'Your session was ended. Please sign in again.');
+            window.location.href = 'index.html';
+        });
+    });
+})();
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = config;
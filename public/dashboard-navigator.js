@@ -100,7 +100,9 @@ class DashboardNavigator {
         }
     }
 
-    logout() {
+    async logout() {
+        await window.authSession.signOut();
+
         // Clear all user data
         localStorage.removeItem('selectedRole');
         localStorage.removeItem('roleWizardCompleted');
@@ -399,7 +399,8 @@ class EvidencePreviewSystem {
     }
 
     async fetchEvidenceData(evidenceId) {
-        const response = await fetch(`/api/evidence/${evidenceId}`);
+        const params = new URLSearchParams({ userWallet: this.getCurrentUser(), purpose: 'Evidence preview' });
+        const response = await fetch(`/api/evidence/${evidenceId}?${params}`);
         if (!response.ok) {
             throw new Error('Failed to fetch evidence data');
         }
@@ -464,31 +465,33 @@ class EvidencePreviewSystem {
         this.populateChainOfCustody();
     }
 
-    populateChainOfCustody() {
+    async populateChainOfCustody() {
         const timeline = document.getElementById('custodyTimeline');
-        const events = [
-            {
-                action: 'Evidence Uploaded',
-                user: this.currentEvidence.submitted_by,
-                timestamp: this.currentEvidence.timestamp,
-                details: 'Initial evidence submission'
-            },
-            {
-                action: 'Preview Accessed',
-                user: this.getCurrentUser(),
-                timestamp: new Date().toISOString(),
-                details: 'Evidence preview opened'
+        const params = new URLSearchParams({ userWallet: this.getCurrentUser() });
+
+        try {
+            const response = await fetch(`/api/evidence/${this.currentEvidence.id}/custody?${params}`);
+            if (!response.ok) {
+                throw new Error('Failed to fetch custody chain');
             }
-        ];
-
-        timeline.innerHTML = events.map(event => `
-            <div class="custody-event">
-                <div class="custody-timestamp">${new Date(event.timestamp).toLocaleString()}</div>
-                <div class="custody-action">${event.action}</div>
-                <div class="custody-user">by ${event.user}</div>
-                <div class="custody-details">${event.details}</div>
-            </div>
-        `).join('');
+            const { chain, verification } = await response.json();
+
+            const status = verification.valid
+                ? '<div class="custody-status valid">✓ Custody chain intact</div>'
+                : `<div class="custody-status broken">⚠ Custody chain broken at entry ${verification.first_broken_link.sequence}</div>`;
+
+            timeline.innerHTML = status + chain.map(entry => `
+                <div class="custody-event">
+                    <div class="custody-timestamp">${new Date(entry.created_at).toLocaleString()}</div>
+                    <div class="custody-action">${this.escapeHtml(entry.event_type)}</div>
+                    <div class="custody-user">by ${this.escapeHtml(entry.actor)}${entry.actor_role ? ` (${this.escapeHtml(entry.actor_role)})` : ''}</div>
+                    <div class="custody-details">${this.escapeHtml(entry.purpose || '')}</div>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Custody chain error:', error);
+            timeline.innerHTML = '<div class="custody-event">Chain of custody unavailable</div>';
+        }
     }
 
     setupWatermark() {
@@ -550,6 +553,12 @@ class EvidencePreviewSystem {
     }
 
     // Utility methods
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
@@ -18,6 +18,7 @@ class ForgotPasswordManager {
         const resetForm = document.getElementById('resetPasswordForm');
         if (resetForm) {
             resetForm.addEventListener('submit', this.handleResetPassword.bind(this));
+            this.showPasswordRules();
         }
     }
 
@@ -51,11 +52,10 @@ class ForgotPasswordManager {
             submitBtn.disabled = true;
             submitBtn.textContent = 'Sending...';
 
-            // Simulate API call (replace with actual endpoint)
             const response = await this.sendResetEmail(email);
 
             if (response.success) {
-                this.showSuccess('Password reset email sent! Check your inbox.');
+                this.showSuccess(response.message || 'Password reset email sent! Check your inbox.');
                 document.getElementById('forgotPasswordModal').classList.remove('active');
             } else {
                 this.showError(response.error || 'Failed to send reset email');
@@ -85,11 +85,6 @@ class ForgotPasswordManager {
             return;
         }
 
-        if (newPassword.length < 6) {
-            this.showError('Password must be at least 6 characters');
-            return;
-        }
-
         try {
             const response = await this.resetPassword(token, newPassword);
 
@@ -106,70 +101,46 @@ class ForgotPasswordManager {
         }
     }
 
+    // The server answers the same way whether or not the address is registered
     async sendResetEmail(email) {
-        // Simulate sending reset email
-        // In production, this would call your backend API
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                // Check if email exists in localStorage (for demo)
-                const userExists = localStorage.getItem('emailUser_' + email);
-                if (userExists) {
-                    // Generate reset token and store it
-                    const resetToken = this.generateResetToken();
-                    const resetData = {
-                        email: email,
-                        token: resetToken,
-                        expires: Date.now() + (15 * 60 * 1000) // 15 minutes
-                    };
-                    localStorage.setItem('resetToken_' + resetToken, JSON.stringify(resetData));
-
-                    // In production, send actual email here
-                    console.log(`Reset link: ${window.location.origin}/reset-password.html?token=${resetToken}`);
-
-                    resolve({ success: true });
-                } else {
-                    resolve({ success: false, error: 'Email not found' });
-                }
-            }, 1000);
+        const response = await fetch(`${config.API_BASE_URL}/auth/password/forgot`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email })
         });
+        return response.json();
     }
 
+    // New passwords are checked against the server's password policy
     async resetPassword(token, newPassword) {
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                const resetData = localStorage.getItem('resetToken_' + token);
-                if (!resetData) {
-                    resolve({ success: false, error: 'Invalid or expired reset token' });
-                    return;
-                }
-
-                const data = JSON.parse(resetData);
-                if (Date.now() > data.expires) {
-                    localStorage.removeItem('resetToken_' + token);
-                    resolve({ success: false, error: 'Reset token has expired' });
-                    return;
-                }
-
-                // Update user password
-                const userData = localStorage.getItem('emailUser_' + data.email);
-                if (userData) {
-                    const user = JSON.parse(userData);
-                    user.password = newPassword;
-                    localStorage.setItem('emailUser_' + data.email, JSON.stringify(user));
-
-                    // Remove reset token
-                    localStorage.removeItem('resetToken_' + token);
-
-                    resolve({ success: true });
-                } else {
-                    resolve({ success: false, error: 'User not found' });
-                }
-            }, 1000);
+        const response = await fetch(`${config.API_BASE_URL}/auth/password/reset`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token, newPassword })
         });
+        return response.json();
     }
 
-    generateResetToken() {
-        return Math.random().toString(36).substring(2) + Date.now().toString(36);
+    // Describe the server's current password policy under the new password field
+    async showPasswordRules() {
+        const help = document.getElementById('passwordHelp');
+        if (!help) return;
+
+        try {
+            const response = await fetch(`${config.API_BASE_URL}/auth/password/policy`);
+            const { policy } = await response.json();
+            const classes = [
+                policy.require_uppercase && 'upper case letters',
+                policy.require_lowercase && 'lower case letters',
+                policy.require_numbers && 'numbers',
+                policy.require_special_chars && `${Math.max(policy.min_special_chars, 1)} or more symbols`
+            ].filter(Boolean);
+            help.textContent = `Use at least ${policy.min_length} characters` +
+                (classes.length ? ` with ${classes.join(', ')}` : '') +
+                '. Common and previously used passwords are not accepted.';
+        } catch (error) {
+            console.error('Failed to load password policy:', error);
+        }
     }
 
     getResetTokenFromURL() {
@@ -19,13 +19,30 @@ class PasswordPolicyAdmin {
             maxAge: 90,
             warningDays: 14,
             lockoutAttempts: 5,
-            lockoutDuration: 30
+            lockoutDuration: 15
+        };
+        // Form fields and the matching server policy settings
+        this.serverKeys = {
+            minLength: 'min_length',
+            maxLength: 'max_length',
+            requireUppercase: 'require_uppercase',
+            requireLowercase: 'require_lowercase',
+            requireNumbers: 'require_numbers',
+            requireSpecialChars: 'require_special_chars',
+            minSpecialChars: 'min_special_chars',
+            preventCommonPasswords: 'prevent_breached',
+            preventUserInfo: 'prevent_user_info',
+            preventReuse: 'history_count',
+            maxAge: 'max_age_days',
+            warningDays: 'warning_days',
+            lockoutAttempts: 'lockout_threshold',
+            lockoutDuration: 'lockout_duration_minutes'
         };
         this.init();
     }
 
-    init() {
-        this.loadCurrentPolicies();
+    async init() {
+        await this.loadCurrentPolicies();
         this.createAdminPanel();
     }
 
@@ -190,17 +207,44 @@ class PasswordPolicyAdmin {
             return;
         }
 
-        // Update password manager
-        if (window.passwordManager) {
-            window.passwordManager.updatePasswordPolicy(policies);
+        this.storePolicies(policies, 'Password policies saved successfully!');
+    }
+
+    // Save to the server, which enforces the policy and records the change
+    async storePolicies(policies, message) {
+        const body = {};
+        Object.entries(this.serverKeys).forEach(([key, serverKey]) => {
+            if (policies[key] !== undefined) body[serverKey] = policies[key];
+        });
+
+        try {
+            const response = await fetch(`${config.API_BASE_URL}/admin/password-policy`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                this.showStatus(data.error || 'Failed to save password policies', 'error');
+                return;
+            }
+
+            this.currentPolicies = { ...policies, ...this.fromServer(data.policy) };
+            if (window.passwordManager) {
+                window.passwordManager.updatePasswordPolicy(this.currentPolicies);
+            }
+            this.showStatus(message, 'success');
+        } catch (error) {
+            this.showStatus('Failed to save password policies', 'error');
         }
+    }
 
-        // Save to localStorage
-        localStorage.setItem('passwordPolicies', JSON.stringify(policies));
-        this.currentPolicies = policies;
-        
-        this.showStatus('Password policies saved successfully!', 'success');
-        this.logAdminAction('password_policies_updated', policies);
+    fromServer(policy) {
+        const policies = {};
+        Object.entries(this.serverKeys).forEach(([key, serverKey]) => {
+            if (policy[serverKey] !== undefined) policies[key] = policy[serverKey];
+        });
+        return policies;
     }
 
     // Validate policy configuration
@@ -244,17 +288,7 @@ class PasswordPolicyAdmin {
                 }
             });
 
-            // Update password manager
-            if (window.passwordManager) {
-                window.passwordManager.updatePasswordPolicy(this.defaultPolicies);
-            }
-
-            // Clear custom policies
-            localStorage.removeItem('passwordPolicies');
-            this.currentPolicies = { ...this.defaultPolicies };
-            
-            this.showStatus('Password policies reset to defaults', 'info');
-            this.logAdminAction('password_policies_reset');
+            this.storePolicies({ ...this.defaultPolicies }, 'Password policies reset to defaults');
         }
     }
 
@@ -451,17 +485,16 @@ class PasswordPolicyAdmin {
     }
 
     // Load current policies
-    loadCurrentPolicies() {
+    async loadCurrentPolicies() {
+        this.currentPolicies = { ...this.defaultPolicies };
         try {
-            const policies = localStorage.getItem('passwordPolicies');
-            if (policies) {
-                this.currentPolicies = JSON.parse(policies);
-            } else {
-                this.currentPolicies = { ...this.defaultPolicies };
+            const response = await fetch(`${config.API_BASE_URL}/admin/password-policy`);
+            if (response.ok) {
+                const { policy } = await response.json();
+                this.currentPolicies = { ...this.defaultPolicies, ...this.fromServer(policy) };
             }
         } catch (error) {
             console.error('Error loading password policies:', error);
-            this.currentPolicies = { ...this.defaultPolicies };
         }
     }
 
@@ -34,12 +34,38 @@ class PasswordSecurityManager {
     }
 
     init() {
-        this.loadPasswordHistory();
+        this.loadServerPolicy();
         this.createPasswordModal();
         this.setupPasswordValidation();
         this.checkPasswordExpiry();
     }
 
+    // Use the server's password policy, which is what new passwords are checked against
+    async loadServerPolicy() {
+        if (typeof config === 'undefined') return;
+        try {
+            const response = await fetch(`${config.API_BASE_URL}/auth/password/policy`);
+            const { policy } = await response.json();
+            this.policies = {
+                ...this.policies,
+                minLength: policy.min_length,
+                maxLength: policy.max_length,
+                requireUppercase: policy.require_uppercase,
+                requireLowercase: policy.require_lowercase,
+                requireNumbers: policy.require_numbers,
+                requireSpecialChars: policy.require_special_chars,
+                minSpecialChars: policy.min_special_chars,
+                preventCommonPasswords: policy.prevent_breached,
+                preventUserInfo: policy.prevent_user_info,
+                preventReuse: policy.history_count,
+                maxAge: policy.max_age_days,
+                warningDays: policy.warning_days
+            };
+        } catch (error) {
+            console.error('Error loading password policy:', error);
+        }
+    }
+
     // Validate password strength
     validatePassword(password, userInfo = {}) {
         const results = {
@@ -101,11 +127,6 @@ class PasswordSecurityManager {
             results.issues.push('Password should not contain personal information');
         }
 
-        // Password reuse check
-        if (this.isPasswordReused(password, userInfo.userId)) {
-            results.issues.push(`Password cannot be one of your last ${this.policies.preventReuse} passwords`);
-        }
-
         // Additional complexity checks
         results.score += this.calculateComplexityBonus(password);
 
@@ -194,20 +215,6 @@ class PasswordSecurityManager {
         });
     }
 
-    // Check password reuse
-    isPasswordReused(password, userId) {
-        if (!userId) return false;
-        
-        const history = this.getPasswordHistory(userId);
-        return history.some(oldPassword => this.comparePasswords(password, oldPassword));
-    }
-
-    // Compare passwords (would use proper hashing in production)
-    comparePasswords(password1, password2) {
-        // In production, this would compare hashed passwords
-        return password1 === password2;
-    }
-
     // Generate password suggestions
     generateSuggestions(password, issues) {
         const suggestions = [];
@@ -515,78 +522,28 @@ class PasswordSecurityManager {
         const newPassword = document.getElementById('new-password').value;
         const confirmPassword = document.getElementById('confirm-password').value;
         
-        // Validate current password
-        if (!this.verifyCurrentPassword(currentPassword)) {
-            alert('Current password is incorrect');
-            return;
-        }
-        
-        // Validate new password
-        const currentUser = localStorage.getItem('currentUser');
-        const userData = JSON.parse(localStorage.getItem('evidUser_' + currentUser) || '{}');
-        const validation = this.validatePassword(newPassword, userData);
-        
-        if (!validation.isValid) {
-            alert('New password does not meet security requirements');
-            return;
-        }
-        
         // Check password match
         if (newPassword !== confirmPassword) {
             alert('New passwords do not match');
             return;
         }
         
-        // Save new password
-        this.saveNewPassword(currentUser, newPassword);
-        
-        alert('Password changed successfully!');
-        this.closeChangePasswordModal();
-    }
-
-    // Verify current password
-    verifyCurrentPassword(password) {
-        // In production, this would verify against stored hash
-        return true; // Simplified for demo
-    }
-
-    // Save new password
-    saveNewPassword(userId, password) {
-        // Add to password history
-        this.addToPasswordHistory(userId, password);
-        
-        // Update password info
-        const passwordInfo = {
-            lastChanged: new Date().toISOString(),
-            changeCount: (this.getPasswordInfo(userId)?.changeCount || 0) + 1
-        };
-        
-        localStorage.setItem(`passwordInfo_${userId}`, JSON.stringify(passwordInfo));
-        
-        // In production, would hash and store password securely
-        console.log('Password updated for user:', userId);
-    }
-
-    // Password history management
-    addToPasswordHistory(userId, password) {
-        const history = this.getPasswordHistory(userId);
-        history.unshift(password); // Add to beginning
+        // The server verifies the current password and enforces the policy, history and breached list
+        const response = await fetch(`${config.API_BASE_URL}/auth/password/change`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+        const data = await response.json();
         
-        // Keep only last N passwords
-        if (history.length > this.policies.preventReuse) {
-            history.splice(this.policies.preventReuse);
+        if (!response.ok) {
+            alert(data.error || 'Failed to change password');
+            return;
         }
         
-        localStorage.setItem(`passwordHistory_${userId}`, JSON.stringify(history));
-    }
-
-    getPasswordHistory(userId) {
-        try {
-            const history = localStorage.getItem(`passwordHistory_${userId}`);
-            return history ? JSON.parse(history) : [];
-        } catch (error) {
-            return [];
-        }
+        alert('Password changed successfully!');
+        this.closeChangePasswordModal();
+        this.closeExpiredModal();
     }
 
     getPasswordInfo(userId) {
@@ -598,11 +555,6 @@ class PasswordSecurityManager {
         }
     }
 
-    loadPasswordHistory() {
-        // Load existing password history from storage
-        // This would typically be done from a secure backend
-    }
-
     // UI Methods
     showChangePasswordModal() {
         document.getElementById('change-password-modal').classList.add('active');
@@ -0,0 +1,131 @@
+// Two-person approval queue: admin creation, user deactivation, role changes,
+// evidence deletion and unsealing wait here until another eligible user approves them.
+class PendingApprovals {
+    constructor() {
+        this.initStyles();
+    }
+
+    initStyles() {
+        if (document.getElementById('pending-approval-styles')) return;
+        const style = document.createElement('style');
+        style.id = 'pending-approval-styles';
+        style.textContent = `
+            .pending-action { border: 1px solid #eee; border-radius: 6px; padding: 12px; margin: 10px 0; background: #f9f9f9; }
+            .pending-action-meta { font-size: 0.9em; color: #666; margin: 5px 0; }
+            .pending-action-btn { background: #d32f2f; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; margin: 4px; }
+            .pending-action-btn.secondary { background: #666; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    escape(value) {
+        const div = document.createElement('div');
+        div.textContent = value === null || value === undefined ? '' : String(value);
+        return div.innerHTML;
+    }
+
+    async getActions(status = 'pending') {
+        const response = await fetch(`/api/approvals?status=${encodeURIComponent(status)}`);
+        return await response.json();
+    }
+
+    async post(id, decision, body = {}) {
+        const response = await fetch(`/api/approvals/${id}/${decision}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `Failed to ${decision} request`);
+        return data;
+    }
+
+    approve(id, comment) {
+        return this.post(id, 'approve', { comment });
+    }
+
+    reject(id, reason) {
+        return this.post(id, 'reject', { reason });
+    }
+
+    cancel(id) {
+        return this.post(id, 'cancel');
+    }
+
+    async handle(decision, id, container) {
+        try {
+            if (decision === 'approve') {
+                const comment = prompt('Comment (optional):');
+                if (comment === null) return;
+                const { action } = await this.approve(id, comment);
+                alert(action.status === 'executed' ? 'Approved and carried out'
+                    : action.status === 'failed' ? `Approved, but it could not be carried out: ${action.error}`
+                    : 'Approval recorded; more approvals are needed');
+            } else if (decision === 'reject') {
+                const reason = prompt('Reason for rejecting:');
+                if (!reason) return;
+                await this.reject(id, reason);
+            } else {
+                if (!confirm('Withdraw this request?')) return;
+                await this.cancel(id);
+            }
+            await this.renderPendingPanel(container);
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    }
+
+    renderAction(action, currentUser) {
+        const own = action.requested_by === currentUser;
+        const buttons = [
+            action.can_approve ? `<button class="pending-action-btn" data-decision="approve" data-id="${action.id}">Approve</button>` : '',
+            action.can_approve ? `<button class="pending-action-btn secondary" data-decision="reject" data-id="${action.id}">Reject</button>` : '',
+            own ? `<button class="pending-action-btn secondary" data-decision="cancel" data-id="${action.id}">Withdraw</button>` : ''
+        ].join('');
+
+        return `
+            <div class="pending-action">
+                <div><strong>${this.escape(action.summary)}</strong></div>
+                <div class="pending-action-meta">
+                    Requested by ${own ? 'you' : this.escape(action.requested_by)} ·
+                    ${action.approvals.length}/${action.required_approvals} approvals ·
+                    expires ${new Date(action.expires_at).toLocaleString()}
+                </div>
+                ${action.reason ? `<div class="pending-action-meta">Reason: ${this.escape(action.reason)}</div>` : ''}
+                ${buttons}
+            </div>
+        `;
+    }
+
+    async renderPendingPanel(container) {
+        if (!container) return;
+        try {
+            const { actions = [] } = await this.getActions();
+            const session = JSON.parse(localStorage.getItem('authSession') || '{}');
+            const identifier = session.identifier || localStorage.getItem('currentWallet');
+
+            container.innerHTML = `
+                <div style="background: white; border: 1px solid #ddd; border-radius: 8px; padding: 20px; margin: 20px 0;">
+                    <h3>Pending Approvals (${actions.length})</h3>
+                    ${actions.length === 0
+                        ? '<p style="color: #666; text-align: center; padding: 20px;">No requests awaiting approval</p>'
+                        : actions.map(action => this.renderAction(action, identifier)).join('')}
+                </div>
+            `;
+
+            // Refresh when requests are made or decided elsewhere
+            if (window.realtimeSocket && !this.listening) {
+                this.listening = true;
+                window.realtimeSocket.on('pending_action', () => this.renderPendingPanel(container));
+            }
+
+            container.querySelectorAll('[data-decision]').forEach(button => {
+                button.addEventListener('click', () => this.handle(button.dataset.decision, button.dataset.id, container));
+            });
+        } catch (error) {
+            container.innerHTML = '<div style="color: red;">Error loading approval requests</div>';
+        }
+    }
+}
+
+window.pendingApprovals = new PendingApprovals();
@@ -5,14 +5,12 @@ class RetentionPolicyManager {
         this.legalHolds = new Map();
         this.currentUser = null;
         this.privilegedRoles = new Set(['admin', 'legal_professional', 'court_official', 'evidence_manager']);
-        this.retentionScheduler = null;
         this.init();
     }
 
     init() {
         this.loadCurrentUser();
         this.setupEventListeners();
-        this.initializeRetentionScheduler();
         this.loadRetentionPolicies();
         this.loadLegalHolds();
     }
@@ -73,126 +71,86 @@ class RetentionPolicyManager {
         }
     }
 
-    async updateRetentionPolicy(policyId, updates) {
+    // Preview the update first (dry run), then apply it at the previewed version.
+    // Pass a preview from an earlier call to skip the first request.
+    async previewRetentionPolicyUpdate(policyId, updates) {
+        const response = await fetch(`/api/retention-policies/${policyId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...updates, dryRun: true })
+        });
+
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to preview retention policy update');
+        return result;
+    }
+
+    async updateRetentionPolicy(policyId, updates, reason, preview = null) {
         if (!this.hasAdminAccess()) {
             throw new Error('Admin access required to update retention policies');
         }
 
-        const policy = this.policies.get(policyId);
-        if (!policy) {
-            throw new Error('Retention policy not found');
-        }
-
-        const updatedPolicy = {
-            ...policy,
-            ...updates,
-            updatedBy: this.currentUser.wallet,
-            updatedAt: new Date().toISOString()
-        };
-
-        try {
-            const response = await fetch(`/api/retention-policies/${policyId}`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(updatedPolicy)
-            });
-
-            if (!response.ok) throw new Error('Failed to update retention policy');
+        const { policy } = preview || await this.previewRetentionPolicyUpdate(policyId, updates);
+        const response = await fetch(`/api/retention-policies/${policyId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...updates, version: policy.version, reason })
+        });
 
-            this.policies.set(policyId, updatedPolicy);
-            
-            this.logAdminAction('retention_policy_updated', policyId, {
-                changes: updates
-            });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to update retention policy');
 
-            return updatedPolicy;
-        } catch (error) {
-            console.error('Error updating retention policy:', error);
-            throw error;
-        }
+        this.policies.set(policyId, result.policy);
+        return result;
     }
 
-    async deleteRetentionPolicy(policyId) {
+    // The server refuses while evidence is still under the policy
+    async deleteRetentionPolicy(policyId, reason) {
         if (!this.hasAdminAccess()) {
             throw new Error('Admin access required to delete retention policies');
         }
 
-        // Check if policy is in use
-        const evidenceUsingPolicy = await this.getEvidenceByRetentionPolicy(policyId);
-        if (evidenceUsingPolicy.length > 0) {
-            throw new Error('Cannot delete policy: Evidence items are using this policy');
-        }
-
-        try {
-            const response = await fetch(`/api/retention-policies/${policyId}`, {
-                method: 'DELETE'
-            });
-
-            if (!response.ok) throw new Error('Failed to delete retention policy');
+        const response = await fetch(`/api/retention-policies/${policyId}`, {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason })
+        });
 
-            this.policies.delete(policyId);
-            
-            this.logAdminAction('retention_policy_deleted', policyId, {});
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to delete retention policy');
 
-            return true;
-        } catch (error) {
-            console.error('Error deleting retention policy:', error);
-            throw error;
-        }
+        this.policies.delete(policyId);
+        return true;
     }
 
-    // Legal Hold Management
+    // Legal Hold Management. The server applies holds to evidence in scope (including
+    // evidence added to held cases or tags later), notifies custodians and audits changes.
     async createLegalHold(holdData) {
         if (!this.hasPrivilegedAccess()) {
             throw new Error('Privileged access required to create legal holds');
         }
 
-        const legalHold = {
-            id: 'LH-' + Date.now(),
-            caseId: holdData.caseId,
-            evidenceIds: holdData.evidenceIds || [],
-            reason: holdData.reason,
-            legalBasis: holdData.legalBasis,
-            courtOrder: holdData.courtOrder || null,
-            startDate: new Date().toISOString(),
-            endDate: holdData.endDate || null,
-            createdBy: this.currentUser.wallet,
-            createdAt: new Date().toISOString(),
-            isActive: true,
-            notifications: {
-                stakeholders: holdData.stakeholders || [],
-                frequency: holdData.notificationFrequency || 'weekly'
-            }
-        };
-
-        try {
-            const response = await fetch('/api/legal-holds', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(legalHold)
-            });
-
-            if (!response.ok) throw new Error('Failed to create legal hold');
-
-            const result = await response.json();
-            this.legalHolds.set(legalHold.id, legalHold);
-
-            // Apply legal hold to evidence
-            await this.applyLegalHoldToEvidence(legalHold.evidenceIds, legalHold.id);
-
-            // Send notifications
-            await this.notifyLegalHoldStakeholders(legalHold, 'created');
+        const response = await fetch('/api/legal-holds', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                matterName: holdData.matterName,
+                issuingAuthority: holdData.issuingAuthority,
+                courtOrderReference: holdData.courtOrder || null,
+                description: holdData.reason,
+                custodians: holdData.stakeholders || [],
+                caseIds: holdData.caseIds || (holdData.caseId ? [holdData.caseId] : []),
+                tagIds: holdData.tagIds || [],
+                evidenceIds: holdData.evidenceIds || [],
+                startsAt: holdData.startDate || undefined
+            })
+        });
 
-            this.logAdminAction('legal_hold_created', legalHold.id, {
-                caseId: legalHold.caseId,
-                evidenceCount: legalHold.evidenceIds.length
-            });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to create legal hold');
 
-            return result;
-        } catch (error) {
-            console.error('Error creating legal hold:', error);
-            throw error;
-        }
+        this.legalHolds.set(result.hold.id, result.hold);
+        return result;
     }
 
     async updateLegalHold(holdId, updates) {
@@ -200,43 +158,17 @@ class RetentionPolicyManager {
             throw new Error('Privileged access required to update legal holds');
         }
 
-        const hold = this.legalHolds.get(holdId);
-        if (!hold) {
-            throw new Error('Legal hold not found');
-        }
-
-        const updatedHold = {
-            ...hold,
-            ...updates,
-            updatedBy: this.currentUser.wallet,
-            updatedAt: new Date().toISOString()
-        };
-
-        try {
-            const response = await fetch(`/api/legal-holds/${holdId}`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(updatedHold)
-            });
-
-            if (!response.ok) throw new Error('Failed to update legal hold');
-
-            this.legalHolds.set(holdId, updatedHold);
-
-            // Update evidence legal hold status if evidence list changed
-            if (updates.evidenceIds) {
-                await this.updateEvidenceLegalHoldStatus(hold.evidenceIds, updatedHold.evidenceIds, holdId);
-            }
+        const response = await fetch(`/api/legal-holds/${holdId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(updates)
+        });
 
-            this.logAdminAction('legal_hold_updated', holdId, {
-                changes: updates
-            });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to update legal hold');
 
-            return updatedHold;
-        } catch (error) {
-            console.error('Error updating legal hold:', error);
-            throw error;
-        }
+        this.legalHolds.set(result.hold.id, result.hold);
+        return result.hold;
     }
 
     async releaseLegalHold(holdId, releaseReason) {
@@ -244,47 +176,28 @@ class RetentionPolicyManager {
             throw new Error('Privileged access required to release legal holds');
         }
 
-        const hold = this.legalHolds.get(holdId);
-        if (!hold) {
-            throw new Error('Legal hold not found');
+        if (!releaseReason) {
+            throw new Error('A reason is required to release a legal hold');
         }
 
-        const releasedHold = {
-            ...hold,
-            isActive: false,
-            endDate: new Date().toISOString(),
-            releaseReason: releaseReason,
-            releasedBy: this.currentUser.wallet,
-            releasedAt: new Date().toISOString()
-        };
-
-        try {
-            const response = await fetch(`/api/legal-holds/${holdId}/release`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ releaseReason })
-            });
-
-            if (!response.ok) throw new Error('Failed to release legal hold');
-
-            this.legalHolds.set(holdId, releasedHold);
-
-            // Remove legal hold from evidence
-            await this.removeLegalHoldFromEvidence(hold.evidenceIds, holdId);
+        const response = await fetch(`/api/legal-holds/${holdId}/release`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason: releaseReason })
+        });
 
-            // Send notifications
-            await this.notifyLegalHoldStakeholders(releasedHold, 'released');
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to release legal hold');
 
-            this.logAdminAction('legal_hold_released', holdId, {
-                releaseReason: releaseReason,
-                evidenceCount: hold.evidenceIds.length
-            });
+        this.legalHolds.set(result.hold.id, result.hold);
+        return result.hold;
+    }
 
-            return releasedHold;
-        } catch (error) {
-            console.error('Error releasing legal hold:', error);
-            throw error;
-        }
+    async getLegalHoldReport(holdId) {
+        const response = await fetch(`/api/legal-holds/${holdId}/report`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load legal hold report');
+        return result;
     }
 
     // Evidence Retention Management
@@ -339,89 +252,64 @@ class RetentionPolicyManager {
         }
     }
 
-    async archiveExpiredEvidence(evidenceIds, archiveLocation) {
-        if (!this.hasAdminAccess()) {
-            throw new Error('Admin access required to archive evidence');
-        }
-
-        try {
-            const response = await fetch('/api/evidence/archive', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    evidenceIds,
-                    archiveLocation,
-                    archivedBy: this.currentUser.wallet,
-                    archiveDate: new Date().toISOString()
-                })
-            });
+    // Disposition queue. The server's retention job queues expired evidence here;
+    // an evidence manager approves or rejects each disposal.
+    async getDispositions(status = 'pending') {
+        const response = await fetch(`/api/retention/dispositions?status=${encodeURIComponent(status)}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load dispositions');
+        return result.dispositions;
+    }
 
-            if (!response.ok) throw new Error('Failed to archive evidence');
+    async approveDisposition(dispositionId) {
+        const response = await fetch(`/api/retention/dispositions/${dispositionId}/approve`, { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to approve disposition');
+        return result.disposition;
+    }
 
-            this.logAdminAction('evidence_archived', null, {
-                evidenceIds,
-                archiveLocation
-            });
+    async rejectDisposition(dispositionId, reason) {
+        const response = await fetch(`/api/retention/dispositions/${dispositionId}/reject`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to reject disposition');
+        return result.disposition;
+    }
 
-            return await response.json();
-        } catch (error) {
-            console.error('Error archiving evidence:', error);
-            throw error;
-        }
+    async getDispositionCertificate(dispositionId) {
+        const response = await fetch(`/api/retention/dispositions/${dispositionId}/certificate`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load certificate');
+        return result;
     }
 
     // Legal Hold Evidence Management
     async applyLegalHoldToEvidence(evidenceIds, holdId) {
-        try {
-            const response = await fetch('/api/evidence/apply-legal-hold', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    evidenceIds,
-                    holdId,
-                    appliedBy: this.currentUser.wallet
-                })
-            });
-
-            if (!response.ok) throw new Error('Failed to apply legal hold to evidence');
-            return await response.json();
-        } catch (error) {
-            console.error('Error applying legal hold to evidence:', error);
-            throw error;
-        }
-    }
-
-    async removeLegalHoldFromEvidence(evidenceIds, holdId) {
-        try {
-            const response = await fetch('/api/evidence/remove-legal-hold', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    evidenceIds,
-                    holdId,
-                    removedBy: this.currentUser.wallet
-                })
-            });
+        const response = await fetch('/api/evidence/apply-legal-hold', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ evidenceIds, holdId })
+        });
 
-            if (!response.ok) throw new Error('Failed to remove legal hold from evidence');
-            return await response.json();
-        } catch (error) {
-            console.error('Error removing legal hold from evidence:', error);
-            throw error;
-        }
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to apply legal hold to evidence');
+        return result;
     }
 
-    async updateEvidenceLegalHoldStatus(oldEvidenceIds, newEvidenceIds, holdId) {
-        const toRemove = oldEvidenceIds.filter(id => !newEvidenceIds.includes(id));
-        const toAdd = newEvidenceIds.filter(id => !oldEvidenceIds.includes(id));
-
-        if (toRemove.length > 0) {
-            await this.removeLegalHoldFromEvidence(toRemove, holdId);
-        }
+    // Items still covered by the hold's cases or tags stay held (see still_held)
+    async removeLegalHoldFromEvidence(evidenceIds, holdId, reason) {
+        const response = await fetch('/api/evidence/remove-legal-hold', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ evidenceIds, holdId, reason })
+        });
 
-        if (toAdd.length > 0) {
-            await this.applyLegalHoldToEvidence(toAdd, holdId);
-        }
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to remove legal hold from evidence');
+        return result;
     }
 
     // Validation and Checks
@@ -485,82 +373,6 @@ class RetentionPolicyManager {
         }
     }
 
-    // Notification System
-    async notifyLegalHoldStakeholders(legalHold, action) {
-        const notifications = legalHold.notifications.stakeholders.map(stakeholder => ({
-            recipient: stakeholder,
-            title: `Legal Hold ${action.charAt(0).toUpperCase() + action.slice(1)}`,
-            message: `Legal hold for case ${legalHold.caseId} has been ${action}. Reason: ${legalHold.reason}`,
-            type: 'legal_hold',
-            data: {
-                legalHoldId: legalHold.id,
-                caseId: legalHold.caseId,
-                action: action
-            }
-        }));
-
-        try {
-            const response = await fetch('/api/notifications/bulk-create', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ notifications })
-            });
-
-            if (!response.ok) throw new Error('Failed to send notifications');
-        } catch (error) {
-            console.error('Error sending legal hold notifications:', error);
-        }
-    }
-
-    async notifyRetentionExpiry(evidenceList) {
-        const notifications = evidenceList.map(evidence => ({
-            recipient: evidence.submittedBy,
-            title: 'Evidence Retention Expiring',
-            message: `Evidence "${evidence.title}" will expire on ${new Date(evidence.expiryDate).toLocaleDateString()}`,
-            type: 'retention_expiry',
-            data: {
-                evidenceId: evidence.id,
-                expiryDate: evidence.expiryDate
-            }
-        }));
-
-        try {
-            const response = await fetch('/api/notifications/bulk-create', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ notifications })
-            });
-
-            if (!response.ok) throw new Error('Failed to send retention notifications');
-        } catch (error) {
-            console.error('Error sending retention notifications:', error);
-        }
-    }
-
-    // Scheduler and Automation
-    initializeRetentionScheduler() {
-        // Check for expiring evidence daily
-        this.retentionScheduler = setInterval(async () => {
-            try {
-                const expiringEvidence = await this.getExpiringEvidence(7); // 7 days ahead
-                if (expiringEvidence.length > 0) {
-                    await this.notifyRetentionExpiry(expiringEvidence);
-                }
-
-                // Auto-archive expired evidence if policy allows
-                const expiredEvidence = await this.getExpiringEvidence(0); // Already expired
-                for (const evidence of expiredEvidence) {
-                    const policy = this.policies.get(evidence.retentionPolicyId);
-                    if (policy && policy.autoArchive) {
-                        await this.archiveExpiredEvidence([evidence.id], 'auto-archive');
-                    }
-                }
-            } catch (error) {
-                console.error('Error in retention scheduler:', error);
-            }
-        }, 24 * 60 * 60 * 1000); // 24 hours
-    }
-
     // Data Loading
     async loadRetentionPolicies() {
         try {
@@ -581,7 +393,7 @@ class RetentionPolicyManager {
             const response = await fetch('/api/legal-holds');
             if (!response.ok) throw new Error('Failed to load legal holds');
             
-            const holds = await response.json();
+            const { holds } = await response.json();
             holds.forEach(hold => {
                 this.legalHolds.set(hold.id, hold);
             });
@@ -603,8 +415,9 @@ class RetentionPolicyManager {
         try {
             const response = await fetch(`/api/evidence/by-retention-policy/${policyId}`);
             if (!response.ok) throw new Error('Failed to get evidence by retention policy');
-            
-            return await response.json();
+
+            const { evidence } = await response.json();
+            return evidence;
         } catch (error) {
             console.error('Error getting evidence by retention policy:', error);
             return [];
@@ -640,12 +453,6 @@ class RetentionPolicyManager {
         console.log('Rendering legal hold interface');
     }
 
-    // Cleanup
-    destroy() {
-        if (this.retentionScheduler) {
-            clearInterval(this.retentionScheduler);
-        }
-    }
 }
 
 // Initialize the retention policy manager
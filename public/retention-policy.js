@@ -11,8 +11,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
     
     await loadRetentionPolicies();
+    await loadRetentionRules();
     await loadEvidenceExpiry();
-    setupCronJob();
+    await loadDispositions();
 });
 
 // Load retention policies
@@ -50,6 +51,87 @@ function displayPolicies() {
     `).join('');
 }
 
+// Load retention policy assignment rules
+async function loadRetentionRules() {
+    try {
+        const response = await fetch('/api/retention-rules');
+        const data = await response.json();
+
+        if (data.success) {
+            displayRules(data.rules);
+        }
+    } catch (error) {
+        console.error('Error loading rules:', error);
+    }
+}
+
+function displayRules(rules) {
+    const container = document.getElementById('rulesList');
+    if (!rules.length) {
+        container.innerHTML = '<p>No assignment rules. Policies are only applied manually.</p>';
+        return;
+    }
+
+    const policyName = (id) => (retentionPolicies.find(policy => policy.id === id) || {}).name || `Policy #${id}`;
+    container.innerHTML = rules.map(rule => `
+        <div class="policy-card">
+            <h4>${rule.name}</h4>
+            <p><strong>Policy:</strong> ${policyName(rule.policy_id)}</p>
+            <p><strong>Case Type:</strong> ${rule.case_type || 'Any'}</p>
+            <p><strong>Jurisdiction:</strong> ${rule.jurisdiction || 'Any'}</p>
+            <p><strong>Evidence Type:</strong> ${rule.evidence_type || 'Any'}</p>
+            <p><strong>Tag:</strong> ${rule.tag_id ? `#${rule.tag_id}` : 'Any'}</p>
+            <p><strong>Retention Starts:</strong> ${rule.starts_on_status ? `When the case is ${rule.starts_on_status}` : 'At upload'}</p>
+            <div class="policy-actions">
+                <button onclick="deactivateRule(${rule.id})" class="btn btn-danger">Deactivate</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+async function createRetentionRule() {
+    const formData = {
+        name: document.getElementById('ruleName').value,
+        policyId: parseInt(document.getElementById('rulePolicySelect').value),
+        caseType: document.getElementById('ruleCaseType').value,
+        jurisdiction: document.getElementById('ruleJurisdiction').value,
+        evidenceType: document.getElementById('ruleEvidenceType').value,
+        tagId: document.getElementById('ruleTagId').value || null,
+        startsOnStatus: document.getElementById('ruleStartsOnStatus').value
+    };
+
+    try {
+        const response = await fetch('/api/retention-rules', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(formData)
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+
+        closeModal('createRuleModal');
+        await loadRetentionRules();
+        showNotification('Assignment rule created', 'success');
+    } catch (error) {
+        showNotification('Error creating rule: ' + error.message, 'error');
+    }
+}
+
+async function deactivateRule(ruleId) {
+    if (!confirm('Deactivate this rule? Policies it already assigned stay in place.')) return;
+
+    try {
+        const response = await fetch(`/api/retention-rules/${ruleId}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+
+        await loadRetentionRules();
+        showNotification('Assignment rule deactivated', 'success');
+    } catch (error) {
+        showNotification('Error deactivating rule: ' + error.message, 'error');
+    }
+}
+
 // Load evidence expiry information
 async function loadEvidenceExpiry() {
     try {
@@ -100,11 +182,11 @@ function displayEvidenceExpiry(evidence) {
                 <p><strong>Case:</strong> ${item.case_id}</p>
                 <p><strong>Status:</strong> <span class="${statusClass}">${statusText}</span></p>
                 <p><strong>Expiry Date:</strong> ${item.expiry_date ? new Date(item.expiry_date).toLocaleDateString() : 'Not set'}</p>
+                ${item.retention_assignment ? `<p><strong>Policy Assignment:</strong> ${item.retention_assignment.explanation}</p>` : ''}
                 <div class="evidence-actions">
                     ${!item.legal_hold ? `<button onclick="setLegalHold(${item.id}, true)" class="btn btn-warning">Set Legal Hold</button>` : 
                       `<button onclick="setLegalHold(${item.id}, false)" class="btn btn-secondary">Remove Legal Hold</button>`}
                     <button onclick="updateRetentionPolicy(${item.id})" class="btn btn-primary">Update Policy</button>
-                    ${daysUntilExpiry < 0 && !item.legal_hold ? `<button onclick="destroyEvidence(${item.id})" class="btn btn-danger">Destroy Evidence</button>` : ''}
                 </div>
             </div>
         `;
@@ -143,6 +225,109 @@ async function createRetentionPolicy() {
     }
 }
 
+// Edit a policy: preview the changes (dry run) first, then apply them at the
+// previewed version so concurrent edits are caught
+let editingPolicy = null;
+
+function editPolicy(policyId) {
+    editingPolicy = retentionPolicies.find(policy => policy.id === policyId);
+    if (!editingPolicy) return;
+
+    document.getElementById('editPolicyName').value = editingPolicy.name;
+    document.getElementById('editRetentionDays').value = editingPolicy.retention_days;
+    document.getElementById('editArchiveMethod').value = editingPolicy.archive_method;
+    document.getElementById('editJurisdiction').value = editingPolicy.jurisdiction || '';
+    document.getElementById('editLawReference').value = editingPolicy.law_reference || '';
+    document.getElementById('editPolicyReason').value = '';
+    document.getElementById('editPolicyPreview').innerHTML = '';
+    document.getElementById('applyPolicyChangesBtn').disabled = true;
+    document.getElementById('editPolicyModal').style.display = 'block';
+}
+
+function getPolicyChanges() {
+    return {
+        name: document.getElementById('editPolicyName').value,
+        retentionDays: parseInt(document.getElementById('editRetentionDays').value),
+        archiveMethod: document.getElementById('editArchiveMethod').value,
+        jurisdiction: document.getElementById('editJurisdiction').value,
+        lawReference: document.getElementById('editLawReference').value
+    };
+}
+
+async function submitPolicyChanges(body) {
+    const response = await fetch(`/api/retention-policies/${editingPolicy.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...getPolicyChanges(), ...body })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error);
+    return data;
+}
+
+async function previewPolicyChanges() {
+    try {
+        const data = await submitPolicyChanges({ dryRun: true });
+        editingPolicy = data.policy;
+
+        const changes = Object.entries(data.changes);
+        document.getElementById('editPolicyPreview').innerHTML = changes.length ? `
+            <h4>Changes</h4>
+            <ul>${changes.map(([field, change]) => `<li>${field}: ${change.from ?? 'none'} &rarr; ${change.to ?? 'none'}</li>`).join('')}</ul>
+            <p><strong>${data.summary.affected}</strong> evidence items change expiry date
+                (${data.summary.shift_days >= 0 ? '+' : ''}${data.summary.shift_days} days);
+                <strong>${data.summary.expires_immediately}</strong> expire immediately.</p>
+            <ul>${data.evidence.map(item => `
+                <li>${item.title}: ${new Date(item.expiry_date.from).toLocaleDateString()} &rarr; ${new Date(item.expiry_date.to).toLocaleDateString()}
+                    ${item.expires_immediately ? '<strong>(expires immediately)</strong>' : ''}
+                    ${item.protected ? '(on hold or sealed)' : ''}</li>
+            `).join('')}</ul>
+        ` : '<p>No changes.</p>';
+        document.getElementById('applyPolicyChangesBtn').disabled = changes.length === 0;
+    } catch (error) {
+        showNotification('Error previewing changes: ' + error.message, 'error');
+    }
+}
+
+async function applyPolicyChanges() {
+    const reason = document.getElementById('editPolicyReason').value.trim();
+    if (!reason) {
+        showNotification('A reason for the change is required', 'error');
+        return;
+    }
+
+    try {
+        const data = await submitPolicyChanges({ version: editingPolicy.version, reason });
+        closeModal('editPolicyModal');
+        await loadRetentionPolicies();
+        await loadEvidenceExpiry();
+        showNotification(`Policy updated; ${data.summary.affected} evidence expiry dates changed`, 'success');
+    } catch (error) {
+        showNotification('Error updating policy: ' + error.message, 'error');
+    }
+}
+
+// Delete a policy; the server refuses while evidence is still under it
+async function deletePolicy(policyId) {
+    const reason = prompt('Reason for deleting this policy:');
+    if (!reason) return;
+
+    try {
+        const response = await fetch(`/api/retention-policies/${policyId}`, {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+
+        await loadRetentionPolicies();
+        showNotification('Retention policy deleted', 'success');
+    } catch (error) {
+        showNotification('Error deleting policy: ' + error.message, 'error');
+    }
+}
+
 // Set legal hold
 async function setLegalHold(evidenceId, hold) {
     try {
@@ -193,51 +378,135 @@ async function applyBulkPolicy() {
     }
 }
 
-// Generate retention report
-async function generateRetentionReport() {
+// Download the retention compliance report (pdf or csv)
+async function generateRetentionReport(format = 'pdf') {
     try {
-        const response = await fetch('/api/retention-report', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ userWallet: currentUser.wallet_address })
-        });
-        
-        if (response.ok) {
-            const blob = await response.blob();
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `retention_report_${new Date().toISOString().split('T')[0]}.pdf`;
-            a.click();
-            showNotification('Report generated successfully', 'success');
+        const response = await fetch(`/api/retention-report?format=${format}`);
+        if (!response.ok) throw new Error((await response.json()).error);
+
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `retention_report_${new Date().toISOString().split('T')[0]}.${format}`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+        showNotification('Report generated successfully', 'success');
+    } catch (error) {
+        showNotification('Error generating report: ' + error.message, 'error');
+    }
+}
+
+// Run the server's retention check now: expiry warnings and the disposition queue.
+// It also runs on a schedule (RETENTION_CRON).
+async function checkExpiringEvidence() {
+    try {
+        const response = await fetch('/api/evidence/check-expiry', { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+
+        showNotification(`Sent ${data.notifications_sent} expiry warnings; ${data.queued_for_disposition} items queued for disposition`, 'success');
+        await loadEvidenceExpiry();
+        await loadDispositions();
+    } catch (error) {
+        console.error('Error checking expiring evidence:', error);
+        showNotification('Error checking expiring evidence', 'error');
+    }
+}
+
+// Load the disposition queue
+async function loadDispositions() {
+    try {
+        const status = document.getElementById('dispositionFilter').value;
+        const response = await fetch(`/api/retention/dispositions?status=${status}`);
+        const data = await response.json();
+
+        if (data.success) {
+            displayDispositions(data.dispositions);
         }
     } catch (error) {
-        showNotification('Error generating report', 'error');
+        console.error('Error loading dispositions:', error);
     }
 }
 
-// Setup cron job simulation for expiry checks
-function setupCronJob() {
-    // Check for expiring evidence every hour
-    setInterval(checkExpiringEvidence, 60 * 60 * 1000);
-    checkExpiringEvidence(); // Initial check
+// Display the disposition queue
+function displayDispositions(dispositions) {
+    const container = document.getElementById('dispositionList');
+
+    if (!dispositions.length) {
+        container.innerHTML = '<p>No dispositions found for selected filter.</p>';
+        return;
+    }
+
+    const canDispose = currentUser.role === 'evidence_manager';
+    container.innerHTML = dispositions.map(item => `
+        <div class="evidence-item">
+            <h4>${item.evidence ? item.evidence.title : `Evidence #${item.evidence_id}`}</h4>
+            <p><strong>Method:</strong> ${item.archive_method}</p>
+            <p><strong>Expired:</strong> ${new Date(item.expiry_date).toLocaleDateString()}</p>
+            <p><strong>Status:</strong> ${item.status}${item.error || item.decision_reason ? ` (${item.error || item.decision_reason})` : ''}</p>
+            <div class="evidence-actions">
+                ${item.status === 'pending' && canDispose ? `
+                    <button onclick="approveDisposition(${item.id})" class="btn btn-danger">Approve ${item.archive_method}</button>
+                    <button onclick="rejectDisposition(${item.id})" class="btn btn-secondary">Keep Evidence</button>
+                ` : ''}
+                ${item.certificate ? `<button onclick="downloadCertificate(${item.id})" class="btn btn-secondary">Certificate</button>` : ''}
+            </div>
+        </div>
+    `).join('');
 }
 
-// Check for expiring evidence
-async function checkExpiringEvidence() {
+async function approveDisposition(dispositionId) {
+    if (!confirm('Carry out this disposal? This cannot be undone.')) return;
+
     try {
-        const response = await fetch('/api/evidence/check-expiry', {
+        const response = await fetch(`/api/retention/dispositions/${dispositionId}/approve`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+
+        const { disposition } = data;
+        showNotification(disposition.status === 'completed'
+            ? 'Disposal completed'
+            : `Disposal ${disposition.status}: ${disposition.error}`, disposition.status === 'completed' ? 'success' : 'error');
+        await loadDispositions();
+    } catch (error) {
+        showNotification('Error approving disposal: ' + error.message, 'error');
+    }
+}
+
+async function rejectDisposition(dispositionId) {
+    const reason = prompt('Reason for keeping this evidence:');
+    if (!reason) return;
+
+    try {
+        const response = await fetch(`/api/retention/dispositions/${dispositionId}/reject`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ userWallet: currentUser.wallet_address })
+            body: JSON.stringify({ reason })
         });
-        
         const data = await response.json();
-        if (data.notifications_sent > 0) {
-            console.log(`Sent ${data.notifications_sent} expiry notifications`);
-        }
+        if (!response.ok) throw new Error(data.error);
+
+        showNotification('Disposal rejected', 'success');
+        await loadDispositions();
     } catch (error) {
-        console.error('Error checking expiring evidence:', error);
+        showNotification('Error rejecting disposal: ' + error.message, 'error');
+    }
+}
+
+async function downloadCertificate(dispositionId) {
+    try {
+        const response = await fetch(`/api/retention/dispositions/${dispositionId}/certificate`);
+        if (!response.ok) throw new Error('Certificate not found');
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `disposition_${dispositionId}_certificate.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        showNotification('Error downloading certificate: ' + error.message, 'error');
     }
 }
 
@@ -246,6 +515,10 @@ function showCreatePolicyModal() {
     document.getElementById('createPolicyModal').style.display = 'block';
 }
 
+function showCreateRuleModal() {
+    document.getElementById('createRuleModal').style.display = 'block';
+}
+
 function showBulkPolicyModal() {
     document.getElementById('bulkPolicyModal').style.display = 'block';
 }
@@ -255,10 +528,11 @@ function closeModal(modalId) {
 }
 
 function populatePolicySelects() {
-    const select = document.getElementById('bulkPolicySelect');
-    select.innerHTML = retentionPolicies.map(policy => 
+    const options = retentionPolicies.map(policy => 
         `<option value="${policy.id}">${policy.name} (${policy.retention_days} days)</option>`
     ).join('');
+    document.getElementById('bulkPolicySelect').innerHTML = options;
+    document.getElementById('rulePolicySelect').innerHTML = options;
 }
 
 function showNotification(message, type) {
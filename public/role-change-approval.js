@@ -61,9 +61,10 @@ class RoleChangeApproval {
         modal.innerHTML = `
             <div class="approval-content">
                 <h3>Role Change Approval</h3>
-                <p><strong>Target:</strong> ${request.target_wallet.substring(0, 8)}...</p>
-                <p><strong>Current:</strong> ${request.old_role} → <strong>New:</strong> ${request.new_role}</p>
-                <p><strong>Requested by:</strong> ${request.requesting_admin.substring(0, 8)}...</p>
+                <p><strong>Target:</strong> ${request.target.substring(0, 8)}...</p>
+                <p><strong>Current:</strong> ${request.payload.old_role} → <strong>New:</strong> ${request.payload.new_role}</p>
+                <p><strong>Requested by:</strong> ${request.requested_by.substring(0, 8)}...</p>
+                <p><strong>Approvals:</strong> ${request.approvals.length}/${request.required_approvals}</p>
                 ${request.reason ? `<p><strong>Reason:</strong> ${request.reason}</p>` : ''}
                 <textarea id="rejectionReason" placeholder="Rejection reason (optional)" style="width: 100%; margin: 10px 0; padding: 8px;"></textarea>
                 <div>
@@ -114,8 +115,8 @@ class RoleChangeApproval {
                         '<p style="color: #666; text-align: center; padding: 20px;">No pending requests</p>' :
                         requests.map(req => `
                             <div style="border: 1px solid #eee; border-radius: 6px; padding: 12px; margin: 10px 0; background: #f9f9f9;">
-                                <div><strong>${req.target_wallet.substring(0, 8)}...</strong> : ${req.old_role} → ${req.new_role}</div>
-                                <div style="font-size: 0.9em; color: #666; margin: 5px 0;">Requested by: ${req.requesting_admin.substring(0, 8)}...</div>
+                                <div><strong>${req.target.substring(0, 8)}...</strong> : ${req.payload.old_role} → ${req.payload.new_role}</div>
+                                <div style="font-size: 0.9em; color: #666; margin: 5px 0;">Requested by: ${req.requested_by.substring(0, 8)}...</div>
                                 <button class="approval-btn" onclick="window.roleChangeApproval.showApprovalDialog(${JSON.stringify(req).replace(/"/g, '&quot;')})">
                                     Review
                                 </button>
@@ -1,118 +1,33 @@
 // Session Management and Rate Limiting System
 class SessionManager {
     constructor() {
-        this.sessions = new Map();
         this.rateLimiter = new Map();
-        this.init();
-    }
-
-    init() {
-        // Clean up expired sessions on page load
-        this.cleanupExpiredSessions();
-        
-        // Set up periodic cleanup
-        setInterval(() => this.cleanupExpiredSessions(), 5 * 60 * 1000); // Every 5 minutes
-    }
-
-    createSession(userWallet, deviceInfo = {}) {
-        const sessionId = this.generateSessionId();
-        const session = {
-            id: sessionId,
-            userWallet,
-            deviceInfo: {
-                userAgent: navigator.userAgent,
-                platform: navigator.platform,
-                language: navigator.language,
-                ...deviceInfo
-            },
-            createdAt: new Date().toISOString(),
-            lastActive: new Date().toISOString(),
-            ipAddress: 'localhost', // In production, get real IP
-            isActive: true
-        };
-        
-        this.sessions.set(sessionId, session);
-        localStorage.setItem('sessionId', sessionId);
-        localStorage.setItem('sessionData_' + sessionId, JSON.stringify(session));
-        
-        return sessionId;
     }
 
-    validateSession(sessionId) {
-        if (!sessionId) return false;
-        
-        const session = this.sessions.get(sessionId) || 
-                       JSON.parse(localStorage.getItem('sessionData_' + sessionId) || 'null');
-        
-        if (!session || !session.isActive) return false;
-        
-        // Check if session is expired (24 hours)
-        const sessionAge = Date.now() - new Date(session.createdAt).getTime();
-        if (sessionAge > 24 * 60 * 60 * 1000) {
-            this.terminateSession(sessionId);
-            return false;
-        }
-        
-        // Update last active
-        session.lastActive = new Date().toISOString();
-        this.sessions.set(sessionId, session);
-        localStorage.setItem('sessionData_' + sessionId, JSON.stringify(session));
-        
-        return true;
+    // Sessions live on the server (user_sessions) and expire there; these wrap the session API
+    async getUserSessions() {
+        const response = await fetch(`${config.API_BASE_URL}/auth/sessions`);
+        const data = await response.json();
+        return data.success ? data.sessions : [];
     }
 
-    terminateSession(sessionId) {
-        this.sessions.delete(sessionId);
-        localStorage.removeItem('sessionData_' + sessionId);
-        
-        if (localStorage.getItem('sessionId') === sessionId) {
-            localStorage.removeItem('sessionId');
-        }
-    }
-
-    terminateAllUserSessions(userWallet, exceptSessionId = null) {
-        // Get all session keys from localStorage
-        const sessionKeys = Object.keys(localStorage).filter(key => key.startsWith('sessionData_'));
-        
-        sessionKeys.forEach(key => {
-            const sessionData = JSON.parse(localStorage.getItem(key) || '{}');
-            if (sessionData.userWallet === userWallet && sessionData.id !== exceptSessionId) {
-                this.terminateSession(sessionData.id);
-            }
+    async terminateSession(sessionId) {
+        const response = await fetch(`${config.API_BASE_URL}/auth/sessions/revoke`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sessionId })
         });
+        return response.ok;
     }
 
-    getUserSessions(userWallet) {
-        const sessions = [];
-        const sessionKeys = Object.keys(localStorage).filter(key => key.startsWith('sessionData_'));
-        
-        sessionKeys.forEach(key => {
-            const sessionData = JSON.parse(localStorage.getItem(key) || '{}');
-            if (sessionData.userWallet === userWallet && sessionData.isActive) {
-                sessions.push(sessionData);
-            }
+    // End every session of the current user except this one
+    async terminateAllUserSessions() {
+        const response = await fetch(`${config.API_BASE_URL}/auth/sessions/revoke`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ all: true })
         });
-        
-        return sessions;
-    }
-
-    cleanupExpiredSessions() {
-        const sessionKeys = Object.keys(localStorage).filter(key => key.startsWith('sessionData_'));
-        const now = Date.now();
-        
-        sessionKeys.forEach(key => {
-            const sessionData = JSON.parse(localStorage.getItem(key) || '{}');
-            const sessionAge = now - new Date(sessionData.createdAt || 0).getTime();
-            
-            if (sessionAge > 24 * 60 * 60 * 1000) { // 24 hours
-                const sessionId = sessionData.id;
-                this.terminateSession(sessionId);
-            }
-        });
-    }
-
-    generateSessionId() {
-        return 'sess_' + Math.random().toString(36).substring(2) + Date.now().toString(36);
+        return response.ok;
     }
 
     // Rate limiting methods
@@ -240,12 +155,6 @@ class AuthenticationManager {
         localStorage.setItem('emailUser_' + email, JSON.stringify(userData));
         localStorage.setItem('currentUser', 'email_' + email);
         localStorage.setItem('evidUser_email_' + email, JSON.stringify(userData));
-        
-        // Create session
-        const sessionId = this.sessionManager.createSession(
-            userData.walletAddress || email,
-            { loginType: 'email', userAgent: navigator.userAgent }
-        );
 
         showAlert(isAdmin ? 'Admin login successful!' : 'Login successful!', 'success');
 
@@ -258,25 +167,15 @@ class AuthenticationManager {
         }, 1500);
     }
 
-    logout() {
-        const sessionId = localStorage.getItem('sessionId');
-        if (sessionId) {
-            this.sessionManager.terminateSession(sessionId);
-        }
+    async logout() {
+        await window.authSession.signOut();
         
         localStorage.clear();
         window.location.href = '/';
     }
 
     logoutAllSessions() {
-        const currentUser = this.getCurrentUser();
-        if (currentUser) {
-            const currentSessionId = localStorage.getItem('sessionId');
-            this.sessionManager.terminateAllUserSessions(
-                currentUser.walletAddress || currentUser.email,
-                currentSessionId
-            );
-        }
+        return this.sessionManager.terminateAllUserSessions();
     }
 
     getCurrentUser() {
@@ -287,8 +186,7 @@ class AuthenticationManager {
     }
 
     validateCurrentSession() {
-        const sessionId = localStorage.getItem('sessionId');
-        return this.sessionManager.validateSession(sessionId);
+        return Boolean(window.authSession && window.authSession.current());
     }
 }
 
@@ -45,8 +45,13 @@ class SessionTimeoutManager {
         this.loadSessionSettings();
     }
 
-    // Get timeout for specific role
+    // Get timeout for specific role. The server enforces the idle timeout, so
+    // mirror the one it reported for the current session when there is one.
     getTimeoutForRole(role) {
+        const session = window.authSession && window.authSession.current();
+        if (session && session.idle_timeout_minutes) {
+            return session.idle_timeout_minutes;
+        }
         return this.timeouts[role] || 240; // Default 4 hours
     }
 
@@ -192,6 +197,9 @@ class SessionTimeoutManager {
 
     // Handle session timeout
     handleSessionTimeout() {
+        if (window.authSession) {
+            window.authSession.signOut();
+        }
         this.clearSession();
         this.showTimeoutMessage();
         
@@ -1,221 +1,45 @@
 /**
  * Two-Factor Authentication (2FA) System
- * Enhanced security for sensitive roles
+ * Enhanced security for sensitive roles. Secrets, codes and backup codes live on
+ * the server; this module only drives the enrollment and verification screens.
  */
 
 class TwoFactorAuth {
     constructor() {
-        this.sensitiveRoles = ['admin', 'evidence_manager', 'court_official', 8, 6, 5];
-        this.totpSecrets = new Map();
-        this.backupCodes = new Map();
+        this.status = null;
         this.init();
     }
 
     init() {
-        this.loadStoredSecrets();
         this.setupEventListeners();
     }
 
-    // Check if role requires 2FA
-    requiresTwoFactor(role) {
-        return this.sensitiveRoles.includes(role);
-    }
-
-    // Generate TOTP secret for user
-    generateSecret(userId) {
-        const secret = this.generateBase32Secret();
-        this.totpSecrets.set(userId, {
-            secret: secret,
-            enabled: false,
-            setupComplete: false,
-            createdAt: new Date().toISOString()
-        });
-        this.saveSecrets();
-        return secret;
-    }
-
-    // Generate QR code data for authenticator apps
-    generateQRCodeData(userId, userEmail) {
-        const secret = this.totpSecrets.get(userId)?.secret;
-        if (!secret) return null;
-
-        const issuer = 'EVID-DGC';
-        const label = `${issuer}:${userEmail}`;
-        return `otpauth://totp/${encodeURIComponent(label)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`;
-    }
-
-    // Verify TOTP code
-    verifyTOTP(userId, code) {
-        const userSecret = this.totpSecrets.get(userId);
-        if (!userSecret || !userSecret.enabled) return false;
-
-        const validCodes = this.generateValidCodes(userSecret.secret);
-        return validCodes.includes(code.toString().padStart(6, '0'));
-    }
-
-    // Generate backup codes
-    generateBackupCodes(userId) {
-        const codes = [];
-        for (let i = 0; i < 10; i++) {
-            codes.push(this.generateRandomCode(8));
-        }
-        
-        this.backupCodes.set(userId, {
-            codes: codes,
-            used: [],
-            generatedAt: new Date().toISOString()
+    async request(path, body) {
+        const response = await fetch(`${config.API_BASE_URL}/auth/2fa${path}`, body === undefined ? {} : {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
         });
-        this.saveSecrets();
-        return codes;
-    }
-
-    // Verify backup code
-    verifyBackupCode(userId, code) {
-        const userBackup = this.backupCodes.get(userId);
-        if (!userBackup) return false;
-
-        const codeIndex = userBackup.codes.indexOf(code);
-        if (codeIndex === -1 || userBackup.used.includes(code)) return false;
-
-        userBackup.used.push(code);
-        this.saveSecrets();
-        return true;
-    }
-
-    // Enable 2FA for user
-    enable2FA(userId, verificationCode) {
-        if (!this.verifyTOTP(userId, verificationCode)) {
-            throw new Error('Invalid verification code');
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Two-factor request failed');
         }
-
-        const userSecret = this.totpSecrets.get(userId);
-        userSecret.enabled = true;
-        userSecret.setupComplete = true;
-        userSecret.enabledAt = new Date().toISOString();
-        
-        this.saveSecrets();
-        return this.generateBackupCodes(userId);
+        return data;
     }
 
-    // Disable 2FA for user
-    disable2FA(userId, verificationCode) {
-        if (!this.verifyTOTP(userId, verificationCode) && !this.verifyBackupCode(userId, verificationCode)) {
-            throw new Error('Invalid verification code');
-        }
-
-        this.totpSecrets.delete(userId);
-        this.backupCodes.delete(userId);
-        this.saveSecrets();
-    }
-
-    // Check if user has 2FA enabled
-    is2FAEnabled(userId) {
-        const userSecret = this.totpSecrets.get(userId);
-        return userSecret && userSecret.enabled;
+    // { enabled, required, backup_codes_remaining, verified_recently } for the signed-in user
+    async loadStatus() {
+        this.status = await this.request('/status');
+        return this.status;
     }
 
-    // Generate time-based codes
-    generateValidCodes(secret) {
-        const timeStep = 30;
-        const currentTime = Math.floor(Date.now() / 1000);
-        const codes = [];
-
-        // Allow for time drift (previous, current, next)
-        for (let i = -1; i <= 1; i++) {
-            const time = Math.floor((currentTime + (i * timeStep)) / timeStep);
-            codes.push(this.generateTOTPCode(secret, time));
-        }
-
-        return codes;
-    }
-
-    // Generate TOTP code for specific time
-    generateTOTPCode(secret, time) {
-        const key = this.base32Decode(secret);
-        const timeBuffer = new ArrayBuffer(8);
-        const timeView = new DataView(timeBuffer);
-        timeView.setUint32(4, time, false);
-
-        return this.hmacSHA1(key, new Uint8Array(timeBuffer))
-            .then(hash => {
-                const offset = hash[hash.length - 1] & 0xf;
-                const code = ((hash[offset] & 0x7f) << 24) |
-                           ((hash[offset + 1] & 0xff) << 16) |
-                           ((hash[offset + 2] & 0xff) << 8) |
-                           (hash[offset + 3] & 0xff);
-                return (code % 1000000).toString().padStart(6, '0');
-            });
-    }
-
-    // Generate base32 secret
-    generateBase32Secret() {
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
-        let secret = '';
-        for (let i = 0; i < 32; i++) {
-            secret += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        return secret;
-    }
-
-    // Generate random backup code
-    generateRandomCode(length) {
-        const chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-        let code = '';
-        for (let i = 0; i < length; i++) {
-            code += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        return code;
-    }
-
-    // Base32 decode
-    base32Decode(encoded) {
-        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
-        let bits = '';
-        
-        for (let i = 0; i < encoded.length; i++) {
-            const val = alphabet.indexOf(encoded.charAt(i).toUpperCase());
-            if (val === -1) continue;
-            bits += val.toString(2).padStart(5, '0');
-        }
-
-        const bytes = new Uint8Array(Math.floor(bits.length / 8));
-        for (let i = 0; i < bytes.length; i++) {
-            bytes[i] = parseInt(bits.substr(i * 8, 8), 2);
-        }
-        
-        return bytes;
-    }
-
-    // HMAC-SHA1
-    async hmacSHA1(key, data) {
-        const cryptoKey = await crypto.subtle.importKey(
-            'raw', key, { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']
-        );
-        const signature = await crypto.subtle.sign('HMAC', cryptoKey, data);
-        return new Uint8Array(signature);
-    }
-
-    // Storage methods
-    saveSecrets() {
-        const data = {
-            secrets: Array.from(this.totpSecrets.entries()),
-            backups: Array.from(this.backupCodes.entries()),
-            lastUpdated: new Date().toISOString()
-        };
-        localStorage.setItem('evid_2fa_data', JSON.stringify(data));
+    // Check if role requires 2FA (the server has the final say)
+    requiresTwoFactor(role) {
+        return Boolean(this.status && this.status.required) || ['admin', 'evidence_manager', 'court_official'].includes(role);
     }
 
-    loadStoredSecrets() {
-        try {
-            const stored = localStorage.getItem('evid_2fa_data');
-            if (stored) {
-                const data = JSON.parse(stored);
-                this.totpSecrets = new Map(data.secrets || []);
-                this.backupCodes = new Map(data.backups || []);
-            }
-        } catch (error) {
-            console.error('Error loading 2FA data:', error);
-        }
+    is2FAEnabled() {
+        return Boolean(this.status && this.status.enabled);
     }
 
     // Setup event listeners
@@ -226,10 +50,20 @@ class TwoFactorAuth {
     }
 
     // Initialize UI components
-    initializeUI() {
+    async initializeUI() {
         this.createSetupModal();
         this.createVerificationModal();
-        this.addSecuritySettings();
+
+        if (!window.authSession || !window.authSession.current()) return;
+        try {
+            await this.loadStatus();
+            this.updateSecurityStatus();
+            if (this.status.required && !this.status.enabled) {
+                this.showSetupModal();
+            }
+        } catch (error) {
+            console.error('Error loading 2FA status:', error);
+        }
     }
 
     // Create 2FA setup modal
@@ -263,7 +97,7 @@ class TwoFactorAuth {
                     </div>
                     <div id="setup-step-4" class="setup-step hidden">
                         <h3>Setup Complete!</h3>
-                        <p>Save these backup codes in a secure location:</p>
+                        <p>Save these backup codes in a secure location. Each works once and they will not be shown again:</p>
                         <div id="backup-codes"></div>
                         <button class="btn btn-primary" onclick="twoFactorAuth.closeSetupModal()">Done</button>
                     </div>
@@ -273,7 +107,7 @@ class TwoFactorAuth {
         document.body.appendChild(modal);
     }
 
-    // Create verification modal
+    // Create verification modal, used for sign-in and step-up checks
     createVerificationModal() {
         const modal = document.createElement('div');
         modal.id = 'twofa-verify-modal';
@@ -287,13 +121,14 @@ class TwoFactorAuth {
                     <p>Enter your 6-digit authentication code:</p>
                     <input type="text" id="auth-code" maxlength="6" placeholder="000000">
                     <div class="form-actions">
-                        <button class="btn btn-primary" onclick="twoFactorAuth.verifyLogin()">Verify</button>
+                        <button class="btn btn-primary" onclick="twoFactorAuth.submitVerification()">Verify</button>
                         <button class="btn btn-outline" onclick="twoFactorAuth.showBackupCodes()">Use Backup Code</button>
+                        <button class="btn btn-outline" onclick="twoFactorAuth.cancelVerification()">Cancel</button>
                     </div>
                     <div id="backup-code-section" class="hidden">
                         <p>Enter a backup code:</p>
-                        <input type="text" id="backup-code" placeholder="XXXXXXXX">
-                        <button class="btn btn-warning" onclick="twoFactorAuth.verifyBackup()">Verify Backup Code</button>
+                        <input type="text" id="backup-code" placeholder="XXXXX-XXXXX">
+                        <button class="btn btn-warning" onclick="twoFactorAuth.submitVerification(true)">Verify Backup Code</button>
                     </div>
                 </div>
             </div>
@@ -301,99 +136,52 @@ class TwoFactorAuth {
         document.body.appendChild(modal);
     }
 
-    // Add security settings to user interface
-    addSecuritySettings() {
-        // This will be called when user accesses security settings
-        const currentUser = localStorage.getItem('currentUser');
-        if (!currentUser) return;
-
-        const userData = JSON.parse(localStorage.getItem('evidUser_' + currentUser) || '{}');
-        if (this.requiresTwoFactor(userData.role)) {
-            this.addSecurityPanel();
-        }
-    }
-
-    // Add security panel to dashboard
-    addSecurityPanel() {
-        const container = document.querySelector('.container');
-        if (!container) return;
-
-        const securityCard = document.createElement('div');
-        securityCard.className = 'card';
-        securityCard.innerHTML = `
-            <div class="card-header">
-                <h2>🔐 Security Settings</h2>
-                <p>Enhanced security for your account</p>
-            </div>
-            <div class="card-body">
-                <div class="security-option">
-                    <div class="security-info">
-                        <h3>Two-Factor Authentication</h3>
-                        <p>Add an extra layer of security to your account</p>
-                    </div>
-                    <div class="security-action">
-                        <span id="2fa-status" class="status-badge">Disabled</span>
-                        <button id="2fa-toggle" class="btn btn-primary" onclick="twoFactorAuth.toggle2FA()">Enable</button>
-                    </div>
-                </div>
-            </div>
-        `;
-        container.appendChild(securityCard);
-        this.updateSecurityStatus();
-    }
-
-    // Update security status display
+    // Update the status badge on the account settings page
     updateSecurityStatus() {
-        const currentUser = localStorage.getItem('currentUser');
-        const statusElement = document.getElementById('2fa-status');
-        const toggleButton = document.getElementById('2fa-toggle');
-        
-        if (this.is2FAEnabled(currentUser)) {
+        const statusElement = document.getElementById('twoFactorStatus');
+        const toggleButton = document.getElementById('twoFactorToggle');
+        if (!statusElement || !toggleButton) return;
+
+        if (this.is2FAEnabled()) {
             statusElement.textContent = 'Enabled';
-            statusElement.className = 'status-badge status-enabled';
+            statusElement.className = 'status-badge enabled';
             toggleButton.textContent = 'Disable';
-            toggleButton.className = 'btn btn-danger';
+            toggleButton.disabled = this.status.required;
         } else {
             statusElement.textContent = 'Disabled';
-            statusElement.className = 'status-badge status-disabled';
+            statusElement.className = 'status-badge disabled';
             toggleButton.textContent = 'Enable';
-            toggleButton.className = 'btn btn-primary';
+            toggleButton.disabled = false;
         }
     }
 
     // Toggle 2FA
     toggle2FA() {
-        const currentUser = localStorage.getItem('currentUser');
-        if (this.is2FAEnabled(currentUser)) {
-            this.showDisableModal();
+        if (this.is2FAEnabled()) {
+            this.disable2FA();
         } else {
             this.showSetupModal();
         }
     }
 
-    // Show setup modal
-    showSetupModal() {
-        const currentUser = localStorage.getItem('currentUser');
-        const userData = JSON.parse(localStorage.getItem('evidUser_' + currentUser) || '{}');
-        
-        const secret = this.generateSecret(currentUser);
-        const qrData = this.generateQRCodeData(currentUser, userData.email || 'user@evid-dgc.com');
-        
-        document.getElementById('manual-code').textContent = secret;
-        this.generateQRCode(qrData);
-        
-        document.getElementById('twofa-setup-modal').classList.add('active');
-    }
-
-    // Generate QR code
-    generateQRCode(data) {
-        const container = document.getElementById('qr-code-container');
-        container.innerHTML = `
-            <div class="qr-placeholder">
-                <p>QR Code would be generated here</p>
-                <p>Data: ${data}</p>
-            </div>
-        `;
+    // Show setup modal with a fresh secret from the server
+    async showSetupModal() {
+        try {
+            const setup = await this.request('/setup', {});
+
+            document.getElementById('manual-code').textContent = setup.secret;
+            const container = document.getElementById('qr-code-container');
+            container.innerHTML = '';
+            const image = document.createElement('img');
+            image.src = setup.qr_code;
+            image.alt = 'Authenticator QR code';
+            container.appendChild(image);
+
+            this.nextStep(1);
+            document.getElementById('twofa-setup-modal').classList.add('active');
+        } catch (error) {
+            alert(error.message);
+        }
     }
 
     // Navigation methods
@@ -408,78 +196,79 @@ class TwoFactorAuth {
 
     // Complete setup
     async completeSetup() {
-        const currentUser = localStorage.getItem('currentUser');
         const code = document.getElementById('verification-code').value;
-        
+
         try {
-            const backupCodes = this.enable2FA(currentUser, code);
-            this.displayBackupCodes(backupCodes);
+            const result = await this.request('/enable', { code });
+            this.displayBackupCodes(result.backup_codes);
             this.nextStep(4);
+            await this.loadStatus();
             this.updateSecurityStatus();
         } catch (error) {
-            alert('Invalid verification code. Please try again.');
+            alert(error.message);
         }
     }
 
     // Display backup codes
     displayBackupCodes(codes) {
         const container = document.getElementById('backup-codes');
-        container.innerHTML = codes.map(code => `<code>${code}</code>`).join(' ');
+        container.innerHTML = '';
+        codes.forEach(code => {
+            const element = document.createElement('code');
+            element.textContent = code;
+            container.appendChild(element);
+            container.appendChild(document.createTextNode(' '));
+        });
     }
 
-    // Verify login
-    verifyLogin() {
-        const currentUser = localStorage.getItem('currentUser');
-        const code = document.getElementById('auth-code').value;
-        
-        if (this.verifyTOTP(currentUser, code)) {
-            this.closeVerifyModal();
-            this.onVerificationSuccess();
-        } else {
-            alert('Invalid authentication code');
+    // Disable 2FA (the server refuses for roles that require it)
+    async disable2FA() {
+        const code = prompt('Enter a code from your authenticator app to disable two-factor authentication:');
+        if (!code) return;
+
+        try {
+            await this.request('/disable', { code });
+            await this.loadStatus();
+            this.updateSecurityStatus();
+        } catch (error) {
+            alert(error.message);
         }
     }
 
+    // Ask for a code. Resolves with { code } or { backupCode }, or null if cancelled.
+    promptForCode() {
+        document.getElementById('auth-code').value = '';
+        document.getElementById('backup-code').value = '';
+        document.getElementById('backup-code-section').classList.add('hidden');
+        document.getElementById('twofa-verify-modal').classList.add('active');
+        return new Promise(resolve => {
+            this.verificationPromise = { resolve };
+        });
+    }
+
     // Show backup codes section
     showBackupCodes() {
         document.getElementById('backup-code-section').classList.remove('hidden');
     }
 
-    // Verify backup code
-    verifyBackup() {
-        const currentUser = localStorage.getItem('currentUser');
-        const code = document.getElementById('backup-code').value;
-        
-        if (this.verifyBackupCode(currentUser, code)) {
-            this.closeVerifyModal();
-            this.onVerificationSuccess();
-        } else {
-            alert('Invalid backup code');
-        }
+    submitVerification(useBackupCode = false) {
+        const answer = useBackupCode
+            ? { backupCode: document.getElementById('backup-code').value.trim() }
+            : { code: document.getElementById('auth-code').value.trim() };
+        this.closeVerifyModal(answer);
     }
 
-    // Close verify modal
-    closeVerifyModal() {
-        document.getElementById('twofa-verify-modal').classList.remove('active');
-    }
-
-    // Handle successful verification
-    onVerificationSuccess() {
-        // Continue with login process
-        console.log('2FA verification successful');
-    }
-
-    // Check if 2FA verification is required
-    requiresVerification(userId, role) {
-        return this.requiresTwoFactor(role) && this.is2FAEnabled(userId);
+    cancelVerification() {
+        this.closeVerifyModal(null);
     }
 
-    // Show verification modal
-    showVerificationModal() {
-        document.getElementById('twofa-verify-modal').classList.add('active');
-        return new Promise((resolve, reject) => {
-            this.verificationPromise = { resolve, reject };
-        });
+    // Close verify modal
+    closeVerifyModal(answer) {
+        document.getElementById('twofa-verify-modal').classList.remove('active');
+        if (this.verificationPromise) {
+            this.verificationPromise.resolve(answer);
+            this.verificationPromise = null;
+        }
     }
 }
 
@@ -489,4 +278,4 @@ const twoFactorAuth = new TwoFactorAuth();
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.twoFactorAuth = twoFactorAuth;
-}
\ No newline at end of file
+}
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate } = require('../middleware/authenticate');
 const { logActivity } = require('../controllers/activityController');
 
-router.post('/activity-logs', logActivity);
+router.post('/activity-logs', authenticate, logActivity);
 
 module.exports = router;
@@ -1,21 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const { adminLimiter } = require('../middleware/rateLimiters');
+const { authenticate } = require('../middleware/authenticate');
 const { verifyAdmin } = require('../middleware/verifyAdmin');
+const { requireStepUp } = require('../middleware/twoFactor');
 const {
     createUser, createAdmin, deleteUser, getAllUsers,
     roleChangeRequest, getRoleChangeRequests,
-    approveRoleChange, rejectRoleChange, blockUnauthorizedAdmin
+    approveRoleChange, rejectRoleChange, getRoleReconciliation,
+    reconcileRoles, getUserPermissions, grantPermission, revokePermission,
+    getUserSessions, revokeUserSession, getPasswordPolicySettings, updatePasswordPolicySettings,
+    getLoginLockouts, unlockLoginLockout, blockUnauthorizedAdmin
 } = require('../controllers/adminController');
 
-router.post('/admin/create-user', adminLimiter, verifyAdmin, createUser);
-router.post('/admin/create-admin', adminLimiter, verifyAdmin, createAdmin);
-router.post('/admin/delete-user', adminLimiter, verifyAdmin, deleteUser);
-router.get('/admin/users', adminLimiter, getAllUsers);
-router.post('/admin/role-change-request', adminLimiter, verifyAdmin, roleChangeRequest);
-router.get('/admin/role-change-requests', adminLimiter, getRoleChangeRequests);
-router.post('/admin/role-change-approve', adminLimiter, verifyAdmin, approveRoleChange);
-router.post('/admin/role-change-reject', adminLimiter, verifyAdmin, rejectRoleChange);
+router.post('/admin/create-user', adminLimiter, authenticate, verifyAdmin, createUser);
+router.post('/admin/create-admin', adminLimiter, authenticate, verifyAdmin, requireStepUp, createAdmin);
+router.post('/admin/delete-user', adminLimiter, authenticate, verifyAdmin, deleteUser);
+router.get('/admin/users', adminLimiter, authenticate, verifyAdmin, getAllUsers);
+router.post('/admin/role-change-request', adminLimiter, authenticate, verifyAdmin, roleChangeRequest);
+router.get('/admin/role-change-requests', adminLimiter, authenticate, verifyAdmin, getRoleChangeRequests);
+router.post('/admin/role-change-approve', adminLimiter, authenticate, verifyAdmin, requireStepUp, approveRoleChange);
+router.post('/admin/role-change-reject', adminLimiter, authenticate, verifyAdmin, rejectRoleChange);
+router.get('/admin/role-reconciliation', adminLimiter, authenticate, verifyAdmin, getRoleReconciliation);
+router.post('/admin/role-reconciliation', adminLimiter, authenticate, verifyAdmin, reconcileRoles);
+router.get('/admin/permissions', adminLimiter, authenticate, verifyAdmin, getUserPermissions);
+router.post('/admin/permissions/grant', adminLimiter, authenticate, verifyAdmin, requireStepUp, grantPermission);
+router.post('/admin/permissions/revoke', adminLimiter, authenticate, verifyAdmin, revokePermission);
+router.get('/admin/sessions', adminLimiter, authenticate, verifyAdmin, getUserSessions);
+router.post('/admin/sessions/revoke', adminLimiter, authenticate, verifyAdmin, revokeUserSession);
+router.get('/admin/password-policy', adminLimiter, authenticate, verifyAdmin, getPasswordPolicySettings);
+router.put('/admin/password-policy', adminLimiter, authenticate, verifyAdmin, updatePasswordPolicySettings);
+router.get('/admin/lockouts', adminLimiter, authenticate, verifyAdmin, getLoginLockouts);
+router.post('/admin/lockouts/unlock', adminLimiter, authenticate, verifyAdmin, unlockLoginLockout);
 
 // Catch-all for unauthorized admin operations — MUST be last
 router.post('/admin/*', blockUnauthorizedAdmin);
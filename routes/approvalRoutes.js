@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/authenticate');
+const { requireStepUp } = require('../middleware/twoFactor');
+const {
+    getPendingActions, getPendingAction, approvePendingAction, rejectPendingAction, cancelPendingAction
+} = require('../controllers/approvalController');
+
+router.get('/approvals', authenticate, getPendingActions);
+router.get('/approvals/:id', authenticate, getPendingAction);
+router.post('/approvals/:id/approve', authenticate, requireStepUp, approvePendingAction);
+router.post('/approvals/:id/reject', authenticate, rejectPendingAction);
+router.post('/approvals/:id/cancel', authenticate, cancelPendingAction);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { exportLimiter } = require('../middleware/rateLimiters');
+const { authenticate } = require('../middleware/authenticate');
+const { requirePermission } = require('../middleware/authorize');
+const { verifyAuditLogChain, getAuditLogs, exportAuditLogs } = require('../controllers/auditController');
+
+router.get('/audit/logs', authenticate, requirePermission('audit:read'), getAuditLogs);
+router.get('/audit/logs/export', exportLimiter, authenticate, requirePermission('audit:export'), exportAuditLogs);
+router.get('/audit/verify-chain', authenticate, requirePermission('audit:read'), verifyAuditLogChain);
+
+module.exports = router;
@@ -1,11 +1,43 @@
 const express = require('express');
 const router = express.Router();
 const { authLimiter } = require('../middleware/rateLimiters');
-const { emailLogin, emailRegister, walletLogin, walletRegister } = require('../controllers/authController');
+const { authenticateAllowingUnenrolled } = require('../middleware/authenticate');
+const {
+    emailLogin, emailRegister, walletNonce, walletLogin, walletRegister, refreshToken,
+    logout, getSessions, revokeOwnSessions
+} = require('../controllers/authController');
+const {
+    getTwoFactorStatus, setupTwoFactor, enableTwoFactor, verifyTwoFactorLogin,
+    stepUpTwoFactor, regenerateBackupCodes, disableTwoFactorAuth
+} = require('../controllers/twoFactorController');
+const {
+    getPasswordRules, changePassword, forgotPassword, resetPassword
+} = require('../controllers/passwordController');
 
 router.post('/auth/email/login', authLimiter, emailLogin);
 router.post('/auth/email/register', authLimiter, emailRegister);
+router.post('/auth/wallet/nonce', authLimiter, walletNonce);
 router.post('/auth/wallet/login', authLimiter, walletLogin);
 router.post('/auth/wallet/register', authLimiter, walletRegister);
+router.post('/auth/refresh', authLimiter, refreshToken);
+
+router.get('/auth/password/policy', getPasswordRules);
+router.post('/auth/password/forgot', authLimiter, forgotPassword);
+router.post('/auth/password/reset', authLimiter, resetPassword);
+
+// Session, password and two-factor endpoints stay reachable while a required 2FA
+// enrollment or an expired password change is pending
+router.post('/auth/logout', authenticateAllowingUnenrolled, logout);
+router.get('/auth/sessions', authenticateAllowingUnenrolled, getSessions);
+router.post('/auth/sessions/revoke', authenticateAllowingUnenrolled, revokeOwnSessions);
+router.post('/auth/password/change', authLimiter, authenticateAllowingUnenrolled, changePassword);
+
+router.post('/auth/2fa/verify', authLimiter, verifyTwoFactorLogin);
+router.get('/auth/2fa/status', authenticateAllowingUnenrolled, getTwoFactorStatus);
+router.post('/auth/2fa/setup', authenticateAllowingUnenrolled, setupTwoFactor);
+router.post('/auth/2fa/enable', authLimiter, authenticateAllowingUnenrolled, enableTwoFactor);
+router.post('/auth/2fa/step-up', authLimiter, authenticateAllowingUnenrolled, stepUpTwoFactor);
+router.post('/auth/2fa/backup-codes', authLimiter, authenticateAllowingUnenrolled, regenerateBackupCodes);
+router.post('/auth/2fa/disable', authLimiter, authenticateAllowingUnenrolled, disableTwoFactorAuth);
 
 module.exports = router;
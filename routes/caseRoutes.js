@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate } = require('../middleware/authenticate');
+const { requirePermission } = require('../middleware/authorize');
 const {
     getCases, getCaseStatuses, getEnhancedCases, createCase,
     getCaseDetails, updateCaseStatus, getAvailableTransitions,
@@ -7,15 +9,15 @@ const {
 } = require('../controllers/caseController');
 
 // Note: /statistics and /export must be before /:id routes to avoid param conflicts
-router.get('/cases/statistics', getCaseStatistics);
-router.get('/cases/export', exportCases);
-router.get('/cases/enhanced', getEnhancedCases);
-router.get('/cases', getCases);
-router.post('/cases', createCase);
-router.get('/case-statuses', getCaseStatuses);
-router.get('/cases/:id/details', getCaseDetails);
-router.post('/cases/:id/status', updateCaseStatus);
-router.get('/cases/:id/available-transitions', getAvailableTransitions);
-router.post('/cases/:id/assign', assignCase);
+router.get('/cases/statistics', authenticate, getCaseStatistics);
+router.get('/cases/export', authenticate, exportCases);
+router.get('/cases/enhanced', authenticate, getEnhancedCases);
+router.get('/cases', authenticate, getCases);
+router.post('/cases', authenticate, requirePermission('case:create'), createCase);
+router.get('/case-statuses', authenticate, getCaseStatuses);
+router.get('/cases/:id/details', authenticate, requirePermission('case:read'), getCaseDetails);
+router.post('/cases/:id/status', authenticate, requirePermission('case:update_status'), updateCaseStatus);
+router.get('/cases/:id/available-transitions', authenticate, requirePermission('case:read'), getAvailableTransitions);
+router.post('/cases/:id/assign', authenticate, requirePermission('case:assign'), assignCase);
 
 module.exports = router;
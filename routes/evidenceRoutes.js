@@ -2,11 +2,15 @@ const express = require('express');
 const router = express.Router();
 const { exportLimiter } = require('../middleware/rateLimiters');
 const upload = require('../middleware/upload');
+const { authenticate } = require('../middleware/authenticate');
+const { requirePermission } = require('../middleware/authorize');
+const { requireStepUp } = require('../middleware/twoFactor');
 const {
     uploadEvidence, downloadEvidence, bulkExport, getDownloadHistory,
-    getAllEvidence, getEvidenceById, verifyEvidenceHash, getBlockchainProof,
+    getAllEvidence, getEvidenceById, verifyEvidenceHash, getBlockchainProof, anchorEvidenceHash,
     verifyIntegrity, generateVerificationCertificate, publicVerify,
     getVerificationHistory, getEvidenceExpiry, setLegalHold,
+    sealEvidence, unsealEvidence, transferCustody, getCustodyLedger, deleteEvidence,
     bulkRetentionPolicy, checkExpiry, compareEvidence,
     createComparisonReport, getEvidenceByCase
 } = require('../controllers/evidenceController');
@@ -14,22 +18,23 @@ const {
 // ── Static paths MUST come before /evidence/:id to avoid param conflicts ────
 
 // Evidence list & bulk operations
-router.get('/evidence', getAllEvidence);
-router.post('/evidence/upload', exportLimiter, upload.single('file'), uploadEvidence);
-router.post('/evidence/bulk-export', bulkExport);
-router.post('/evidence/bulk-retention', bulkRetentionPolicy);
-router.post('/evidence/check-expiry', checkExpiry);
+// (the list, by-case and by-id reads scope their results to the user in the controller)
+router.get('/evidence', authenticate, getAllEvidence);
+router.post('/evidence/upload', exportLimiter, authenticate, upload.single('file'), requirePermission('evidence:upload', { caseFromBody: true }), uploadEvidence);
+router.post('/evidence/bulk-export', authenticate, requirePermission('evidence:export'), requireStepUp, bulkExport);
+router.post('/evidence/bulk-retention', authenticate, requirePermission('evidence:retention'), bulkRetentionPolicy);
+router.post('/evidence/check-expiry', authenticate, requirePermission('evidence:retention'), checkExpiry);
 
 // Evidence verification (static paths)
-router.get('/evidence/expiry', getEvidenceExpiry);
-router.get('/evidence/compare', compareEvidence);
-router.get('/evidence/verification-history', getVerificationHistory);
+router.get('/evidence/expiry', authenticate, getEvidenceExpiry);
+router.get('/evidence/compare', authenticate, compareEvidence);
+router.get('/evidence/verification-history', authenticate, requirePermission('evidence:history'), getVerificationHistory);
 router.post('/evidence/verify-integrity', verifyIntegrity);
 router.post('/evidence/verification-certificate', generateVerificationCertificate);
-router.post('/evidence/comparison-report', createComparisonReport);
+router.post('/evidence/comparison-report', authenticate, createComparisonReport);
 
 // Evidence by case (static prefix before :id)
-router.get('/evidence/case/:caseId', getEvidenceByCase);
+router.get('/evidence/case/:caseId', authenticate, getEvidenceByCase);
 
 // Public verification route (not under /evidence)
 router.get('/verify/:hash', publicVerify);
@@ -37,11 +42,17 @@ router.get('/verify/:hash', publicVerify);
 // Evidence batch tagging is in tagRoutes.js
 
 // ── Parameterized paths (:id) MUST come LAST ────────────────────────────────
-router.get('/evidence/:id', getEvidenceById);
-router.post('/evidence/:id/download', downloadEvidence);
-router.get('/evidence/:id/download-history', getDownloadHistory);
-router.get('/evidence/:id/verify', verifyEvidenceHash);
-router.get('/evidence/:id/blockchain-proof', getBlockchainProof);
-router.put('/evidence/:id/legal-hold', setLegalHold);
+router.get('/evidence/:id', authenticate, getEvidenceById);
+router.post('/evidence/:id/download', authenticate, requirePermission('evidence:download'), downloadEvidence);
+router.get('/evidence/:id/download-history', authenticate, requirePermission('evidence:history'), getDownloadHistory);
+router.get('/evidence/:id/verify', authenticate, verifyEvidenceHash);
+router.get('/evidence/:id/blockchain-proof', authenticate, requirePermission('evidence:read'), getBlockchainProof);
+router.post('/evidence/:id/anchor', authenticate, requirePermission('evidence:anchor'), anchorEvidenceHash);
+router.put('/evidence/:id/legal-hold', authenticate, requirePermission('evidence:legal_hold'), setLegalHold);
+router.post('/evidence/:id/seal', authenticate, requirePermission('evidence:seal'), sealEvidence);
+router.post('/evidence/:id/unseal', authenticate, requirePermission('evidence:unseal'), requireStepUp, unsealEvidence);
+router.get('/evidence/:id/custody', authenticate, requirePermission('custody:read'), getCustodyLedger);
+router.post('/evidence/:id/transfer', authenticate, transferCustody);
+router.delete('/evidence/:id', authenticate, requirePermission('evidence:delete'), requireStepUp, deleteEvidence);
 
 module.exports = router;
@@ -8,6 +8,9 @@ const tagRoutes = require('./tagRoutes');
 const retentionRoutes = require('./retentionRoutes');
 const caseRoutes = require('./caseRoutes');
 const activityRoutes = require('./activityRoutes');
+const auditRoutes = require('./auditRoutes');
+const approvalRoutes = require('./approvalRoutes');
+const legalHoldRoutes = require('./legalHoldRoutes');
 
 function registerRoutes(app) {
     app.use('/api', healthRoutes);
@@ -20,6 +23,9 @@ function registerRoutes(app) {
     app.use('/api', retentionRoutes);
     app.use('/api', caseRoutes);
     app.use('/api', activityRoutes);
+    app.use('/api', auditRoutes);
+    app.use('/api', approvalRoutes);
+    app.use('/api', legalHoldRoutes);
 }
 
 module.exports = registerRoutes;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/authenticate');
+const { requirePermission } = require('../middleware/authorize');
+const { requireStepUp } = require('../middleware/twoFactor');
+const {
+    getLegalHolds, getLegalHoldById, createHold, updateHold, releaseHold,
+    getLegalHoldReport, applyLegalHold, removeLegalHold
+} = require('../controllers/legalHoldController');
+
+const canHold = requirePermission('evidence:legal_hold');
+
+router.get('/legal-holds', authenticate, canHold, getLegalHolds);
+router.post('/legal-holds', authenticate, canHold, createHold);
+router.get('/legal-holds/:id', authenticate, canHold, getLegalHoldById);
+router.put('/legal-holds/:id', authenticate, canHold, updateHold);
+router.get('/legal-holds/:id/report', authenticate, canHold, getLegalHoldReport);
+router.post('/legal-holds/:id/release', authenticate, canHold, requireStepUp, releaseHold);
+router.post('/evidence/apply-legal-hold', authenticate, canHold, applyLegalHold);
+router.post('/evidence/remove-legal-hold', authenticate, canHold, requireStepUp, removeLegalHold);
+
+module.exports = router;
@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate } = require('../middleware/authenticate');
 const { getNotifications, markAsRead, markAllAsRead, createTestNotification } = require('../controllers/notificationController');
 
-router.get('/notifications/:wallet', getNotifications);
-router.put('/notifications/:id/read', markAsRead);
-router.put('/notifications/read-all', markAllAsRead);
-router.post('/notifications/test', createTestNotification);
+router.get('/notifications/:wallet', authenticate, getNotifications);
+router.put('/notifications/:id/read', authenticate, markAsRead);
+router.put('/notifications/read-all', authenticate, markAllAsRead);
+router.post('/notifications/test', authenticate, createTestNotification);
 
 module.exports = router;
@@ -1,9 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const { getRetentionPolicies, createRetentionPolicy, exportTimelinePdf } = require('../controllers/retentionController');
+const { authenticate } = require('../middleware/authenticate');
+const { requirePermission } = require('../middleware/authorize');
+const { requireStepUp } = require('../middleware/twoFactor');
+const {
+    getRetentionPolicies, createRetentionPolicy, updateRetentionPolicy, deleteRetentionPolicy,
+    getRetentionPolicyVersions, getEvidenceByRetentionPolicy, getRetentionRules, createRetentionRule,
+    deactivateRetentionRule, getDispositions, approveDispositionRequest,
+    rejectDispositionRequest, getDispositionCertificate, getRetentionReport, exportTimelinePdf
+} = require('../controllers/retentionController');
 
-router.get('/retention-policies', getRetentionPolicies);
-router.post('/retention-policies', createRetentionPolicy);
-router.post('/timeline/export-pdf', exportTimelinePdf);
+router.get('/retention-policies', authenticate, getRetentionPolicies);
+router.post('/retention-policies', authenticate, requirePermission('retention:manage'), createRetentionPolicy);
+router.put('/retention-policies/:id', authenticate, requirePermission('retention:manage'), updateRetentionPolicy);
+router.delete('/retention-policies/:id', authenticate, requirePermission('retention:manage'), deleteRetentionPolicy);
+router.get('/retention-policies/:id/versions', authenticate, requirePermission('retention:manage'), getRetentionPolicyVersions);
+router.get('/evidence/by-retention-policy/:id', authenticate, requirePermission('evidence:retention'), getEvidenceByRetentionPolicy);
+router.get('/retention-rules', authenticate, requirePermission('retention:manage'), getRetentionRules);
+router.post('/retention-rules', authenticate, requirePermission('retention:manage'), createRetentionRule);
+router.delete('/retention-rules/:id', authenticate, requirePermission('retention:manage'), deactivateRetentionRule);
+router.get('/retention/dispositions', authenticate, requirePermission('retention:manage'), getDispositions);
+router.get('/retention/dispositions/:id/certificate', authenticate, requirePermission('retention:manage'), getDispositionCertificate);
+router.post('/retention/dispositions/:id/approve', authenticate, requirePermission('retention:dispose'), requireStepUp, approveDispositionRequest);
+router.post('/retention/dispositions/:id/reject', authenticate, requirePermission('retention:dispose'), rejectDispositionRequest);
+router.get('/retention-report', authenticate, requirePermission('retention:report'), getRetentionReport);
+router.post('/timeline/export-pdf', authenticate, exportTimelinePdf);
 
 module.exports = router;
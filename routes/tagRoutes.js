@@ -1,13 +1,15 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate } = require('../middleware/authenticate');
+const { requirePermission } = require('../middleware/authorize');
 const { getAllTags, createTag, addTagsToEvidence, removeTagFromEvidence, batchTag, filterByTags, suggestTags } = require('../controllers/tagController');
 
-router.get('/tags', getAllTags);
-router.post('/tags', createTag);
-router.post('/evidence/:id/tags', addTagsToEvidence);
-router.delete('/evidence/:id/tags/:tagId', removeTagFromEvidence);
-router.post('/evidence/batch-tag', batchTag);
-router.get('/evidence/filter-by-tags', filterByTags);
-router.get('/tags/suggest', suggestTags);
+router.get('/tags', authenticate, getAllTags);
+router.post('/tags', authenticate, createTag);
+router.post('/evidence/:id/tags', authenticate, requirePermission('evidence:tag'), addTagsToEvidence);
+router.delete('/evidence/:id/tags/:tagId', authenticate, requirePermission('evidence:tag'), removeTagFromEvidence);
+router.post('/evidence/batch-tag', authenticate, requirePermission('evidence:tag'), batchTag);
+router.get('/evidence/filter-by-tags', authenticate, filterByTags);
+router.get('/tags/suggest', authenticate, suggestTags);
 
 module.exports = router;
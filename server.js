@@ -6,14 +6,22 @@ const { createServer } = require('http');
 const { Server } = require('socket.io');
 
 // ── Shared config ───────────────────────────────────────────────────────────
-const { PORT, connectedUsers } = require('./config');
-const { validateWalletAddress } = require('./middleware/verifyAdmin');
+const { PORT, trustProxy } = require('./config');
+const { authenticateSocket } = require('./middleware/authenticate');
 const { limiter } = require('./middleware/rateLimiters');
 const { setIO: setNotificationIO } = require('./services/notificationService');
 const { setIO: setNotificationControllerIO } = require('./controllers/notificationController');
+const { setIO: setSessionIO } = require('./services/sessionService');
+const { setIO: setRealtimeIO, registerSocket } = require('./services/realtimeService');
+const { startAnchorBatchJob } = require('./services/anchorBatchJob');
+const { startAuditCheckpointJob } = require('./services/auditCheckpointJob');
+const { startPendingActionExpiryJob } = require('./services/pendingActionExpiryJob');
+const { startRetentionEnforcementJob } = require('./services/retentionEnforcementJob');
 
 // ── Express + HTTP + Socket.IO ──────────────────────────────────────────────
 const app = express();
+// Behind a proxy, req.ip comes from X-Forwarded-For only for the hops trusted here
+app.set('trust proxy', trustProxy);
 const server = createServer(app);
 const io = new Server(server, {
     cors: {
@@ -27,28 +35,28 @@ const io = new Server(server, {
 // Inject the io instance into services that need it
 setNotificationIO(io);
 setNotificationControllerIO(io);
+setSessionIO(io);
+setRealtimeIO(io);
 
 // ── WebSocket connection handling ───────────────────────────────────────────
-io.on('connection', (socket) => {
-    console.log('User connected:', socket.id);
-
-    socket.on('join', (walletAddress) => {
-        if (validateWalletAddress(walletAddress)) {
-            connectedUsers.set(walletAddress, socket.id);
-            socket.join(walletAddress);
-            console.log(`User ${walletAddress} joined notifications`);
-        }
-    });
+// Clients send their access token in the handshake and are joined to their own
+// user, role and case rooms (see services/realtimeService.js)
+io.use(authenticateSocket);
+
+io.on('connection', async (socket) => {
+    const { identifier } = socket.data.user;
+    console.log(`User ${identifier} connected:`, socket.id);
 
     socket.on('disconnect', () => {
-        for (const [wallet, socketId] of connectedUsers.entries()) {
-            if (socketId === socket.id) {
-                connectedUsers.delete(wallet);
-                break;
-            }
-        }
-        console.log('User disconnected:', socket.id);
+        console.log(`User ${identifier} disconnected:`, socket.id);
     });
+
+    try {
+        await registerSocket(socket);
+    } catch (error) {
+        console.error('Socket registration error:', error);
+        socket.disconnect(true);
+    }
 });
 
 // ── Middleware (ORDER IS CRITICAL!) ─────────────────────────────────────────
@@ -91,6 +99,12 @@ server.listen(PORT, () => {
     console.log(`🔐 EVID-DGC API Server running on port ${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
     console.log(`🔔 WebSocket notifications enabled`);
+
+    // Scheduled jobs
+    startAnchorBatchJob();
+    startAuditCheckpointJob();
+    startPendingActionExpiryJob();
+    startRetentionEnforcementJob();
 });
 
 module.exports = app;
\ No newline at end of file
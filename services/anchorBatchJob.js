@@ -0,0 +1,144 @@
+const cron = require('node-cron');
+const { supabase, blockchain } = require('../config');
+const { buildMerkleTree, getMerkleProof } = require('./merkleTree');
+const { isBlockchainEnabled, anchorMerkleRoot, verifyMerkleRootOnChain } = require('./blockchainService');
+
+let running = false;
+
+// Mark the batch confirmed and store each item's inclusion proof on its evidence row
+const recordAnchor = async (batch, items, tree, anchor) => {
+    const anchoredAt = new Date().toISOString();
+
+    const { error: batchError } = await supabase
+        .from('anchor_batches')
+        .update({
+            status: 'confirmed',
+            blockchain_tx: anchor.txHash,
+            blockchain_block_number: anchor.blockNumber,
+            blockchain_batch_id: anchor.chainBatchId,
+            anchored_at: anchoredAt
+        })
+        .eq('id', batch.id);
+
+    if (batchError) throw batchError;
+
+    for (const [index, item] of items.entries()) {
+        const { error: proofError } = await supabase
+            .from('evidence')
+            .update({
+                blockchain_status: 'confirmed',
+                blockchain_tx: anchor.txHash,
+                blockchain_block_number: anchor.blockNumber,
+                blockchain_confirmations: anchor.confirmations,
+                merkle_root: tree.root,
+                merkle_leaf_index: index,
+                merkle_proof: getMerkleProof(tree, index),
+                anchored_at: anchoredAt
+            })
+            .eq('id', item.id);
+
+        if (proofError) {
+            console.error(`Error storing Merkle proof for evidence ${item.id}:`, proofError);
+        }
+    }
+};
+
+// The contract refuses a root it already holds, so a root that made it on-chain
+// must be recorded rather than retried. Returns the on-chain batch id, or null.
+const findAnchoredRoot = async (root) => {
+    try {
+        const { exists, chainBatchId } = await verifyMerkleRootOnChain(root);
+        return exists ? chainBatchId : null;
+    } catch (error) {
+        console.error('Merkle root lookup error:', error.message);
+        return null;
+    }
+};
+
+// Collect pending evidence hashes, anchor their Merkle root in a single
+// transaction and store each item's inclusion proof on its evidence row.
+const runAnchorBatch = async () => {
+    if (running || !isBlockchainEnabled()) return null;
+    running = true;
+
+    let batch = null;
+    let items = [];
+    let tree = null;
+    try {
+        const { data: pending, error } = await supabase
+            .from('evidence')
+            .select('id, hash')
+            .eq('blockchain_status', 'pending')
+            .order('id', { ascending: true })
+            .limit(blockchain.batchMaxSize);
+
+        if (error) throw error;
+        if (!pending || pending.length === 0) return null;
+        items = pending;
+
+        tree = buildMerkleTree(items.map(item => item.hash));
+
+        const { data: createdBatch, error: batchError } = await supabase
+            .from('anchor_batches')
+            .insert({ merkle_root: tree.root, leaf_count: tree.leafCount, status: 'submitted' })
+            .select()
+            .single();
+
+        if (batchError) throw batchError;
+        batch = createdBatch;
+
+        // Claim the items so an overlapping run cannot pick them up again
+        const { error: claimError } = await supabase
+            .from('evidence')
+            .update({ blockchain_status: 'submitted', merkle_batch_id: batch.id })
+            .in('id', items.map(item => item.id));
+
+        if (claimError) throw claimError;
+
+        const anchor = await anchorMerkleRoot(tree.root, tree.leafCount);
+        await recordAnchor(batch, items, tree, anchor);
+
+        console.log(`⛓️  Anchored Merkle batch ${batch.id} (${tree.leafCount} items) in ${anchor.txHash}`);
+        return { batchId: batch.id, root: tree.root, leafCount: tree.leafCount, txHash: anchor.txHash };
+    } catch (error) {
+        console.error('Anchor batch error:', error.message);
+        if (!batch) return null;
+
+        // Waiting for the receipt can fail after the transaction was mined
+        const chainBatchId = await findAnchoredRoot(tree.root);
+        if (chainBatchId !== null) {
+            const txHash = error.txHash || null;
+            try {
+                await recordAnchor(batch, items, tree, { txHash, blockNumber: null, chainBatchId, confirmations: null });
+                console.log(`⛓️  Merkle batch ${batch.id} was already anchored on-chain as batch ${chainBatchId}`);
+                return { batchId: batch.id, root: tree.root, leafCount: tree.leafCount, txHash };
+            } catch (recordError) {
+                // Leave the items claimed: retrying would only hit "Root already anchored"
+                console.error(`Error recording anchored Merkle batch ${batch.id}:`, recordError);
+                return null;
+            }
+        }
+
+        // Release the items so the next run retries them
+        await supabase.from('anchor_batches').update({ status: 'failed' }).eq('id', batch.id);
+        await supabase
+            .from('evidence')
+            .update({ blockchain_status: 'pending', merkle_batch_id: null })
+            .in('id', items.map(item => item.id));
+        return null;
+    } finally {
+        running = false;
+    }
+};
+
+const startAnchorBatchJob = () => {
+    if (!isBlockchainEnabled() || blockchain.anchorMode !== 'batch') return null;
+
+    console.log(`⛓️  Merkle anchoring scheduled (${blockchain.batchSchedule})`);
+    return cron.schedule(blockchain.batchSchedule, runAnchorBatch);
+};
+
+module.exports = {
+    runAnchorBatch,
+    startAnchorBatchJob
+};
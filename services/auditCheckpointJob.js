@@ -0,0 +1,87 @@
+const cron = require('node-cron');
+const { supabase, blockchain } = require('../config');
+const { getAuditHead, verifyAuditChain } = require('./auditLog');
+const { isBlockchainEnabled, anchorAuditCheckpoint } = require('./blockchainService');
+
+let running = false;
+
+const getLatestCheckpoint = async () => {
+    const { data, error } = await supabase
+        .from('audit_checkpoints')
+        .select('*')
+        .eq('status', 'confirmed')
+        .order('sequence', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+// Anchor the head of the activity_logs hash chain. A checkpoint is only taken
+// when the log has grown and the chain still verifies, so a tampered log is
+// never anchored.
+const runAuditCheckpoint = async () => {
+    if (running || !isBlockchainEnabled()) return null;
+    running = true;
+
+    let checkpoint = null;
+    try {
+        const head = await getAuditHead();
+        if (!head) return null;
+
+        const latest = await getLatestCheckpoint();
+        if (latest && Number(latest.sequence) >= Number(head.sequence)) return null;
+
+        const chain = await verifyAuditChain();
+        if (!chain.valid) {
+            console.error('Audit log hash chain is broken; checkpoint skipped:', chain.first_broken_link);
+            return null;
+        }
+
+        const { data: created, error } = await supabase
+            .from('audit_checkpoints')
+            .insert({ sequence: chain.head.sequence, entry_hash: chain.head.entry_hash, status: 'submitted' })
+            .select()
+            .single();
+
+        if (error) throw error;
+        checkpoint = created;
+
+        const anchor = await anchorAuditCheckpoint(checkpoint.entry_hash, checkpoint.sequence);
+
+        await supabase
+            .from('audit_checkpoints')
+            .update({
+                status: 'confirmed',
+                blockchain_tx: anchor.txHash,
+                blockchain_block_number: anchor.blockNumber,
+                blockchain_checkpoint_id: anchor.chainCheckpointId,
+                anchored_at: new Date().toISOString()
+            })
+            .eq('id', checkpoint.id);
+
+        console.log(`⛓️  Anchored audit checkpoint at sequence ${checkpoint.sequence} in ${anchor.txHash}`);
+        return { sequence: checkpoint.sequence, entryHash: checkpoint.entry_hash, txHash: anchor.txHash };
+    } catch (error) {
+        console.error('Audit checkpoint error:', error.message);
+        if (checkpoint) {
+            await supabase.from('audit_checkpoints').update({ status: 'failed' }).eq('id', checkpoint.id);
+        }
+        return null;
+    } finally {
+        running = false;
+    }
+};
+
+const startAuditCheckpointJob = () => {
+    if (!isBlockchainEnabled()) return null;
+
+    console.log(`⛓️  Audit log checkpoints scheduled (${blockchain.auditCheckpointSchedule})`);
+    return cron.schedule(blockchain.auditCheckpointSchedule, runAuditCheckpoint);
+};
+
+module.exports = {
+    runAuditCheckpoint,
+    startAuditCheckpointJob
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { supabase } = require('../config');
+const { GENESIS_HASH, hashEntry, normalizeTimestamp, verifyHashChain } = require('./hashChain');
+
+const PAGE_SIZE = 1000;
+
+// An entry's own fields are hashed here. append_audit_log() then links that hash
+// to the previous entry's, so the link is made in the same transaction that takes
+// the sequence number.
+const computeAuditContentHash = (entry) => hashEntry({
+    user_id: entry.user_id,
+    action: entry.action,
+    details: entry.details,
+    evidence_id: entry.evidence_id,
+    case_id: entry.case_id,
+    ip_address: entry.ip_address,
+    timestamp: normalizeTimestamp(entry.timestamp)
+});
+
+// Same as append_audit_log(): SHA-256 of "<sequence>:<previous_hash>:<content hash>"
+const linkAuditHash = (sequence, previousHash, contentHash) => crypto
+    .createHash('sha256')
+    .update(`${sequence}:${previousHash}:${contentHash}`)
+    .digest('hex');
+
+const computeAuditHash = (entry) =>
+    linkAuditHash(Number(entry.sequence), entry.previous_hash, computeAuditContentHash(entry));
+
+// Evidence and case IDs are copied out of the details into their own columns
+// so the audit API can filter on them
+const extractReference = (details, ...keys) => {
+    let parsed = details;
+    if (typeof details === 'string') {
+        try {
+            parsed = JSON.parse(details);
+        } catch (error) {
+            return null;
+        }
+    }
+    if (!parsed || typeof parsed !== 'object') return null;
+
+    const key = keys.find(k => parsed[k] !== undefined && parsed[k] !== null && typeof parsed[k] !== 'object');
+    return key ? String(parsed[key]) : null;
+};
+
+// An explicit reference (null included) wins over one found in the details
+const reference = (explicit, details, ...keys) => (explicit !== undefined
+    ? (explicit === null ? null : String(explicit))
+    : extractReference(details, ...keys));
+
+// Append a row to activity_logs. The table rejects UPDATE and DELETE, so this is
+// the only way to write to it. append_audit_log() numbers the row and links it to
+// the previous one under a lock, so concurrent writers can neither collide nor fork
+// the chain. A failed write throws: callers must not carry on as if it was audited.
+const appendAuditLog = async ({ user_id, action, details, ip_address, evidence_id, case_id }) => {
+    const entry = {
+        user_id: user_id || 'anonymous',
+        action,
+        details: typeof details === 'string' || details == null ? details ?? null : JSON.stringify(details),
+        evidence_id: reference(evidence_id, details, 'evidence_id', 'evidenceId'),
+        case_id: reference(case_id, details, 'case_id', 'caseId'),
+        ip_address: ip_address || null,
+        timestamp: new Date().toISOString()
+    };
+
+    const { data, error } = await supabase.rpc('append_audit_log', {
+        p_user_id: entry.user_id,
+        p_action: entry.action,
+        p_details: entry.details,
+        p_evidence_id: entry.evidence_id,
+        p_case_id: entry.case_id,
+        p_ip_address: entry.ip_address,
+        p_timestamp: entry.timestamp,
+        p_content_hash: computeAuditContentHash(entry)
+    });
+
+    if (error) throw error;
+    return data;
+};
+
+// Latest entry of the chain
+const getAuditHead = async () => {
+    const { data, error } = await supabase
+        .from('activity_logs')
+        .select('sequence, entry_hash, timestamp')
+        .order('sequence', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+// Walk the whole log page by page and report the first broken link, if any
+const verifyAuditChain = async () => {
+    let startSequence = 1;
+    let startHash = GENESIS_HASH;
+    let checked = 0;
+
+    for (;;) {
+        const { data: page, error } = await supabase
+            .from('activity_logs')
+            .select('*')
+            .gte('sequence', startSequence)
+            .order('sequence', { ascending: true })
+            .limit(PAGE_SIZE);
+
+        if (error) throw error;
+        if (!page || page.length === 0) break;
+
+        const result = verifyHashChain(page, computeAuditHash, { startSequence, startHash });
+        checked += result.valid ? page.length : page.findIndex(entry => entry.sequence === result.first_broken_link.sequence);
+        if (!result.valid) {
+            return { valid: false, checked, first_broken_link: result.first_broken_link, head: null };
+        }
+
+        startSequence += page.length;
+        startHash = result.head_hash;
+        if (page.length < PAGE_SIZE) break;
+    }
+
+    return {
+        valid: true,
+        checked,
+        first_broken_link: null,
+        head: checked > 0 ? { sequence: startSequence - 1, entry_hash: startHash } : null
+    };
+};
+
+module.exports = {
+    computeAuditHash,
+    appendAuditLog,
+    getAuditHead,
+    verifyAuditChain
+};
@@ -0,0 +1,194 @@
+const { supabase } = require('../config');
+const { quoteFilterValue } = require('./policyService');
+
+// activity_logs holds user activity; admin_actions holds user-management actions
+const AUDIT_SOURCES = {
+    activity: {
+        table: 'activity_logs',
+        actorColumn: 'user_id',
+        actionColumn: 'action',
+        evidenceColumn: 'evidence_id',
+        caseColumn: 'case_id',
+        ipColumn: 'ip_address'
+    },
+    admin: {
+        table: 'admin_actions',
+        actorColumn: 'admin_wallet',
+        actionColumn: 'action_type',
+        evidenceColumn: 'details->>evidence_id',
+        caseColumn: 'details->>case_id',
+        ipColumn: null
+    }
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name} date`);
+    }
+    return date;
+};
+
+// Validate query-string filters. Returns { filters } or { error }.
+const parseAuditFilters = (query) => {
+    const source = query.source || 'activity';
+    if (!AUDIT_SOURCES[source]) {
+        return { error: `Unknown source. Expected one of: ${Object.keys(AUDIT_SOURCES).join(', ')}` };
+    }
+
+    if (query.ip && !AUDIT_SOURCES[source].ipColumn) {
+        return { error: `IP filtering is not available for the ${source} source` };
+    }
+
+    const filters = {
+        source,
+        actor: query.actor || null,
+        actions: query.action ? String(query.action).split(',').map(a => a.trim()).filter(Boolean) : [],
+        evidenceId: query.evidenceId ? String(query.evidenceId) : null,
+        caseId: query.caseId ? String(query.caseId) : null,
+        ip: query.ip || null,
+        from: null,
+        to: null,
+        toExclusive: false
+    };
+
+    try {
+        if (query.from) filters.from = parseDate(query.from, 'from');
+        if (query.to) {
+            filters.to = parseDate(query.to, 'to');
+            // A bare date includes the whole day
+            if (DATE_ONLY.test(query.to)) {
+                filters.to.setUTCDate(filters.to.getUTCDate() + 1);
+                filters.toExclusive = true;
+            }
+        }
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    if (filters.from && filters.to && filters.from >= filters.to) {
+        return { error: 'from must be before to' };
+    }
+
+    return { filters };
+};
+
+// `after` continues a listing past that row, in the newest-first order below
+const buildAuditQuery = (filters, selectOptions, after = null) => {
+    const columns = AUDIT_SOURCES[filters.source];
+    let query = supabase
+        .from(columns.table)
+        .select('*', selectOptions);
+
+    if (filters.actor) query = query.eq(columns.actorColumn, filters.actor);
+    if (filters.actions.length === 1) query = query.eq(columns.actionColumn, filters.actions[0]);
+    if (filters.actions.length > 1) query = query.in(columns.actionColumn, filters.actions);
+    if (filters.evidenceId) query = query.eq(columns.evidenceColumn, filters.evidenceId);
+    if (filters.caseId) query = query.eq(columns.caseColumn, filters.caseId);
+    if (filters.ip) query = query.eq(columns.ipColumn, filters.ip);
+    if (filters.from) query = query.gte('timestamp', filters.from.toISOString());
+    if (filters.to) {
+        query = filters.toExclusive
+            ? query.lt('timestamp', filters.to.toISOString())
+            : query.lte('timestamp', filters.to.toISOString());
+    }
+    if (after) {
+        const timestamp = quoteFilterValue(after.timestamp);
+        query = query.or(`timestamp.lt.${timestamp},and(timestamp.eq.${timestamp},id.lt.${Number(after.id)})`);
+    }
+
+    return query
+        .order('timestamp', { ascending: false })
+        .order('id', { ascending: false });
+};
+
+const parseDetails = (details) => {
+    if (typeof details !== 'string') return details ?? null;
+    try {
+        return JSON.parse(details);
+    } catch (error) {
+        return details;
+    }
+};
+
+// Both sources are returned in the same shape
+const normalizeAuditEntry = (source, row) => (source === 'admin'
+    ? {
+        source,
+        id: row.id,
+        timestamp: row.timestamp,
+        actor: row.admin_wallet,
+        action: row.action_type,
+        target: row.target_wallet,
+        evidence_id: row.details?.evidence_id ?? null,
+        case_id: row.details?.case_id ?? null,
+        ip_address: null,
+        details: row.details
+    }
+    : {
+        source,
+        id: row.id,
+        sequence: row.sequence,
+        timestamp: row.timestamp,
+        actor: row.user_id,
+        action: row.action,
+        target: null,
+        evidence_id: row.evidence_id,
+        case_id: row.case_id,
+        ip_address: row.ip_address,
+        details: parseDetails(row.details),
+        entry_hash: row.entry_hash
+    });
+
+const queryAuditEntries = async (filters, { offset, limit }) => {
+    const { data, error, count } = await buildAuditQuery(filters, { count: 'exact' })
+        .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return {
+        entries: (data || []).map(row => normalizeAuditEntry(filters.source, row)),
+        total: count || 0
+    };
+};
+
+// Yield every matching entry, a page at a time, for exports. Each page continues
+// after the last row of the one before rather than at an offset, so entries written
+// during the export (its own audit entry included) cannot shift rows between pages.
+async function* iterateAuditEntries(filters, pageSize = 1000) {
+    let last = null;
+    for (;;) {
+        const { data, error } = await buildAuditQuery(filters, undefined, last)
+            .limit(pageSize);
+
+        if (error) throw error;
+        for (const row of data || []) {
+            yield normalizeAuditEntry(filters.source, row);
+        }
+        if (!data || data.length < pageSize) return;
+        last = data[data.length - 1];
+    }
+}
+
+const CSV_COLUMNS = ['source', 'id', 'sequence', 'timestamp', 'actor', 'action', 'target', 'evidence_id', 'case_id', 'ip_address', 'details', 'entry_hash'];
+
+// Quote every field, and neutralise leading characters spreadsheets treat as formulas
+const toCsvField = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+};
+
+const toCsvRow = (entry) => CSV_COLUMNS.map(column => toCsvField(entry[column])).join(',');
+
+module.exports = {
+    AUDIT_SOURCES,
+    CSV_COLUMNS,
+    parseAuditFilters,
+    queryAuditEntries,
+    iterateAuditEntries,
+    toCsvField,
+    toCsvRow
+};
@@ -0,0 +1,357 @@
+const { ethers } = require('ethers');
+const { supabase, blockchain } = require('../config');
+
+// Subset of contracts/EvidenceStorage.sol used by the backend
+const EVIDENCE_STORAGE_ABI = [
+    'function storeEvidence(string _fileHash, string _metadata) returns (uint256)',
+    'function verifyHash(string _fileHash) view returns (bool exists, uint256 evidenceId)',
+    'function getEvidence(uint256 _evidenceId) view returns (string fileHash, string metadata, address uploadedBy, uint256 timestamp, bool isSealed)',
+    'function anchorMerkleRoot(string _root, uint256 _leafCount) returns (uint256)',
+    'function verifyMerkleRoot(string _root) view returns (bool exists, uint256 batchId)',
+    'function sealEvidence(string _fileHash)',
+    'function unsealEvidence(string _fileHash, string _courtOrderRef)',
+    'function isHashSealed(string _fileHash) view returns (bool)',
+    'function anchorAuditCheckpoint(string _headHash, uint256 _sequence) returns (uint256)',
+    'function verifyAuditCheckpoint(string _headHash) view returns (bool exists, uint256 sequence)',
+    'function userRoles(address) view returns (string)',
+    'function authorizedUsers(address) view returns (bool)',
+    'function grantRole(address _user, string _role)',
+    'function revokeRole(address _user)',
+    'event EvidenceStored(uint256 indexed evidenceId, string fileHash, address indexed uploadedBy)',
+    'event MerkleRootAnchored(uint256 indexed batchId, string root, uint256 leafCount, address indexed anchoredBy)',
+    'event AuditCheckpointAnchored(uint256 indexed checkpointId, string headHash, uint256 sequence, address indexed anchoredBy)',
+    'event RoleGranted(address indexed user, string role, address indexed grantedBy)',
+    'event RoleRevoked(address indexed user, string role, address indexed revokedBy)'
+];
+
+let provider = null;
+let contract = null;
+let sealContract = null;
+let unsealContract = null;
+
+const isBlockchainEnabled = () => blockchain.enabled;
+
+const getProvider = () => {
+    if (!provider) {
+        provider = new ethers.JsonRpcProvider(blockchain.rpcUrl);
+    }
+    return provider;
+};
+
+const getContract = () => {
+    if (!isBlockchainEnabled()) {
+        throw new Error('Blockchain anchoring is not configured');
+    }
+    if (!contract) {
+        const signer = new ethers.Wallet(blockchain.privateKey, getProvider());
+        contract = new ethers.Contract(blockchain.contractAddress, EVIDENCE_STORAGE_ABI, signer);
+    }
+    return contract;
+};
+
+// The contract connected as the evidence manager or court official account that submits seals
+const getSealContract = () => {
+    if (!blockchain.sealPrivateKey) {
+        throw new Error('BLOCKCHAIN_SEAL_PRIVATE_KEY is not configured; only an evidence manager or court official may seal on-chain');
+    }
+    if (!sealContract) {
+        const signer = new ethers.Wallet(blockchain.sealPrivateKey, getProvider());
+        sealContract = getContract().connect(signer);
+    }
+    return sealContract;
+};
+
+// The contract connected as the court official account that submits unseals
+const getUnsealContract = () => {
+    if (!blockchain.unsealPrivateKey) {
+        throw new Error('BLOCKCHAIN_UNSEAL_PRIVATE_KEY is not configured; only a court official may unseal on-chain');
+    }
+    if (!unsealContract) {
+        const signer = new ethers.Wallet(blockchain.unsealPrivateKey, getProvider());
+        unsealContract = getContract().connect(signer);
+    }
+    return unsealContract;
+};
+
+const getConfirmations = async (blockNumber) => {
+    if (blockNumber === null || blockNumber === undefined) return 0;
+    const latest = await getProvider().getBlockNumber();
+    return Math.max(0, latest - Number(blockNumber) + 1);
+};
+
+const findEvent = (evidenceStorage, receipt, eventName) => receipt.logs
+    .map(log => {
+        try {
+            return evidenceStorage.interface.parseLog(log);
+        } catch (error) {
+            return null;
+        }
+    })
+    .find(parsed => parsed && parsed.name === eventName);
+
+const updateAnchorFields = async (evidenceId, fields) => {
+    const { error } = await supabase
+        .from('evidence')
+        .update(fields)
+        .eq('id', evidenceId);
+
+    if (error) throw error;
+};
+
+// Submit an evidence hash to EvidenceStorage and record the transaction on the
+// evidence row. The contract rejects duplicate hashes, so content that is
+// already anchored (e.g. the same file in another case) reuses that anchor.
+const anchorEvidence = async (evidence) => {
+    const evidenceStorage = getContract();
+
+    const [exists, chainEvidenceId] = await evidenceStorage.verifyHash(evidence.hash);
+    if (exists) {
+        const { data: anchoredCopy } = await supabase
+            .from('evidence')
+            .select('blockchain_tx, blockchain_block_number, anchored_at')
+            .eq('hash', evidence.hash)
+            .not('blockchain_tx', 'is', null)
+            .limit(1)
+            .maybeSingle();
+
+        const fields = {
+            blockchain_status: 'confirmed',
+            blockchain_evidence_id: Number(chainEvidenceId),
+            blockchain_tx: anchoredCopy?.blockchain_tx || null,
+            blockchain_block_number: anchoredCopy?.blockchain_block_number || null,
+            blockchain_confirmations: await getConfirmations(anchoredCopy?.blockchain_block_number),
+            anchored_at: anchoredCopy?.anchored_at || new Date().toISOString()
+        };
+        await updateAnchorFields(evidence.id, fields);
+        return fields;
+    }
+
+    const metadata = JSON.stringify({ evidence_id: evidence.id, case_id: evidence.case_id });
+    const tx = await evidenceStorage.storeEvidence(evidence.hash, metadata);
+
+    await updateAnchorFields(evidence.id, {
+        blockchain_status: 'submitted',
+        blockchain_tx: tx.hash
+    });
+
+    const receipt = await tx.wait(blockchain.requiredConfirmations);
+    if (!receipt || receipt.status !== 1) {
+        await updateAnchorFields(evidence.id, { blockchain_status: 'failed' });
+        throw new Error(`Anchoring transaction ${tx.hash} failed`);
+    }
+
+    const stored = findEvent(evidenceStorage, receipt, 'EvidenceStored');
+
+    const fields = {
+        blockchain_status: 'confirmed',
+        blockchain_evidence_id: stored ? Number(stored.args.evidenceId) : null,
+        blockchain_block_number: receipt.blockNumber,
+        blockchain_confirmations: await getConfirmations(receipt.blockNumber),
+        anchored_at: new Date().toISOString()
+    };
+    await updateAnchorFields(evidence.id, fields);
+    return { blockchain_tx: tx.hash, ...fields };
+};
+
+// Anchor a Merkle root covering a batch of evidence hashes
+const anchorMerkleRoot = async (root, leafCount) => {
+    const evidenceStorage = getContract();
+    const tx = await evidenceStorage.anchorMerkleRoot(root, leafCount);
+
+    let receipt;
+    try {
+        receipt = await tx.wait(blockchain.requiredConfirmations);
+    } catch (error) {
+        // The transaction may still have been mined; let the caller look it up
+        error.txHash = tx.hash;
+        throw error;
+    }
+    if (!receipt || receipt.status !== 1) {
+        throw new Error(`Merkle root transaction ${tx.hash} failed`);
+    }
+
+    const anchored = findEvent(evidenceStorage, receipt, 'MerkleRootAnchored');
+    return {
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        chainBatchId: anchored ? Number(anchored.args.batchId) : null,
+        confirmations: await getConfirmations(receipt.blockNumber)
+    };
+};
+
+// Anchor in the background; failures are recorded on the row rather than thrown.
+// In batch mode the item is only marked pending and picked up by the batch job.
+const queueAnchor = (evidence) => {
+    if (!isBlockchainEnabled()) return;
+
+    if (blockchain.anchorMode === 'batch') {
+        updateAnchorFields(evidence.id, { blockchain_status: 'pending' })
+            .catch(error => console.error(`Queueing evidence ${evidence.id} for anchoring failed:`, error.message));
+        return;
+    }
+
+    updateAnchorFields(evidence.id, { blockchain_status: 'pending' })
+        .then(() => anchorEvidence(evidence))
+        .catch(async (error) => {
+            console.error(`Anchoring evidence ${evidence.id} failed:`, error.message);
+            try {
+                await updateAnchorFields(evidence.id, { blockchain_status: 'failed' });
+            } catch (updateError) {
+                console.error('Error recording anchoring failure:', updateError);
+            }
+        });
+};
+
+// Current confirmation status of an evidence item's anchor, refreshed from the chain
+const getAnchorStatus = async (evidence) => {
+    const status = {
+        status: evidence.blockchain_status || 'not_anchored',
+        tx_hash: evidence.blockchain_tx || null,
+        block_number: evidence.blockchain_block_number || null,
+        chain_evidence_id: evidence.blockchain_evidence_id || null,
+        confirmations: evidence.blockchain_confirmations || 0,
+        required_confirmations: blockchain.requiredConfirmations,
+        network: blockchain.network,
+        contract_address: blockchain.contractAddress || null,
+        anchored_at: evidence.anchored_at || null
+    };
+
+    if (!isBlockchainEnabled() || !status.tx_hash) {
+        return status;
+    }
+
+    let receipt;
+    try {
+        receipt = await getProvider().getTransactionReceipt(status.tx_hash);
+        if (receipt) {
+            status.confirmations = await getConfirmations(receipt.blockNumber);
+        }
+    } catch (error) {
+        // Fall back to the last recorded status when the node is unreachable
+        console.error('Anchor status lookup error:', error.message);
+        return { ...status, stale: true };
+    }
+
+    if (!receipt) {
+        return status;
+    }
+
+    status.block_number = receipt.blockNumber;
+    if (receipt.status !== 1) {
+        status.status = 'failed';
+    } else if (status.confirmations >= blockchain.requiredConfirmations) {
+        status.status = 'confirmed';
+    }
+
+    if (status.confirmations !== evidence.blockchain_confirmations || status.status !== evidence.blockchain_status) {
+        await updateAnchorFields(evidence.id, {
+            blockchain_status: status.status,
+            blockchain_block_number: status.block_number,
+            blockchain_confirmations: status.confirmations
+        });
+    }
+
+    return status;
+};
+
+// Ask the contract whether a hash is anchored
+const verifyHashOnChain = async (hash) => {
+    const [exists, chainEvidenceId] = await getContract().verifyHash(hash);
+    return { exists, chainEvidenceId: Number(chainEvidenceId) };
+};
+
+// Record a seal (or a court-ordered unseal) for an evidence hash on-chain.
+// Returns the transaction hash once mined.
+const setSealOnChain = async (hash, sealed, courtOrderRef) => {
+    const tx = sealed
+        ? await getSealContract().sealEvidence(hash)
+        : await getUnsealContract().unsealEvidence(hash, courtOrderRef);
+
+    const receipt = await tx.wait(blockchain.requiredConfirmations);
+    if (!receipt || receipt.status !== 1) {
+        throw new Error(`${sealed ? 'Seal' : 'Unseal'} transaction ${tx.hash} failed`);
+    }
+    return tx.hash;
+};
+
+// Role currently held on-chain by an address (null when none)
+const getOnChainRole = async (address) => {
+    const evidenceStorage = getContract();
+    const [authorized, role] = await Promise.all([
+        evidenceStorage.authorizedUsers(address),
+        evidenceStorage.userRoles(address)
+    ]);
+    return authorized && role ? role : null;
+};
+
+const sendRoleTransaction = async (tx) => {
+    const receipt = await tx.wait(blockchain.requiredConfirmations);
+    if (!receipt || receipt.status !== 1) {
+        throw new Error(`Role transaction ${tx.hash} failed`);
+    }
+    return tx.hash;
+};
+
+const grantRoleOnChain = async (address, role) => sendRoleTransaction(await getContract().grantRole(address, role));
+
+const revokeRoleOnChain = async (address) => sendRoleTransaction(await getContract().revokeRole(address));
+
+// Every address that has ever been granted a role, from the contract's events
+const getOnChainRoleHolders = async () => {
+    const evidenceStorage = getContract();
+    const granted = await evidenceStorage.queryFilter(evidenceStorage.filters.RoleGranted());
+    return [...new Set(granted.map(event => event.args.user.toLowerCase()))];
+};
+
+// Address the backend signs transactions with
+const getSignerAddress = () => getContract().runner.address;
+
+// Ask the contract whether a Merkle root is anchored
+const verifyMerkleRootOnChain = async (root) => {
+    const [exists, chainBatchId] = await getContract().verifyMerkleRoot(root);
+    return { exists, chainBatchId: Number(chainBatchId) };
+};
+
+// Anchor the head of the audit log's hash chain
+const anchorAuditCheckpoint = async (headHash, sequence) => {
+    const evidenceStorage = getContract();
+    const tx = await evidenceStorage.anchorAuditCheckpoint(headHash, sequence);
+
+    const receipt = await tx.wait(blockchain.requiredConfirmations);
+    if (!receipt || receipt.status !== 1) {
+        throw new Error(`Audit checkpoint transaction ${tx.hash} failed`);
+    }
+
+    const anchored = findEvent(evidenceStorage, receipt, 'AuditCheckpointAnchored');
+    return {
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        chainCheckpointId: anchored ? Number(anchored.args.checkpointId) : null
+    };
+};
+
+const verifyAuditCheckpointOnChain = async (headHash) => {
+    const [exists, sequence] = await getContract().verifyAuditCheckpoint(headHash);
+    return { exists, sequence: Number(sequence) };
+};
+
+module.exports = {
+    EVIDENCE_STORAGE_ABI,
+    isBlockchainEnabled,
+    getProvider,
+    getContract,
+    anchorEvidence,
+    anchorMerkleRoot,
+    queueAnchor,
+    getAnchorStatus,
+    verifyHashOnChain,
+    verifyMerkleRootOnChain,
+    setSealOnChain,
+    anchorAuditCheckpoint,
+    verifyAuditCheckpointOnChain,
+    getOnChainRole,
+    grantRoleOnChain,
+    revokeRoleOnChain,
+    getOnChainRoleHolders,
+    getSignerAddress
+};
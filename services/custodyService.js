@@ -0,0 +1,109 @@
+const { supabase } = require('../config');
+const { GENESIS_HASH, hashEntry, normalizeTimestamp, verifyHashChain } = require('./hashChain');
+
+const CUSTODY_EVENT_TYPES = [
+    'created',
+    'transfer',
+    'view',
+    'download',
+    'export',
+    'verification',
+    'seal',
+    'unseal',
+    'disposition'
+];
+
+// Hash of an entry's content plus the previous entry's hash. Any edit, deletion
+// or reordering of entries breaks the link to the following entry.
+const computeEntryHash = (entry) => hashEntry({
+    evidence_id: String(entry.evidence_id),
+    sequence: entry.sequence,
+    event_type: entry.event_type,
+    actor: entry.actor,
+    actor_role: entry.actor_role,
+    purpose: entry.purpose,
+    details: entry.details,
+    created_at: normalizeTimestamp(entry.created_at),
+    previous_hash: entry.previous_hash
+});
+
+const lookupActorRole = async (actor) => {
+    if (!actor) return null;
+    const { data: user } = await supabase
+        .from('users')
+        .select('role')
+        .eq('wallet_address', actor)
+        .maybeSingle();
+    return user?.role || null;
+};
+
+// Append an event to an evidence item's custody chain. Failures are logged
+// and swallowed so custody recording never breaks the calling request.
+const recordCustodyEvent = async (evidenceId, { eventType, actor, actorRole, purpose, details = {} }) => {
+    if (!CUSTODY_EVENT_TYPES.includes(eventType)) {
+        console.error(`Unknown custody event type: ${eventType}`);
+        return null;
+    }
+
+    try {
+        const role = actorRole || await lookupActorRole(actor);
+
+        // (evidence_id, sequence) is unique; retry if a concurrent event took our slot
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const { data: last } = await supabase
+                .from('custody_events')
+                .select('sequence, entry_hash')
+                .eq('evidence_id', evidenceId)
+                .order('sequence', { ascending: false })
+                .limit(1)
+                .maybeSingle();
+
+            const entry = {
+                evidence_id: evidenceId,
+                sequence: last ? last.sequence + 1 : 1,
+                event_type: eventType,
+                actor: actor || 'anonymous',
+                actor_role: role,
+                purpose: purpose || null,
+                details,
+                created_at: new Date().toISOString(),
+                previous_hash: last ? last.entry_hash : GENESIS_HASH
+            };
+            entry.entry_hash = computeEntryHash(entry);
+
+            const { data, error } = await supabase
+                .from('custody_events')
+                .insert(entry)
+                .select()
+                .single();
+
+            if (!error) return data;
+            if (error.code !== '23505') throw error;
+        }
+        throw new Error('Could not append custody event after concurrent writes');
+    } catch (error) {
+        console.error(`Error recording custody event for evidence ${evidenceId}:`, error);
+        return null;
+    }
+};
+
+const getCustodyChain = async (evidenceId) => {
+    const { data, error } = await supabase
+        .from('custody_events')
+        .select('*')
+        .eq('evidence_id', evidenceId)
+        .order('sequence', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+};
+
+// Walk the chain and report the first broken link, if any
+const verifyCustodyChain = (entries) => verifyHashChain(entries, computeEntryHash);
+
+module.exports = {
+    CUSTODY_EVENT_TYPES,
+    recordCustodyEvent,
+    getCustodyChain,
+    verifyCustodyChain
+};
@@ -0,0 +1,46 @@
+const { email: emailConfig } = require('../config');
+
+// A transport delivers one message: { from, to, subject, text }
+const transports = {
+    // Development only. The body is never logged, as it may hold a reset link
+    console: async (message) => {
+        console.log(`[email] to=${message.to} subject="${message.subject}" (body not logged)`);
+    },
+
+    webhook: async (message) => {
+        if (!emailConfig.webhookUrl) {
+            throw new Error('EMAIL_WEBHOOK_URL is not configured');
+        }
+
+        const response = await fetch(emailConfig.webhookUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(message)
+        });
+        if (!response.ok) {
+            throw new Error(`Email webhook responded with ${response.status}`);
+        }
+    }
+};
+
+// Replaces the configured transport, e.g. with a function that records messages in tests.
+// Pass null to go back to the configured one.
+let transportOverride = null;
+
+const setEmailTransport = (transport) => {
+    transportOverride = transport;
+};
+
+const sendEmail = async ({ to, subject, text }) => {
+    const transport = transportOverride || transports[emailConfig.transport];
+    if (!transport) {
+        throw new Error(`Unknown email transport: ${emailConfig.transport}`);
+    }
+
+    await transport({ from: emailConfig.from, to, subject, text });
+};
+
+module.exports = {
+    setEmailTransport,
+    sendEmail
+};
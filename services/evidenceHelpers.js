@@ -1,6 +1,10 @@
+const crypto = require('crypto');
+const path = require('path');
 const sharp = require('sharp');
 const { PDFDocument, rgb } = require('pdf-lib');
-const { supabase } = require('../config');
+const { signingKey } = require('../config');
+const { appendAuditLog } = require('./auditLog');
+const { readBlob, openBlobStream } = require('./evidenceStorage');
 
 const generateWatermarkText = (userWallet, caseNumber, timestamp) => {
     return `${userWallet.slice(0, 8)}... | Case: ${caseNumber || 'N/A'} | ${new Date(timestamp).toLocaleString()}`;
@@ -11,10 +15,15 @@ const watermarkImage = async (imageBuffer, watermarkText) => {
         const image = sharp(imageBuffer);
         const { width, height } = await image.metadata();
         
+        const escapedText = watermarkText
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+
         const watermarkSvg = `
             <svg width="${width}" height="${height}">
                 <rect width="100%" height="100%" fill="none"/>
-                <text x="10" y="${height - 20}" font-family="Arial" font-size="14" fill="rgba(255,255,255,0.8)" stroke="rgba(0,0,0,0.8)" stroke-width="1">${watermarkText}</text>
+                <text x="10" y="${height - 20}" font-family="Arial" font-size="14" fill="rgba(255,255,255,0.8)" stroke="rgba(0,0,0,0.8)" stroke-width="1">${escapedText}</text>
             </svg>
         `;
         
@@ -42,29 +51,117 @@ const watermarkPDF = async (pdfBuffer, watermarkText) => {
             });
         });
         
-        return await pdfDoc.save();
+        return Buffer.from(await pdfDoc.save());
     } catch (error) {
         console.error('PDF watermarking error:', error);
         return pdfBuffer; // Return original if watermarking fails
     }
 };
 
-const logDownloadAction = async (userWallet, evidenceId, actionType, details) => {
-    try {
-        await supabase
-            .from('activity_logs')
-            .insert({
-                user_id: userWallet,
-                action: actionType,
-                details: JSON.stringify(details),
-                timestamp: new Date().toISOString()
-            });
-    } catch (error) {
-        console.error('Error logging download action:', error);
+// HMAC-SHA256 signature over a canonical JSON payload
+const signPayload = (payload) => {
+    if (!signingKey) {
+        throw new Error('EVIDENCE_SIGNING_KEY is not configured');
     }
+    return crypto
+        .createHmac('sha256', signingKey)
+        .update(JSON.stringify(payload))
+        .digest('hex');
+};
+
+// Signed sidecar accompanying an unaltered copy of a file that cannot be watermarked
+const buildSignedSidecar = (evidence, userWallet, watermarkText) => {
+    const payload = {
+        evidence_id: evidence.id,
+        case_id: evidence.case_id,
+        file_name: evidence.file_name,
+        file_type: evidence.file_type,
+        file_size: evidence.file_size,
+        sha256: evidence.hash,
+        exported_by: userWallet,
+        exported_at: new Date().toISOString(),
+        watermark_text: watermarkText,
+        watermark_applied: false
+    };
+
+    return {
+        ...payload,
+        signature: {
+            algorithm: 'HMAC-SHA256',
+            value: signPayload(payload)
+        }
+    };
 };
 
-// Helper functions for mock data
+// Load a stored evidence file and prepare it for delivery. Images and PDFs are
+// watermarked; anything else is returned unaltered (as a stream) together with
+// a signed sidecar.
+const prepareEvidenceFile = async (evidence, userWallet) => {
+    if (!evidence.storage_key) {
+        throw new Error(`Evidence ${evidence.id} has no stored file`);
+    }
+
+    const watermarkText = generateWatermarkText(userWallet, evidence.case_number || evidence.case_id, new Date());
+    const extension = path.extname(evidence.file_name || '') || '.bin';
+    const baseName = path.basename(evidence.file_name || 'evidence', extension);
+
+    if (evidence.file_type?.startsWith('image/') || evidence.file_type === 'application/pdf') {
+        const original = await readBlob(evidence.storage_key);
+        const watermarked = evidence.file_type === 'application/pdf'
+            ? await watermarkPDF(original, watermarkText)
+            : await watermarkImage(original, watermarkText);
+
+        // Both watermarkers hand back the original buffer when they fail
+        const watermarkApplied = watermarked !== original;
+
+        return {
+            content: watermarked,
+            contentType: evidence.file_type,
+            filename: `${baseName}${watermarkApplied ? '_watermarked' : ''}${extension}`,
+            watermarkApplied,
+            sidecar: watermarkApplied ? null : buildSignedSidecar(evidence, userWallet, watermarkText)
+        };
+    }
+
+    return {
+        content: await openBlobStream(evidence.storage_key),
+        contentType: evidence.file_type || 'application/octet-stream',
+        filename: `${baseName}${extension}`,
+        watermarkApplied: false,
+        sidecar: buildSignedSidecar(evidence, userWallet, watermarkText)
+    };
+};
+
+// Content-Disposition for a download: an ASCII-only filename for old clients plus the
+// exact name in RFC 5987 form. Quotes, backslashes and control characters never reach the header.
+const contentDisposition = (filename) => {
+    const fallback = String(filename).replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encoded = encodeURIComponent(String(filename)).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+const logDownloadAction = async (userWallet, evidenceId, actionType, details, ipAddress) => {
+    await appendAuditLog({
+        user_id: userWallet,
+        action: actionType,
+        details: JSON.stringify(details),
+        ip_address: ipAddress
+    });
+};
+
+// Public verification view of an evidence item: enough to check a hash, nothing more
+const VERIFICATION_STUB_COLUMNS = 'id, title, case_id, timestamp, submitted_by, hash';
+
+const toVerificationStub = (evidence) => ({
+    id: evidence.id,
+    title: evidence.title,
+    case_id: evidence.case_id,
+    timestamp: evidence.timestamp,
+    submitted_by: evidence.submitted_by.substring(0, 8) + '...',
+    hash: evidence.hash
+});
+
+// Helper function for mock data
 function generateMockIPFSHash() {
     return 'Qm' + Array.from({length: 44}, () => 
         'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
@@ -72,17 +169,16 @@ function generateMockIPFSHash() {
     ).join('');
 }
 
-function generateMockTxHash() {
-    return '0x' + Array.from({length: 64}, () => 
-        '0123456789abcdef'.charAt(Math.floor(Math.random() * 16))
-    ).join('');
-}
-
 module.exports = {
     generateWatermarkText,
     watermarkImage,
     watermarkPDF,
+    signPayload,
+    buildSignedSidecar,
+    prepareEvidenceFile,
+    contentDisposition,
     logDownloadAction,
     generateMockIPFSHash,
-    generateMockTxHash
+    VERIFICATION_STUB_COLUMNS,
+    toVerificationStub
 };
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { storage } = require('../config');
+
+// Blobs are addressed by the SHA-256 of their contents, so a key is always a
+// 64-character lowercase hex string. Anything else is rejected before it can
+// reach a backend (and, for the local backend, the filesystem).
+const isValidKey = (key) => /^[a-f0-9]{64}$/.test(key);
+
+const assertValidKey = (key) => {
+    if (!isValidKey(key)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+};
+
+const hashBuffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Local disk backend. Files are sharded into two levels of directories
+// (ab/cd/abcd...) to keep directory sizes manageable.
+const createLocalDiskBackend = ({ rootDir }) => {
+    const pathFor = (key) => path.join(rootDir, key.slice(0, 2), key.slice(2, 4), key);
+
+    return {
+        name: 'local',
+
+        async exists(key) {
+            try {
+                await fsp.access(pathFor(key));
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        async put(key, buffer) {
+            const target = pathFor(key);
+            await fsp.mkdir(path.dirname(target), { recursive: true });
+
+            // Write to a temp file first so a crash never leaves a partial blob
+            // under a valid content address.
+            const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+            await fsp.writeFile(tmp, buffer, { flag: 'wx' });
+            await fsp.rename(tmp, target);
+        },
+
+        async get(key) {
+            return fsp.readFile(pathFor(key));
+        },
+
+        createReadStream(key) {
+            return fs.createReadStream(pathFor(key));
+        },
+
+        async remove(key) {
+            await fsp.rm(pathFor(key), { force: true });
+        }
+    };
+};
+
+// Backend registry. S3-compatible or IPFS backends register a factory here and
+// are selected with STORAGE_BACKEND. A backend must implement
+// exists(key), put(key, buffer), get(key) and remove(key); createReadStream(key)
+// is optional.
+const backendFactories = new Map();
+
+const registerStorageBackend = (name, factory) => {
+    backendFactories.set(name, factory);
+};
+
+registerStorageBackend('local', () => createLocalDiskBackend({ rootDir: storage.localPath }));
+
+let activeBackend = null;
+
+const getStorageBackend = () => {
+    if (!activeBackend) {
+        const factory = backendFactories.get(storage.backend);
+        if (!factory) {
+            throw new Error(`Unknown storage backend: ${storage.backend}`);
+        }
+        activeBackend = factory();
+    }
+    return activeBackend;
+};
+
+// Replace the active backend (used by alternative backends and tests)
+const setStorageBackend = (backend) => {
+    activeBackend = backend;
+};
+
+// Store a buffer under its SHA-256. Identical content is only written once.
+const storeBlob = async (buffer) => {
+    const backend = getStorageBackend();
+    const key = hashBuffer(buffer);
+
+    const alreadyStored = await backend.exists(key);
+    if (!alreadyStored) {
+        await backend.put(key, buffer);
+    }
+
+    return {
+        key,
+        hash: key,
+        backend: backend.name,
+        size: buffer.length,
+        deduplicated: alreadyStored
+    };
+};
+
+const readBlob = async (key) => {
+    assertValidKey(key);
+    return getStorageBackend().get(key);
+};
+
+// Stream a blob when the backend supports it, otherwise fall back to a buffer
+const openBlobStream = async (key) => {
+    assertValidKey(key);
+    const backend = getStorageBackend();
+    if (typeof backend.createReadStream === 'function') {
+        return backend.createReadStream(key);
+    }
+    return Readable.from(await backend.get(key));
+};
+
+const blobExists = async (key) => {
+    assertValidKey(key);
+    return getStorageBackend().exists(key);
+};
+
+const removeBlob = async (key) => {
+    assertValidKey(key);
+    return getStorageBackend().remove(key);
+};
+
+module.exports = {
+    createLocalDiskBackend,
+    registerStorageBackend,
+    getStorageBackend,
+    setStorageBackend,
+    hashBuffer,
+    storeBlob,
+    readBlob,
+    openBlobStream,
+    blobExists,
+    removeBlob
+};
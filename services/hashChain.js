@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// Shared by the hash-linked ledgers (custody_events, activity_logs). Each entry
+// stores the hash of its own fields plus the previous entry's hash.
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSONB does not preserve key order, so objects are serialized with sorted keys
+const canonicalJSON = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+const hashEntry = (fields) => crypto
+    .createHash('sha256')
+    .update(canonicalJSON(fields))
+    .digest('hex');
+
+// Timestamps come back from Postgres in a different format than they were written
+const normalizeTimestamp = (value) => new Date(value).toISOString();
+
+// Walk entries ordered by sequence (starting at 1) and report the first broken
+// link. computeHash(entry) must reproduce the entry's stored hash.
+const verifyHashChain = (entries, computeHash, { hashField = 'entry_hash', startSequence = 1, startHash = GENESIS_HASH } = {}) => {
+    let previousHash = startHash;
+
+    for (const [index, entry] of entries.entries()) {
+        const expectedSequence = startSequence + index;
+        let reason = null;
+        if (Number(entry.sequence) !== expectedSequence) {
+            reason = `Expected sequence ${expectedSequence}, found ${entry.sequence}`;
+        } else if (entry.previous_hash !== previousHash) {
+            reason = 'previous_hash does not match the preceding entry';
+        } else if (computeHash(entry) !== entry[hashField]) {
+            reason = `${hashField} does not match the entry contents`;
+        }
+
+        if (reason) {
+            return {
+                valid: false,
+                length: entries.length,
+                first_broken_link: { sequence: entry.sequence, entry_id: entry.id, reason }
+            };
+        }
+        previousHash = entry[hashField];
+    }
+
+    return { valid: true, length: entries.length, first_broken_link: null, head_hash: previousHash };
+};
+
+module.exports = {
+    GENESIS_HASH,
+    canonicalJSON,
+    hashEntry,
+    normalizeTimestamp,
+    verifyHashChain
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { supabase } = require('../config');
+const { appendAuditLog } = require('./auditLog');
+const { readBlob } = require('./evidenceStorage');
+const { isBlockchainEnabled, verifyHashOnChain, verifyMerkleRootOnChain } = require('./blockchainService');
+const { verifyMerkleProof } = require('./merkleTree');
+
+// Additional digests that can be requested alongside the mandatory SHA-256.
+// BLAKE3 is only reported when the Node.js OpenSSL build provides it.
+const OPTIONAL_ALGORITHMS = ['sha512', 'blake3'];
+
+const elapsedMs = (start) => Number(process.hrtime.bigint() - start) / 1e6;
+
+// Run a single check, capturing its outcome and how long it took
+const timedCheck = async (name, fn) => {
+    const start = process.hrtime.bigint();
+    try {
+        const result = await fn();
+        return { name, ...result, duration_ms: elapsedMs(start) };
+    } catch (error) {
+        return { name, status: 'failed', error: error.message, duration_ms: elapsedMs(start) };
+    }
+};
+
+// Compare the evidence against its on-chain anchor. Evidence that has not been
+// anchored yet is reported as skipped rather than failed.
+const checkOnChainAnchor = async (evidence) => {
+    if (!isBlockchainEnabled()) {
+        return { status: 'skipped', reason: 'Blockchain anchoring is not configured' };
+    }
+    if (!evidence.blockchain_tx && !evidence.blockchain_evidence_id) {
+        return { status: 'skipped', reason: 'Evidence has not been anchored on-chain' };
+    }
+
+    // Batch-anchored evidence: prove leaf -> root, then root -> chain
+    if (evidence.merkle_root) {
+        const proofValid = verifyMerkleProof(evidence.hash, evidence.merkle_proof || [], evidence.merkle_root);
+        const { exists, chainBatchId } = await verifyMerkleRootOnChain(evidence.merkle_root);
+        return {
+            status: proofValid && exists ? 'passed' : 'failed',
+            merkle_proof_valid: proofValid,
+            merkle_root: evidence.merkle_root,
+            chain_batch_id: chainBatchId || null,
+            tx_hash: evidence.blockchain_tx || null
+        };
+    }
+
+    const { exists, chainEvidenceId } = await verifyHashOnChain(evidence.hash);
+    return {
+        status: exists ? 'passed' : 'failed',
+        chain_evidence_id: chainEvidenceId || null,
+        tx_hash: evidence.blockchain_tx || null
+    };
+};
+
+// Re-read the stored bytes of an evidence item and prove they still match the
+// recorded hash. Returns a structured report with every check's outcome.
+const verifyStoredEvidence = async (evidence, { algorithms = [] } = {}) => {
+    const startedAt = new Date().toISOString();
+    const start = process.hrtime.bigint();
+    const checks = [];
+    let content = null;
+
+    const storageCheck = await timedCheck('storage_read', async () => {
+        if (!evidence.storage_key) {
+            return { status: 'failed', error: 'Evidence has no stored file' };
+        }
+        content = await readBlob(evidence.storage_key);
+        return { status: 'passed', bytes: content.length };
+    });
+    checks.push(storageCheck);
+
+    if (content) {
+        checks.push(await timedCheck('file_size', async () => ({
+            status: Number(evidence.file_size) === content.length ? 'passed' : 'failed',
+            expected: Number(evidence.file_size),
+            actual: content.length
+        })));
+
+        checks.push(await timedCheck('sha256', async () => {
+            const actual = crypto.createHash('sha256').update(content).digest('hex');
+            return {
+                status: actual === evidence.hash ? 'passed' : 'failed',
+                expected: evidence.hash,
+                actual
+            };
+        }));
+
+        const available = crypto.getHashes();
+        for (const algorithm of algorithms.filter(a => OPTIONAL_ALGORITHMS.includes(a))) {
+            checks.push(await timedCheck(algorithm, async () => {
+                if (!available.includes(algorithm)) {
+                    return { status: 'skipped', reason: `${algorithm} is not supported by this runtime` };
+                }
+                return {
+                    status: 'computed',
+                    actual: crypto.createHash(algorithm).update(content).digest('hex')
+                };
+            }));
+        }
+    }
+
+    checks.push(await timedCheck('on_chain_anchor', () => checkOnChainAnchor(evidence)));
+
+    const required = ['storage_read', 'file_size', 'sha256'];
+    const valid = required.every(name => checks.find(c => c.name === name)?.status === 'passed')
+        && !checks.some(c => c.status === 'failed');
+
+    return {
+        evidence_id: evidence.id,
+        recorded_hash: evidence.hash,
+        valid,
+        checks,
+        started_at: startedAt,
+        completed_at: new Date().toISOString(),
+        duration_ms: elapsedMs(start)
+    };
+};
+
+// Persist a verification report so auditors can see when integrity was last proven
+const recordVerificationReport = async (userId, report, ipAddress) => {
+    await appendAuditLog({
+        user_id: userId,
+        action: 'evidence_integrity_check',
+        details: JSON.stringify({
+            evidence_id: report.evidence_id,
+            valid: report.valid,
+            checks: report.checks.map(({ name, status, duration_ms }) => ({ name, status, duration_ms })),
+            completed_at: report.completed_at
+        }),
+        ip_address: ipAddress
+    });
+};
+
+// The last report recorded for an item, or null if it has never been verified
+const getLatestVerificationReport = async (evidenceId) => {
+    const { data: entry, error } = await supabase
+        .from('activity_logs')
+        .select('user_id, details, timestamp')
+        .eq('action', 'evidence_integrity_check')
+        .eq('evidence_id', String(evidenceId))
+        .order('sequence', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    if (error) throw error;
+    if (!entry) return null;
+
+    const report = JSON.parse(entry.details);
+    return {
+        status: report.valid ? 'passed' : 'failed',
+        verified_at: report.completed_at || entry.timestamp,
+        verified_by: entry.user_id,
+        checks: report.checks || []
+    };
+};
+
+module.exports = {
+    OPTIONAL_ALGORITHMS,
+    checkOnChainAnchor,
+    verifyStoredEvidence,
+    recordVerificationReport,
+    getLatestVerificationReport
+};
@@ -0,0 +1,508 @@
+const { supabase } = require('../config');
+const { appendAuditLog } = require('./auditLog');
+const { notifyMultipleUsers } = require('./notificationService');
+const { loadCase } = require('./policyService');
+
+const INCLUSION_ORDER = ['evidence', 'case', 'tag'];
+
+const audit = (user, action, details, ip) => appendAuditLog({
+    user_id: user.identifier,
+    action,
+    details: JSON.stringify(details),
+    ip_address: ip || null
+});
+
+const toIdList = (values) => [...new Set([].concat(values || []).map(value => parseInt(value, 10)).filter(Number.isInteger))];
+
+const textList = (values) => [...new Set([].concat(values || []).map(value => String(value).trim()).filter(Boolean))];
+
+// Check a requested scope exists. Cases may be given by id or case number; they are
+// stored by id. Returns { scope: { case_ids, tag_ids, evidence_ids } } or { error }.
+const resolveScope = async ({ caseIds, tagIds, evidenceIds }) => {
+    const cases = [];
+    for (const ref of textList(caseIds)) {
+        const caseRecord = await loadCase(ref);
+        if (!caseRecord) return { error: `Case ${ref} not found` };
+        cases.push(caseRecord.id);
+    }
+
+    const tag_ids = toIdList(tagIds);
+    if (tag_ids.length > 0) {
+        const { data: tags, error } = await supabase.from('tags').select('id').in('id', tag_ids);
+        if (error) throw error;
+        const missing = tag_ids.filter(id => !(tags || []).some(tag => tag.id === id));
+        if (missing.length > 0) return { error: `Tag ${missing[0]} not found` };
+    }
+
+    const evidence_ids = toIdList(evidenceIds);
+    if (evidence_ids.length > 0) {
+        const { data: evidence, error } = await supabase.from('evidence').select('id').in('id', evidence_ids);
+        if (error) throw error;
+        const missing = evidence_ids.filter(id => !(evidence || []).some(item => item.id === id));
+        if (missing.length > 0) return { error: `Evidence ${missing[0]} not found` };
+    }
+
+    return { scope: { case_ids: [...new Set(cases)], tag_ids, evidence_ids } };
+};
+
+// evidence.case_id holds either a case id or its case number
+const caseKeys = async (caseIds) => {
+    if (caseIds.length === 0) return [];
+    const { data, error } = await supabase.from('cases').select('id, case_number').in('id', caseIds);
+    if (error) throw error;
+    return (data || []).flatMap(caseRecord => [String(caseRecord.id), caseRecord.case_number].filter(Boolean));
+};
+
+// Every evidence id a hold's scope covers today, with what brought it in
+const findEvidenceInScope = async (hold) => {
+    const found = new Map();
+    const add = (ids, includedBy) => ids.forEach(id => {
+        const current = found.get(id);
+        if (!current || INCLUSION_ORDER.indexOf(includedBy) < INCLUSION_ORDER.indexOf(current)) {
+            found.set(id, includedBy);
+        }
+    });
+
+    const keys = await caseKeys(hold.case_ids || []);
+    if (keys.length > 0) {
+        const { data, error } = await supabase.from('evidence').select('id').in('case_id', keys);
+        if (error) throw error;
+        add((data || []).map(row => row.id), 'case');
+    }
+
+    if ((hold.tag_ids || []).length > 0) {
+        const { data, error } = await supabase.from('evidence_tags').select('evidence_id').in('tag_id', hold.tag_ids);
+        if (error) throw error;
+        add((data || []).map(row => row.evidence_id), 'tag');
+    }
+
+    add(hold.evidence_ids || [], 'evidence');
+    return found;
+};
+
+// Active holds' rows in legal_hold_evidence for the given items
+const getActiveMemberships = async (evidenceIds) => {
+    const { data: holds, error } = await supabase
+        .from('legal_holds')
+        .select('id, matter_name')
+        .eq('status', 'active');
+    if (error) throw error;
+    if (!holds || holds.length === 0) return [];
+
+    const { data: memberships, error: memberError } = await supabase
+        .from('legal_hold_evidence')
+        .select('hold_id, evidence_id, included_by')
+        .in('hold_id', holds.map(hold => hold.id))
+        .in('evidence_id', evidenceIds);
+    if (memberError) throw memberError;
+
+    return (memberships || []).map(row => ({ ...row, matter_name: holds.find(hold => hold.id === row.hold_id).matter_name }));
+};
+
+// Set evidence.legal_hold from whether any active hold still lists each item
+const syncLegalHoldFlags = async (evidenceIds) => {
+    if (evidenceIds.length === 0) return;
+
+    const held = new Set((await getActiveMemberships(evidenceIds)).map(row => row.evidence_id));
+    const heldIds = evidenceIds.filter(id => held.has(id));
+    const freedIds = evidenceIds.filter(id => !held.has(id));
+
+    if (heldIds.length > 0) {
+        const { error: holdError } = await supabase.from('evidence').update({ legal_hold: true }).in('id', heldIds);
+        if (holdError) throw holdError;
+    }
+    if (freedIds.length > 0) {
+        const { error: freeError } = await supabase.from('evidence').update({ legal_hold: false }).in('id', freedIds);
+        if (freeError) throw freeError;
+    }
+};
+
+// Bring a hold's evidence list in line with its scope. Returns the ids added and removed.
+// With addOnly, items no longer in scope are kept: only removals and releases free evidence.
+const refreshHoldEvidence = async (hold, { addOnly = false } = {}) => {
+    const inScope = hold.status === 'active' ? await findEvidenceInScope(hold) : new Map();
+
+    const { data: current, error } = await supabase
+        .from('legal_hold_evidence')
+        .select('evidence_id, included_by')
+        .eq('hold_id', hold.id);
+    if (error) throw error;
+
+    const existing = new Map((current || []).map(row => [row.evidence_id, row.included_by]));
+    const added = [...inScope.keys()].filter(id => !existing.has(id));
+    const removed = addOnly ? [] : [...existing.keys()].filter(id => !inScope.has(id));
+
+    if (added.length > 0) {
+        const { error: insertError } = await supabase
+            .from('legal_hold_evidence')
+            .insert(added.map(id => ({ hold_id: hold.id, evidence_id: id, included_by: inScope.get(id) })));
+        if (insertError) throw insertError;
+    }
+
+    // Items whose reason for being held changed, e.g. dropped from the list but still in a held case
+    for (const [id, includedBy] of inScope) {
+        if (!existing.has(id) || existing.get(id) === includedBy) continue;
+        const { error: updateError } = await supabase
+            .from('legal_hold_evidence')
+            .update({ included_by: includedBy })
+            .eq('hold_id', hold.id)
+            .eq('evidence_id', id);
+        if (updateError) throw updateError;
+    }
+
+    if (removed.length > 0) {
+        const { error: deleteError } = await supabase
+            .from('legal_hold_evidence')
+            .delete()
+            .eq('hold_id', hold.id)
+            .in('evidence_id', removed);
+        if (deleteError) throw deleteError;
+    }
+
+    await syncLegalHoldFlags([...added, ...removed]);
+    return { added, removed };
+};
+
+const getLegalHold = async (id) => {
+    const { data } = await supabase
+        .from('legal_holds')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+    return data;
+};
+
+const countHeldEvidence = async (holdIds) => {
+    if (holdIds.length === 0) return new Map();
+    const { data, error } = await supabase
+        .from('legal_hold_evidence')
+        .select('hold_id')
+        .in('hold_id', holdIds);
+    if (error) throw error;
+
+    const counts = new Map();
+    (data || []).forEach(row => counts.set(row.hold_id, (counts.get(row.hold_id) || 0) + 1));
+    return counts;
+};
+
+const listLegalHolds = async ({ status } = {}) => {
+    let query = supabase.from('legal_holds').select('*');
+    if (status && status !== 'all') query = query.eq('status', status);
+
+    const { data: holds, error } = await query.order('created_at', { ascending: false });
+    if (error) throw error;
+
+    const counts = await countHeldEvidence((holds || []).map(hold => hold.id));
+    return (holds || []).map(hold => ({ ...hold, evidence_count: counts.get(hold.id) || 0 }));
+};
+
+const notifyCustodians = (hold, title, message) => {
+    if (!hold.custodians || hold.custodians.length === 0) return null;
+    return notifyMultipleUsers(hold.custodians, title, message, 'urgent', { legal_hold_id: hold.id });
+};
+
+const describeHold = (hold) =>
+    `${hold.matter_name} (${hold.issuing_authority}${hold.court_order_reference ? `, order ${hold.court_order_reference}` : ''})`;
+
+// Validate and create a hold, then apply it to everything in scope.
+// Like the other functions here, returns { error, reason? } on failure, where
+// reason is not_found or conflict (otherwise the input was invalid).
+const createLegalHold = async (user, input, { ip } = {}) => {
+    const matterName = String(input.matterName || '').trim();
+    const issuingAuthority = String(input.issuingAuthority || '').trim();
+    if (!matterName || !issuingAuthority) {
+        return { error: 'Matter name and issuing authority are required' };
+    }
+
+    const { scope, error: scopeError } = await resolveScope(input);
+    if (scopeError) return { error: scopeError };
+    if (scope.case_ids.length + scope.tag_ids.length + scope.evidence_ids.length === 0) {
+        return { error: 'A legal hold needs at least one case, tag or evidence item in scope' };
+    }
+
+    const startsAt = input.startsAt ? new Date(input.startsAt) : new Date();
+    if (Number.isNaN(startsAt.getTime()) || startsAt > new Date()) {
+        return { error: 'Start date must be a valid date that is not in the future' };
+    }
+
+    const { data: hold, error } = await supabase
+        .from('legal_holds')
+        .insert({
+            matter_name: matterName,
+            issuing_authority: issuingAuthority,
+            court_order_reference: input.courtOrderReference ? String(input.courtOrderReference).trim() : null,
+            description: input.description || null,
+            custodians: textList(input.custodians),
+            ...scope,
+            starts_at: startsAt.toISOString(),
+            created_by: user.identifier
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    const { added } = await refreshHoldEvidence(hold);
+
+    await audit(user, 'legal_hold_created', {
+        legal_hold_id: hold.id, matter_name: hold.matter_name, ...scope, evidence_count: added.length
+    }, ip);
+
+    await notifyCustodians(hold, 'Legal Hold Notice',
+        `You are a custodian under the legal hold ${describeHold(hold)}. Preserve all related evidence until it is released.`);
+
+    return { hold: { ...hold, evidence_count: added.length } };
+};
+
+// Change a hold's details or widen its scope. Narrowing the scope needs a release
+// (of the hold, or of items through removeEvidenceFromHold).
+const updateLegalHold = async (user, id, input, { ip } = {}) => {
+    const hold = await getLegalHold(id);
+    if (!hold) return { error: 'Legal hold not found', reason: 'not_found' };
+    if (hold.status !== 'active') return { error: 'Released legal holds cannot be changed', reason: 'conflict' };
+
+    const { scope, error: scopeError } = await resolveScope(input);
+    if (scopeError) return { error: scopeError };
+
+    const changes = {
+        case_ids: [...new Set([...hold.case_ids, ...scope.case_ids])],
+        tag_ids: [...new Set([...hold.tag_ids, ...scope.tag_ids])],
+        evidence_ids: [...new Set([...hold.evidence_ids, ...scope.evidence_ids])],
+        updated_at: new Date().toISOString()
+    };
+    if (input.matterName) changes.matter_name = String(input.matterName).trim();
+    if (input.issuingAuthority) changes.issuing_authority = String(input.issuingAuthority).trim();
+    if (input.courtOrderReference !== undefined) changes.court_order_reference = input.courtOrderReference || null;
+    if (input.description !== undefined) changes.description = input.description || null;
+    if (input.custodians !== undefined) changes.custodians = textList(input.custodians);
+
+    const { data: updated, error } = await supabase
+        .from('legal_holds')
+        .update(changes)
+        .eq('id', hold.id)
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    const { added } = await refreshHoldEvidence(updated, { addOnly: true });
+
+    await audit(user, 'legal_hold_updated', {
+        legal_hold_id: hold.id, changes: Object.keys(input), evidence_added: added
+    }, ip);
+
+    const newCustodians = updated.custodians.filter(custodian => !hold.custodians.includes(custodian));
+    await notifyCustodians({ ...updated, custodians: newCustodians }, 'Legal Hold Notice',
+        `You are a custodian under the legal hold ${describeHold(updated)}. Preserve all related evidence until it is released.`);
+
+    return { hold: updated, added };
+};
+
+// Take individual items out of a hold's evidence list. Items its cases or tags
+// still cover stay held.
+const removeEvidenceFromHold = async (user, id, evidenceIds, reason, { ip } = {}) => {
+    if (!reason) return { error: 'A reason is required to remove evidence from a legal hold' };
+
+    const hold = await getLegalHold(id);
+    if (!hold) return { error: 'Legal hold not found', reason: 'not_found' };
+    if (hold.status !== 'active') return { error: 'Legal hold is already released', reason: 'conflict' };
+
+    const ids = toIdList(evidenceIds);
+    const { data: updated, error } = await supabase
+        .from('legal_holds')
+        .update({
+            evidence_ids: hold.evidence_ids.filter(evidenceId => !ids.includes(evidenceId)),
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', hold.id)
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    const { removed } = await refreshHoldEvidence(updated);
+
+    await audit(user, 'legal_hold_evidence_removed', {
+        legal_hold_id: hold.id, evidence_ids: ids, released: removed, reason
+    }, ip);
+
+    return { hold: updated, removed, still_held: ids.filter(evidenceId => !removed.includes(evidenceId)) };
+};
+
+// End a hold. Its evidence stays held only where another active hold covers it.
+const releaseLegalHold = async (user, id, reason, { ip } = {}) => {
+    if (!reason) return { error: 'A reason is required to release a legal hold' };
+
+    const hold = await getLegalHold(id);
+    if (!hold) return { error: 'Legal hold not found', reason: 'not_found' };
+
+    const { data: released, error } = await supabase
+        .from('legal_holds')
+        .update({
+            status: 'released',
+            released_by: user.identifier,
+            released_at: new Date().toISOString(),
+            release_reason: reason,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', hold.id)
+        .eq('status', 'active')
+        .select();
+
+    if (error) throw error;
+    if (!released || released.length === 0) return { error: 'Legal hold is already released', reason: 'conflict' };
+
+    // The evidence list is kept as a record of what the hold protected
+    const { data: members, error: memberError } = await supabase
+        .from('legal_hold_evidence')
+        .select('evidence_id')
+        .eq('hold_id', hold.id);
+    if (memberError) throw memberError;
+
+    const evidenceIds = (members || []).map(row => row.evidence_id);
+    await syncLegalHoldFlags(evidenceIds);
+
+    await audit(user, 'legal_hold_released', {
+        legal_hold_id: hold.id, matter_name: hold.matter_name, reason, evidence_count: evidenceIds.length
+    }, ip);
+
+    await notifyCustodians(hold, 'Legal Hold Released',
+        `The legal hold ${describeHold(hold)} was released: ${reason}`);
+
+    return { hold: released[0] };
+};
+
+// Put newly added or newly tagged evidence under any active hold covering its case
+// or tags. Failures are logged and swallowed so they never break the upload or tag.
+const applyHoldsToEvidence = async (evidence, { actor, tagIds = [] } = {}) => {
+    try {
+        const caseRecord = await loadCase(evidence.case_id);
+        const holds = [];
+
+        if (caseRecord) {
+            const { data, error } = await supabase
+                .from('legal_holds')
+                .select('*')
+                .eq('status', 'active')
+                .overlaps('case_ids', [caseRecord.id]);
+            if (error) throw error;
+            holds.push(...(data || []));
+        }
+
+        const tags = toIdList(tagIds);
+        if (tags.length > 0) {
+            const { data, error } = await supabase
+                .from('legal_holds')
+                .select('*')
+                .eq('status', 'active')
+                .overlaps('tag_ids', tags);
+            if (error) throw error;
+            holds.push(...(data || []).filter(hold => !holds.some(existing => existing.id === hold.id)));
+        }
+
+        const applied = [];
+        for (const hold of holds) {
+            const { added } = await refreshHoldEvidence(hold, { addOnly: true });
+            if (!added.includes(evidence.id)) continue;
+
+            applied.push(hold.id);
+            await appendAuditLog({
+                user_id: actor,
+                action: 'legal_hold_applied',
+                details: JSON.stringify({ legal_hold_id: hold.id, evidence_id: evidence.id }),
+                ip_address: null
+            });
+        }
+        return applied;
+    } catch (error) {
+        console.error(`Applying legal holds to evidence ${evidence.id} failed:`, error.message);
+        return [];
+    }
+};
+
+// Everything a hold protects, for review and export
+const getHoldReport = async (id) => {
+    const hold = await getLegalHold(id);
+    if (!hold) return null;
+
+    const { data: members, error } = await supabase
+        .from('legal_hold_evidence')
+        .select('evidence_id, included_by, included_at')
+        .eq('hold_id', hold.id)
+        .order('evidence_id', { ascending: true });
+    if (error) throw error;
+
+    const ids = (members || []).map(row => row.evidence_id);
+    let evidence = [];
+    if (ids.length > 0) {
+        const { data, error: evidenceError } = await supabase
+            .from('evidence')
+            .select('id, title, case_id, type, hash, status, is_sealed, current_custodian, timestamp')
+            .in('id', ids);
+        if (evidenceError) throw evidenceError;
+        evidence = data || [];
+    }
+
+    let cases = [];
+    if (hold.case_ids.length > 0) {
+        const { data, error: caseError } = await supabase.from('cases').select('id, case_number, title').in('id', hold.case_ids);
+        if (caseError) throw caseError;
+        cases = data || [];
+    }
+
+    let tags = [];
+    if (hold.tag_ids.length > 0) {
+        const { data, error: tagError } = await supabase.from('tags').select('id, name').in('id', hold.tag_ids);
+        if (tagError) throw tagError;
+        tags = data || [];
+    }
+
+    const items = (members || []).map(member => ({
+        ...evidence.find(item => item.id === member.evidence_id),
+        evidence_id: member.evidence_id,
+        included_by: member.included_by,
+        included_at: member.included_at
+    }));
+
+    return {
+        hold,
+        scope: { cases, tags, evidence_ids: hold.evidence_ids },
+        summary: {
+            total: items.length,
+            by_inclusion: INCLUSION_ORDER.reduce((counts, reason) => ({
+                ...counts, [reason]: items.filter(item => item.included_by === reason).length
+            }), {})
+        },
+        evidence: items
+    };
+};
+
+// Active holds listing an evidence item
+const getActiveHoldsForEvidence = async (evidenceId) =>
+    (await getActiveMemberships([parseInt(evidenceId, 10)]))
+        .map(({ hold_id: id, matter_name, included_by }) => ({ id, matter_name, included_by }));
+
+// Active holds that cover a tag. Removing the tag from an item would take it out of
+// the hold's scope, so callers refuse while any are returned.
+const getActiveHoldsForTag = async (tagId) => {
+    const { data, error } = await supabase
+        .from('legal_holds')
+        .select('id, matter_name')
+        .eq('status', 'active')
+        .overlaps('tag_ids', toIdList(tagId));
+    if (error) throw error;
+    return data || [];
+};
+
+module.exports = {
+    listLegalHolds,
+    getLegalHold,
+    createLegalHold,
+    updateLegalHold,
+    removeEvidenceFromHold,
+    releaseLegalHold,
+    applyHoldsToEvidence,
+    getHoldReport,
+    getActiveHoldsForEvidence,
+    getActiveHoldsForTag
+};
@@ -0,0 +1,127 @@
+const { supabase, loginLockout } = require('../config');
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((new Date(date) - now) / 1000));
+
+// The email and IP counters for a login attempt, keyed by scope
+const getCounters = async (email, ip) => {
+    const { data, error } = await supabase
+        .from('login_lockouts')
+        .select('*')
+        .in('identifier', [email, ip]);
+
+    if (error) throw error;
+
+    const rows = data || [];
+    return {
+        email: rows.find(row => row.scope === 'email' && row.identifier === email) || null,
+        ip: rows.find(row => row.scope === 'ip' && row.identifier === ip) || null
+    };
+};
+
+// Whether a login attempt must be refused before checking the password.
+// Returns null, or { scope, reason: 'locked' | 'throttled', lockedUntil, retryAfterSeconds }.
+const getLoginBlock = async (email, ip, now = new Date()) => {
+    const counters = await getCounters(email, ip);
+
+    for (const scope of ['email', 'ip']) {
+        const row = counters[scope];
+        if (row && row.locked_until && new Date(row.locked_until) > now) {
+            return { scope, reason: 'locked', lockedUntil: row.locked_until, retryAfterSeconds: secondsUntil(row.locked_until, now) };
+        }
+    }
+
+    const row = counters.email;
+    if (row && row.next_attempt_at && new Date(row.next_attempt_at) > now) {
+        return { scope: 'email', reason: 'throttled', lockedUntil: null, retryAfterSeconds: secondsUntil(row.next_attempt_at, now) };
+    }
+
+    return null;
+};
+
+// Count one more failure on a counter row. threshold and lockoutMinutes come from
+// the password policy (accounts) or config (IPs). The record_login_failure database
+// function increments and checks the threshold under a row lock, so parallel failed
+// logins cannot each read the same count and slip past the threshold.
+const countFailure = async (scope, identifier, { threshold, lockoutMinutes, delay }, now) => {
+    const { data, error } = await supabase.rpc('record_login_failure', {
+        p_scope: scope,
+        p_identifier: identifier,
+        p_threshold: threshold,
+        p_lockout_minutes: lockoutMinutes,
+        p_delay: delay,
+        p_failure_window_minutes: loginLockout.failureWindowMinutes,
+        p_max_lockout_minutes: loginLockout.maxLockoutMinutes,
+        p_base_delay_seconds: loginLockout.baseDelaySeconds,
+        p_max_delay_seconds: loginLockout.maxDelaySeconds,
+        p_now: now.toISOString()
+    });
+
+    if (error) throw error;
+    return data;
+};
+
+// Record a failed email login against the account and the client IP. Unknown
+// addresses are counted too, so lockouts do not reveal which accounts exist.
+// Returns the updated { email, ip } counters; a counter that has just locked has locked_until set.
+const recordLoginFailure = async (email, ip, policy, now = new Date()) => {
+    const [emailCounter, ipCounter] = await Promise.all([
+        countFailure('email', email, {
+            threshold: policy.lockout_threshold,
+            lockoutMinutes: policy.lockout_duration_minutes,
+            delay: true
+        }, now),
+        countFailure('ip', ip, {
+            threshold: loginLockout.ipMaxFailures,
+            lockoutMinutes: loginLockout.ipLockoutMinutes,
+            delay: false
+        }, now)
+    ]);
+
+    return { email: emailCounter, ip: ipCounter };
+};
+
+// A successful password check resets the account's counter. The IP counter is kept,
+// so one valid credential does not clear a stuffing run from the same address.
+const clearLoginFailures = async (email) => {
+    const { error } = await supabase
+        .from('login_lockouts')
+        .delete()
+        .eq('scope', 'email')
+        .eq('identifier', email);
+
+    if (error) throw error;
+};
+
+// Accounts and IPs that are locked out right now
+const listLockouts = async (now = new Date()) => {
+    const { data, error } = await supabase
+        .from('login_lockouts')
+        .select('*')
+        .gt('locked_until', now.toISOString())
+        .order('locked_until', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+};
+
+// Lift a lockout and forget the failures. Returns the removed counter, or null if there was none.
+const unlockLogin = async (scope, identifier) => {
+    const { data, error } = await supabase
+        .from('login_lockouts')
+        .delete()
+        .eq('scope', scope)
+        .eq('identifier', identifier)
+        .select('*')
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+module.exports = {
+    getLoginBlock,
+    recordLoginFailure,
+    clearLoginFailures,
+    listLockouts,
+    unlockLogin
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+// Merkle tree over evidence SHA-256 hashes. Leaves and interior nodes use
+// different prefixes (0x00 / 0x01) so a leaf can never be passed off as a node.
+// An unpaired node at the end of a layer is carried up unchanged.
+//
+// This module has no database or network dependencies: verifyMerkleProof can
+// be used offline with nothing but an exported proof and the anchored root.
+
+const sha256 = (...buffers) => crypto.createHash('sha256').update(Buffer.concat(buffers)).digest();
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+const hashLeaf = (evidenceHash) => sha256(LEAF_PREFIX, Buffer.from(evidenceHash, 'hex'));
+const hashNode = (left, right) => sha256(NODE_PREFIX, left, right);
+
+// Build the tree from hex evidence hashes (in leaf order)
+const buildMerkleTree = (evidenceHashes) => {
+    if (!Array.isArray(evidenceHashes) || evidenceHashes.length === 0) {
+        throw new Error('Cannot build a Merkle tree without leaves');
+    }
+
+    const layers = [evidenceHashes.map(hashLeaf)];
+    while (layers[layers.length - 1].length > 1) {
+        const current = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < current.length; i += 2) {
+            next.push(i + 1 < current.length ? hashNode(current[i], current[i + 1]) : current[i]);
+        }
+        layers.push(next);
+    }
+
+    return {
+        root: layers[layers.length - 1][0].toString('hex'),
+        leafCount: evidenceHashes.length,
+        layers
+    };
+};
+
+// Inclusion proof for the leaf at `index`: the sibling at each level, bottom-up
+const getMerkleProof = (tree, index) => {
+    if (index < 0 || index >= tree.leafCount) {
+        throw new Error(`Leaf index ${index} out of range`);
+    }
+
+    const proof = [];
+    let position = index;
+    for (let level = 0; level < tree.layers.length - 1; level++) {
+        const layer = tree.layers[level];
+        const isRight = position % 2 === 1;
+        const siblingIndex = isRight ? position - 1 : position + 1;
+
+        if (siblingIndex < layer.length) {
+            proof.push({
+                position: isRight ? 'left' : 'right',
+                hash: layer[siblingIndex].toString('hex')
+            });
+        }
+        position = Math.floor(position / 2);
+    }
+    return proof;
+};
+
+// Recompute the root from an evidence hash and its proof and compare it with
+// the anchored root
+const verifyMerkleProof = (evidenceHash, proof, expectedRoot) => {
+    try {
+        let node = hashLeaf(evidenceHash);
+        for (const step of proof) {
+            const sibling = Buffer.from(step.hash, 'hex');
+            node = step.position === 'left' ? hashNode(sibling, node) : hashNode(node, sibling);
+        }
+        return node.toString('hex') === String(expectedRoot).toLowerCase();
+    } catch (error) {
+        return false;
+    }
+};
+
+module.exports = {
+    buildMerkleTree,
+    getMerkleProof,
+    verifyMerkleProof
+};
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const { supabase, passwords } = require('../config');
+
+// Used until an admin saves a policy (mirrors the password_policy column defaults)
+const DEFAULT_PASSWORD_POLICY = {
+    min_length: 12,
+    max_length: 128,
+    require_uppercase: true,
+    require_lowercase: true,
+    require_numbers: true,
+    require_special_chars: true,
+    min_special_chars: 2,
+    prevent_breached: true,
+    prevent_user_info: true,
+    // How many previous passwords may not be reused
+    history_count: 5,
+    // Days before a password must be changed (0 = never)
+    max_age_days: 90,
+    warning_days: 14,
+    // Failed logins before an account is temporarily locked, and for how long
+    lockout_threshold: 5,
+    lockout_duration_minutes: 15
+};
+
+// Allowed range for each numeric setting
+const NUMERIC_LIMITS = {
+    min_length: [8, 128],
+    max_length: [16, 1024],
+    min_special_chars: [0, 20],
+    history_count: [0, 24],
+    max_age_days: [0, 3650],
+    warning_days: [0, 90],
+    lockout_threshold: [3, 10],
+    lockout_duration_minutes: [5, 120]
+};
+
+const POLICY_CACHE_MS = 60 * 1000;
+let cachedPolicy = null;
+let cachedAt = 0;
+
+const pickPolicy = (row) => Object.fromEntries(
+    Object.keys(DEFAULT_PASSWORD_POLICY)
+        .filter(key => row && row[key] !== undefined && row[key] !== null)
+        .map(key => [key, row[key]])
+);
+
+// The stored policy (a single row), cached briefly because every email-user request checks expiry
+const getPasswordPolicy = async () => {
+    if (cachedPolicy && Date.now() - cachedAt < POLICY_CACHE_MS) {
+        return cachedPolicy;
+    }
+
+    const { data, error } = await supabase
+        .from('password_policy')
+        .select('*')
+        .eq('id', 1)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    cachedPolicy = { ...DEFAULT_PASSWORD_POLICY, ...pickPolicy(data) };
+    cachedAt = Date.now();
+    return cachedPolicy;
+};
+
+// Validate and save policy changes. Returns { policy } or { error }.
+const updatePasswordPolicy = async (changes, updatedBy) => {
+    const policy = { ...await getPasswordPolicy(), ...pickPolicy(changes) };
+
+    for (const [key, [min, max]] of Object.entries(NUMERIC_LIMITS)) {
+        if (!Number.isInteger(policy[key]) || policy[key] < min || policy[key] > max) {
+            return { error: `${key} must be a whole number from ${min} to ${max}` };
+        }
+    }
+    for (const key of Object.keys(DEFAULT_PASSWORD_POLICY).filter(key => !NUMERIC_LIMITS[key])) {
+        if (typeof policy[key] !== 'boolean') {
+            return { error: `${key} must be true or false` };
+        }
+    }
+    if (policy.min_length > policy.max_length) {
+        return { error: 'min_length cannot be greater than max_length' };
+    }
+    if (policy.min_special_chars > policy.min_length) {
+        return { error: 'min_special_chars cannot be greater than min_length' };
+    }
+    if (policy.max_age_days && policy.warning_days >= policy.max_age_days) {
+        return { error: 'warning_days must be less than max_age_days' };
+    }
+
+    const { data, error } = await supabase
+        .from('password_policy')
+        .upsert({ id: 1, ...policy, updated_by: updatedBy, updated_at: new Date().toISOString() })
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    cachedPolicy = { ...DEFAULT_PASSWORD_POLICY, ...pickPolicy(data) };
+    cachedAt = Date.now();
+    return { policy: cachedPolicy };
+};
+
+let breachedPasswords = null;
+
+const loadBreachedPasswords = () => {
+    if (!breachedPasswords) {
+        try {
+            breachedPasswords = new Set(fs.readFileSync(passwords.breachedListPath, 'utf8')
+                .split(/\r?\n/)
+                .map(line => line.trim().toLowerCase())
+                .filter(line => line && !line.startsWith('#')));
+        } catch (error) {
+            console.error('Failed to load breached password list:', error.message);
+            breachedPasswords = new Set();
+        }
+    }
+    return breachedPasswords;
+};
+
+// Also catches listed words padded to pass the character rules, like "Password123!!"
+const isBreachedPassword = (password) => {
+    const list = loadBreachedPasswords();
+    const lowered = password.toLowerCase();
+    const core = lowered.replace(/^[^a-z]+|[^a-z]+$/g, '');
+    return list.has(lowered) || (core.length >= 4 && list.has(core));
+};
+
+// Parts of the user's name and email address long enough to matter
+const getUserInfoTerms = (user) => [
+    ...String(user.full_name || '').split(/\s+/),
+    ...String(user.email || '').split('@')[0].split(/[._+-]/)
+]
+    .map(term => term.toLowerCase())
+    .filter(term => term.length >= 3);
+
+// Problems with a password under the policy, as messages (empty when acceptable).
+// Reuse is checked separately by isPasswordReused, as it needs the stored history.
+const validatePassword = (password, policy, user = {}) => {
+    const issues = [];
+    const value = typeof password === 'string' ? password : '';
+
+    if (value.length < policy.min_length) {
+        issues.push(`Password must be at least ${policy.min_length} characters long`);
+    }
+    if (value.length > policy.max_length) {
+        issues.push(`Password must not exceed ${policy.max_length} characters`);
+    }
+    if (policy.require_uppercase && !/[A-Z]/.test(value)) {
+        issues.push('Password must contain at least one uppercase letter');
+    }
+    if (policy.require_lowercase && !/[a-z]/.test(value)) {
+        issues.push('Password must contain at least one lowercase letter');
+    }
+    if (policy.require_numbers && !/[0-9]/.test(value)) {
+        issues.push('Password must contain at least one number');
+    }
+    if (policy.require_special_chars) {
+        const specialCount = (value.match(/[^A-Za-z0-9\s]/g) || []).length;
+        if (specialCount < Math.max(policy.min_special_chars, 1)) {
+            issues.push(`Password must contain at least ${Math.max(policy.min_special_chars, 1)} special character(s)`);
+        }
+    }
+    if (policy.prevent_breached && value && isBreachedPassword(value)) {
+        issues.push('Password appears in a list of breached passwords. Please choose a more unique password');
+    }
+    if (policy.prevent_user_info && getUserInfoTerms(user).some(term => value.toLowerCase().includes(term))) {
+        issues.push('Password should not contain your name or email address');
+    }
+
+    return issues;
+};
+
+const hashPassword = async (password) => {
+    const { data, error } = await supabase.rpc('hash_password', { password });
+    if (error) throw error;
+    return data;
+};
+
+// Whether a hash matches the user's current password or one of their last history_count passwords
+const isPasswordReused = async (user, passwordHash, policy) => {
+    if (!policy.history_count) return false;
+    if (user.password_hash && user.password_hash === passwordHash) return true;
+
+    const { data, error } = await supabase
+        .from('password_history')
+        .select('password_hash')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: false })
+        .limit(policy.history_count);
+
+    if (error) throw error;
+    return (data || []).some(entry => entry.password_hash === passwordHash);
+};
+
+// Check a new password for a user against the whole policy.
+// Returns { passwordHash } to store, or { error, issues }.
+const checkNewPassword = async (user, password, policy) => {
+    const issues = validatePassword(password, policy, user);
+
+    let passwordHash = null;
+    if (!issues.length) {
+        passwordHash = await hashPassword(password);
+        if (user.id && await isPasswordReused(user, passwordHash, policy)) {
+            issues.push(`Password cannot be one of your last ${policy.history_count} passwords`);
+        }
+    }
+
+    if (issues.length) {
+        return { error: `Password does not meet the password policy: ${issues.join('; ')}`, issues };
+    }
+    return { passwordHash };
+};
+
+// Remember a password hash and drop entries older than the policy keeps
+const recordPasswordHistory = async (userId, passwordHash, policy) => {
+    const { error } = await supabase
+        .from('password_history')
+        .insert({ user_id: userId, password_hash: passwordHash });
+    if (error) throw error;
+
+    const { data: entries } = await supabase
+        .from('password_history')
+        .select('id')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+    const stale = (entries || []).slice(Math.max(policy.history_count, 1)).map(entry => entry.id);
+    if (stale.length) {
+        await supabase.from('password_history').delete().in('id', stale);
+    }
+};
+
+// Store a password hash checked by checkNewPassword as the user's password
+const setPassword = async (userId, passwordHash, policy) => {
+    const { error } = await supabase
+        .from('users')
+        .update({ password_hash: passwordHash, password_changed_at: new Date().toISOString() })
+        .eq('id', userId);
+    if (error) throw error;
+
+    await recordPasswordHistory(userId, passwordHash, policy);
+};
+
+// When the user's password stops being accepted, or null if it never expires or
+// the account has no password. Takes a users row or an authenticated req.user.
+const getPasswordExpiry = (user, policy) => {
+    if (!policy.max_age_days || !(user.password_hash || user.has_password)) return null;
+
+    const changedAt = new Date(user.password_changed_at || user.created_at);
+    return new Date(changedAt.getTime() + policy.max_age_days * 24 * 60 * 60 * 1000);
+};
+
+const isPasswordExpired = (user, policy, now = new Date()) => {
+    const expiry = getPasswordExpiry(user, policy);
+    return Boolean(expiry && expiry <= now);
+};
+
+module.exports = {
+    DEFAULT_PASSWORD_POLICY,
+    getPasswordPolicy,
+    updatePasswordPolicy,
+    validatePassword,
+    checkNewPassword,
+    recordPasswordHistory,
+    setPassword,
+    getPasswordExpiry,
+    isPasswordExpired
+};
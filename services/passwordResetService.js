@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { supabase, passwords } = require('../config');
+const { sendEmail } = require('./emailService');
+
+// Only a hash of the token is stored; the token itself only travels in the email
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Issue a reset token for a user (replacing any earlier unused one) and email the link
+const sendPasswordReset = async (user, req) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + passwords.resetTokenTtlMinutes * 60 * 1000);
+
+    await supabase
+        .from('password_reset_tokens')
+        .delete()
+        .eq('user_id', user.id)
+        .is('used_at', null);
+
+    const { error } = await supabase
+        .from('password_reset_tokens')
+        .insert({
+            user_id: user.id,
+            token_hash: hashResetToken(token),
+            expires_at: expiresAt.toISOString(),
+            requested_ip: req.ip
+        });
+
+    if (error) throw error;
+
+    const link = `${passwords.appUrl.replace(/\/$/, '')}/reset-password.html?token=${token}`;
+    await sendEmail({
+        to: user.email,
+        subject: 'Reset your EVID-DGC password',
+        text: [
+            `Hello ${user.full_name || ''},`.trim(),
+            '',
+            'A password reset was requested for your EVID-DGC account. Use this link to choose a new password:',
+            link,
+            '',
+            `The link expires in ${passwords.resetTokenTtlMinutes} minutes and can be used once.`,
+            'If you did not request this, you can ignore this email; your password has not changed.'
+        ].join('\n')
+    });
+};
+
+// The active user a reset token belongs to, if the token is unused and unexpired
+const findResetTokenUser = async (token) => {
+    const { data: resetToken, error } = await supabase
+        .from('password_reset_tokens')
+        .select('id, user_id, expires_at')
+        .eq('token_hash', hashResetToken(token))
+        .is('used_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!resetToken) return null;
+
+    const { data: user } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', resetToken.user_id)
+        .eq('is_active', true)
+        .maybeSingle();
+
+    return user ? { user, resetTokenId: resetToken.id } : null;
+};
+
+// Mark a token used. Returns false if another request used it first.
+const consumeResetToken = async (resetTokenId) => {
+    const { data, error } = await supabase
+        .from('password_reset_tokens')
+        .update({ used_at: new Date().toISOString() })
+        .eq('id', resetTokenId)
+        .is('used_at', null)
+        .select('id')
+        .maybeSingle();
+
+    if (error) throw error;
+    return Boolean(data);
+};
+
+module.exports = {
+    sendPasswordReset,
+    findResetTokenUser,
+    consumeResetToken
+};
@@ -0,0 +1,34 @@
+const cron = require('node-cron');
+const { approvals } = require('../config');
+const { expireStaleActions } = require('./pendingActionService');
+
+let running = false;
+
+// Expire approval requests nobody decided on in time
+const runPendingActionExpiry = async () => {
+    if (running) return [];
+    running = true;
+
+    try {
+        const expired = await expireStaleActions();
+        if (expired.length > 0) {
+            console.log(`⏳ Expired ${expired.length} pending approval request(s)`);
+        }
+        return expired;
+    } catch (error) {
+        console.error('Pending action expiry error:', error.message);
+        return [];
+    } finally {
+        running = false;
+    }
+};
+
+const startPendingActionExpiryJob = () => {
+    console.log(`⏳ Pending approval expiry scheduled (${approvals.expirySchedule})`);
+    return cron.schedule(approvals.expirySchedule, runPendingActionExpiry);
+};
+
+module.exports = {
+    runPendingActionExpiry,
+    startPendingActionExpiryJob
+};
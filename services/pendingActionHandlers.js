@@ -0,0 +1,284 @@
+const { supabase } = require('../config');
+const { logAdminAction } = require('../middleware/verifyAdmin');
+const { appendAuditLog } = require('./auditLog');
+const { createNotification } = require('./notificationService');
+const { queueRoleSync } = require('./roleSyncService');
+const { changeRoleRoom } = require('./realtimeService');
+const { revokeUserSessions } = require('./sessionService');
+const { recordCustodyEvent } = require('./custodyService');
+const { getSealedEvidenceIds, unsealEvidenceRecord } = require('./sealService');
+const { ROLE_PERMISSIONS, can, loadCase } = require('./policyService');
+
+// Most active admins at once
+const MAX_ADMINS = 10;
+
+const countActiveAdmins = async () => {
+    const { count } = await supabase
+        .from('users')
+        .select('*', { count: 'exact', head: true })
+        .eq('role', 'admin')
+        .eq('is_active', true);
+    return count;
+};
+
+const loadEvidence = async (id) => {
+    const { data } = await supabase
+        .from('evidence')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+    return data;
+};
+
+// Approvers must be able to perform the action on this evidence themselves
+const canActOnEvidence = (permission) => async (user, action) => {
+    const evidence = await loadEvidence(action.target);
+    return Boolean(evidence) && can(user, permission, { evidence, caseRecord: await loadCase(evidence.case_id) });
+};
+
+const approvalNote = (action, approvals) => ({
+    pending_action_id: action.id,
+    approved_by: approvals.map(approval => approval.approver)
+});
+
+// What each action type needs from an approver and how it runs. For each:
+//   approverRoles  roles notified of new requests (and the only ones who may approve)
+//   canApprove     optional further check on a particular approver
+//   describe       one line for notifications and lists
+//   check          current problem with running the action, or null; checked when
+//                  the request is made and again just before it runs
+//   execute        run it (the requester is the actor), returning a result to store
+const ACTION_HANDLERS = {
+    create_admin: {
+        approverRoles: ['admin'],
+
+        describe: (action) => `Create administrator ${action.payload.full_name} (${action.target})`,
+
+        check: async (action) => {
+            if (await countActiveAdmins() >= MAX_ADMINS) return `Maximum admin limit (${MAX_ADMINS}) reached`;
+
+            const { data: existingUser } = await supabase
+                .from('users')
+                .select('wallet_address')
+                .eq('wallet_address', action.target)
+                .maybeSingle();
+
+            return existingUser ? 'Wallet address already registered' : null;
+        },
+
+        execute: async (action, approvals) => {
+            const { data: newAdmin, error } = await supabase
+                .from('users')
+                .insert({
+                    wallet_address: action.target,
+                    full_name: action.payload.full_name,
+                    role: 'admin',
+                    department: 'Administration',
+                    jurisdiction: 'System',
+                    account_type: 'real',
+                    created_by: action.requested_by,
+                    is_active: true
+                })
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            queueRoleSync(action.target, 'admin');
+
+            await logAdminAction(action.requested_by, 'create_admin', action.target, {
+                admin_name: action.payload.full_name,
+                ...approvalNote(action, approvals)
+            });
+
+            await createNotification(
+                action.target,
+                'Admin Access Granted',
+                'Your administrator account has been created. You now have full system access.',
+                'system',
+                { role: 'admin' }
+            );
+
+            return { user_id: newAdmin.id };
+        }
+    },
+
+    deactivate_user: {
+        approverRoles: ['admin'],
+
+        // The target cannot approve their own deactivation
+        canApprove: async (user, action) => user.identifier !== action.target,
+
+        describe: (action) => `Deactivate ${action.payload.full_name || action.target} (${action.payload.role || 'user'})`,
+
+        check: async (action) => {
+            const { data: targetUser } = await supabase
+                .from('users')
+                .select('id, is_active')
+                .eq('wallet_address', action.target)
+                .maybeSingle();
+
+            if (!targetUser) return 'Target user not found';
+            return targetUser.is_active ? null : 'User is already deactivated';
+        },
+
+        execute: async (action, approvals) => {
+            const { data: targetUser, error } = await supabase
+                .from('users')
+                .update({ is_active: false, last_updated: new Date().toISOString() })
+                .eq('wallet_address', action.target)
+                .select('id, full_name, role')
+                .single();
+
+            if (error) throw error;
+
+            queueRoleSync(action.target, null);
+            const ended = await revokeUserSessions(targetUser.id, { reason: 'account_deactivated' });
+
+            await logAdminAction(action.requested_by, 'delete_user', action.target, {
+                action: 'soft_delete',
+                target_user_name: targetUser.full_name,
+                target_user_role: targetUser.role,
+                ...approvalNote(action, approvals)
+            });
+
+            return { user_id: targetUser.id, sessions_ended: ended.length };
+        }
+    },
+
+    change_role: {
+        approverRoles: ['admin'],
+
+        // The target cannot approve a change to their own role
+        canApprove: async (user, action) => user.identifier !== action.target,
+
+        describe: (action) => `Change ${action.payload.full_name || action.target} from ${action.payload.old_role} to ${action.payload.new_role}`,
+
+        check: async (action) => {
+            const { data: targetUser } = await supabase
+                .from('users')
+                .select('role, is_active')
+                .eq('wallet_address', action.target)
+                .maybeSingle();
+
+            if (!targetUser || !targetUser.is_active) return 'Target user not found';
+            if (targetUser.role !== action.payload.old_role) return 'The user\'s role has changed since the request was made';
+            if (action.payload.new_role === 'admin' && await countActiveAdmins() >= MAX_ADMINS) {
+                return `Maximum admin limit (${MAX_ADMINS}) reached`;
+            }
+            return null;
+        },
+
+        execute: async (action, approvals) => {
+            const { old_role: oldRole, new_role: newRole } = action.payload;
+
+            const { data: targetUser, error } = await supabase
+                .from('users')
+                .update({ role: newRole, last_updated: new Date().toISOString() })
+                .eq('wallet_address', action.target)
+                .eq('role', oldRole)
+                .select('id')
+                .single();
+
+            if (error) throw error;
+
+            queueRoleSync(action.target, newRole);
+            changeRoleRoom(action.target, oldRole, newRole);
+
+            await logAdminAction(action.requested_by, 'role_change_approved', action.target, {
+                old_role: oldRole,
+                new_role: newRole,
+                ...approvalNote(action, approvals)
+            });
+
+            return { user_id: targetUser.id };
+        }
+    },
+
+    delete_evidence: {
+        approverRoles: ROLE_PERMISSIONS['evidence:delete'],
+        canApprove: canActOnEvidence('evidence:delete'),
+
+        describe: (action) => `Delete evidence "${action.payload.title}" (#${action.target})`,
+
+        check: async (action) => {
+            const evidence = await loadEvidence(action.target);
+            if (!evidence || evidence.status === 'deleted') return 'Evidence not found';
+            if ((await getSealedEvidenceIds(evidence.id)).length > 0) return 'Sealed evidence cannot be modified';
+            return evidence.legal_hold ? 'Evidence under legal hold cannot be deleted' : null;
+        },
+
+        execute: async (action, approvals) => {
+            const { data: evidence, error } = await supabase
+                .from('evidence')
+                .update({
+                    status: 'deleted',
+                    deleted_by: action.requested_by,
+                    deleted_at: new Date().toISOString()
+                })
+                .eq('id', action.target)
+                .select('id, hash')
+                .single();
+
+            if (error) throw error;
+
+            await appendAuditLog({
+                user_id: action.requested_by,
+                action: 'evidence_deleted',
+                details: JSON.stringify({ evidence_id: evidence.id, hash: evidence.hash, reason: action.reason || null, ...approvalNote(action, approvals) }),
+                ip_address: null
+            });
+
+            return { evidence_id: evidence.id };
+        }
+    },
+
+    unseal_evidence: {
+        approverRoles: ROLE_PERMISSIONS['evidence:unseal'],
+        canApprove: canActOnEvidence('evidence:unseal'),
+
+        describe: (action) => `Unseal evidence "${action.payload.title}" (#${action.target}) under court order ${action.payload.court_order_reference}`,
+
+        check: async (action) => {
+            const evidence = await loadEvidence(action.target);
+            if (!evidence) return 'Evidence not found';
+            return evidence.is_sealed ? null : 'Evidence is not sealed';
+        },
+
+        execute: async (action, approvals) => {
+            const evidence = await loadEvidence(action.target);
+            const { court_order_reference: courtOrderReference } = action.payload;
+
+            await unsealEvidenceRecord(evidence, action.requested_by, courtOrderReference, action.reason);
+
+            await recordCustodyEvent(evidence.id, {
+                eventType: 'unseal',
+                actor: action.requested_by,
+                actorRole: action.requested_by_role,
+                purpose: action.reason,
+                details: { court_order_reference: courtOrderReference, ...approvalNote(action, approvals) }
+            });
+
+            await appendAuditLog({
+                user_id: action.requested_by,
+                action: 'evidence_unsealed',
+                details: JSON.stringify({ evidence_id: evidence.id, court_order_reference: courtOrderReference, reason: action.reason, ...approvalNote(action, approvals) }),
+                ip_address: null
+            });
+
+            await createNotification(
+                evidence.sealed_by,
+                'Evidence Unsealed',
+                `Evidence "${evidence.title}" was unsealed under court order ${courtOrderReference}`,
+                'system',
+                { evidence_id: evidence.id, court_order_reference: courtOrderReference }
+            );
+
+            return { evidence_id: evidence.id };
+        }
+    }
+};
+
+module.exports = {
+    ACTION_HANDLERS
+};
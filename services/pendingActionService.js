@@ -0,0 +1,410 @@
+const { supabase, approvals: approvalConfig } = require('../config');
+const { appendAuditLog } = require('./auditLog');
+const { createNotification, notifyMultipleUsers } = require('./notificationService');
+const { emitToRole } = require('./realtimeService');
+const { ACTION_HANDLERS } = require('./pendingActionHandlers');
+
+const ACTION_TYPES = Object.keys(ACTION_HANDLERS);
+
+// How long an action may stay 'executing' before it is treated as interrupted
+const STUCK_EXECUTION_MINUTES = 15;
+
+// Service results are { error, reason } on failure; reason is one of
+// not_found, forbidden, conflict, expired or invalid.
+const fail = (reason, error) => ({ error, reason });
+
+const FAILURE_STATUS = {
+    invalid: 400,
+    forbidden: 403,
+    not_found: 404,
+    conflict: 409,
+    expired: 410
+};
+
+// HTTP status for a failed result
+const failureStatus = (reason) => FAILURE_STATUS[reason] || 400;
+
+const audit = (user, action, details, ip) => appendAuditLog({
+    user_id: user.identifier,
+    action,
+    details: JSON.stringify(details),
+    ip_address: ip || null
+});
+
+const isExpired = (action, now = new Date()) => new Date(action.expires_at) <= now;
+
+// Whether a user may approve or reject an action. Requesters never decide their own.
+const isEligibleApprover = async (user, action) => {
+    const handler = ACTION_HANDLERS[action.action_type];
+    if (user.identifier === action.requested_by) return false;
+    if (!handler.approverRoles.includes(user.role)) return false;
+    return handler.canApprove ? handler.canApprove(user, action) : true;
+};
+
+const getApprovals = async (actionIds) => {
+    if (actionIds.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('pending_action_approvals')
+        .select('*')
+        .in('action_id', actionIds)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+};
+
+const loadAction = async (id) => {
+    const { data } = await supabase
+        .from('pending_actions')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+    return data;
+};
+
+// Move an action out of 'pending'. Only succeeds for the caller whose update finds it
+// still pending, so two approvers reaching quorum at once cannot both run it.
+const closeAction = async (id, changes, fromStatus = 'pending') => {
+    const { data, error } = await supabase
+        .from('pending_actions')
+        .update({ decided_at: new Date().toISOString(), ...changes })
+        .eq('id', id)
+        .eq('status', fromStatus)
+        .select();
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+};
+
+const announce = (action) => {
+    ACTION_HANDLERS[action.action_type].approverRoles.forEach(role =>
+        emitToRole(role, 'pending_action', { id: action.id, action_type: action.action_type, status: action.status }));
+};
+
+// Tell the users who could approve a new request about it
+const notifyApprovers = async (action) => {
+    const handler = ACTION_HANDLERS[action.action_type];
+    const { data: users, error } = await supabase
+        .from('users')
+        .select('*')
+        .in('role', handler.approverRoles)
+        .eq('is_active', true);
+
+    if (error) throw error;
+
+    const recipients = [];
+    for (const user of users || []) {
+        const candidate = { ...user, identifier: user.wallet_address || user.email };
+        if (await isEligibleApprover(candidate, action)) recipients.push(candidate.identifier);
+    }
+
+    if (recipients.length > 0) {
+        await notifyMultipleUsers(
+            recipients,
+            'Approval Required',
+            `${action.requested_by} requested: ${handler.describe(action)}`,
+            'urgent',
+            { pending_action_id: action.id, action_type: action.action_type }
+        );
+    }
+    return recipients.length;
+};
+
+// Queue a sensitive action for approval. Returns { action } or { error, reason }.
+const requestAction = async (user, { actionType, target, payload = {}, reason }, { ip } = {}) => {
+    const handler = ACTION_HANDLERS[actionType];
+    if (!handler) return fail('invalid', 'Unknown action type');
+
+    const draft = {
+        action_type: actionType,
+        target: String(target),
+        payload,
+        reason: reason || null,
+        requested_by: user.identifier,
+        requested_by_role: user.role
+    };
+
+    const problem = await handler.check(draft);
+    if (problem) return fail('conflict', problem);
+
+    const { data: existing } = await supabase
+        .from('pending_actions')
+        .select('id')
+        .eq('action_type', actionType)
+        .eq('target', draft.target)
+        .eq('status', 'pending')
+        .maybeSingle();
+
+    if (existing) return fail('conflict', `A request for this action is already pending (#${existing.id})`);
+
+    const { data: action, error } = await supabase
+        .from('pending_actions')
+        .insert({
+            ...draft,
+            required_approvals: approvalConfig.quorum[actionType],
+            expires_at: new Date(Date.now() + approvalConfig.expiryHours * 3600000).toISOString()
+        })
+        .select()
+        .single();
+
+    // Unique violation on idx_pending_actions_open: a concurrent request got there first
+    if (error?.code === '23505') return fail('conflict', 'A request for this action is already pending');
+    if (error) throw error;
+
+    await audit(user, 'approval_requested', {
+        pending_action_id: action.id, action_type: actionType, target: action.target, reason: action.reason
+    }, ip);
+
+    await notifyApprovers(action);
+    announce(action);
+
+    return { action };
+};
+
+// Run an action that has reached quorum and record how it went. The action never
+// stays 'executing': if the outcome cannot be stored it is marked failed instead.
+const executeAction = async (action, approvals) => {
+    const handler = ACTION_HANDLERS[action.action_type];
+
+    let outcome;
+    try {
+        // Things may have changed while the request waited
+        const problem = await handler.check(action);
+        outcome = problem
+            ? { status: 'failed', error: problem }
+            : { status: 'executed', result: await handler.execute(action, approvals) };
+    } catch (error) {
+        console.error(`Pending action ${action.id} (${action.action_type}) failed:`, error);
+        outcome = { status: 'failed', error: error.message || 'Execution failed' };
+    }
+
+    try {
+        return await closeAction(action.id, outcome, 'executing') || await loadAction(action.id);
+    } catch (error) {
+        console.error(`Recording the outcome of pending action ${action.id} failed:`, error);
+        return await closeAction(action.id, {
+            status: 'failed',
+            error: `Finished as ${outcome.status}, but the outcome could not be recorded`
+        }, 'executing') || await loadAction(action.id);
+    }
+};
+
+// Find a pending, unexpired action the user may decide on
+const loadDecidableAction = async (user, id) => {
+    const action = await loadAction(id);
+    if (!action) return fail('not_found', 'Pending action not found');
+
+    if (action.status !== 'pending') return fail('conflict', `This request is already ${action.status}`);
+
+    if (isExpired(action)) {
+        await closeAction(action.id, { status: 'expired' });
+        return fail('expired', 'This request has expired');
+    }
+
+    if (action.requested_by === user.identifier) {
+        return fail('forbidden', 'You cannot decide on your own request');
+    }
+
+    if (!await isEligibleApprover(user, action)) {
+        return fail('forbidden', 'You are not eligible to approve this request');
+    }
+
+    return { action };
+};
+
+// Record an approval, running the action once quorum is reached.
+// Returns { action, approvals } or { error, reason }.
+const approveAction = async (user, id, { comment, ip } = {}) => {
+    const loaded = await loadDecidableAction(user, id);
+    if (loaded.error) return loaded;
+    const { action } = loaded;
+
+    const { error: approvalError } = await supabase
+        .from('pending_action_approvals')
+        .insert({
+            action_id: action.id,
+            approver: user.identifier,
+            approver_role: user.role,
+            comment: comment || null
+        });
+
+    if (approvalError?.code === '23505') return fail('conflict', 'You have already approved this request');
+    if (approvalError) throw approvalError;
+
+    await audit(user, 'approval_granted', {
+        pending_action_id: action.id, action_type: action.action_type, target: action.target, comment: comment || null
+    }, ip);
+
+    const approvals = await getApprovals([action.id]);
+    if (approvals.length < action.required_approvals) {
+        return { action, approvals };
+    }
+
+    const claimed = await closeAction(action.id, { status: 'executing' });
+    if (!claimed) return { action: await loadAction(action.id), approvals };
+
+    const finished = await executeAction(claimed, approvals);
+
+    await createNotification(
+        action.requested_by,
+        finished.status === 'executed' ? 'Request Approved' : 'Approved Request Failed',
+        finished.status === 'executed'
+            ? `Your request was approved and carried out: ${ACTION_HANDLERS[action.action_type].describe(action)}`
+            : `Your request was approved but could not be carried out: ${finished.error}`,
+        'system',
+        { pending_action_id: action.id, status: finished.status }
+    );
+    announce(finished);
+
+    return { action: finished, approvals };
+};
+
+// Turn a request down. Any eligible approver may reject.
+const rejectAction = async (user, id, { reason, ip } = {}) => {
+    const loaded = await loadDecidableAction(user, id);
+    if (loaded.error) return loaded;
+
+    const rejected = await closeAction(loaded.action.id, {
+        status: 'rejected',
+        decided_by: user.identifier,
+        decision_reason: reason || null
+    });
+    if (!rejected) return fail('conflict', 'This request has already been decided');
+
+    await audit(user, 'approval_rejected', {
+        pending_action_id: rejected.id, action_type: rejected.action_type, target: rejected.target, reason: reason || null
+    }, ip);
+
+    await createNotification(
+        rejected.requested_by,
+        'Request Rejected',
+        `Your request was rejected: ${ACTION_HANDLERS[rejected.action_type].describe(rejected)}${reason ? ` (${reason})` : ''}`,
+        'system',
+        { pending_action_id: rejected.id, status: 'rejected' }
+    );
+    announce(rejected);
+
+    return { action: rejected };
+};
+
+// Withdraw a request. Only the requester may cancel.
+const cancelAction = async (user, id, { ip } = {}) => {
+    const action = await loadAction(id);
+    if (!action) return fail('not_found', 'Pending action not found');
+
+    if (action.requested_by !== user.identifier) {
+        return fail('forbidden', 'Only the requester can cancel this request');
+    }
+
+    const cancelled = await closeAction(action.id, { status: 'cancelled', decided_by: user.identifier });
+    if (!cancelled) return fail('conflict', `This request is already ${action.status}`);
+
+    await audit(user, 'approval_cancelled', {
+        pending_action_id: cancelled.id, action_type: cancelled.action_type, target: cancelled.target
+    }, ip);
+    announce(cancelled);
+
+    return { action: cancelled };
+};
+
+// Expire every pending request past its deadline and tell the requesters. Actions
+// still 'executing' long after they were claimed (the server stopped mid-run) are failed.
+const expireStaleActions = async (now = new Date()) => {
+    const { error: stuckError } = await supabase
+        .from('pending_actions')
+        .update({ status: 'failed', error: 'Execution was interrupted' })
+        .eq('status', 'executing')
+        .lte('decided_at', new Date(now - STUCK_EXECUTION_MINUTES * 60000).toISOString());
+
+    if (stuckError) throw stuckError;
+
+    const { data: expired, error } = await supabase
+        .from('pending_actions')
+        .update({ status: 'expired', decided_at: now.toISOString() })
+        .eq('status', 'pending')
+        .lte('expires_at', now.toISOString())
+        .select();
+
+    if (error) throw error;
+
+    for (const action of expired || []) {
+        await createNotification(
+            action.requested_by,
+            'Request Expired',
+            `Your request expired without enough approvals: ${ACTION_HANDLERS[action.action_type].describe(action)}`,
+            'system',
+            { pending_action_id: action.id, status: 'expired' }
+        );
+        announce(action);
+    }
+
+    return expired || [];
+};
+
+// Requests a user made or could decide on, newest first, each with its approvals
+// and whether this user can approve it now
+const describeForUser = async (user, actions) => {
+    const approvals = await getApprovals(actions.map(action => action.id));
+
+    return Promise.all(actions.map(async (action) => {
+        const own = approvals.filter(approval => approval.action_id === action.id);
+        const canDecide = action.status === 'pending'
+            && !isExpired(action)
+            && !own.some(approval => approval.approver === user.identifier)
+            && await isEligibleApprover(user, action);
+
+        return {
+            ...action,
+            summary: ACTION_HANDLERS[action.action_type].describe(action),
+            approvals: own,
+            can_approve: canDecide
+        };
+    }));
+};
+
+const listActions = async (user, { status = 'pending' } = {}) => {
+    await expireStaleActions();
+
+    const visibleTypes = ACTION_TYPES.filter(type => ACTION_HANDLERS[type].approverRoles.includes(user.role));
+    const withStatus = (query) => (status === 'all' ? query : query.eq('status', status));
+
+    const queries = [
+        withStatus(supabase.from('pending_actions').select('*').eq('requested_by', user.identifier))
+    ];
+    if (visibleTypes.length > 0) {
+        queries.push(withStatus(supabase.from('pending_actions').select('*').in('action_type', visibleTypes)));
+    }
+
+    const results = await Promise.all(queries);
+    const failed = results.find(result => result.error);
+    if (failed) throw failed.error;
+
+    const byId = new Map();
+    results.forEach(result => (result.data || []).forEach(action => byId.set(action.id, action)));
+    const actions = [...byId.values()].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    return describeForUser(user, actions);
+};
+
+const getAction = async (user, id) => {
+    const action = await loadAction(id);
+    const visible = action && (action.requested_by === user.identifier
+        || ACTION_HANDLERS[action.action_type].approverRoles.includes(user.role));
+    if (!visible) return fail('not_found', 'Pending action not found');
+
+    const [described] = await describeForUser(user, [action]);
+    return { action: described };
+};
+
+module.exports = {
+    ACTION_TYPES,
+    failureStatus,
+    requestAction,
+    approveAction,
+    rejectAction,
+    cancelAction,
+    expireStaleActions,
+    listActions,
+    getAction
+};
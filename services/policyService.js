@@ -0,0 +1,288 @@
+const { supabase } = require('../config');
+const { SEAL_ROLES, UNSEAL_ROLES } = require('./sealService');
+
+const ALL_ROLES = ['public_viewer', 'investigator', 'forensic_analyst', 'legal_professional', 'court_official', 'evidence_manager', 'auditor', 'admin'];
+const STAFF_ROLES = ALL_ROLES.filter(role => role !== 'public_viewer');
+
+// Actions each role may perform (RBAC). Resource attributes are checked separately.
+const ROLE_PERMISSIONS = {
+    'evidence:read': STAFF_ROLES,
+    'evidence:upload': ['investigator', 'forensic_analyst', 'evidence_manager', 'admin'],
+    'evidence:download': STAFF_ROLES,
+    'evidence:export': STAFF_ROLES,
+    'evidence:history': ['admin', 'auditor'],
+    'evidence:anchor': ['admin', 'evidence_manager'],
+    'evidence:delete': ['admin', 'evidence_manager'],
+    'evidence:seal': SEAL_ROLES,
+    'evidence:unseal': UNSEAL_ROLES,
+    'evidence:legal_hold': ['admin', 'evidence_manager', 'legal_professional', 'court_official'],
+    'evidence:retention': ['admin', 'evidence_manager'],
+    'evidence:tag': ['investigator', 'forensic_analyst', 'evidence_manager', 'admin'],
+    'custody:read': STAFF_ROLES,
+    'custody:transfer': ['admin', 'evidence_manager'],
+    'case:read': STAFF_ROLES,
+    'case:create': ['investigator', 'legal_professional', 'court_official', 'admin'],
+    // Which status changes a role may make is set per transition in case_status_transitions
+    'case:update_status': STAFF_ROLES,
+    'case:assign': ['admin', 'court_official', 'evidence_manager'],
+    'retention:manage': ['admin', 'evidence_manager'],
+    'retention:dispose': ['evidence_manager'],
+    'retention:report': ['admin', 'evidence_manager', 'auditor'],
+    'audit:read': ['admin', 'auditor'],
+    'audit:export': ['admin', 'auditor']
+};
+
+const PERMISSIONS = Object.keys(ROLE_PERMISSIONS);
+
+// Roles that are not limited to the cases they are assigned to or share a jurisdiction with
+const UNSCOPED_ROLES = ['admin', 'auditor', 'evidence_manager', 'court_official'];
+
+// Evidence classification levels, lowest first, and the highest level each role may see
+const CLASSIFICATIONS = ['public', 'internal', 'confidential', 'restricted'];
+const ROLE_CLEARANCE = {
+    public_viewer: 'public',
+    investigator: 'confidential',
+    forensic_analyst: 'confidential',
+    legal_professional: 'confidential',
+    court_official: 'restricted',
+    evidence_manager: 'restricted',
+    auditor: 'restricted',
+    admin: 'restricted'
+};
+
+// Evidence at this level is published: anyone may see its verification stub
+const PUBLISHED_CLASSIFICATION = 'public';
+
+const isPublished = (evidence) => evidence.classification === PUBLISHED_CLASSIFICATION && evidence.status !== 'deleted';
+
+const sameText = (a, b) => Boolean(a && b && String(a).trim().toLowerCase() === String(b).trim().toLowerCase());
+
+// Active, unexpired user_permissions grants, cached per request user object
+const grantCache = new WeakMap();
+
+const getActiveGrants = async (user) => {
+    if (grantCache.has(user)) return grantCache.get(user);
+
+    const { data, error } = await supabase
+        .from('user_permissions')
+        .select('id, permission_name, case_id, expires_at')
+        .eq('user_id', user.id)
+        .eq('is_active', true)
+        .gt('expires_at', new Date().toISOString());
+
+    if (error) throw error;
+    grantCache.set(user, data || []);
+    return data || [];
+};
+
+// Case by numeric id or case number (evidence.case_id holds either)
+const loadCase = async (caseRef) => {
+    if (caseRef === null || caseRef === undefined || caseRef === '') return null;
+
+    const query = supabase
+        .from('cases')
+        .select('id, case_number, jurisdiction, department, created_by, assigned_investigator, assigned_prosecutor, assigned_judge');
+    const { data } = /^\d+$/.test(String(caseRef))
+        ? await query.eq('id', caseRef).maybeSingle()
+        : await query.eq('case_number', caseRef).maybeSingle();
+    return data || null;
+};
+
+// A user is assigned to a case they created or are named on, or through an active
+// case_assignments row
+const ASSIGNMENT_COLUMNS = ['created_by', 'assigned_investigator', 'assigned_prosecutor', 'assigned_judge'];
+
+const isAssignedToCase = async (user, caseRecord) => {
+    if (ASSIGNMENT_COLUMNS.map(column => caseRecord[column]).includes(user.identifier)) {
+        return true;
+    }
+
+    const { data } = await supabase
+        .from('case_assignments')
+        .select('id')
+        .eq('case_id', caseRecord.id)
+        .eq('assigned_to', user.identifier)
+        .eq('is_active', true)
+        .limit(1);
+    return Boolean(data && data.length > 0);
+};
+
+// Whether the user may act on a case: assigned to it, or in the same jurisdiction
+// (and department, when the case names one)
+const canAccessCase = async (user, caseRecord) => {
+    if (UNSCOPED_ROLES.includes(user.role)) return true;
+    if (!caseRecord) return false;
+
+    if (sameText(user.jurisdiction, caseRecord.jurisdiction)
+        && (!caseRecord.department || sameText(user.department, caseRecord.department))) {
+        return true;
+    }
+    return isAssignedToCase(user, caseRecord);
+};
+
+const hasClearance = (user, classification) =>
+    CLASSIFICATIONS.indexOf(classification || 'internal') <= CLASSIFICATIONS.indexOf(ROLE_CLEARANCE[user.role] || 'public');
+
+const allow = () => ({ allowed: true });
+const deny = (reason, message) => ({ allowed: false, reason, message });
+
+// Decide whether the user may perform the action, optionally on a resource:
+// { evidence } and/or { caseRecord }. Resolves to { allowed, reason, message }.
+const authorize = async (user, action, resource = {}) => {
+    if (!user) return deny('unauthenticated', 'Authentication required');
+    if (!ROLE_PERMISSIONS[action]) return deny('unknown_action', `Unknown permission ${action}`);
+
+    const roleAllows = ROLE_PERMISSIONS[action].includes(user.role);
+    const grants = (await getActiveGrants(user)).filter(grant => grant.permission_name === action);
+    const caseRecord = resource.caseRecord || null;
+
+    // A grant without a case applies everywhere; otherwise only to its case
+    const applicableGrants = grants.filter(grant => !grant.case_id || (caseRecord && grant.case_id === caseRecord.id));
+    if (!roleAllows && applicableGrants.length === 0) {
+        return deny('role', `Your role cannot perform ${action}`);
+    }
+
+    const { evidence } = resource;
+    if (evidence && !hasClearance(user, evidence.classification)) {
+        return deny('classification', `Evidence is classified ${evidence.classification}`);
+    }
+
+    if (evidence || caseRecord) {
+        const ownsEvidence = evidence && [evidence.submitted_by, evidence.current_custodian].includes(user.identifier);
+        const caseGrant = caseRecord && grants.some(grant => grant.case_id === caseRecord.id);
+        if (!ownsEvidence && !caseGrant && !await canAccessCase(user, caseRecord)) {
+            return deny('case_scope', 'You are not assigned to this case or its jurisdiction');
+        }
+    }
+
+    return allow();
+};
+
+// Convenience for inline checks
+const can = async (user, action, resource) => (await authorize(user, action, resource)).allowed;
+
+// PostgREST filter values, quoted so commas and parentheses in identifiers are literal
+const quoteFilterValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+const escapeLikePattern = (value) => String(value).replace(/[\\%_]/g, match => `\\${match}`);
+
+const getCasesById = async (ids) => {
+    if (ids.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('cases')
+        .select('id, case_number')
+        .in('id', ids);
+    if (error) throw error;
+    return data || [];
+};
+
+const withoutKnownCases = (ids, cases) =>
+    ids.filter((id, index) => id && ids.indexOf(id) === index && !cases.some(caseRecord => caseRecord.id === id));
+
+// Cases the user is assigned to, in either way isAssignedToCase accepts
+// (the listing counterpart). Returns { id, case_number } rows.
+const findAssignedCases = async (identifier) => {
+    const { data: namedCases, error } = await supabase
+        .from('cases')
+        .select('id, case_number')
+        .or(ASSIGNMENT_COLUMNS.map(column => `${column}.eq.${quoteFilterValue(identifier)}`).join(','));
+    if (error) throw error;
+
+    const { data: assignments, error: assignmentError } = await supabase
+        .from('case_assignments')
+        .select('case_id')
+        .eq('assigned_to', identifier)
+        .eq('is_active', true);
+    if (assignmentError) throw assignmentError;
+
+    const cases = [...(namedCases || [])];
+    cases.push(...await getCasesById(withoutKnownCases((assignments || []).map(assignment => assignment.case_id), cases)));
+    return cases;
+};
+
+// Cases a scoped user reaches through an assignment or their jurisdiction
+// (the listing counterpart of canAccessCase). Returns { id, case_number } rows.
+const findAccessibleCases = async (user) => {
+    const cases = await findAssignedCases(user.identifier);
+    if (user.jurisdiction) {
+        const { data, error } = await supabase
+            .from('cases')
+            .select('id, case_number, department')
+            .ilike('jurisdiction', escapeLikePattern(String(user.jurisdiction).trim()));
+        if (error) throw error;
+        cases.push(...(data || []).filter(caseRecord => !caseRecord.department || sameText(user.department, caseRecord.department)));
+    }
+    return cases;
+};
+
+// Which evidence the user may list:
+//   { stubsOnly: true }                   - no read access; published verification stubs only
+//   { all: true, classifications }        - every case
+//   { caseRefs, owner, classifications }  - their cases, plus evidence they submitted or hold
+// evidence.case_id holds either a case id or a case number, so caseRefs lists both.
+const getEvidenceScope = async (user) => {
+    const roleAllows = ROLE_PERMISSIONS['evidence:read'].includes(user.role);
+    const grants = (await getActiveGrants(user)).filter(grant => grant.permission_name === 'evidence:read');
+    if (!roleAllows && grants.length === 0) return { stubsOnly: true };
+
+    const classifications = CLASSIFICATIONS.filter(level => hasClearance(user, level));
+    if (UNSCOPED_ROLES.includes(user.role)) return { all: true, classifications };
+
+    // A grant without a case works like the role permission; case grants add their case
+    const cases = roleAllows || grants.some(grant => !grant.case_id) ? await findAccessibleCases(user) : [];
+    cases.push(...await getCasesById(withoutKnownCases(grants.map(grant => grant.case_id), cases)));
+
+    return {
+        caseRefs: cases
+            .flatMap(caseRecord => [String(caseRecord.id), caseRecord.case_number])
+            .filter((ref, index, list) => ref && list.indexOf(ref) === index),
+        owner: user.identifier,
+        classifications
+    };
+};
+
+// Restrict an evidence query to a scope from getEvidenceScope (not stubsOnly)
+const applyEvidenceScope = (query, scope) => {
+    let scoped = query;
+    if (scope.classifications.length < CLASSIFICATIONS.length) {
+        scoped = scoped.in('classification', scope.classifications);
+    }
+    if (scope.all) return scoped;
+
+    const owner = quoteFilterValue(scope.owner);
+    const visible = [`submitted_by.eq.${owner}`, `current_custodian.eq.${owner}`];
+    if (scope.caseRefs.length > 0) {
+        visible.unshift(`case_id.in.(${scope.caseRefs.map(quoteFilterValue).join(',')})`);
+    }
+    return scoped.or(visible.join(','));
+};
+
+// Permissions the user holds through their role or an active grant (resource checks not applied)
+const getEffectivePermissions = async (user) => {
+    const grants = await getActiveGrants(user);
+    return PERMISSIONS
+        .filter(action => ROLE_PERMISSIONS[action].includes(user.role))
+        .concat(grants.map(grant => grant.permission_name))
+        .filter((action, index, list) => list.indexOf(action) === index);
+};
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    PERMISSIONS,
+    CLASSIFICATIONS,
+    ROLE_CLEARANCE,
+    UNSCOPED_ROLES,
+    PUBLISHED_CLASSIFICATION,
+    isPublished,
+    loadCase,
+    isAssignedToCase,
+    findAssignedCases,
+    canAccessCase,
+    authorize,
+    can,
+    quoteFilterValue,
+    getEffectivePermissions,
+    getEvidenceScope,
+    applyEvidenceScope
+};
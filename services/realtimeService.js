@@ -0,0 +1,78 @@
+const { connectedUsers } = require('../config');
+const { findAssignedCases } = require('./policyService');
+
+// io instance will be set after server initialization
+let io = null;
+
+const setIO = (socketIO) => {
+    io = socketIO;
+};
+
+// Each user has a room named by their identifier (wallet address or email), which
+// existing notification and session events are sent to. Sockets also join:
+const roleRoom = (role) => `role:${role}`;
+const caseRoom = (caseId) => `case:${caseId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Join an authenticated socket (socket.data.user and .session, set by authenticateSocket)
+// to its rooms, and track it until it disconnects. A user may have several sockets open.
+const registerSocket = async (socket) => {
+    const { user, session } = socket.data;
+    const caseIds = (await findAssignedCases(user.identifier)).map(caseRecord => caseRecord.id);
+    if (socket.disconnected) return;
+
+    socket.join([user.identifier, sessionRoom(session.id), roleRoom(user.role), ...caseIds.map(caseRoom)]);
+
+    if (!connectedUsers.has(user.identifier)) {
+        connectedUsers.set(user.identifier, new Set());
+    }
+    connectedUsers.get(user.identifier).add(socket.id);
+
+    socket.on('disconnect', () => {
+        const sockets = connectedUsers.get(user.identifier);
+        if (!sockets) return;
+        sockets.delete(socket.id);
+        if (sockets.size === 0) connectedUsers.delete(user.identifier);
+    });
+};
+
+// Broadcast to everyone assigned to a case
+const emitToCase = (caseId, event, payload) => {
+    if (io) io.to(caseRoom(caseId)).emit(event, payload);
+};
+
+// Broadcast to every connected user with a role
+const emitToRole = (role, event, payload) => {
+    if (io) io.to(roleRoom(role)).emit(event, payload);
+};
+
+// Keep connected sockets' rooms in step with assignment and role changes
+const joinCaseRoom = (identifier, caseId) => {
+    if (io) io.in(identifier).socketsJoin(caseRoom(caseId));
+};
+
+const leaveCaseRoom = (identifier, caseId) => {
+    if (io) io.in(identifier).socketsLeave(caseRoom(caseId));
+};
+
+const changeRoleRoom = (identifier, oldRole, newRole) => {
+    if (!io) return;
+    if (oldRole) io.in(identifier).socketsLeave(roleRoom(oldRole));
+    io.in(identifier).socketsJoin(roleRoom(newRole));
+};
+
+// Close the sockets opened with a session once it has ended
+const disconnectSession = (sessionId) => {
+    if (io) io.in(sessionRoom(sessionId)).disconnectSockets(true);
+};
+
+module.exports = {
+    setIO,
+    registerSocket,
+    emitToCase,
+    emitToRole,
+    joinCaseRoom,
+    leaveCaseRoom,
+    changeRoleRoom,
+    disconnectSession
+};
@@ -0,0 +1,35 @@
+const cron = require('node-cron');
+const { retention } = require('../config');
+const { sendExpiryWarnings, queueExpiredEvidence } = require('./retentionService');
+
+let running = false;
+
+// Warn about evidence nearing expiry and queue expired evidence for disposal approval
+const runRetentionEnforcement = async () => {
+    if (running) return null;
+    running = true;
+
+    try {
+        const warned = await sendExpiryWarnings();
+        const queued = await queueExpiredEvidence();
+        if (warned > 0 || queued.length > 0) {
+            console.log(`🗄️  Retention: ${warned} expiry warning(s) sent, ${queued.length} item(s) queued for disposition`);
+        }
+        return { warned, queued: queued.length };
+    } catch (error) {
+        console.error('Retention enforcement error:', error.message);
+        return null;
+    } finally {
+        running = false;
+    }
+};
+
+const startRetentionEnforcementJob = () => {
+    console.log(`🗄️  Retention enforcement scheduled (${retention.schedule})`);
+    return cron.schedule(retention.schedule, runRetentionEnforcement);
+};
+
+module.exports = {
+    runRetentionEnforcement,
+    startRetentionEnforcementJob
+};
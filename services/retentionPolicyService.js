@@ -0,0 +1,273 @@
+const { supabase } = require('../config');
+const { appendAuditLog } = require('./auditLog');
+
+const ARCHIVE_METHODS = ['archive', 'anonymize', 'destroy'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Request fields and the columns they set
+const POLICY_FIELDS = {
+    name: 'name',
+    caseType: 'case_type',
+    jurisdiction: 'jurisdiction',
+    retentionDays: 'retention_days',
+    archiveMethod: 'archive_method',
+    lawReference: 'law_reference'
+};
+
+const VERSIONED_COLUMNS = ['name', 'case_type', 'jurisdiction', 'retention_days', 'archive_method', 'law_reference', 'is_active'];
+
+const fail = (reason, error) => ({ error, reason });
+
+const audit = (user, action, details, ip) => appendAuditLog({
+    user_id: user.identifier,
+    action,
+    details: JSON.stringify(details),
+    ip_address: ip || null
+});
+
+// Turn request fields into column values. Returns { values } or { error }.
+const readPolicyInput = (input, { partial = false } = {}) => {
+    const values = {};
+    for (const [field, column] of Object.entries(POLICY_FIELDS)) {
+        if (input[field] === undefined) continue;
+        const value = input[field];
+        values[column] = typeof value === 'string' ? value.trim() || null : value;
+    }
+
+    if (!partial || values.name !== undefined) {
+        if (!values.name) return { error: 'Name is required' };
+    }
+    if (!partial || values.retention_days !== undefined) {
+        const days = parseInt(values.retention_days, 10);
+        if (!(days > 0)) return { error: 'Retention days must be a positive number' };
+        values.retention_days = days;
+    }
+    if (!partial || values.archive_method !== undefined) {
+        if (!ARCHIVE_METHODS.includes(values.archive_method)) {
+            return { error: `Archive method must be one of: ${ARCHIVE_METHODS.join(', ')}` };
+        }
+    }
+    return { values };
+};
+
+const getPolicy = async (id) => {
+    const { data } = await supabase
+        .from('retention_policies')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+    return data;
+};
+
+const recordVersion = async (policy, user, reason) => {
+    const snapshot = Object.fromEntries(VERSIONED_COLUMNS.map(column => [column, policy[column]]));
+    const { error } = await supabase
+        .from('retention_policy_versions')
+        .insert({
+            policy_id: policy.id,
+            version: policy.version,
+            ...snapshot,
+            changed_by: user.identifier,
+            change_reason: reason || null
+        });
+    if (error) throw error;
+};
+
+// Evidence still governed by a policy: not deleted and not yet disposed of
+const getPolicyEvidence = async (policyId) => {
+    const { data, error } = await supabase
+        .from('evidence')
+        .select('id, title, case_id, expiry_date, legal_hold, is_sealed')
+        .eq('retention_policy_id', policyId)
+        .neq('status', 'deleted')
+        .is('disposed_at', null)
+        .order('expiry_date', { ascending: true });
+    if (error) throw error;
+    return data || [];
+};
+
+const createPolicy = async (user, input, { ip } = {}) => {
+    const { values, error: inputError } = readPolicyInput(input);
+    if (inputError) return fail('invalid', inputError);
+
+    const { data: policy, error } = await supabase
+        .from('retention_policies')
+        .insert({ ...values, version: 1, created_by: user.identifier })
+        .select()
+        .single();
+    if (error) throw error;
+
+    await recordVersion(policy, user, 'Created');
+    await audit(user, 'retention_policy_created', { policy_id: policy.id, ...values }, ip);
+
+    return { policy };
+};
+
+// What an update would change: the changed fields, and for a new retention period,
+// each governed item's expiry date before and after. Expiry dates move by the
+// difference in days, so each item keeps its original starting point.
+const previewPolicyUpdate = async (id, input) => {
+    const policy = await getPolicy(id);
+    if (!policy || !policy.is_active) return fail('not_found', 'Retention policy not found');
+
+    const { values, error: inputError } = readPolicyInput(input, { partial: true });
+    if (inputError) return fail('invalid', inputError);
+
+    const changes = {};
+    for (const [column, value] of Object.entries(values)) {
+        if (value !== policy[column]) changes[column] = { from: policy[column], to: value };
+    }
+
+    const now = new Date();
+    const shiftDays = changes.retention_days ? changes.retention_days.to - changes.retention_days.from : 0;
+    const evidence = shiftDays === 0 ? [] : (await getPolicyEvidence(policy.id))
+        .filter(item => item.expiry_date)
+        .map(item => {
+            const to = new Date(new Date(item.expiry_date).getTime() + shiftDays * DAY);
+            return {
+                id: item.id,
+                title: item.title,
+                case_id: item.case_id,
+                expiry_date: { from: item.expiry_date, to: to.toISOString() },
+                // Expires as soon as the change is applied (and is queued for disposition on the next run)
+                expires_immediately: new Date(item.expiry_date) > now && to <= now,
+                protected: item.legal_hold || item.is_sealed
+            };
+        });
+
+    return {
+        policy,
+        changes,
+        evidence,
+        summary: {
+            affected: evidence.length,
+            shift_days: shiftDays,
+            expires_immediately: evidence.filter(item => item.expires_immediately).length
+        }
+    };
+};
+
+// Apply an update previewed at `version`. Returns the preview plus the new policy,
+// or { error, reason } if the policy changed since (conflict).
+const updatePolicy = async (user, id, input, { version, reason, ip } = {}) => {
+    if (!reason) return fail('invalid', 'A reason is required to change a retention policy');
+
+    const preview = await previewPolicyUpdate(id, input);
+    if (preview.error) return preview;
+
+    const { policy, changes, evidence } = preview;
+    if (Number(version) !== policy.version) {
+        return fail('conflict', `The policy is now at version ${policy.version}; review the changes again`);
+    }
+    if (Object.keys(changes).length === 0) return fail('invalid', 'Nothing to change');
+
+    const { data: updated, error } = await supabase
+        .from('retention_policies')
+        .update({
+            ...Object.fromEntries(Object.entries(changes).map(([column, change]) => [column, change.to])),
+            version: policy.version + 1,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', policy.id)
+        .eq('version', policy.version)
+        .select();
+    if (error) throw error;
+    if (!updated || updated.length === 0) return fail('conflict', 'The policy was changed by someone else; review the changes again');
+
+    const [saved] = updated;
+    await recordVersion(saved, user, reason);
+
+    for (const item of evidence) {
+        const { error: evidenceError } = await supabase
+            .from('evidence')
+            .update({ expiry_date: item.expiry_date.to, expiry_warning_sent_at: null })
+            .eq('id', item.id);
+        if (evidenceError) throw evidenceError;
+    }
+
+    // Queued disposals were decided under the old terms; the next run queues them again if due
+    if (changes.archive_method || evidence.length > 0) {
+        let stale = supabase
+            .from('retention_dispositions')
+            .update({ status: 'cancelled', error: 'Retention policy changed', decided_at: new Date().toISOString() })
+            .eq('status', 'pending');
+        stale = changes.archive_method
+            ? stale.eq('policy_id', policy.id)
+            : stale.in('evidence_id', evidence.map(item => item.id));
+
+        const { error: cancelError } = await stale;
+        if (cancelError) throw cancelError;
+    }
+
+    await audit(user, 'retention_policy_updated', {
+        policy_id: policy.id, version: saved.version, changes, reason, evidence_updated: evidence.length
+    }, ip);
+
+    return { ...preview, policy: saved };
+};
+
+// Retire a policy. Refused while any evidence it governs remains.
+const deletePolicy = async (user, id, { reason, ip } = {}) => {
+    const policy = await getPolicy(id);
+    if (!policy || !policy.is_active) return fail('not_found', 'Retention policy not found');
+
+    const evidence = await getPolicyEvidence(policy.id);
+    if (evidence.length > 0) {
+        return {
+            ...fail('conflict', `${evidence.length} evidence item${evidence.length === 1 ? ' is' : 's are'} still under this policy; move them to another policy first`),
+            evidence_count: evidence.length
+        };
+    }
+
+    const { data: rules, error: rulesError } = await supabase
+        .from('retention_rules')
+        .select('id')
+        .eq('policy_id', policy.id)
+        .eq('is_active', true);
+    if (rulesError) throw rulesError;
+    if (rules && rules.length > 0) {
+        return fail('conflict', `${rules.length} assignment rule${rules.length === 1 ? ' uses' : 's use'} this policy; deactivate ${rules.length === 1 ? 'it' : 'them'} first`);
+    }
+
+    const { data: deleted, error } = await supabase
+        .from('retention_policies')
+        .update({
+            is_active: false,
+            version: policy.version + 1,
+            deleted_by: user.identifier,
+            deleted_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', policy.id)
+        .eq('version', policy.version)
+        .select();
+    if (error) throw error;
+    if (!deleted || deleted.length === 0) return fail('conflict', 'The policy was changed by someone else');
+
+    await recordVersion(deleted[0], user, reason || 'Deleted');
+    await audit(user, 'retention_policy_deleted', { policy_id: policy.id, name: policy.name, reason: reason || null }, ip);
+
+    return { policy: deleted[0] };
+};
+
+const getPolicyVersions = async (id) => {
+    const { data, error } = await supabase
+        .from('retention_policy_versions')
+        .select('*')
+        .eq('policy_id', id)
+        .order('version', { ascending: true });
+    if (error) throw error;
+    return data || [];
+};
+
+module.exports = {
+    ARCHIVE_METHODS,
+    getPolicy,
+    getPolicyEvidence,
+    createPolicy,
+    previewPolicyUpdate,
+    updatePolicy,
+    deletePolicy,
+    getPolicyVersions
+};
@@ -0,0 +1,257 @@
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { supabase } = require('../config');
+const { toCsvField } = require('./auditQueryService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 1000;
+const DISPOSITION_STATUSES = ['pending', 'executing', 'completed', 'rejected', 'cancelled', 'failed'];
+const ARCHIVE_METHODS = ['archive', 'anonymize', 'destroy'];
+const UNSPECIFIED = 'Unspecified';
+
+// Read every row of a query a page at a time (PostgREST caps single responses)
+const selectAll = async (buildQuery) => {
+    const rows = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return rows;
+    }
+};
+
+// Evidence case_id holds either the case's id or its case number
+const caseIndex = (cases) => {
+    const index = new Map();
+    for (const row of cases) {
+        index.set(String(row.id), row);
+        if (row.case_number) index.set(String(row.case_number), row);
+    }
+    return index;
+};
+
+const emptyGroup = (jurisdiction, caseType, weeks) => ({
+    jurisdiction,
+    case_type: caseType,
+    evidence: 0,
+    policies: new Map(),
+    no_policy: 0,
+    overdue: 0,
+    on_hold: 0,
+    holds: new Map(),
+    upcoming: Array(weeks).fill(0),
+    dispositions: Object.fromEntries(DISPOSITION_STATUSES.map(status => [status, 0])),
+    disposed: Object.fromEntries(ARCHIVE_METHODS.map(method => [method, 0]))
+});
+
+// Retention compliance per jurisdiction and case type (from the evidence's case):
+// evidence retained under each policy or none, items past expiry not yet disposed of,
+// items on hold and the active holds covering them, expirations in each of the next
+// `weeks` weeks (held items excluded, as they will not be queued), and dispositions
+// queued or decided between `from` and `to`.
+const buildRetentionReport = async ({ from, to, weeks = 13, now = new Date() } = {}) => {
+    const periodEnd = to ? new Date(to) : now;
+    const periodStart = from ? new Date(from) : new Date(periodEnd.getTime() - 90 * DAY);
+
+    const [evidence, cases, policies, holds, dispositions] = await Promise.all([
+        selectAll(() => supabase
+            .from('evidence')
+            .select('id, case_id, status, retention_policy_id, expiry_date, legal_hold, disposed_at')
+            .order('id', { ascending: true })),
+        selectAll(() => supabase
+            .from('cases')
+            .select('id, case_number, jurisdiction, case_type')
+            .order('id', { ascending: true })),
+        selectAll(() => supabase
+            .from('retention_policies')
+            .select('id, name, retention_days, archive_method, is_active')
+            .order('id', { ascending: true })),
+        selectAll(() => supabase
+            .from('legal_holds')
+            .select('id, matter_name, issuing_authority, court_order_reference')
+            .eq('status', 'active')
+            .order('id', { ascending: true })),
+        selectAll(() => supabase
+            .from('retention_dispositions')
+            .select('id, evidence_id, archive_method, status, created_at, decided_at')
+            .lte('created_at', periodEnd.toISOString())
+            .order('id', { ascending: true }))
+    ]);
+
+    const heldBy = new Map();
+    if (holds.length > 0) {
+        const members = await selectAll(() => supabase
+            .from('legal_hold_evidence')
+            .select('hold_id, evidence_id')
+            .in('hold_id', holds.map(hold => hold.id))
+            .order('hold_id', { ascending: true }));
+        for (const member of members) {
+            const key = String(member.evidence_id);
+            heldBy.set(key, [...(heldBy.get(key) || []), member.hold_id]);
+        }
+    }
+
+    const casesById = caseIndex(cases);
+    const policiesById = new Map(policies.map(policy => [String(policy.id), policy]));
+    const holdsById = new Map(holds.map(hold => [hold.id, hold]));
+    const groups = new Map();
+    const groupOf = (item) => {
+        const found = item && casesById.get(String(item.case_id));
+        const jurisdiction = found?.jurisdiction || UNSPECIFIED;
+        const caseType = found?.case_type || UNSPECIFIED;
+        const key = `${jurisdiction}\u0000${caseType}`;
+        if (!groups.has(key)) groups.set(key, emptyGroup(jurisdiction, caseType, weeks));
+        return groups.get(key);
+    };
+
+    const evidenceById = new Map();
+    for (const item of evidence) {
+        evidenceById.set(String(item.id), item);
+        if (item.status === 'deleted' || item.disposed_at) continue;
+
+        const group = groupOf(item);
+        group.evidence++;
+
+        if (item.retention_policy_id) {
+            const id = String(item.retention_policy_id);
+            group.policies.set(id, (group.policies.get(id) || 0) + 1);
+        } else {
+            group.no_policy++;
+        }
+
+        const expiry = item.expiry_date ? new Date(item.expiry_date) : null;
+        if (expiry && expiry <= now) group.overdue++;
+
+        if (item.legal_hold) {
+            group.on_hold++;
+            for (const holdId of heldBy.get(String(item.id)) || []) {
+                group.holds.set(holdId, (group.holds.get(holdId) || 0) + 1);
+            }
+        } else if (expiry && expiry > now) {
+            const week = Math.floor((expiry - now) / (7 * DAY));
+            if (week < weeks) group.upcoming[week]++;
+        }
+    }
+
+    for (const disposition of dispositions) {
+        const touched = [disposition.created_at, disposition.decided_at]
+            .some(at => at && new Date(at) >= periodStart && new Date(at) <= periodEnd);
+        if (!touched) continue;
+
+        const group = groupOf(evidenceById.get(String(disposition.evidence_id)));
+        group.dispositions[disposition.status]++;
+        if (disposition.status === 'completed') group.disposed[disposition.archive_method]++;
+    }
+
+    const report = {
+        generated_at: now.toISOString(),
+        period: { from: periodStart.toISOString(), to: periodEnd.toISOString() },
+        groups: [...groups.values()]
+            .sort((a, b) => a.jurisdiction.localeCompare(b.jurisdiction) || a.case_type.localeCompare(b.case_type))
+            .map(group => ({
+                ...group,
+                policies: [...group.policies].map(([id, count]) => ({
+                    policy_id: Number(id),
+                    name: policiesById.get(id)?.name || `Policy #${id}`,
+                    retention_days: policiesById.get(id)?.retention_days ?? null,
+                    is_active: policiesById.get(id)?.is_active ?? false,
+                    count
+                })),
+                holds: [...group.holds].map(([id, count]) => ({
+                    hold_id: id,
+                    matter_name: holdsById.get(id).matter_name,
+                    issuing_authority: holdsById.get(id).issuing_authority,
+                    count
+                })),
+                upcoming: group.upcoming.map((count, week) => ({
+                    week_start: new Date(now.getTime() + week * 7 * DAY).toISOString().split('T')[0],
+                    count
+                }))
+            })),
+        active_holds: holds.length
+    };
+
+    report.totals = ['evidence', 'no_policy', 'overdue', 'on_hold']
+        .reduce((totals, key) => ({ ...totals, [key]: report.groups.reduce((sum, group) => sum + group[key], 0) }), {});
+    return report;
+};
+
+// One row per figure, so the file filters and pivots cleanly in a spreadsheet
+const CSV_COLUMNS = ['jurisdiction', 'case_type', 'metric', 'detail', 'count'];
+
+const reportToCsv = (report) => {
+    const rows = [];
+    for (const group of report.groups) {
+        const add = (metric, detail, count) => rows.push([group.jurisdiction, group.case_type, metric, detail, count]);
+        add('evidence', '', group.evidence);
+        group.policies.forEach(policy => add('policy', `${policy.name} (#${policy.policy_id})`, policy.count));
+        add('no_policy', '', group.no_policy);
+        add('overdue', '', group.overdue);
+        add('on_hold', '', group.on_hold);
+        group.holds.forEach(hold => add('legal_hold', `${hold.matter_name} (#${hold.hold_id})`, hold.count));
+        group.upcoming.forEach(week => add('expiring_week', week.week_start, week.count));
+        Object.entries(group.dispositions).forEach(([status, count]) => add('disposition', status, count));
+        Object.entries(group.disposed).forEach(([method, count]) => add('disposed', method, count));
+    }
+    return [CSV_COLUMNS.join(','), ...rows.map(row => row.map(toCsvField).join(','))].join('\n') + '\n';
+};
+
+// The standard PDF fonts only cover WinAnsi; replace anything else
+const pdfText = (value) => String(value ?? '').replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const reportToPdf = async (report) => {
+    const pdfDoc = await PDFDocument.create();
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const margin = 50;
+    let page, y;
+
+    const newPage = () => {
+        page = pdfDoc.addPage();
+        y = page.getSize().height - margin;
+    };
+    const line = (text, { size = 10, indent = 0, heading = false } = {}) => {
+        if (y < margin + size) newPage();
+        page.drawText(pdfText(text), { x: margin + indent, y, size, font: heading ? bold : font });
+        y -= size + 6;
+    };
+    const day = (iso) => iso.split('T')[0];
+
+    newPage();
+    line('Retention Compliance Report', { size: 16, heading: true });
+    line(`Generated: ${report.generated_at}`);
+    line(`Disposition period: ${day(report.period.from)} to ${day(report.period.to)}`);
+    line(`Retained evidence: ${report.totals.evidence}   No policy: ${report.totals.no_policy}   ` +
+        `Past expiry: ${report.totals.overdue}   On hold: ${report.totals.on_hold}   Active holds: ${report.active_holds}`);
+
+    for (const group of report.groups) {
+        y -= 8;
+        line(`${group.jurisdiction} / ${group.case_type}`, { size: 12, heading: true });
+        line(`Retained evidence: ${group.evidence}   No policy: ${group.no_policy}   Past expiry, not disposed: ${group.overdue}   On hold: ${group.on_hold}`);
+
+        line('Evidence per policy', { heading: true });
+        if (group.policies.length === 0) line('None', { indent: 12 });
+        group.policies.forEach(policy => line(
+            `${policy.name} (${policy.retention_days ?? '?'} days${policy.is_active ? '' : ', deleted'}): ${policy.count}`, { indent: 12 }));
+
+        line('Active legal holds', { heading: true });
+        if (group.holds.length === 0) line('None', { indent: 12 });
+        group.holds.forEach(hold => line(`${hold.matter_name} (${hold.issuing_authority}): ${hold.count} items`, { indent: 12 }));
+
+        line('Upcoming expirations by week', { heading: true });
+        const upcoming = group.upcoming.filter(week => week.count > 0);
+        if (upcoming.length === 0) line('None', { indent: 12 });
+        upcoming.forEach(week => line(`Week of ${week.week_start}: ${week.count}`, { indent: 12 }));
+
+        line('Dispositions in period', { heading: true });
+        line(DISPOSITION_STATUSES.map(status => `${status}: ${group.dispositions[status]}`).join('   '), { indent: 12 });
+        line(`Carried out - ${ARCHIVE_METHODS.map(method => `${method}: ${group.disposed[method]}`).join('   ')}`, { indent: 12 });
+    }
+
+    return Buffer.from(await pdfDoc.save());
+};
+
+module.exports = {
+    buildRetentionReport,
+    reportToCsv,
+    reportToPdf
+};
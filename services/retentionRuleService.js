@@ -0,0 +1,310 @@
+const { supabase } = require('../config');
+const { appendAuditLog } = require('./auditLog');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Criteria a rule may set, and the evidence property each is matched against
+const CRITERIA = ['case_type', 'jurisdiction', 'evidence_type', 'tag_id'];
+
+const sameText = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+const fail = (reason, error) => ({ error, reason });
+
+const listRules = async ({ includeInactive = false } = {}) => {
+    let query = supabase.from('retention_rules').select('*');
+    if (!includeInactive) query = query.eq('is_active', true);
+
+    const { data, error } = await query.order('id', { ascending: true });
+    if (error) throw error;
+    return data || [];
+};
+
+// { name, policyId, caseType, jurisdiction, evidenceType, tagId, startsOnStatus }
+const createRule = async (user, input, { ip } = {}) => {
+    const text = (value) => (value === undefined || value === null ? null : String(value).trim() || null);
+    const rule = {
+        name: text(input.name),
+        policy_id: parseInt(input.policyId, 10),
+        case_type: text(input.caseType),
+        jurisdiction: text(input.jurisdiction),
+        evidence_type: text(input.evidenceType),
+        tag_id: input.tagId ? parseInt(input.tagId, 10) : null,
+        starts_on_status: text(input.startsOnStatus)
+    };
+    if (!rule.name) return fail('invalid', 'Name is required');
+
+    const { data: policy } = await supabase
+        .from('retention_policies')
+        .select('id, is_active')
+        .eq('id', rule.policy_id || 0)
+        .maybeSingle();
+    if (!policy || !policy.is_active) return fail('invalid', 'Retention policy not found');
+
+    if (rule.tag_id) {
+        const { data: tag } = await supabase.from('tags').select('id').eq('id', rule.tag_id).maybeSingle();
+        if (!tag) return fail('invalid', 'Tag not found');
+    }
+    if (rule.starts_on_status) {
+        const { data: status } = await supabase
+            .from('case_statuses')
+            .select('id')
+            .eq('status_code', rule.starts_on_status)
+            .maybeSingle();
+        if (!status) return fail('invalid', 'Unknown case status');
+    }
+
+    const { data: created, error } = await supabase
+        .from('retention_rules')
+        .insert({ ...rule, created_by: user.identifier })
+        .select()
+        .single();
+    if (error) throw error;
+
+    await appendAuditLog({
+        user_id: user.identifier,
+        action: 'retention_rule_created',
+        details: JSON.stringify({ rule_id: created.id, ...rule }),
+        ip_address: ip || null
+    });
+    return { rule: created };
+};
+
+const deactivateRule = async (user, id, { ip } = {}) => {
+    const { data: updated, error } = await supabase
+        .from('retention_rules')
+        .update({ is_active: false, deactivated_by: user.identifier, deactivated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('is_active', true)
+        .select();
+    if (error) throw error;
+    if (!updated || updated.length === 0) return fail('not_found', 'Retention rule not found');
+
+    await appendAuditLog({
+        user_id: user.identifier,
+        action: 'retention_rule_deactivated',
+        details: JSON.stringify({ rule_id: updated[0].id, name: updated[0].name }),
+        ip_address: ip || null
+    });
+    return { rule: updated[0] };
+};
+
+// Case fields rules match on, plus its current status code. Evidence case_id holds
+// either the case's id or its case number.
+const loadCaseForRules = async (caseRef) => {
+    if (caseRef === null || caseRef === undefined || caseRef === '') return null;
+
+    const query = supabase
+        .from('cases')
+        .select('id, case_number, case_type, jurisdiction, status_id, last_status_change');
+    const { data: caseRecord } = /^\d+$/.test(String(caseRef))
+        ? await query.eq('id', caseRef).maybeSingle()
+        : await query.eq('case_number', caseRef).maybeSingle();
+    if (!caseRecord) return null;
+
+    const { data: status } = await supabase
+        .from('case_statuses')
+        .select('status_code')
+        .eq('id', caseRecord.status_id)
+        .maybeSingle();
+    return { ...caseRecord, status_code: status?.status_code || null };
+};
+
+const describeCriteria = (rule) => {
+    const parts = [
+        rule.case_type && `case type ${rule.case_type}`,
+        rule.jurisdiction && `jurisdiction ${rule.jurisdiction}`,
+        rule.evidence_type && `evidence type ${rule.evidence_type}`,
+        rule.tag_id && `tag #${rule.tag_id}`
+    ].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : 'any evidence';
+};
+
+// Pick the rule for an item: of the active rules whose criteria all match (and whose
+// policy is active), the one with the longest retention period. Ties go to the rule
+// with more criteria, then the older rule. Returns null if nothing matches.
+const selectRule = ({ evidence, caseRecord, tagIds, rules, policies }) => {
+    const facts = {
+        case_type: caseRecord?.case_type,
+        jurisdiction: caseRecord?.jurisdiction,
+        evidence_type: evidence.type
+    };
+    const specificity = (rule) => CRITERIA.filter(criterion => rule[criterion]).length;
+
+    const candidates = rules
+        .filter(rule => rule.is_active && policies.get(rule.policy_id)?.is_active)
+        .filter(rule => ['case_type', 'jurisdiction', 'evidence_type']
+            .every(criterion => !rule[criterion] || sameText(rule[criterion], facts[criterion])))
+        .filter(rule => !rule.tag_id || tagIds.includes(rule.tag_id))
+        .sort((a, b) => policies.get(b.policy_id).retention_days - policies.get(a.policy_id).retention_days
+            || specificity(b) - specificity(a)
+            || a.id - b.id);
+
+    return candidates.length > 0 ? { rule: candidates[0], others: candidates.slice(1) } : null;
+};
+
+// The stored explanation and the resulting expiry date. Retention runs from upload,
+// or from the rule's case status while the case is in it (no expiry date until then).
+const buildAssignment = ({ evidence, caseRecord, rule, others, policy, policies }) => {
+    let startedAt = null;
+    if (!rule.starts_on_status) {
+        startedAt = evidence.timestamp || new Date().toISOString();
+    } else if (caseRecord?.status_code === rule.starts_on_status) {
+        startedAt = caseRecord.last_status_change || new Date().toISOString();
+    }
+    const expiryDate = startedAt ? new Date(new Date(startedAt).getTime() + policy.retention_days * DAY).toISOString() : null;
+
+    const starts = rule.starts_on_status ? `when the case is ${rule.starts_on_status}` : 'from upload';
+    const explanation = `Rule "${rule.name}" (${describeCriteria(rule)}) assigned "${policy.name}", `
+        + `${policy.retention_days} days ${starts}`
+        + (others.length > 0 ? `; longest of ${others.length + 1} matching rules` : '')
+        + (startedAt ? '' : `; not started, the case is ${caseRecord?.status_code || 'not found'}`);
+
+    return {
+        expiry_date: expiryDate,
+        retention_assignment: {
+            source: 'rule',
+            rule_id: rule.id,
+            rule_name: rule.name,
+            policy_id: policy.id,
+            policy_name: policy.name,
+            retention_days: policy.retention_days,
+            criteria: Object.fromEntries(CRITERIA.filter(criterion => rule[criterion]).map(criterion => [criterion, rule[criterion]])),
+            starts_on_status: rule.starts_on_status || null,
+            started_at: startedAt,
+            other_rules: others.map(other => ({
+                rule_id: other.id,
+                rule_name: other.name,
+                policy_id: other.policy_id,
+                retention_days: policies.get(other.policy_id).retention_days
+            })),
+            explanation
+        }
+    };
+};
+
+const loadRulesAndPolicies = async () => {
+    const rules = await listRules();
+    if (rules.length === 0) return { rules, policies: new Map() };
+
+    const { data, error } = await supabase
+        .from('retention_policies')
+        .select('id, name, retention_days, is_active')
+        .in('id', [...new Set(rules.map(rule => rule.policy_id))]);
+    if (error) throw error;
+    return { rules, policies: new Map((data || []).map(policy => [policy.id, policy])) };
+};
+
+// Choose and store the policy for one item. Items with a manually chosen policy
+// (including any assigned before rules existed), and deleted, disposed or sealed
+// items, are left alone, as are items no rule matches.
+const assignItem = async (evidence, { actor, caseRecord, rules, policies }) => {
+    if (evidence.status === 'deleted' || evidence.disposed_at || evidence.is_sealed) return null;
+    const manual = evidence.retention_assignment
+        ? evidence.retention_assignment.source !== 'rule'
+        : Boolean(evidence.retention_policy_id);
+    if (manual) return null;
+
+    const { data: tags, error: tagError } = await supabase
+        .from('evidence_tags')
+        .select('tag_id')
+        .eq('evidence_id', evidence.id);
+    if (tagError) throw tagError;
+
+    const selected = selectRule({ evidence, caseRecord, tagIds: (tags || []).map(tag => tag.tag_id), rules, policies });
+    if (!selected) return null;
+
+    const policy = policies.get(selected.rule.policy_id);
+    const { expiry_date: expiryDate, retention_assignment: assignment } = buildAssignment({ evidence, caseRecord, ...selected, policy, policies });
+
+    const unchanged = evidence.retention_policy_id === policy.id
+        && evidence.retention_assignment?.rule_id === assignment.rule_id
+        && (evidence.expiry_date ? new Date(evidence.expiry_date).getTime() : null) === (expiryDate ? new Date(expiryDate).getTime() : null);
+    if (unchanged) return null;
+
+    const changes = {
+        retention_policy_id: policy.id,
+        expiry_date: expiryDate,
+        expiry_warning_sent_at: null,
+        retention_assignment: { ...assignment, assigned_at: new Date().toISOString() }
+    };
+    const { error } = await supabase
+        .from('evidence')
+        .update(changes)
+        .eq('id', evidence.id);
+    if (error) throw error;
+
+    await appendAuditLog({
+        user_id: actor,
+        action: 'retention_policy_assigned',
+        details: JSON.stringify({
+            evidence_id: evidence.id,
+            rule_id: assignment.rule_id,
+            policy_id: policy.id,
+            expiry_date: expiryDate,
+            explanation: assignment.explanation
+        }),
+        ip_address: null
+    });
+    return changes;
+};
+
+// Apply the rules to a newly uploaded or newly tagged item. Returns the stored changes,
+// or null. Failures are logged and swallowed so they never break the upload or tag.
+const assignRetentionPolicy = async (evidenceOrId, { actor } = {}) => {
+    const evidenceId = typeof evidenceOrId === 'object' ? evidenceOrId.id : evidenceOrId;
+    try {
+        const { rules, policies } = await loadRulesAndPolicies();
+        if (rules.length === 0) return null;
+
+        const { data: evidence, error } = await supabase
+            .from('evidence')
+            .select('*')
+            .eq('id', evidenceId)
+            .maybeSingle();
+        if (error) throw error;
+        if (!evidence) return null;
+
+        const caseRecord = await loadCaseForRules(evidence.case_id);
+        return await assignItem(evidence, { actor, caseRecord, rules, policies });
+    } catch (error) {
+        console.error(`Assigning a retention policy to evidence ${evidenceId} failed:`, error.message);
+        return null;
+    }
+};
+
+// Re-apply the rules to every item in a case after its status changes, so rules that
+// start retention at a status (such as closure) start or stop the clock.
+// Returns the number of items updated; failures are logged and swallowed.
+const assignRetentionPoliciesForCase = async (caseRef, { actor } = {}) => {
+    try {
+        const { rules, policies } = await loadRulesAndPolicies();
+        if (rules.length === 0) return 0;
+
+        const caseRecord = await loadCaseForRules(caseRef);
+        if (!caseRecord) return 0;
+
+        const { data: evidence, error } = await supabase
+            .from('evidence')
+            .select('*')
+            .in('case_id', [String(caseRecord.id), caseRecord.case_number].filter(Boolean));
+        if (error) throw error;
+
+        let updated = 0;
+        for (const item of evidence || []) {
+            if (await assignItem(item, { actor, caseRecord, rules, policies })) updated++;
+        }
+        return updated;
+    } catch (error) {
+        console.error(`Assigning retention policies for case ${caseRef} failed:`, error.message);
+        return 0;
+    }
+};
+
+module.exports = {
+    listRules,
+    createRule,
+    deactivateRule,
+    selectRule,
+    assignRetentionPolicy,
+    assignRetentionPoliciesForCase
+};
@@ -0,0 +1,384 @@
+const { supabase, retention: retentionConfig } = require('../config');
+const { appendAuditLog } = require('./auditLog');
+const { createNotification, notifyMultipleUsers } = require('./notificationService');
+const { recordCustodyEvent } = require('./custodyService');
+const { signPayload } = require('./evidenceHelpers');
+const { removeBlob } = require('./evidenceStorage');
+
+// Audit actor for entries written by the scheduled job
+const SCHEDULER = 'retention_scheduler';
+
+const DISPOSED_STATUS = {
+    archive: 'archived',
+    anonymize: 'anonymized',
+    destroy: 'destroyed'
+};
+
+const CERTIFICATE_TYPE = {
+    archive: 'archival',
+    anonymize: 'anonymization',
+    destroy: 'destruction'
+};
+
+const fail = (reason, error) => ({ error, reason });
+
+const audit = (actor, action, details, ip) => appendAuditLog({
+    user_id: actor,
+    action,
+    details: JSON.stringify(details),
+    ip_address: ip || null
+});
+
+const sameTime = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+
+// Warn submitters once about evidence expiring within warningDays. Items under
+// legal hold are skipped; the warning is sent again if the expiry date changes.
+const sendExpiryWarnings = async (now = new Date()) => {
+    const horizon = new Date(now.getTime() + retentionConfig.warningDays * 24 * 60 * 60 * 1000);
+
+    const { data: expiring, error } = await supabase
+        .from('evidence')
+        .select('id, title, submitted_by, expiry_date')
+        .lte('expiry_date', horizon.toISOString())
+        .gte('expiry_date', now.toISOString())
+        .eq('legal_hold', false)
+        .is('expiry_warning_sent_at', null)
+        .is('disposed_at', null);
+
+    if (error) throw error;
+
+    for (const evidence of expiring || []) {
+        const days = Math.ceil((new Date(evidence.expiry_date) - now) / (24 * 60 * 60 * 1000));
+        await createNotification(
+            evidence.submitted_by,
+            'Evidence Expiry Warning',
+            `Evidence "${evidence.title}" will expire in ${days} day${days === 1 ? '' : 's'}`,
+            'system',
+            { evidence_id: evidence.id, expiry_date: evidence.expiry_date }
+        );
+
+        await supabase
+            .from('evidence')
+            .update({ expiry_warning_sent_at: now.toISOString() })
+            .eq('id', evidence.id);
+    }
+
+    return (expiring || []).length;
+};
+
+// Queue expired evidence for disposal. Items under legal hold or sealed are left
+// alone, as are items already queued and items whose disposal was rejected for
+// the same expiry date.
+const queueExpiredEvidence = async (now = new Date()) => {
+    const { data: expired, error } = await supabase
+        .from('evidence')
+        .select('id, title, case_id, retention_policy_id, expiry_date')
+        .lte('expiry_date', now.toISOString())
+        .eq('legal_hold', false)
+        .eq('is_sealed', false)
+        .neq('status', 'deleted')
+        .is('disposed_at', null);
+
+    if (error) throw error;
+
+    const candidates = (expired || []).filter(item => item.retention_policy_id);
+    if (candidates.length === 0) return [];
+
+    const { data: policies, error: policyError } = await supabase
+        .from('retention_policies')
+        .select('id, archive_method, version')
+        .in('id', [...new Set(candidates.map(item => item.retention_policy_id))]);
+    if (policyError) throw policyError;
+
+    const { data: existing, error: existingError } = await supabase
+        .from('retention_dispositions')
+        .select('evidence_id, status, expiry_date')
+        .in('evidence_id', candidates.map(item => item.id))
+        .in('status', ['pending', 'executing', 'rejected']);
+    if (existingError) throw existingError;
+
+    const queued = [];
+    for (const item of candidates) {
+        const policy = (policies || []).find(row => row.id === item.retention_policy_id);
+        if (!policy) continue;
+
+        const blocked = (existing || []).some(row => row.evidence_id === item.id
+            && (row.status !== 'rejected' || sameTime(row.expiry_date, item.expiry_date)));
+        if (blocked) continue;
+
+        const { data: disposition, error: insertError } = await supabase
+            .from('retention_dispositions')
+            .insert({
+                evidence_id: item.id,
+                policy_id: policy.id,
+                policy_version: policy.version,
+                archive_method: policy.archive_method,
+                expiry_date: item.expiry_date
+            })
+            .select()
+            .single();
+
+        // Unique violation on idx_retention_dispositions_open: queued by an overlapping run
+        if (insertError?.code === '23505') continue;
+        if (insertError) throw insertError;
+
+        await audit(SCHEDULER, 'disposition_queued', {
+            disposition_id: disposition.id, evidence_id: item.id, policy_id: policy.id, archive_method: policy.archive_method
+        });
+        queued.push(disposition);
+    }
+
+    if (queued.length > 0) {
+        const { data: managers } = await supabase
+            .from('users')
+            .select('wallet_address, email')
+            .eq('role', 'evidence_manager')
+            .eq('is_active', true);
+
+        const recipients = (managers || []).map(user => user.wallet_address || user.email).filter(Boolean);
+        if (recipients.length > 0) {
+            await notifyMultipleUsers(
+                recipients,
+                'Disposition Approval Required',
+                `${queued.length} expired evidence item${queued.length === 1 ? ' is' : 's are'} waiting for disposal approval`,
+                'system',
+                { disposition_ids: queued.map(row => row.id) }
+            );
+        }
+    }
+
+    return queued;
+};
+
+const getDisposition = async (id) => {
+    const { data } = await supabase
+        .from('retention_dispositions')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+    return data;
+};
+
+// Move a disposition out of fromStatus; null if someone else already did
+const closeDisposition = async (id, changes, fromStatus = 'pending') => {
+    const { data, error } = await supabase
+        .from('retention_dispositions')
+        .update({ decided_at: new Date().toISOString(), ...changes })
+        .eq('id', id)
+        .eq('status', fromStatus)
+        .select();
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+};
+
+// Why an item can no longer be disposed of, if anything changed since it was queued
+const checkDisposable = (evidence, disposition, now) => {
+    if (!evidence || evidence.status === 'deleted' || evidence.disposed_at) return 'Evidence no longer exists';
+    if (evidence.legal_hold) return 'Evidence is under legal hold';
+    if (evidence.is_sealed) return 'Evidence is sealed';
+    if (!evidence.expiry_date || !sameTime(evidence.expiry_date, disposition.expiry_date) || new Date(evidence.expiry_date) > now) {
+        return 'Retention period changed since the item was queued';
+    }
+    return null;
+};
+
+// Carry out each archive_method. Every method keeps the row, its hash and its
+// custody chain; anonymize strips descriptive metadata and destroy clears the file
+// reference (the file itself is removed by removeDestroyedBlob once all else succeeded).
+const DISPOSERS = {
+    archive: async (evidence, disposedAt) => ({
+        status: DISPOSED_STATUS.archive,
+        disposed_at: disposedAt
+    }),
+
+    anonymize: async (evidence, disposedAt) => ({
+        status: DISPOSED_STATUS.anonymize,
+        disposed_at: disposedAt,
+        title: `Anonymized evidence #${evidence.id}`,
+        description: null,
+        location: null,
+        file_name: `evidence-${evidence.id}`,
+        current_custodian: null
+    }),
+
+    destroy: async (evidence, disposedAt) => ({
+        status: DISPOSED_STATUS.destroy,
+        disposed_at: disposedAt,
+        storage_key: null,
+        file_data: null,
+        description: null,
+        location: null
+    })
+};
+
+// Remove a destroyed item's file. Identical uploads share a blob, so it is only
+// removed once nothing else uses it. A failure leaves the file behind and is logged
+// rather than undoing a disposal that is already recorded.
+const removeDestroyedBlob = async (evidenceId, storageKey) => {
+    if (!storageKey) return;
+    try {
+        const { data: sharing, error } = await supabase
+            .from('evidence')
+            .select('id')
+            .eq('storage_key', storageKey)
+            .neq('id', evidenceId)
+            .is('disposed_at', null);
+        if (error) throw error;
+        if (!sharing || sharing.length === 0) await removeBlob(storageKey);
+    } catch (error) {
+        console.error(`Removing the file of destroyed evidence ${evidenceId} (${storageKey}) failed:`, error);
+    }
+};
+
+const buildCertificate = (disposition, evidence, policy, user, disposedAt) => {
+    const payload = {
+        certificate_type: CERTIFICATE_TYPE[disposition.archive_method],
+        disposition_id: disposition.id,
+        evidence_id: evidence.id,
+        case_id: evidence.case_id,
+        title: evidence.title,
+        file_name: evidence.file_name,
+        file_size: evidence.file_size,
+        sha256: evidence.hash,
+        method: disposition.archive_method,
+        policy: {
+            id: policy.policy_id,
+            version: policy.version,
+            name: policy.name,
+            retention_days: policy.retention_days,
+            jurisdiction: policy.jurisdiction,
+            law_reference: policy.law_reference
+        },
+        expiry_date: disposition.expiry_date,
+        queued_at: disposition.created_at,
+        approved_by: user.identifier,
+        disposed_at: disposedAt
+    };
+
+    return {
+        ...payload,
+        signature: {
+            algorithm: 'HMAC-SHA256',
+            value: signPayload(payload)
+        }
+    };
+};
+
+// Approve a queued disposal and carry it out. Returns { disposition } (completed,
+// cancelled when the item became held, sealed or changed, or failed) or { error, reason }.
+const approveDisposition = async (user, id, { ip } = {}) => {
+    const disposition = await getDisposition(id);
+    if (!disposition) return fail('not_found', 'Disposition not found');
+    if (disposition.status !== 'pending') return fail('conflict', `This disposition is already ${disposition.status}`);
+
+    const claimed = await closeDisposition(disposition.id, { status: 'executing', decided_by: user.identifier });
+    if (!claimed) return fail('conflict', 'This disposition has already been decided');
+
+    const { data: evidence } = await supabase
+        .from('evidence')
+        .select('*')
+        .eq('id', disposition.evidence_id)
+        .maybeSingle();
+
+    const problem = checkDisposable(evidence, disposition, new Date());
+    if (problem) {
+        return { disposition: await closeDisposition(disposition.id, { status: 'cancelled', error: problem }, 'executing') };
+    }
+
+    try {
+        // The policy as it stood when the item was queued
+        const { data: policy, error: policyError } = await supabase
+            .from('retention_policy_versions')
+            .select('*')
+            .eq('policy_id', disposition.policy_id)
+            .eq('version', disposition.policy_version)
+            .single();
+        if (policyError) throw policyError;
+
+        const disposedAt = new Date().toISOString();
+        // Signed before anything is changed, so a missing signing key stops the disposal
+        const certificate = buildCertificate(disposition, evidence, policy, user, disposedAt);
+
+        const { storage_key: storageKey } = evidence;
+        const changes = await DISPOSERS[disposition.archive_method](evidence, disposedAt);
+        const { error: updateError } = await supabase
+            .from('evidence')
+            .update(changes)
+            .eq('id', evidence.id);
+        if (updateError) throw updateError;
+
+        await recordCustodyEvent(evidence.id, {
+            eventType: 'disposition',
+            actor: user.identifier,
+            actorRole: user.role,
+            purpose: `Retention policy "${policy.name}" expired`,
+            details: { disposition_id: disposition.id, method: disposition.archive_method }
+        });
+
+        await audit(user.identifier, 'evidence_disposed', { disposition_id: disposition.id, evidence_id: evidence.id, certificate }, ip);
+
+        const completed = await closeDisposition(disposition.id, { status: 'completed', certificate }, 'executing');
+
+        // Last, so a failure before this point never leaves a row whose file is gone
+        if (disposition.archive_method === 'destroy') await removeDestroyedBlob(evidence.id, storageKey);
+
+        return { disposition: completed };
+    } catch (error) {
+        console.error(`Disposition ${disposition.id} failed:`, error);
+        return {
+            disposition: await closeDisposition(disposition.id, { status: 'failed', error: error.message || 'Disposal failed' }, 'executing')
+        };
+    }
+};
+
+// Keep an item past its expiry. It is not queued again unless its expiry date changes.
+const rejectDisposition = async (user, id, reason, { ip } = {}) => {
+    if (!reason) return fail('invalid', 'A reason is required to reject a disposition');
+
+    const disposition = await getDisposition(id);
+    if (!disposition) return fail('not_found', 'Disposition not found');
+
+    const rejected = await closeDisposition(disposition.id, {
+        status: 'rejected',
+        decided_by: user.identifier,
+        decision_reason: reason
+    });
+    if (!rejected) return fail('conflict', `This disposition is already ${disposition.status}`);
+
+    await audit(user.identifier, 'disposition_rejected', {
+        disposition_id: rejected.id, evidence_id: rejected.evidence_id, reason
+    }, ip);
+
+    return { disposition: rejected };
+};
+
+// Dispositions newest first, each with the title and case of its evidence
+const listDispositions = async ({ status = 'pending' } = {}) => {
+    let query = supabase.from('retention_dispositions').select('*');
+    if (status !== 'all') query = query.eq('status', status);
+
+    const { data: dispositions, error } = await query.order('created_at', { ascending: false });
+    if (error) throw error;
+    if (!dispositions || dispositions.length === 0) return [];
+
+    const { data: evidence, error: evidenceError } = await supabase
+        .from('evidence')
+        .select('id, title, case_id, expiry_date')
+        .in('id', [...new Set(dispositions.map(row => row.evidence_id))]);
+    if (evidenceError) throw evidenceError;
+
+    return dispositions.map(row => ({
+        ...row,
+        evidence: (evidence || []).find(item => item.id === row.evidence_id) || null
+    }));
+};
+
+module.exports = {
+    sendExpiryWarnings,
+    queueExpiredEvidence,
+    approveDisposition,
+    rejectDisposition,
+    listDispositions,
+    getDisposition
+};
@@ -0,0 +1,114 @@
+const { supabase } = require('../config');
+const {
+    isBlockchainEnabled, getOnChainRole, grantRoleOnChain,
+    revokeRoleOnChain, getOnChainRoleHolders, getSignerAddress
+} = require('./blockchainService');
+
+// users.role is the source of truth; the contract mirrors it. A null role
+// means the address should hold no role on-chain.
+const syncRoleOnChain = async (walletAddress, role) => {
+    const current = await getOnChainRole(walletAddress);
+    if (current === role) return null;
+
+    return role ? grantRoleOnChain(walletAddress, role) : revokeRoleOnChain(walletAddress);
+};
+
+// Mirror a role change in the background; drift is picked up by reconciliation
+const queueRoleSync = (walletAddress, role) => {
+    if (!isBlockchainEnabled() || !walletAddress) return;
+
+    syncRoleOnChain(walletAddress, role)
+        .catch(error => console.error(`On-chain role sync for ${walletAddress} failed:`, error.message));
+};
+
+// Compare users.role with the roles held on-chain
+const buildRoleReconciliationReport = async () => {
+    const { data: users, error } = await supabase
+        .from('users')
+        .select('wallet_address, full_name, role, is_active')
+        .not('wallet_address', 'is', null);
+
+    if (error) throw error;
+
+    const signer = getSignerAddress().toLowerCase();
+    const known = new Set();
+    const entries = [];
+
+    for (const user of users) {
+        const address = user.wallet_address.toLowerCase();
+        known.add(address);
+
+        const expectedRole = user.is_active ? user.role : null;
+        const onChainRole = await getOnChainRole(address);
+
+        let status = 'in_sync';
+        if (expectedRole !== onChainRole) {
+            if (!onChainRole) status = 'missing_on_chain';
+            else if (!expectedRole) status = 'stale_on_chain';
+            else status = 'role_mismatch';
+        }
+
+        entries.push({
+            wallet_address: address,
+            full_name: user.full_name,
+            is_active: user.is_active,
+            database_role: user.role,
+            expected_role: expectedRole,
+            on_chain_role: onChainRole,
+            status
+        });
+    }
+
+    // Addresses holding a role on-chain without a matching user record
+    for (const address of await getOnChainRoleHolders()) {
+        if (known.has(address) || address === signer) continue;
+
+        const onChainRole = await getOnChainRole(address);
+        if (onChainRole) {
+            entries.push({
+                wallet_address: address,
+                full_name: null,
+                is_active: false,
+                database_role: null,
+                expected_role: null,
+                on_chain_role: onChainRole,
+                status: 'unknown_on_chain'
+            });
+        }
+    }
+
+    const summary = entries.reduce((acc, entry) => {
+        acc[entry.status] = (acc[entry.status] || 0) + 1;
+        return acc;
+    }, { total: entries.length, in_sync: 0 });
+
+    return { generated_at: new Date().toISOString(), summary, entries };
+};
+
+// Bring the contract in line with the database. The backend signer is never
+// modified so the service cannot lock itself out.
+const applyRoleReconciliation = async () => {
+    const report = await buildRoleReconciliationReport();
+    const signer = getSignerAddress().toLowerCase();
+    const results = [];
+
+    for (const entry of report.entries) {
+        if (entry.status === 'in_sync' || entry.wallet_address === signer) continue;
+
+        try {
+            const txHash = await syncRoleOnChain(entry.wallet_address, entry.expected_role);
+            results.push({ wallet_address: entry.wallet_address, status: entry.status, applied: true, tx_hash: txHash });
+        } catch (error) {
+            results.push({ wallet_address: entry.wallet_address, status: entry.status, applied: false, error: error.message });
+        }
+    }
+
+    return { summary: report.summary, results };
+};
+
+module.exports = {
+    syncRoleOnChain,
+    queueRoleSync,
+    buildRoleReconciliationReport,
+    applyRoleReconciliation
+};
@@ -0,0 +1,116 @@
+const { supabase } = require('../config');
+const { isBlockchainEnabled, setSealOnChain } = require('./blockchainService');
+
+// Roles allowed to seal evidence. Unsealing always requires a court order and
+// a court official.
+const SEAL_ROLES = ['evidence_manager', 'court_official'];
+const UNSEAL_ROLES = ['court_official'];
+
+// Of the given evidence IDs, return those that are sealed
+const getSealedEvidenceIds = async (evidenceIds) => {
+    const ids = (Array.isArray(evidenceIds) ? evidenceIds : [evidenceIds]).filter(id => id !== undefined && id !== null);
+    if (ids.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('evidence')
+        .select('id')
+        .in('id', ids)
+        .eq('is_sealed', true);
+
+    if (error) throw error;
+    return (data || []).map(row => row.id);
+};
+
+// Guard for mutating endpoints. Sends a 423 and returns true when any of the
+// evidence is sealed, so callers can simply `if (await rejectIfSealed(...)) return;`
+const rejectIfSealed = async (res, evidenceIds) => {
+    const sealed = await getSealedEvidenceIds(evidenceIds);
+    if (sealed.length === 0) return false;
+
+    res.status(423).json({
+        error: 'Sealed evidence cannot be modified without a court-ordered unseal',
+        sealed_evidence_ids: sealed
+    });
+    return true;
+};
+
+// Mirror a seal state change on-chain in the background and record the transaction
+const syncSealOnChain = (evidence, sealed, courtOrderRef) => {
+    if (!isBlockchainEnabled()) return;
+
+    setSealOnChain(evidence.hash, sealed, courtOrderRef)
+        .then(txHash => supabase
+            .from('evidence')
+            .update({ seal_tx: txHash })
+            .eq('id', evidence.id))
+        .catch(error => console.error(`On-chain ${sealed ? 'seal' : 'unseal'} of evidence ${evidence.id} failed:`, error.message));
+};
+
+// Number of other sealed evidence rows sharing this hash
+const countOtherSealedCopies = async (evidence) => {
+    const { count } = await supabase
+        .from('evidence')
+        .select('*', { count: 'exact', head: true })
+        .eq('hash', evidence.hash)
+        .eq('is_sealed', true)
+        .neq('id', evidence.id);
+    return count || 0;
+};
+
+const sealEvidenceRecord = async (evidence, sealedBy, reason) => {
+    const alreadySealedOnChain = await countOtherSealedCopies(evidence) > 0;
+
+    const { data, error } = await supabase
+        .from('evidence')
+        .update({
+            is_sealed: true,
+            sealed_by: sealedBy,
+            sealed_at: new Date().toISOString(),
+            seal_reason: reason || null,
+            seal_tx: null
+        })
+        .eq('id', evidence.id)
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    // The on-chain seal is per hash, so another sealed copy already covers it
+    if (!alreadySealedOnChain) {
+        syncSealOnChain(evidence, true);
+    }
+    return data;
+};
+
+const unsealEvidenceRecord = async (evidence, unsealedBy, courtOrderRef, reason) => {
+    const { data, error } = await supabase
+        .from('evidence')
+        .update({
+            is_sealed: false,
+            unsealed_by: unsealedBy,
+            unsealed_at: new Date().toISOString(),
+            unseal_court_order: courtOrderRef,
+            unseal_reason: reason,
+            seal_tx: null
+        })
+        .eq('id', evidence.id)
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    // Keep the on-chain seal while another copy is still sealed
+    if (await countOtherSealedCopies(evidence) === 0) {
+        syncSealOnChain(evidence, false, courtOrderRef);
+    }
+    return data;
+};
+
+module.exports = {
+    SEAL_ROLES,
+    UNSEAL_ROLES,
+    getSealedEvidenceIds,
+    rejectIfSealed,
+    sealEvidenceRecord,
+    unsealEvidenceRecord
+};
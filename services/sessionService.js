@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { supabase, sessionTimeouts, twoFactor } = require('../config');
+const { issueTokens } = require('./tokenService');
+const { disconnectSession } = require('./realtimeService');
+
+// io instance will be set after server initialization
+let io = null;
+
+const setIO = (socketIO) => {
+    io = socketIO;
+};
+
+// last_activity_at is written at most this often, not on every request
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+
+const SESSION_COLUMNS = 'id, user_id, login_type, ip_address, user_agent, created_at, last_activity_at, expires_at, is_active, revoked_at, revoke_reason, two_factor_verified_at';
+
+// Only a hash of the session id is stored, so a database read cannot be replayed as a login
+const hashSessionId = (sessionId) => crypto.createHash('sha256').update(String(sessionId)).digest('hex');
+
+const getSessionTimeouts = (role) => sessionTimeouts[role] || sessionTimeouts.public_viewer;
+
+// Why a session can no longer be used, judged against the user's current role
+const getSessionEndReason = (session, role, now = new Date()) => {
+    if (!session.is_active) return session.revoke_reason || 'revoked';
+
+    const { idle, absolute } = getSessionTimeouts(role);
+    if (now - new Date(session.created_at) > absolute * 60 * 1000) return 'expired';
+    if (now - new Date(session.last_activity_at || session.created_at) > idle * 60 * 1000) return 'idle_timeout';
+    return null;
+};
+
+// Public view of a session row, with the limits that apply to it
+const describeSession = (session, role, currentSessionId = null) => {
+    const { idle, absolute } = getSessionTimeouts(role);
+    const lastActivity = new Date(session.last_activity_at || session.created_at);
+    const absoluteExpiry = new Date(new Date(session.created_at).getTime() + absolute * 60 * 1000);
+    const idleExpiry = new Date(lastActivity.getTime() + idle * 60 * 1000);
+
+    return {
+        id: session.id,
+        login_type: session.login_type,
+        ip_address: session.ip_address,
+        user_agent: session.user_agent,
+        created_at: session.created_at,
+        last_activity_at: session.last_activity_at,
+        expires_at: (idleExpiry < absoluteExpiry ? idleExpiry : absoluteExpiry).toISOString(),
+        idle_timeout_minutes: idle,
+        absolute_timeout_minutes: absolute,
+        current: session.id === currentSessionId
+    };
+};
+
+// Start a session at login. Returns the session id to embed in tokens and the stored row.
+const createSession = async (user, req, loginType, { twoFactorVerified = false } = {}) => {
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const { data: session, error } = await supabase
+        .from('user_sessions')
+        .insert({
+            user_id: user.id,
+            session_token: hashSessionId(sessionId),
+            wallet_address: user.wallet_address || null,
+            email: user.email || null,
+            login_type: loginType,
+            ip_address: req.ip,
+            user_agent: req.get('user-agent') || null,
+            created_at: now.toISOString(),
+            last_activity_at: now.toISOString(),
+            two_factor_verified_at: twoFactorVerified ? now.toISOString() : null,
+            expires_at: new Date(now.getTime() + getSessionTimeouts(user.role).absolute * 60 * 1000).toISOString()
+        })
+        .select(SESSION_COLUMNS)
+        .single();
+
+    if (error) throw error;
+    return { sessionId, session };
+};
+
+// Open a session and issue tokens bound to it, for login responses
+const startSession = async (req, user, loginType, options) => {
+    const { sessionId, session } = await createSession(user, req, loginType, options);
+    return {
+        tokens: issueTokens(user, sessionId),
+        session: describeSession(session, user.role, session.id)
+    };
+};
+
+// Record a second-factor check on a session (at enrollment or step-up)
+const markTwoFactorVerified = async (sessionRowId) => {
+    const { error } = await supabase
+        .from('user_sessions')
+        .update({ two_factor_verified_at: new Date().toISOString() })
+        .eq('id', sessionRowId);
+
+    if (error) throw error;
+};
+
+// Whether the session passed a second-factor check recently enough for a sensitive operation
+const hasRecentTwoFactor = (session, now = new Date()) => Boolean(session && session.two_factor_verified_at
+    && now - new Date(session.two_factor_verified_at) <= twoFactor.stepUpMinutes * 60 * 1000);
+
+// End the active sessions the filter selects and push a forced logout to their pages
+const endSessions = async (filter, { revokedBy = null, reason }) => {
+    const { data, error } = await filter(supabase
+        .from('user_sessions')
+        .update({
+            is_active: false,
+            revoked_at: new Date().toISOString(),
+            revoked_by: revokedBy,
+            revoke_reason: reason
+        })
+        .eq('is_active', true))
+        .select(`${SESSION_COLUMNS}, wallet_address, email`);
+
+    if (error) throw error;
+
+    for (const session of data || []) {
+        const room = session.wallet_address || session.email;
+        if (io && room) {
+            io.to(room).emit('force_logout', { session_id: session.id, reason });
+        }
+        disconnectSession(session.id);
+    }
+
+    return data || [];
+};
+
+// Look up the session a token belongs to and check it is still live. Returns
+// { session } or { error } with the reason it ended. With touch, records activity.
+const validateSession = async (sessionId, user, { touch = false } = {}) => {
+    if (!sessionId) return { error: 'missing' };
+
+    const { data: session, error } = await supabase
+        .from('user_sessions')
+        .select(SESSION_COLUMNS)
+        .eq('session_token', hashSessionId(sessionId))
+        .eq('user_id', user.id)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!session) return { error: 'missing' };
+
+    const now = new Date();
+    const endReason = getSessionEndReason(session, user.role, now);
+    if (endReason) {
+        if (session.is_active) {
+            await endSessions(query => query.eq('id', session.id), { reason: endReason });
+        }
+        return { error: endReason };
+    }
+
+    if (touch && now - new Date(session.last_activity_at || session.created_at) > ACTIVITY_WRITE_INTERVAL_MS) {
+        await supabase
+            .from('user_sessions')
+            .update({ last_activity_at: now.toISOString() })
+            .eq('id', session.id);
+        session.last_activity_at = now.toISOString();
+    }
+
+    return { session };
+};
+
+// A user's sessions that are still live, newest first
+const listActiveSessions = async (user, currentSessionId = null) => {
+    const { data, error } = await supabase
+        .from('user_sessions')
+        .select(SESSION_COLUMNS)
+        .eq('user_id', user.id)
+        .eq('is_active', true)
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    const now = new Date();
+    return (data || [])
+        .filter(session => !getSessionEndReason(session, user.role, now))
+        .map(session => describeSession(session, user.role, currentSessionId));
+};
+
+// End one session of a user. Returns the ended session, or null if it was not active.
+const revokeSession = async (userId, sessionRowId, options) => {
+    const [session] = await endSessions(
+        query => query.eq('id', sessionRowId).eq('user_id', userId),
+        options
+    );
+    return session || null;
+};
+
+// End all of a user's sessions, optionally keeping one. Returns the ended sessions.
+const revokeUserSessions = async (userId, { exceptSessionId = null, ...options }) => {
+    return endSessions(query => {
+        const scoped = query.eq('user_id', userId);
+        return exceptSessionId ? scoped.neq('id', exceptSessionId) : scoped;
+    }, options);
+};
+
+module.exports = {
+    setIO,
+    getSessionTimeouts,
+    describeSession,
+    createSession,
+    startSession,
+    markTwoFactorVerified,
+    hasRecentTwoFactor,
+    validateSession,
+    listActiveSessions,
+    revokeSession,
+    revokeUserSessions
+};
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { supabase, auth } = require('../config');
+
+const STATEMENT = 'Sign in to EVID-DGC. This request will not trigger a blockchain transaction or cost any gas.';
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Domain the message must be bound to. SIWE_DOMAIN should be set in production;
+// the request's Host header is only a development fallback.
+const getSiweDomain = (req) => auth.siweDomain || req.get('host');
+
+// Build an EIP-4361 message
+const buildSiweMessage = ({ domain, address, uri, chainId, nonce, issuedAt, expirationTime }) => [
+    `${domain}${HEADER_SUFFIX}`,
+    address,
+    '',
+    STATEMENT,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`
+].join('\n');
+
+// Parse an EIP-4361 message. Returns null if it is malformed.
+const parseSiweMessage = (message) => {
+    if (typeof message !== 'string') return null;
+
+    const lines = message.split('\n');
+    if (lines.length < 7 || !lines[0].endsWith(HEADER_SUFFIX)) return null;
+
+    const fields = {
+        domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+        address: lines[1]
+    };
+
+    const keys = {
+        'URI': 'uri',
+        'Version': 'version',
+        'Chain ID': 'chainId',
+        'Nonce': 'nonce',
+        'Issued At': 'issuedAt',
+        'Expiration Time': 'expirationTime',
+        'Not Before': 'notBefore',
+        'Request ID': 'requestId'
+    };
+    for (const line of lines.slice(2)) {
+        const match = line.match(/^([A-Za-z ]+): (.+)$/);
+        if (match && keys[match[1]] && fields[keys[match[1]]] === undefined) {
+            fields[keys[match[1]]] = match[2];
+        }
+    }
+
+    if (!fields.domain || !ethers.isAddress(fields.address) || !fields.uri || fields.version !== '1'
+        || !/^\d+$/.test(fields.chainId || '') || !/^[A-Za-z0-9]{8,}$/.test(fields.nonce || '') || !fields.issuedAt) {
+        return null;
+    }
+
+    fields.chainId = Number(fields.chainId);
+    return fields;
+};
+
+// Issue a single-use nonce for a wallet and the message it should sign
+const createSiweChallenge = async (req, walletAddress) => {
+    const domain = getSiweDomain(req);
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + auth.siweNonceTtlMinutes * 60 * 1000);
+
+    const { error } = await supabase
+        .from('auth_nonces')
+        .insert({
+            nonce,
+            wallet_address: walletAddress.toLowerCase(),
+            domain,
+            issued_at: issuedAt.toISOString(),
+            expires_at: expiresAt.toISOString()
+        });
+
+    if (error) throw error;
+
+    // Expired nonces can never be redeemed; drop them as new ones are issued
+    await supabase
+        .from('auth_nonces')
+        .delete()
+        .lt('expires_at', issuedAt.toISOString());
+
+    return {
+        nonce,
+        expires_at: expiresAt.toISOString(),
+        message: buildSiweMessage({
+            domain,
+            address: ethers.getAddress(walletAddress),
+            uri: `${req.protocol}://${domain}`,
+            chainId: auth.siweChainId,
+            nonce,
+            issuedAt: issuedAt.toISOString(),
+            expirationTime: expiresAt.toISOString()
+        })
+    };
+};
+
+// Verify a signed SIWE message and consume its nonce. Returns { walletAddress }
+// (lowercase) or { error } with a reason that is safe to show the caller.
+const verifySiweSignature = async (req, message, signature) => {
+    const fields = parseSiweMessage(message);
+    if (!fields) {
+        return { error: 'Malformed sign-in message' };
+    }
+
+    if (fields.domain !== getSiweDomain(req)) {
+        return { error: 'Sign-in message was issued for a different domain' };
+    }
+
+    if (fields.chainId !== auth.siweChainId) {
+        return { error: 'Sign-in message was issued for a different chain' };
+    }
+
+    const now = new Date();
+    if (fields.expirationTime && new Date(fields.expirationTime) <= now) {
+        return { error: 'Sign-in message has expired' };
+    }
+    if (fields.notBefore && new Date(fields.notBefore) > now) {
+        return { error: 'Sign-in message is not yet valid' };
+    }
+
+    let signer;
+    try {
+        signer = ethers.verifyMessage(message, signature);
+    } catch (error) {
+        return { error: 'Invalid signature' };
+    }
+    if (signer.toLowerCase() !== fields.address.toLowerCase()) {
+        return { error: 'Signature does not match the wallet in the message' };
+    }
+
+    const walletAddress = signer.toLowerCase();
+
+    // Mark the nonce used in the same statement that checks it, so a signed
+    // message can only ever be redeemed once
+    const { data: consumed, error } = await supabase
+        .from('auth_nonces')
+        .update({ used_at: now.toISOString() })
+        .eq('nonce', fields.nonce)
+        .eq('wallet_address', walletAddress)
+        .eq('domain', fields.domain)
+        .is('used_at', null)
+        .gt('expires_at', now.toISOString())
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!consumed) {
+        return { error: 'Sign-in nonce is invalid, expired or already used' };
+    }
+
+    return { walletAddress };
+};
+
+module.exports = {
+    buildSiweMessage,
+    parseSiweMessage,
+    createSiweChallenge,
+    verifySiweSignature
+};
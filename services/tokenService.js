@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { auth, twoFactor } = require('../config');
+
+const getSecret = () => {
+    if (!auth.jwtSecret) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return auth.jwtSecret;
+};
+
+const signToken = (user, sessionId, type, expiresIn) => jwt.sign(
+    { type, role: user.role, sid: sessionId },
+    getSecret(),
+    {
+        algorithm: 'HS256',
+        subject: String(user.id),
+        issuer: auth.issuer,
+        jwtid: crypto.randomUUID(),
+        expiresIn
+    }
+);
+
+// Access tokens authorize API calls; refresh tokens only obtain new access tokens.
+// Both carry the id of the server-side session they belong to (sid).
+const issueTokens = (user, sessionId) => {
+    const accessToken = signToken(user, sessionId, 'access', auth.accessTokenTtl);
+    return {
+        token_type: 'Bearer',
+        access_token: accessToken,
+        refresh_token: signToken(user, sessionId, 'refresh', auth.refreshTokenTtl),
+        expires_in: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+    };
+};
+
+// Short-lived proof that the first factor passed; exchanged at /auth/2fa/verify for a session
+const issueTwoFactorChallenge = (user, loginType) => jwt.sign(
+    { type: 'two_factor', login_type: loginType },
+    getSecret(),
+    {
+        algorithm: 'HS256',
+        subject: String(user.id),
+        issuer: auth.issuer,
+        jwtid: crypto.randomUUID(),
+        expiresIn: twoFactor.challengeTtl
+    }
+);
+
+// Throws if the token is invalid, expired or of the wrong type
+const verifyToken = (token, expectedType) => {
+    const payload = jwt.verify(token, getSecret(), { algorithms: ['HS256'], issuer: auth.issuer });
+    if (payload.type !== expectedType) {
+        throw new Error(`Expected ${expectedType} token, got ${payload.type}`);
+    }
+    return payload;
+};
+
+module.exports = {
+    issueTokens,
+    issueTwoFactorChallenge,
+    verifyToken
+};
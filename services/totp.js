@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second steps),
+// the defaults every authenticator app supports
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+    let encoded = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return encoded;
+};
+
+const base32Decode = (text) => {
+    let bits = '';
+    for (const char of String(text).toUpperCase().replace(/[\s=-]/g, '')) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 character');
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, as RFC 4226 recommends for SHA-1
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for a counter
+const generateHotp = (secret, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+const generateTotp = (secret, time = Date.now()) => generateHotp(secret, getTimeStep(time));
+
+// Check a code against the current step and `window` steps either side (clock drift).
+// Returns the matching step, so callers can refuse to accept the same step twice, or null.
+const verifyTotp = (secret, code, { time = Date.now(), window = 1 } = {}) => {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+    const current = getTimeStep(time);
+    for (let step = current - window; step <= current + window; step++) {
+        if (crypto.timingSafeEqual(Buffer.from(generateHotp(secret, step)), Buffer.from(candidate))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// Key URI understood by authenticator apps (and encoded into the enrollment QR code)
+const buildOtpauthUrl = ({ secret, issuer, account }) => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateHotp,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUrl
+};
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const { supabase, twoFactor } = require('../config');
+const { generateSecret, verifyTotp, buildOtpauthUrl, base32Encode } = require('./totp');
+
+const BACKUP_CODE_COUNT = 10;
+
+const requiresTwoFactor = (role) => twoFactor.requiredRoles.includes(role);
+
+// TOTP secrets must be readable to check codes, so they are encrypted (AES-256-GCM) rather than hashed
+const getEncryptionKey = () => {
+    if (!twoFactor.encryptionKey) {
+        throw new Error('TWO_FACTOR_ENCRYPTION_KEY is not configured');
+    }
+    return crypto.createHash('sha256').update(twoFactor.encryptionKey).digest();
+};
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+const loadFactor = async (userId) => {
+    const { data, error } = await supabase
+        .from('user_two_factor')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+const countRemainingBackupCodes = async (userId) => {
+    const { count, error } = await supabase
+        .from('user_backup_codes')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .is('used_at', null);
+
+    if (error) throw error;
+    return count || 0;
+};
+
+// Start (or restart) enrollment with a fresh secret. 2FA is not on until confirmEnrollment.
+const beginEnrollment = async (user) => {
+    const secret = generateSecret();
+
+    const { error } = await supabase
+        .from('user_two_factor')
+        .upsert({
+            user_id: user.id,
+            secret_encrypted: encryptSecret(secret),
+            enabled: false,
+            enabled_at: null,
+            last_used_step: null,
+            created_at: new Date().toISOString()
+        }, { onConflict: 'user_id' });
+
+    if (error) throw error;
+
+    const otpauthUrl = buildOtpauthUrl({ secret, issuer: twoFactor.issuer, account: user.identifier });
+    return {
+        secret,
+        otpauth_url: otpauthUrl,
+        qr_code: await QRCode.toDataURL(otpauthUrl)
+    };
+};
+
+// Accept a TOTP code at most once: the step it matched must be newer than the last one used
+const consumeTotp = async (factor, code) => {
+    const step = verifyTotp(decryptSecret(factor.secret_encrypted), code);
+    if (step === null) return false;
+
+    const { data, error } = await supabase
+        .from('user_two_factor')
+        .update({ last_used_step: step })
+        .eq('user_id', factor.user_id)
+        .or(`last_used_step.is.null,last_used_step.lt.${step}`)
+        .select('user_id')
+        .maybeSingle();
+
+    if (error) throw error;
+    return Boolean(data);
+};
+
+const consumeBackupCode = async (userId, backupCode) => {
+    const normalized = String(backupCode).toUpperCase().replace(/[\s-]/g, '');
+
+    const { data: codes, error } = await supabase
+        .from('user_backup_codes')
+        .select('id, code_hash')
+        .eq('user_id', userId)
+        .is('used_at', null);
+
+    if (error) throw error;
+
+    for (const candidate of codes || []) {
+        if (await bcrypt.compare(normalized, candidate.code_hash)) {
+            const { data: used } = await supabase
+                .from('user_backup_codes')
+                .update({ used_at: new Date().toISOString() })
+                .eq('id', candidate.id)
+                .is('used_at', null)
+                .select('id')
+                .maybeSingle();
+            return Boolean(used);
+        }
+    }
+    return false;
+};
+
+// Replace a user's backup codes. The plain codes are returned once and only hashes are kept.
+const replaceBackupCodes = async (userId) => {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => base32Encode(crypto.randomBytes(7)).slice(0, 10));
+    const hashes = await Promise.all(codes.map(code => bcrypt.hash(code, 10)));
+
+    const { error: deleteError } = await supabase
+        .from('user_backup_codes')
+        .delete()
+        .eq('user_id', userId);
+    if (deleteError) throw deleteError;
+
+    const { error } = await supabase
+        .from('user_backup_codes')
+        .insert(hashes.map(codeHash => ({ user_id: userId, code_hash: codeHash })));
+    if (error) throw error;
+
+    return codes.map(code => `${code.slice(0, 5)}-${code.slice(5)}`);
+};
+
+// Turn 2FA on once the user proves their app produces valid codes.
+// Returns { backupCodes } or { error }.
+const confirmEnrollment = async (user, code) => {
+    const factor = await loadFactor(user.id);
+    if (!factor) {
+        return { error: 'Start two-factor setup first' };
+    }
+    if (factor.enabled) {
+        return { error: 'Two-factor authentication is already enabled' };
+    }
+    if (!await consumeTotp(factor, code)) {
+        return { error: 'Invalid authentication code' };
+    }
+
+    const { error } = await supabase
+        .from('user_two_factor')
+        .update({ enabled: true, enabled_at: new Date().toISOString() })
+        .eq('user_id', user.id);
+    if (error) throw error;
+
+    const { error: userError } = await supabase
+        .from('users')
+        .update({ two_factor_enabled: true })
+        .eq('id', user.id);
+    if (userError) throw userError;
+
+    return { backupCodes: await replaceBackupCodes(user.id) };
+};
+
+// Check a second factor for a user with 2FA enabled: a TOTP code or an unused backup code.
+// Returns 'totp', 'backup_code' or null.
+const verifySecondFactor = async (user, { code, backupCode }) => {
+    const factor = await loadFactor(user.id);
+    if (!factor || !factor.enabled) return null;
+
+    if (code && await consumeTotp(factor, code)) return 'totp';
+    if (backupCode && await consumeBackupCode(user.id, backupCode)) return 'backup_code';
+    return null;
+};
+
+const disableTwoFactor = async (userId) => {
+    const { error } = await supabase
+        .from('user_two_factor')
+        .delete()
+        .eq('user_id', userId);
+    if (error) throw error;
+
+    await supabase
+        .from('user_backup_codes')
+        .delete()
+        .eq('user_id', userId);
+
+    const { error: userError } = await supabase
+        .from('users')
+        .update({ two_factor_enabled: false })
+        .eq('id', userId);
+    if (userError) throw userError;
+};
+
+module.exports = {
+    requiresTwoFactor,
+    countRemainingBackupCodes,
+    beginEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    replaceBackupCodes,
+    disableTwoFactor
+};
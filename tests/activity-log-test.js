@@ -0,0 +1,90 @@
+// Client-reported activity, run against an in-memory stand-in for Supabase.
+// Usage: node tests/activity-log-test.js
+const assert = require('assert');
+const { useDatabase, call, runTests } = require('./helpers');
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+const wallet = (digit) => `0x${String(digit).repeat(40)}`;
+
+const tables = {
+  users: [
+    { id: 1, wallet_address: wallet(1), full_name: 'Ivy Investigator', role: 'investigator', is_active: true }
+  ],
+  activity_logs: []
+};
+
+const db = useDatabase(tables);
+const { as } = db;
+
+const { authenticate } = require('../middleware/authenticate');
+const { logActivity } = require('../controllers/activityController');
+const { appendAuditLog, verifyAuditChain } = require('../services/auditLog');
+const activityRoutes = require('../routes/activityRoutes');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const log = (body) => call(logActivity, { user: as(1), body });
+
+const tests = {
+  'the endpoint requires a signed-in user': async () => {
+    const route = activityRoutes.stack.find(layer => layer.route && layer.route.path === '/activity-logs').route;
+    assert.ok(route.methods.post);
+    assert.ok(route.stack.some(layer => layer.handle === authenticate));
+  },
+
+  'entries are recorded under the signed-in user, whatever the body claims': async () => {
+    const res = await log({ user_id: wallet(9), action: 'role_selected', details: { selected_role: 'investigator' } });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+
+    const entry = tables.activity_logs.at(-1);
+    assert.strictEqual(entry.user_id, wallet(1));
+    assert.strictEqual(entry.action, 'role_selected');
+    assert.deepStrictEqual(JSON.parse(entry.details), { selected_role: 'investigator' });
+  },
+
+  'only client-side events may be reported': async () => {
+    for (const action of ['evidence_uploaded', 'legal_hold_released', 'login', undefined]) {
+      const res = await log({ action });
+      assert.strictEqual(res.statusCode, 400, String(action));
+    }
+    assert.strictEqual(tables.activity_logs.length, 1);
+  },
+
+  'details cannot set the evidence or case an entry is filed under': async () => {
+    const res = await log({ action: 'session_timeout', details: { evidence_id: 42, caseId: 'CR-001' } });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+
+    const entry = tables.activity_logs.at(-1);
+    assert.strictEqual(entry.evidence_id, null);
+    assert.strictEqual(entry.case_id, null);
+  },
+
+  'concurrent entries are numbered in turn and the chain verifies': async () => {
+    await Promise.all(['a', 'b', 'c', 'd'].map(step => appendAuditLog({
+      user_id: wallet(1), action: 'evidence_viewed', details: { evidence_id: step }, ip_address: '203.0.113.9'
+    })));
+
+    assert.deepStrictEqual(tables.activity_logs.map(entry => Number(entry.sequence)), [1, 2, 3, 4, 5, 6]);
+    assert.strictEqual(tables.activity_logs.at(-1).evidence_id, 'd');
+    const chain = await verifyAuditChain();
+    assert.strictEqual(chain.valid, true, JSON.stringify(chain.first_broken_link));
+    assert.strictEqual(chain.checked, 6);
+  },
+
+  'a failed write is reported, not swallowed': async () => {
+    const rpc = db.rpc;
+    db.rpc = async () => ({ data: null, error: { message: 'could not obtain lock' } });
+    let res;
+    try {
+      await assert.rejects(appendAuditLog({ user_id: wallet(1), action: 'evidence_viewed' }), { message: 'could not obtain lock' });
+      res = await log({ action: 'role_selected' });
+    } finally {
+      db.rpc = rpc;
+    }
+    assert.strictEqual(res.statusCode, 500);
+    assert.strictEqual(tables.activity_logs.length, 6);
+  }
+};
+
+runTests('activity log tests', tests);
@@ -0,0 +1,109 @@
+// Merkle batch anchoring, run against an in-memory stand-in for Supabase and a fake contract.
+// Usage: node tests/anchor-batch-test.js
+const assert = require('assert');
+const crypto = require('crypto');
+const { useDatabase, runTests } = require('./helpers');
+const { buildMerkleTree } = require('../services/merkleTree');
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const tables = {
+  evidence: [],
+  anchor_batches: []
+};
+
+const db = useDatabase(tables);
+
+// ── Fake contract ───────────────────────────────────────────────────────────
+
+const chain = { roots: new Map(), failWait: false };
+const blockchainService = require('../services/blockchainService');
+blockchainService.isBlockchainEnabled = () => true;
+blockchainService.anchorMerkleRoot = async (root) => {
+  if (chain.roots.has(root)) throw new Error('execution reverted: Root already anchored');
+  chain.roots.set(root, chain.roots.size + 1);
+  const txHash = `0x${sha256(root)}`;
+  if (chain.failWait) throw Object.assign(new Error('timeout waiting for receipt'), { txHash });
+  return { txHash, blockNumber: 100, chainBatchId: chain.roots.get(root), confirmations: 1 };
+};
+blockchainService.verifyMerkleRootOnChain = async (root) => ({
+  exists: chain.roots.has(root), chainBatchId: chain.roots.get(root) || 0
+});
+
+const { runAnchorBatch } = require('../services/anchorBatchJob');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const addPending = (...ids) => {
+  for (const id of ids) {
+    tables.evidence.push({ id, hash: sha256(`item ${id}`), blockchain_status: 'pending', merkle_batch_id: null });
+  }
+};
+const statuses = () => tables.evidence.map(item => item.blockchain_status);
+
+const tests = {
+  'pending items are anchored with their proofs': async () => {
+    addPending(1, 2);
+    const result = await runAnchorBatch();
+    assert.strictEqual(result.leafCount, 2);
+    assert.deepStrictEqual(statuses(), ['confirmed', 'confirmed']);
+    assert.strictEqual(tables.anchor_batches[0].status, 'confirmed');
+    assert.strictEqual(tables.evidence[1].merkle_leaf_index, 1);
+  },
+
+  'a mined transaction whose receipt never arrived is recorded, not retried': async () => {
+    addPending(3, 4);
+    chain.failWait = true;
+    let result;
+    try {
+      result = await runAnchorBatch();
+    } finally {
+      chain.failWait = false;
+    }
+
+    const batch = tables.anchor_batches[1];
+    assert.ok(result);
+    assert.strictEqual(batch.status, 'confirmed');
+    assert.strictEqual(batch.blockchain_batch_id, 2);
+    assert.strictEqual(batch.blockchain_tx, result.txHash);
+    assert.deepStrictEqual(statuses().slice(2), ['confirmed', 'confirmed']);
+    assert.ok(tables.evidence.slice(2).every(item => item.merkle_batch_id === batch.id));
+  },
+
+  'a root already on-chain is recorded instead of failing forever': async () => {
+    // A run that died after sending left this item pending
+    addPending(5);
+    chain.roots.set(buildMerkleTree([sha256('item 5')]).root, 7);
+
+    await runAnchorBatch();
+    assert.strictEqual(tables.evidence[4].blockchain_status, 'confirmed');
+    assert.strictEqual(tables.anchor_batches[2].blockchain_batch_id, 7);
+  },
+
+  'a failed claim releases the items without anchoring': async () => {
+    addPending(6);
+    const from = db.from;
+    db.from = (table) => {
+      const builder = from(table);
+      if (table !== 'evidence') return builder;
+      const update = builder.update;
+      builder.update = (changes) => changes.blockchain_status === 'submitted'
+        ? { in: async () => ({ data: null, error: { message: 'connection lost' } }) }
+        : update(changes);
+      return builder;
+    };
+    try {
+      assert.strictEqual(await runAnchorBatch(), null);
+    } finally {
+      db.from = from;
+    }
+
+    assert.strictEqual(tables.evidence[5].blockchain_status, 'pending');
+    assert.strictEqual(tables.anchor_batches[3].status, 'failed');
+    assert.ok(!chain.roots.has(buildMerkleTree([sha256('item 6')]).root));
+  }
+};
+
+runTests('anchor batch tests', tests);
@@ -0,0 +1,97 @@
+// Audit trail filters, CSV output and export paging, run against an in-memory stand-in for Supabase.
+// Usage: node tests/audit-query-test.js
+const assert = require('assert');
+const { useDatabase, runTests } = require('./helpers');
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+const wallet = (digit) => `0x${String(digit).repeat(40)}`;
+
+const tables = {
+  activity_logs: [],
+  admin_actions: []
+};
+
+useDatabase(tables);
+
+const { parseAuditFilters, iterateAuditEntries, toCsvField, toCsvRow } = require('../services/auditQueryService');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const addEntry = (id, timestamp, fields = {}) => tables.activity_logs.push({
+  id, sequence: id, timestamp, user_id: wallet(1), action: 'evidence_viewed', details: null, ip_address: null, ...fields
+});
+
+const exportIds = async (filters, onPage = () => {}) => {
+  const ids = [];
+  for await (const entry of iterateAuditEntries(filters, 2)) {
+    ids.push(entry.id);
+    if (ids.length % 2 === 0) onPage();
+  }
+  return ids;
+};
+
+const tests = {
+  'filters are parsed from the query string': () => {
+    const { filters } = parseAuditFilters({ actor: wallet(1), action: 'login, logout,', evidenceId: 7, from: '2026-01-01' });
+    assert.strictEqual(filters.source, 'activity');
+    assert.deepStrictEqual(filters.actions, ['login', 'logout']);
+    assert.strictEqual(filters.evidenceId, '7');
+    assert.strictEqual(filters.from.toISOString(), '2026-01-01T00:00:00.000Z');
+  },
+
+  'a bare to date includes the whole day': () => {
+    const { filters } = parseAuditFilters({ to: '2026-01-31' });
+    assert.strictEqual(filters.to.toISOString(), '2026-02-01T00:00:00.000Z');
+    assert.strictEqual(filters.toExclusive, true);
+
+    const exact = parseAuditFilters({ to: '2026-01-31T12:00:00Z' }).filters;
+    assert.strictEqual(exact.toExclusive, false);
+  },
+
+  'invalid filters are refused': () => {
+    assert.match(parseAuditFilters({ source: 'evidence' }).error, /Unknown source/);
+    assert.match(parseAuditFilters({ source: 'admin', ip: '203.0.113.9' }).error, /IP filtering/);
+    assert.strictEqual(parseAuditFilters({ from: 'yesterday' }).error, 'Invalid from date');
+    assert.strictEqual(parseAuditFilters({ from: '2026-02-01', to: '2026-01-01' }).error, 'from must be before to');
+  },
+
+  'CSV fields are quoted and cannot start a formula': () => {
+    assert.strictEqual(toCsvField(null), '');
+    assert.strictEqual(toCsvField('say "hi", then\nleave'), '"say ""hi"", then\nleave"');
+    assert.strictEqual(toCsvField('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+    assert.strictEqual(toCsvField('-1'), '"\'-1"');
+    assert.strictEqual(toCsvField({ evidence_id: 3 }), '"{""evidence_id"":3}"');
+
+    const row = toCsvRow({ source: 'activity', id: 1, action: '@SUM(A1)', details: null });
+    assert.ok(row.startsWith('"activity","1",,'));
+    assert.ok(row.includes('"\'@SUM(A1)"'));
+  },
+
+  'the export lists every entry once, newest first, with ties broken by id': async () => {
+    addEntry(1, '2026-01-01T10:00:00.000Z');
+    addEntry(2, '2026-01-01T11:00:00.000Z');
+    addEntry(3, '2026-01-01T11:00:00.000Z');
+    addEntry(4, '2026-01-01T11:00:00.000Z');
+    addEntry(5, '2026-01-01T12:00:00.000Z');
+
+    const { filters } = parseAuditFilters({});
+    assert.deepStrictEqual(await exportIds(filters), [5, 4, 3, 2, 1]);
+  },
+
+  'entries written during the export do not shift its pages': async () => {
+    const { filters } = parseAuditFilters({});
+    let next = 6;
+    // Other requests keep writing while the export runs
+    const ids = await exportIds(filters, () => addEntry(next, `2026-01-02T00:00:0${next++}.000Z`));
+    assert.deepStrictEqual(ids, [5, 4, 3, 2, 1]);
+  },
+
+  'filters still apply on later pages': async () => {
+    tables.activity_logs.forEach(entry => { if (entry.id % 2 === 0) entry.action = 'login'; });
+    const { filters } = parseAuditFilters({ action: 'login', from: '2026-01-01T10:30:00Z' });
+    assert.deepStrictEqual(await exportIds(filters), [6, 4, 2]);
+  }
+};
+
+runTests('audit query tests', tests);
@@ -0,0 +1,84 @@
+// Evidence downloads, run against an in-memory stand-in for Supabase and storage.
+// Usage: node tests/evidence-download-test.js
+const assert = require('assert');
+const crypto = require('crypto');
+const { PDFDocument } = require('pdf-lib');
+const { useDatabase, call, runTests } = require('./helpers');
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+const wallet = (digit) => `0x${String(digit).repeat(40)}`;
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const tables = {
+  users: [
+    { id: 1, wallet_address: wallet(1), full_name: 'Ada Admin', role: 'admin', is_active: true }
+  ],
+  cases: [{ id: 1, case_number: 'CR-001', created_by: wallet(1) }],
+  evidence: [],
+  user_permissions: [],
+  custody_events: [],
+  activity_logs: []
+};
+
+const { as } = useDatabase(tables);
+
+const blobs = new Map();
+require('../services/evidenceStorage').setStorageBackend({
+  name: 'memory',
+  async exists(key) { return blobs.has(key); },
+  async put(key, buffer) { blobs.set(key, buffer); },
+  async get(key) { return blobs.get(key); },
+  async remove(key) { blobs.delete(key); }
+});
+
+const { downloadEvidence } = require('../controllers/evidenceController');
+const { contentDisposition } = require('../services/evidenceHelpers');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const addEvidence = async (id, fields) => {
+  const pdf = await PDFDocument.create();
+  pdf.addPage();
+  const content = Buffer.from(await pdf.save());
+  blobs.set(sha256(content), content);
+
+  tables.evidence.push({
+    id, case_id: '1', title: `Item ${id}`, submitted_by: wallet(1), status: 'active', classification: 'internal',
+    file_type: 'application/pdf', file_name: 'report.pdf', hash: sha256(content), storage_key: sha256(content),
+    ...fields
+  });
+};
+
+const download = (id) => call(downloadEvidence, { user: as(1), params: { id: String(id) }, body: { purpose: 'Court filing' } });
+
+const tests = {
+  'file names are sent as ASCII plus an encoded UTF-8 form': () => {
+    assert.strictEqual(
+      contentDisposition('Aussage Müller "final".pdf'),
+      'attachment; filename="Aussage M_ller _final_.pdf"; filename*=UTF-8\'\'Aussage%20M%C3%BCller%20%22final%22.pdf'
+    );
+    assert.ok(!/[\r\n]/.test(contentDisposition('a\r\nSet-Cookie: x.txt')));
+  },
+
+  'a watermarked download carries the encoded file name': async () => {
+    await addEvidence(1, { file_name: 'Überwachung.pdf' });
+    const res = await download(1);
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual(res.headers['Content-Disposition'], contentDisposition('Überwachung_watermarked.pdf'));
+    assert.ok(tables.custody_events.some(event => event.event_type === 'download'));
+  },
+
+  'evidence without a stored file is 404 and records nothing': async () => {
+    await addEvidence(2, { storage_key: null });
+    await addEvidence(3, {});
+    blobs.delete(tables.evidence[2].storage_key);
+
+    const recorded = tables.custody_events.length + tables.activity_logs.length;
+    assert.strictEqual((await download(2)).statusCode, 404);
+    assert.strictEqual((await download(3)).statusCode, 404);
+    assert.strictEqual(tables.custody_events.length + tables.activity_logs.length, recorded);
+  }
+};
+
+runTests('evidence download tests', tests);
@@ -0,0 +1,96 @@
+// Evidence uploads, run against an in-memory stand-in for Supabase and storage.
+// Usage: node tests/evidence-upload-test.js
+const assert = require('assert');
+const crypto = require('crypto');
+const { useDatabase, call, runTests } = require('./helpers');
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+const wallet = (digit) => `0x${String(digit).repeat(40)}`;
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const tables = {
+  users: [
+    { id: 1, wallet_address: wallet(1), full_name: 'Ada Admin', role: 'admin', is_active: true }
+  ],
+  cases: [{ id: 1, case_number: 'CR-001', created_by: wallet(1) }],
+  evidence: [],
+  legal_holds: [],
+  legal_hold_evidence: [],
+  retention_rules: [],
+  retention_policies: [],
+  user_permissions: [],
+  custody_events: [],
+  activity_logs: []
+};
+
+const db = useDatabase(tables, { defaults: { evidence: { disposed_at: null } } });
+const { as } = db;
+
+const blobs = new Map();
+require('../services/evidenceStorage').setStorageBackend({
+  name: 'memory',
+  async exists(key) { return blobs.has(key); },
+  async put(key, buffer) { blobs.set(key, buffer); },
+  async get(key) { return blobs.get(key); },
+  async remove(key) { blobs.delete(key); }
+});
+
+const { uploadEvidence } = require('../controllers/evidenceController');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const upload = (text, caseId = '1') => {
+  const buffer = Buffer.from(text);
+  return call(uploadEvidence, {
+    user: as(1),
+    body: { caseId, type: 'document', title: text },
+    file: { originalname: 'notes.txt', mimetype: 'text/plain', size: buffer.length, buffer }
+  });
+};
+
+const tests = {
+  'the same file uploaded again resolves to the existing record': async () => {
+    const first = await upload('witness notes');
+    assert.strictEqual(first.statusCode, 200, JSON.stringify(first.body));
+    assert.strictEqual(first.body.duplicate, false);
+
+    const again = await upload('witness notes');
+    assert.strictEqual(again.body.duplicate, true);
+    assert.strictEqual(again.body.evidence.id, first.body.evidence.id);
+  },
+
+  'a deleted record is not treated as a duplicate': async () => {
+    tables.evidence[0].status = 'deleted';
+
+    const res = await upload('witness notes');
+    assert.strictEqual(res.body.duplicate, false);
+    assert.notStrictEqual(res.body.evidence.id, tables.evidence[0].id);
+  },
+
+  'a failed insert removes the file it stored, but not a shared one': async () => {
+    const from = db.from;
+    db.from = (table) => {
+      const builder = from(table);
+      if (table !== 'evidence') return builder;
+      builder.insert = () => ({ select: () => ({ single: async () => ({ data: null, error: { message: 'connection lost' } }) }) });
+      return builder;
+    };
+    let fresh, shared;
+    try {
+      fresh = await upload('scene photo log');
+      // Already stored for a record in another case
+      tables.cases.push({ id: 2, case_number: 'CR-002', created_by: wallet(1) });
+      shared = await upload('witness notes', '2');
+    } finally {
+      db.from = from;
+    }
+
+    assert.strictEqual(fresh.statusCode, 500);
+    assert.ok(!blobs.has(sha256(Buffer.from('scene photo log'))));
+    assert.strictEqual(shared.statusCode, 500);
+    assert.ok(blobs.has(sha256(Buffer.from('witness notes'))));
+  }
+};
+
+runTests('evidence upload tests', tests);
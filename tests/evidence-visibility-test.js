@@ -0,0 +1,269 @@
+// Evidence visibility per role, run against an in-memory stand-in for Supabase.
+// Usage: node tests/evidence-visibility-test.js
+const assert = require('assert');
+const { useDatabase, call, runTests } = require('./helpers');
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+const tables = {
+  cases: [
+    { id: 1, case_number: 'CASE-001', jurisdiction: 'East', department: null, created_by: '0xadmin' },
+    { id: 2, case_number: 'CASE-002', jurisdiction: 'South', department: null, created_by: '0xadmin' },
+    { id: 3, case_number: 'CASE-003', jurisdiction: 'South', department: 'Cyber', created_by: '0xadmin' }
+  ],
+  case_assignments: [
+    { id: 1, case_id: 1, assigned_to: '0xinvestigator', is_active: true },
+    { id: 2, case_id: 1, assigned_to: '0xlegal', is_active: false }
+  ],
+  user_permissions: [],
+  custody_events: [],
+  activity_logs: [],
+  users: [],
+  // Tag 9 is on evidence 1, 3 and 5
+  evidence_tags: [1, 3, 5].map(id => ({ evidence_id: id, tag_id: 9 })),
+  evidence: [
+    { id: 1, case_id: '1', classification: 'internal', status: 'pending', submitted_by: '0xadmin' },
+    { id: 2, case_id: 'CASE-002', classification: 'confidential', status: 'pending', submitted_by: '0xadmin' },
+    { id: 3, case_id: '3', classification: 'internal', status: 'pending', submitted_by: '0xadmin' },
+    { id: 4, case_id: '1', classification: 'restricted', status: 'pending', submitted_by: '0xadmin' },
+    { id: 5, case_id: '3', classification: 'public', status: 'pending', submitted_by: '0xadmin' },
+    { id: 6, case_id: '2', classification: 'public', status: 'deleted', submitted_by: '0xadmin' },
+    { id: 7, case_id: '3', classification: 'internal', status: 'pending', submitted_by: '0xlegal' }
+  ].map(row => ({ ...row, title: `Evidence ${row.id}`, hash: `hash-${row.id}`, file_data: 'secret', timestamp: `2026-01-0${row.id}T00:00:00Z` }))
+};
+
+useDatabase(tables, {
+  rpc: {
+    // Evidence carrying every one of the tags, filterable like a table
+    get_evidence_with_all_tags: ({ tag_ids: tagIds }, db) => db.from('evidence', row => tagIds.every(tagId =>
+      tables.evidence_tags.some(tag => tag.evidence_id === row.id && tag.tag_id === tagId)))
+  }
+});
+
+const {
+  getAllEvidence, getEvidenceById, getEvidenceByCase, getEvidenceExpiry, verifyEvidenceHash, compareEvidence, verifyIntegrity, uploadEvidence
+} = require('../controllers/evidenceController');
+const { requirePermission } = require('../middleware/authorize');
+const { filterByTags } = require('../controllers/tagController');
+
+// ── Users ───────────────────────────────────────────────────────────────────
+
+let nextUserId = 1;
+const user = (role, wallet, extra = {}) => ({ id: nextUserId++, role, identifier: wallet, wallet_address: wallet, ...extra });
+
+const users = {
+  admin: user('admin', '0xadmin'),
+  auditor: user('auditor', '0xauditor'),
+  evidence_manager: user('evidence_manager', '0xmanager'),
+  court_official: user('court_official', '0xcourt'),
+  // Assigned to case 1 only
+  investigator: user('investigator', '0xinvestigator', { jurisdiction: 'North' }),
+  // Same jurisdiction as cases 2 and 3, but case 3 belongs to another department
+  forensic_analyst: user('forensic_analyst', '0xanalyst', { jurisdiction: 'south ', department: 'Forensics' }),
+  // Inactive assignment on case 1; submitted evidence 7
+  legal_professional: user('legal_professional', '0xlegal', { jurisdiction: 'West' }),
+  public_viewer: user('public_viewer', '0xpublic')
+};
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+// 'next' when the permission check lets the request through, otherwise the status it answered
+const checkPermission = async (action, options, request) => {
+  let passed = false;
+  const res = await call((req, res) => requirePermission(action, options)(req, res, () => { passed = true; }), request);
+  return passed ? 'next' : res.statusCode;
+};
+
+const ids = (evidence) => evidence.map(item => item.id).sort((a, b) => a - b);
+
+const listAs = async (role, query) => {
+  const res = await call(getAllEvidence, { user: users[role], query });
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  return res.body.evidence;
+};
+
+const getAs = (role, id) => call(getEvidenceById, { user: users[role], params: { id } });
+
+const byCaseAs = async (role, caseId) => {
+  const res = await call(getEvidenceByCase, { user: users[role], params: { caseId } });
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  return res.body.evidence;
+};
+
+const STUB_KEYS = ['case_id', 'hash', 'id', 'submitted_by', 'timestamp', 'title'];
+
+const tests = {
+  'admin lists every evidence item that is not deleted': async () => {
+    assert.deepStrictEqual(ids(await listAs('admin')), [1, 2, 3, 4, 5, 7]);
+  },
+
+  'auditor lists every evidence item that is not deleted': async () => {
+    assert.deepStrictEqual(ids(await listAs('auditor')), [1, 2, 3, 4, 5, 7]);
+  },
+
+  'evidence manager and court official are not case-scoped': async () => {
+    assert.deepStrictEqual(ids(await listAs('evidence_manager')), [1, 2, 3, 4, 5, 7]);
+    assert.deepStrictEqual(ids(await listAs('court_official')), [1, 2, 3, 4, 5, 7]);
+  },
+
+  'investigator lists only assigned cases, within their clearance': async () => {
+    assert.deepStrictEqual(ids(await listAs('investigator')), [1]);
+  },
+
+  'investigator reads assigned evidence but not other cases or restricted items': async () => {
+    const assigned = await getAs('investigator', 1);
+    assert.strictEqual(assigned.statusCode, 200);
+    assert.strictEqual(assigned.body.file_data, 'secret');
+
+    const otherCase = await getAs('investigator', 3);
+    assert.strictEqual(otherCase.statusCode, 403);
+    assert.strictEqual(otherCase.body.reason, 'case_scope');
+
+    const restricted = await getAs('investigator', 4);
+    assert.strictEqual(restricted.statusCode, 403);
+    assert.strictEqual(restricted.body.reason, 'classification');
+  },
+
+  'investigator sees nothing in a case they are not assigned to': async () => {
+    assert.deepStrictEqual(ids(await byCaseAs('investigator', '1')), [1]);
+    assert.deepStrictEqual(ids(await byCaseAs('investigator', '3')), []);
+  },
+
+  'forensic analyst sees cases in their jurisdiction and department': async () => {
+    assert.deepStrictEqual(ids(await listAs('forensic_analyst')), [2]);
+    assert.deepStrictEqual(ids(await byCaseAs('forensic_analyst', 'CASE-002')), [2]);
+    assert.strictEqual((await getAs('forensic_analyst', 2)).statusCode, 200);
+    assert.strictEqual((await getAs('forensic_analyst', 3)).statusCode, 403);
+  },
+
+  'legal professional sees only evidence they submitted when their assignment is inactive': async () => {
+    assert.deepStrictEqual(ids(await listAs('legal_professional')), [7]);
+    assert.strictEqual((await getAs('legal_professional', 7)).statusCode, 200);
+    assert.strictEqual((await getAs('legal_professional', 1)).statusCode, 403);
+  },
+
+  'legal professional gains a case through a case-scoped grant': async () => {
+    tables.user_permissions.push({
+      id: 1,
+      user_id: users.legal_professional.id,
+      permission_name: 'evidence:read',
+      case_id: 1,
+      is_active: true,
+      expires_at: '2999-01-01T00:00:00Z'
+    });
+    // Grants are cached per user object
+    users.legal_professional = { ...users.legal_professional };
+    try {
+      assert.deepStrictEqual(ids(await listAs('legal_professional')), [1, 7]);
+      assert.strictEqual((await getAs('legal_professional', 1)).statusCode, 200);
+    } finally {
+      tables.user_permissions.length = 0;
+      users.legal_professional = { ...users.legal_professional };
+    }
+  },
+
+  'public viewer lists only published verification stubs': async () => {
+    const evidence = await listAs('public_viewer');
+    assert.deepStrictEqual(ids(evidence), [5]);
+    assert.deepStrictEqual(Object.keys(evidence[0]).sort(), STUB_KEYS);
+    assert.strictEqual(evidence[0].submitted_by, '0xadmin...');
+  },
+
+  'public viewer gets a stub for published evidence and 404 otherwise': async () => {
+    const published = await getAs('public_viewer', 5);
+    assert.strictEqual(published.statusCode, 200);
+    assert.deepStrictEqual(Object.keys(published.body).sort(), STUB_KEYS);
+
+    assert.strictEqual((await getAs('public_viewer', 1)).statusCode, 404);
+    assert.strictEqual((await getAs('public_viewer', 6)).statusCode, 404);
+  },
+
+  'public viewer sees only published stubs within a case': async () => {
+    const evidence = await byCaseAs('public_viewer', '3');
+    assert.deepStrictEqual(ids(evidence), [5]);
+    assert.deepStrictEqual(Object.keys(evidence[0]).sort(), STUB_KEYS);
+  },
+
+  'the expiry list is scoped like the evidence list': async () => {
+    const asInvestigator = await call(getEvidenceExpiry, { user: users.investigator });
+    assert.deepStrictEqual(ids(asInvestigator.body.evidence), [1]);
+
+    const asPublic = await call(getEvidenceExpiry, { user: users.public_viewer });
+    assert.deepStrictEqual(ids(asPublic.body.evidence), [5]);
+    assert.deepStrictEqual(Object.keys(asPublic.body.evidence[0]).sort(), STUB_KEYS);
+  },
+
+  'filtering by tags is scoped like the evidence list': async () => {
+    const tagged = async (role) => (await call(filterByTags, { user: users[role], query: { tagIds: '9' } })).body.evidence;
+    assert.deepStrictEqual(ids(await tagged('admin')), [1, 3, 5]);
+    assert.deepStrictEqual(ids(await tagged('investigator')), [1]);
+
+    const published = await tagged('public_viewer');
+    assert.deepStrictEqual(ids(published), [5]);
+    assert.deepStrictEqual(Object.keys(published[0]).sort(), STUB_KEYS);
+  },
+
+  'verifying evidence outside the caller\'s scope is refused and records nothing': async () => {
+    const recorded = tables.custody_events.length + tables.activity_logs.length;
+    const otherCase = await call(verifyEvidenceHash, { user: users.investigator, params: { id: 3 } });
+    assert.strictEqual(otherCase.statusCode, 403);
+    assert.strictEqual(otherCase.body.reason, 'case_scope');
+
+    assert.strictEqual((await call(verifyEvidenceHash, { user: users.public_viewer, params: { id: 1 } })).statusCode, 404);
+    assert.strictEqual(tables.custody_events.length + tables.activity_logs.length, recorded);
+  },
+
+  'comparing needs read access to every item': async () => {
+    const mixed = await call(compareEvidence, { user: users.investigator, query: { ids: '1,3' } });
+    assert.strictEqual(mixed.statusCode, 403);
+    assert.strictEqual(mixed.body.evidence_id, 3);
+
+    assert.strictEqual((await call(compareEvidence, { user: users.public_viewer, query: { ids: '1,5' } })).statusCode, 404);
+
+    const allowed = await call(compareEvidence, { user: users.admin, query: { ids: '1,3' } });
+    assert.strictEqual(allowed.statusCode, 200);
+    assert.strictEqual(allowed.body.count, 2);
+  },
+
+  'list filters cannot widen the scope': async () => {
+    assert.deepStrictEqual(ids(await listAs('investigator', { case_id: '3' })), []);
+    assert.deepStrictEqual(ids(await listAs('public_viewer', { case_id: '1' })), []);
+  },
+
+  'anonymous hash verification returns only a stub, and nothing on a mismatch': async () => {
+    const matched = await call(verifyIntegrity, { body: { calculatedHash: 'hash-4' } });
+    assert.strictEqual(matched.body.verified, true);
+    assert.deepStrictEqual(Object.keys(matched.body.evidence).sort(), STUB_KEYS);
+
+    const mismatched = await call(verifyIntegrity, { body: { calculatedHash: 'hash-1', evidenceId: 4 } });
+    assert.strictEqual(mismatched.body.verified, false);
+    assert.strictEqual(mismatched.body.evidence, null);
+    assert.strictEqual(mismatched.body.blockchainHash, null);
+
+    const missing = await call(verifyIntegrity, { body: { evidenceId: 4 } });
+    assert.strictEqual(missing.statusCode, 400);
+  },
+
+  'uploads are checked against the case named in the form': async () => {
+    const upload = (caseId) => checkPermission('evidence:upload', { caseFromBody: true }, { user: users.investigator, body: { caseId } });
+    assert.strictEqual(await upload('1'), 'next');
+    assert.strictEqual(await upload('2'), 403);
+    assert.strictEqual(await upload(' 2 '), 403);
+
+    const file = { mimetype: 'text/plain', size: 5, buffer: Buffer.from('notes') };
+    const unknownCase = await call(uploadEvidence, { user: users.investigator, body: { caseId: '99', type: 'document' }, file });
+    assert.strictEqual(unknownCase.statusCode, 404);
+  },
+
+  'case details and status changes are checked against the case': async () => {
+    const check = (action, role, id) => checkPermission(action, {}, { user: users[role], params: { id } });
+    assert.strictEqual(await check('case:read', 'investigator', '1'), 'next');
+    assert.strictEqual(await check('case:read', 'investigator', '2'), 403);
+    assert.strictEqual(await check('case:update_status', 'investigator', '2'), 403);
+    assert.strictEqual(await check('case:update_status', 'forensic_analyst', '2'), 'next');
+    assert.strictEqual(await check('case:read', 'public_viewer', '1'), 403);
+    assert.strictEqual(await check('case:read', 'court_official', '2'), 'next');
+  }
+};
+
+runTests('evidence visibility tests', tests);
@@ -0,0 +1,89 @@
+// Hash-linked ledgers (activity_logs, custody_events) and the walk that finds broken links.
+// Usage: node tests/hash-chain-test.js
+const assert = require('assert');
+const { runTests } = require('./helpers');
+const { GENESIS_HASH, canonicalJSON, hashEntry, verifyHashChain } = require('../services/hashChain');
+
+const computeHash = (entry) => hashEntry({
+  sequence: Number(entry.sequence),
+  action: entry.action,
+  details: entry.details,
+  previous_hash: entry.previous_hash
+});
+
+// A valid chain of `count` entries, as appendAuditLog would write them
+const buildChain = (count) => {
+  const entries = [];
+  let previousHash = GENESIS_HASH;
+  for (let sequence = 1; sequence <= count; sequence++) {
+    const entry = { id: sequence + 100, sequence, action: `action_${sequence}`, details: { n: sequence }, previous_hash: previousHash };
+    entry.entry_hash = computeHash(entry);
+    entries.push(entry);
+    previousHash = entry.entry_hash;
+  }
+  return entries;
+};
+
+const tests = {
+  'an intact chain is valid and reports its head': () => {
+    const chain = buildChain(4);
+    assert.deepStrictEqual(verifyHashChain(chain, computeHash), {
+      valid: true, length: 4, first_broken_link: null, head_hash: chain[3].entry_hash
+    });
+    assert.strictEqual(verifyHashChain([], computeHash).head_hash, GENESIS_HASH);
+  },
+
+  'an edited entry is reported as the first broken link': () => {
+    const chain = buildChain(4);
+    chain[2].details = { n: 99 };
+
+    const result = verifyHashChain(chain, computeHash);
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.first_broken_link, {
+      sequence: 3, entry_id: 103, reason: 'entry_hash does not match the entry contents'
+    });
+  },
+
+  'an entry rehashed after editing breaks the next link': () => {
+    const chain = buildChain(4);
+    chain[1].details = { n: 99 };
+    chain[1].entry_hash = computeHash(chain[1]);
+
+    const { first_broken_link: broken } = verifyHashChain(chain, computeHash);
+    assert.strictEqual(broken.sequence, 3);
+    assert.strictEqual(broken.reason, 'previous_hash does not match the preceding entry');
+  },
+
+  'reordered rows are caught by sequence and by link': () => {
+    const swapped = buildChain(4);
+    [swapped[1], swapped[2]] = [swapped[2], swapped[1]];
+    assert.strictEqual(verifyHashChain(swapped, computeHash).first_broken_link.reason, 'Expected sequence 2, found 3');
+
+    // Renumbered to hide the swap, the links no longer line up
+    const renumbered = swapped.map((entry, index) => ({ ...entry, sequence: index + 1 }));
+    const { first_broken_link: broken } = verifyHashChain(renumbered, computeHash);
+    assert.strictEqual(broken.sequence, 2);
+    assert.strictEqual(broken.reason, 'previous_hash does not match the preceding entry');
+  },
+
+  'a removed row is caught': () => {
+    const chain = buildChain(4);
+    chain.splice(1, 1);
+    assert.strictEqual(verifyHashChain(chain, computeHash).first_broken_link.reason, 'Expected sequence 2, found 3');
+  },
+
+  'a segment can be checked from a known earlier entry': () => {
+    const chain = buildChain(5);
+    const segment = chain.slice(2);
+
+    assert.strictEqual(verifyHashChain(segment, computeHash).valid, false);
+    assert.strictEqual(verifyHashChain(segment, computeHash, { startSequence: 3, startHash: chain[1].entry_hash }).valid, true);
+  },
+
+  'object keys are hashed in sorted order': () => {
+    assert.strictEqual(canonicalJSON({ b: 1, a: { d: [2, { f: null, e: 3 }], c: undefined } }), '{"a":{"c":null,"d":[2,{"e":3,"f":null}]},"b":1}');
+    assert.strictEqual(hashEntry({ a: 1, b: 2 }), hashEntry({ b: 2, a: 1 }));
+  }
+};
+
+runTests('hash chain tests', tests);
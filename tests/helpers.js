@@ -0,0 +1,274 @@
+// Shared by the tests: an in-memory stand-in for the Supabase client, and helpers to
+// call controllers as a fixture user. Require it before any app module, as it sets
+// the environment config/index.js reads.
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const crypto = require('crypto');
+
+const same = (a, b) => a !== null && a !== undefined && String(a) === String(b);
+
+const unquote = (value) => (value.startsWith('"')
+  ? value.slice(1, -1).replace(/\\(.)/g, '$1')
+  : value);
+
+// Split on commas outside quotes and parentheses
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0, quoted = false, current = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted && ch === '\\') { current += ch + text[++i]; continue; }
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && ch === '(') depth++;
+    if (!quoted && ch === ')') depth--;
+    if (!quoted && depth === 0 && ch === ',') { parts.push(current); current = ''; continue; }
+    current += ch;
+  }
+  return parts.concat(current);
+};
+
+const orCondition = (clause) => {
+  if (clause.startsWith('and(')) {
+    const conditions = splitTopLevel(clause.slice(4, -1)).map(orCondition);
+    return row => conditions.every(condition => condition(row));
+  }
+  const [column, op, ...rest] = clause.split('.');
+  const value = rest.join('.');
+  if (op === 'eq') return row => same(row[column], unquote(value));
+  if (op === 'lt') return row => row[column] != null && row[column] < unquote(value);
+  if (op === 'in') {
+    const values = splitTopLevel(value.slice(1, -1)).map(unquote);
+    return row => values.some(v => same(row[column], v));
+  }
+  throw new Error(`Unsupported or() operator ${op}`);
+};
+
+const likeToRegExp = (pattern) => new RegExp(`^${pattern
+  .replace(/\\(.)|([%_])|([^\\%_]+)/g, (match, escaped, wildcard, literal) => {
+    if (escaped) return escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (wildcard) return wildcard === '%' ? '.*' : '.';
+    return literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  })}$`, 'i');
+
+// Plain column lists are projected; anything with embeds or * returns whole rows
+const project = (rows, columns) => {
+  if (!columns || columns.includes('*') || columns.includes('(')) return rows;
+  const names = columns.split(',').map(name => name.trim());
+  return rows.map(row => Object.fromEntries(names.map(name => [name, row[name]])));
+};
+
+// Same steps as the append_audit_log() database function, which every audited
+// write goes through, so it is available to every test database. Calls wait for
+// each other like the function's lock.
+let auditLock = Promise.resolve();
+const appendAuditLogRpc = (params, db) => {
+  const appended = auditLock.then(() => {
+    const last = db.tables.activity_logs.reduce((latest, row) => (!latest || row.sequence > latest.sequence ? row : latest), null);
+    const sequence = last ? Number(last.sequence) + 1 : 1;
+    const previousHash = last ? last.entry_hash : '0'.repeat(64);
+    return db.from('activity_logs').insert({
+      sequence,
+      user_id: params.p_user_id,
+      action: params.p_action,
+      details: params.p_details,
+      evidence_id: params.p_evidence_id,
+      case_id: params.p_case_id,
+      ip_address: params.p_ip_address,
+      timestamp: params.p_timestamp,
+      previous_hash: previousHash,
+      entry_hash: crypto.createHash('sha256').update(`${sequence}:${previousHash}:${params.p_content_hash}`).digest('hex')
+    }).select().single();
+  });
+  auditLock = appended.catch(() => {});
+  return appended;
+};
+
+// An in-memory database over `tables` (table name => array of rows) with the parts of
+// the query builder the app uses. Options, all keyed by table name:
+//   defaults  column defaults for inserted rows, an object or a function of the new id
+//   unique    columns that must be unique together, or a predicate (row, value) => clash
+//   firstId   ids are numbered after this or the highest existing id (default 0)
+// and rpc, database functions by name: (params, db) => result or a builder
+// (append_audit_log is built in).
+const createDatabase = (tables, { defaults = {}, unique = {}, firstId = 0, rpc = {} } = {}) => {
+  const functions = { append_audit_log: appendAuditLogRpc, ...rpc };
+  const nextIds = {};
+  let lastStamp = 0;
+
+  // Strictly increasing, so rows inserted in the same millisecond still sort in order
+  const timestamp = () => {
+    lastStamp = Math.max(Date.now(), lastStamp + 1);
+    return new Date(lastStamp).toISOString();
+  };
+
+  const withId = (table, row) => {
+    const highest = Math.max(nextIds[table] ?? firstId, ...tables[table].map(existing => Number(existing.id) || 0));
+    nextIds[table] = highest + 1;
+    const tableDefaults = typeof defaults[table] === 'function' ? defaults[table](nextIds[table]) : defaults[table];
+    return { id: nextIds[table], created_at: timestamp(), ...tableDefaults, ...row };
+  };
+
+  const clashes = (table, value) => {
+    const constraint = unique[table];
+    if (!constraint) return false;
+    return tables[table].some(row => (typeof constraint === 'function'
+      ? constraint(row, value)
+      : constraint.every(column => same(row[column], value[column]))));
+  };
+
+  const from = (table, ...preFilters) => {
+    if (!tables[table]) throw new Error(`Unknown table ${table}`);
+    const filters = [...preFilters];
+    let action = 'select', values = null, columns = '*', conflictColumns = ['id'];
+    let orders = [], range = null, mode = 'many', countOnly = false;
+
+    const filter = (test) => { filters.push(test); return builder; };
+    const builder = {
+      select(cols = '*', { head = false } = {}) { columns = cols; countOnly = head; return builder; },
+      insert(rows) { action = 'insert'; values = [].concat(rows); return builder; },
+      upsert(rows, { onConflict = 'id' } = {}) {
+        action = 'upsert';
+        values = [].concat(rows);
+        conflictColumns = onConflict.split(',');
+        return builder;
+      },
+      update(changes) { action = 'update'; values = changes; return builder; },
+      delete() { action = 'delete'; return builder; },
+      eq: (column, value) => filter(row => same(row[column], value)),
+      neq: (column, value) => filter(row => !same(row[column], value)),
+      in: (column, list) => filter(row => list.some(value => same(row[column], value))),
+      is: (column, value) => filter(row => (row[column] ?? null) === value),
+      gt: (column, value) => filter(row => row[column] != null && row[column] > value),
+      gte: (column, value) => filter(row => row[column] != null && row[column] >= value),
+      lt: (column, value) => filter(row => row[column] != null && row[column] < value),
+      lte: (column, value) => filter(row => row[column] != null && row[column] <= value),
+      ilike: (column, pattern) => filter(row => row[column] != null && likeToRegExp(pattern).test(row[column])),
+      overlaps: (column, list) => filter(row => (row[column] || []).some(value => list.some(other => same(value, other)))),
+      or(expression) {
+        const conditions = splitTopLevel(expression).map(orCondition);
+        return filter(row => conditions.some(condition => condition(row)));
+      },
+      order(column, { ascending = true } = {}) { orders.push({ column, ascending }); return builder; },
+      range(start, end) { range = [start, end + 1]; return builder; },
+      limit(count) { range = [0, count]; return builder; },
+      single() { mode = 'single'; return builder; },
+      maybeSingle() { mode = 'maybeSingle'; return builder; },
+      then(resolve, reject) {
+        const matching = () => tables[table].filter(row => filters.every(test => test(row)));
+        let rows;
+        if (action === 'insert') {
+          if (values.some(value => clashes(table, value))) {
+            return Promise.resolve({ data: null, error: { code: '23505', message: 'duplicate key' } }).then(resolve, reject);
+          }
+          rows = values.map(value => withId(table, value));
+          tables[table].push(...rows);
+        } else if (action === 'upsert') {
+          rows = values.map(value => {
+            const existing = tables[table].find(row => conflictColumns.every(column => same(row[column], value[column])));
+            if (existing) return Object.assign(existing, value);
+            const row = withId(table, value);
+            tables[table].push(row);
+            return row;
+          });
+        } else if (action === 'update') {
+          rows = matching();
+          rows.forEach(row => Object.assign(row, values));
+        } else if (action === 'delete') {
+          rows = matching();
+          tables[table] = tables[table].filter(row => !rows.includes(row));
+        } else {
+          rows = matching();
+        }
+
+        if (orders.length > 0) {
+          const compare = (a, b, { column, ascending }) => (a[column] === b[column] ? 0 : (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1));
+          rows = [...rows].sort((a, b) => orders.reduce((result, order) => result || compare(a, b, order), 0));
+        }
+        const count = rows.length;
+        if (range) rows = rows.slice(range[0], range[1]);
+        rows = project(rows, columns);
+
+        const result = mode === 'many'
+          ? { data: countOnly ? null : rows, count, error: null }
+          : { data: rows[0] || null, error: rows[0] || mode === 'maybeSingle' ? null : { message: 'No rows' } };
+        return Promise.resolve(result).then(resolve, reject);
+      }
+    };
+    return builder;
+  };
+
+  const db = {
+    tables,
+    from,
+    rpc(name, params) {
+      if (!functions[name]) throw new Error(`Unsupported rpc ${name}`);
+      return functions[name](params, db);
+    },
+    // A fixture user from tables.users, as authenticate would set req.user
+    as(id) {
+      const user = tables.users.find(row => row.id === id);
+      return { ...user, identifier: user.wallet_address || user.email };
+    }
+  };
+  return db;
+};
+
+// Create a database and make it the app's Supabase client. Queries go through
+// db.from and db.rpc at call time, so a test may wrap either.
+const useDatabase = (tables, options) => {
+  const db = createDatabase(tables, options);
+  require('../config').supabase = {
+    from: (...args) => db.from(...args),
+    rpc: (...args) => db.rpc(...args)
+  };
+  return db;
+};
+
+// Run a controller with a recording response. Anything besides the listed request
+// fields (admin, userSession, headers) is passed through onto req.
+const call = async (handler, { user, body = {}, params = {}, query = {}, ip = '127.0.0.1', headers = {}, ...rest } = {}) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+    setHeader(name, value) { this.headers[name] = value; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = body; return this; }
+  };
+  const req = { user, body, params, query, ip, headers, get: (name) => headers[name.toLowerCase()] ?? 'test-agent', ...rest };
+  await handler(req, res);
+  return res;
+};
+
+// Run named tests in order and exit non-zero if any failed
+const runTests = async (title, tests) => {
+  let pass = 0, fail = 0;
+  console.log(`Running ${title}...`);
+
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      await test();
+      pass++;
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      fail++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  console.log(`\n=== RESULTS: ${pass} passed, ${fail} failed ===`);
+  process.exit(fail > 0 ? 1 : 0);
+};
+
+module.exports = {
+  same,
+  createDatabase,
+  useDatabase,
+  call,
+  runTests
+};
@@ -0,0 +1,207 @@
+// Named legal holds, run against an in-memory stand-in for Supabase.
+// Usage: node tests/legal-holds-test.js
+const assert = require('assert');
+const { useDatabase, call, runTests } = require('./helpers');
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+const wallet = (digit) => `0x${String(digit).repeat(40)}`;
+
+const tables = {
+  users: [
+    { id: 1, wallet_address: wallet(1), full_name: 'Lee Counsel', role: 'legal_professional', is_active: true },
+    { id: 2, wallet_address: wallet(2), full_name: 'Max Manager', role: 'evidence_manager', is_active: true }
+  ],
+  cases: [
+    { id: 1, case_number: 'CASE-1', title: 'Harbor fraud' },
+    { id: 2, case_number: 'CASE-2', title: 'Warehouse theft' }
+  ],
+  tags: [{ id: 7, name: 'financial' }],
+  evidence: [
+    { id: 10, case_id: '1', title: 'Ledger scan', legal_hold: false, is_sealed: false },
+    { id: 11, case_id: 'CASE-1', title: 'Email export', legal_hold: false, is_sealed: false },
+    { id: 12, case_id: '2', title: 'CCTV still', legal_hold: false, is_sealed: false },
+    { id: 13, case_id: '2', title: 'Invoice', legal_hold: false, is_sealed: false }
+  ],
+  evidence_tags: [],
+  legal_holds: [],
+  legal_hold_evidence: [],
+  notifications: [],
+  retention_rules: [],
+  activity_logs: []
+};
+
+const { as } = useDatabase(tables, {
+  firstId: 100,
+  defaults: {
+    legal_holds: { status: 'active' },
+    legal_hold_evidence: () => ({ included_at: new Date().toISOString() })
+  }
+});
+
+const {
+  createLegalHold, updateLegalHold, removeEvidenceFromHold, releaseLegalHold, applyHoldsToEvidence, getHoldReport
+} = require('../services/legalHoldService');
+const { addTagsToEvidence, removeTagFromEvidence } = require('../controllers/tagController');
+const { setLegalHold } = require('../controllers/evidenceController');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const evidence = (id) => tables.evidence.find(row => row.id === id);
+const members = (holdId) => tables.legal_hold_evidence
+  .filter(row => row.hold_id === holdId)
+  .map(row => [row.evidence_id, row.included_by])
+  .sort((a, b) => a[0] - b[0]);
+
+let caseHold, tagHold;
+
+const tests = {
+  'a hold needs a matter, an issuing authority and something in scope': async () => {
+    const unnamed = await createLegalHold(as(1), { issuingAuthority: 'District Court', caseIds: ['1'] });
+    assert.ok(unnamed.error);
+
+    const empty = await createLegalHold(as(1), { matterName: 'Harbor', issuingAuthority: 'District Court' });
+    assert.ok(empty.error);
+
+    const future = await createLegalHold(as(1), {
+      matterName: 'Harbor', issuingAuthority: 'District Court', caseIds: ['1'],
+      startsAt: new Date(Date.now() + 86400000).toISOString()
+    });
+    assert.ok(future.error);
+
+    const missing = await createLegalHold(as(1), { matterName: 'Harbor', issuingAuthority: 'District Court', caseIds: ['CASE-9'] });
+    assert.strictEqual(missing.error, 'Case CASE-9 not found');
+    assert.strictEqual(tables.legal_holds.length, 0);
+  },
+
+  'a case hold covers evidence stored under the case id or case number': async () => {
+    const result = await createLegalHold(as(1), {
+      matterName: 'State v. Harbor Co', issuingAuthority: 'District Court', courtOrderReference: 'ORD-12',
+      caseIds: ['CASE-1'], custodians: [wallet(2)]
+    });
+    caseHold = result.hold;
+
+    assert.deepStrictEqual(caseHold.case_ids, [1]);
+    assert.strictEqual(caseHold.evidence_count, 2);
+    assert.deepStrictEqual(members(caseHold.id), [[10, 'case'], [11, 'case']]);
+    assert.strictEqual(evidence(10).legal_hold, true);
+    assert.strictEqual(evidence(12).legal_hold, false);
+
+    assert.ok(tables.notifications.some(row => row.user_wallet === wallet(2) && row.title === 'Legal Hold Notice'));
+    assert.ok(tables.activity_logs.some(row => row.action === 'legal_hold_created'));
+  },
+
+  'evidence added to a held case later joins the hold': async () => {
+    tables.evidence.push({ id: 14, case_id: 'CASE-1', title: 'Bank statement', legal_hold: false, is_sealed: false });
+
+    const applied = await applyHoldsToEvidence({ id: 14, case_id: 'CASE-1' }, { actor: wallet(2) });
+    assert.deepStrictEqual(applied, [caseHold.id]);
+    assert.strictEqual(evidence(14).legal_hold, true);
+    assert.ok(tables.activity_logs.some(row => row.action === 'legal_hold_applied' && row.user_id === wallet(2)));
+
+    const none = await applyHoldsToEvidence({ id: 12, case_id: '2' }, { actor: wallet(2) });
+    assert.deepStrictEqual(none, []);
+  },
+
+  'tagging evidence brings it under a hold scoped to that tag': async () => {
+    const result = await createLegalHold(as(1), {
+      matterName: 'Tax audit', issuingAuthority: 'Revenue Service', tagIds: [7], evidenceIds: [10]
+    });
+    tagHold = result.hold;
+    assert.deepStrictEqual(members(tagHold.id), [[10, 'evidence']]);
+
+    const res = await call(addTagsToEvidence, { user: as(2), params: { id: '13' }, body: { tagIds: [7] } });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.deepStrictEqual(members(tagHold.id), [[10, 'evidence'], [13, 'tag']]);
+    assert.strictEqual(evidence(13).legal_hold, true);
+  },
+
+  'updates widen a hold\'s scope': async () => {
+    const { added } = await updateLegalHold(as(1), tagHold.id, { evidenceIds: [12] });
+    assert.deepStrictEqual(added, [12]);
+    assert.strictEqual(evidence(12).legal_hold, true);
+  },
+
+  'removing listed evidence needs a reason and keeps items a case still covers': async () => {
+    await updateLegalHold(as(1), caseHold.id, { evidenceIds: [11, 12] });
+    assert.deepStrictEqual(members(caseHold.id), [[10, 'case'], [11, 'evidence'], [12, 'evidence'], [14, 'case']]);
+
+    const unexplained = await removeEvidenceFromHold(as(1), caseHold.id, [11, 12]);
+    assert.ok(unexplained.error);
+
+    const result = await removeEvidenceFromHold(as(1), caseHold.id, [11, 12], 'Listed in error');
+    assert.deepStrictEqual(result.removed, [12]);
+    assert.deepStrictEqual(result.still_held, [11]);
+    assert.deepStrictEqual(members(caseHold.id), [[10, 'case'], [11, 'case'], [14, 'case']]);
+    // Still under the tag hold
+    assert.strictEqual(evidence(12).legal_hold, true);
+  },
+
+  'the flag cannot be cleared while a named hold covers the item': async () => {
+    const res = await call(setLegalHold, { user: as(2), params: { id: '11' }, body: { legalHold: false } });
+    assert.strictEqual(res.statusCode, 409);
+    assert.deepStrictEqual(res.body.legal_holds.map(hold => hold.id), [caseHold.id]);
+    assert.strictEqual(evidence(11).legal_hold, true);
+  },
+
+  'a tag a hold covers cannot be removed from evidence': async () => {
+    const res = await call(removeTagFromEvidence, { user: as(2), params: { id: '13', tagId: '7' } });
+    assert.strictEqual(res.statusCode, 409);
+    assert.deepStrictEqual(res.body.legal_holds.map(hold => hold.id), [tagHold.id]);
+    assert.ok(tables.evidence_tags.some(row => row.evidence_id === 13 && row.tag_id === 7));
+  },
+
+  'applying holds to new evidence never drops items a hold already lists': async () => {
+    // The tag row went missing outside the API; the item stays held all the same
+    tables.evidence_tags = tables.evidence_tags.filter(row => row.evidence_id !== 13);
+    tables.evidence.push({ id: 16, case_id: '2', title: 'Receipt', legal_hold: false, is_sealed: false });
+    tables.evidence_tags.push({ evidence_id: 16, tag_id: 7, tagged_by: wallet(2) });
+
+    const applied = await applyHoldsToEvidence({ id: 16, case_id: '2' }, { actor: wallet(2), tagIds: [7] });
+    assert.deepStrictEqual(applied, [tagHold.id]);
+    assert.deepStrictEqual(members(tagHold.id), [[10, 'evidence'], [12, 'evidence'], [13, 'tag'], [16, 'tag']]);
+    assert.strictEqual(evidence(13).legal_hold, true);
+  },
+
+  'the report lists everything a hold protects and why': async () => {
+    const report = await getHoldReport(caseHold.id);
+    assert.strictEqual(report.hold.matter_name, 'State v. Harbor Co');
+    assert.deepStrictEqual(report.scope.cases.map(c => c.case_number), ['CASE-1']);
+    assert.strictEqual(report.summary.total, 3);
+    assert.deepStrictEqual(report.summary.by_inclusion, { evidence: 0, case: 3, tag: 0 });
+    assert.deepStrictEqual(report.evidence.map(item => item.title), ['Ledger scan', 'Email export', 'Bank statement']);
+  },
+
+  'releasing needs a reason and frees only items no other hold covers': async () => {
+    const unexplained = await releaseLegalHold(as(1), caseHold.id);
+    assert.ok(unexplained.error);
+    assert.strictEqual(tables.legal_holds.find(row => row.id === caseHold.id).status, 'active');
+
+    const { hold } = await releaseLegalHold(as(1), caseHold.id, 'Case settled');
+    assert.strictEqual(hold.status, 'released');
+    assert.strictEqual(hold.release_reason, 'Case settled');
+
+    assert.strictEqual(evidence(11).legal_hold, false);
+    assert.strictEqual(evidence(14).legal_hold, false);
+    // Listed on the tax audit hold too
+    assert.strictEqual(evidence(10).legal_hold, true);
+
+    // The membership rows stay as a record of what was held
+    assert.strictEqual((await getHoldReport(caseHold.id)).summary.total, 3);
+
+    const again = await releaseLegalHold(as(1), caseHold.id, 'Case settled');
+    assert.strictEqual(again.reason, 'conflict');
+
+    const update = await updateLegalHold(as(1), caseHold.id, { caseIds: ['2'] });
+    assert.strictEqual(update.reason, 'conflict');
+  },
+
+  'evidence added to a released hold\'s case is not held': async () => {
+    tables.evidence.push({ id: 15, case_id: '1', title: 'Late filing', legal_hold: false, is_sealed: false });
+    const applied = await applyHoldsToEvidence({ id: 15, case_id: '1' }, { actor: wallet(2) });
+    assert.deepStrictEqual(applied, []);
+    assert.strictEqual(evidence(15).legal_hold, false);
+  }
+};
+
+runTests('legal hold tests', tests);
@@ -0,0 +1,248 @@
+// Email login lockout and progressive delays, run against an in-memory stand-in for Supabase.
+// Usage: node tests/login-lockout-test.js
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+const express = require('express');
+const { useDatabase, call, runTests } = require('./helpers');
+
+// As deployed behind one load balancer
+process.env.TRUST_PROXY = '1';
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+// Same scheme as the hash_password() database function
+const hashPassword = (password) => crypto.createHash('sha256').update(password + 'evid_dgc_salt').digest('hex');
+
+const PASSWORD = 'Granite#Harbor!42';
+
+const tables = {
+  users: [
+    { id: 1, email: 'dana@example.com', full_name: 'Dana Reyes', role: 'investigator', is_active: true, password_hash: hashPassword(PASSWORD), password_changed_at: new Date().toISOString() }
+  ],
+  user_sessions: [],
+  password_policy: [],
+  login_lockouts: [],
+  notifications: [],
+  activity_logs: [],
+  admin_actions: []
+};
+
+// Same steps as the record_login_failure() database function, which runs them under a row lock
+const recordLoginFailureRpc = async (params) => {
+  let counter = tables.login_lockouts.find(row => row.scope === params.p_scope && row.identifier === params.p_identifier);
+  if (!counter) {
+    counter = { id: tables.login_lockouts.length + 1, scope: params.p_scope, identifier: params.p_identifier, failed_count: 0, lockout_count: 0, last_failed_at: null };
+    tables.login_lockouts.push(counter);
+  }
+
+  const now = new Date(params.p_now);
+  const quietMinutes = counter.last_failed_at ? (now - new Date(counter.last_failed_at)) / 60000 : Infinity;
+  if (quietMinutes >= params.p_failure_window_minutes) counter.failed_count = 0;
+  if (quietMinutes >= params.p_max_lockout_minutes) counter.lockout_count = 0;
+
+  Object.assign(counter, { failed_count: counter.failed_count + 1, last_failed_at: now.toISOString(), next_attempt_at: null, locked_until: null });
+
+  if (counter.failed_count >= params.p_threshold) {
+    const minutes = Math.min(params.p_lockout_minutes * 2 ** counter.lockout_count, params.p_max_lockout_minutes);
+    Object.assign(counter, { locked_until: new Date(now.getTime() + minutes * 60000).toISOString(), failed_count: 0, lockout_count: counter.lockout_count + 1 });
+  } else if (params.p_delay && counter.failed_count >= 2) {
+    const seconds = Math.min(params.p_base_delay_seconds * 2 ** (counter.failed_count - 2), params.p_max_delay_seconds);
+    counter.next_attempt_at = new Date(now.getTime() + seconds * 1000).toISOString();
+  }
+
+  return { data: { ...counter }, error: null };
+};
+
+useDatabase(tables, {
+  rpc: {
+    verify_password: async (params) => ({ data: hashPassword(params.password) === params.hash, error: null }),
+    record_login_failure: recordLoginFailureRpc
+  }
+});
+
+const config = require('../config');
+const { DEFAULT_PASSWORD_POLICY } = require('../services/passwordPolicyService');
+const { recordLoginFailure, getLoginBlock } = require('../services/loginLockoutService');
+const { emailLogin } = require('../controllers/authController');
+const { unlockLoginLockout, getLoginLockouts } = require('../controllers/adminController');
+const { getNotifications } = require('../controllers/notificationController');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const login = (email, password, ip = '10.0.0.1') => call(emailLogin, { body: { email, password }, ip });
+
+// Skip the progressive delay, as if the client had waited
+const waitOutDelay = () => tables.login_lockouts.forEach(row => { row.next_attempt_at = null; });
+
+const auditActions = () => tables.activity_logs.map(entry => entry.action);
+
+// POST a login to a local server the way a proxy forwards it, returning the status code
+const loginThroughProxy = (server, body, forwardedFor) => new Promise((resolve, reject) => {
+  const request = http.request({
+    host: '127.0.0.1',
+    port: server.address().port,
+    method: 'POST',
+    path: '/login',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': forwardedFor }
+  }, response => {
+    response.resume();
+    response.on('end', () => resolve(response.statusCode));
+  });
+  request.on('error', reject);
+  request.end(JSON.stringify(body));
+});
+
+const tests = {
+  'a wrong password is refused and the next attempt has to wait': async () => {
+    const first = await login('dana@example.com', 'wrong-1');
+    assert.strictEqual(first.statusCode, 401);
+
+    const second = await login('dana@example.com', 'wrong-2');
+    assert.strictEqual(second.statusCode, 401);
+
+    const early = await login('dana@example.com', PASSWORD);
+    assert.strictEqual(early.statusCode, 429);
+    assert.strictEqual(early.body.reason, 'login_throttled');
+    assert.ok(early.headers['Retry-After']);
+  },
+
+  'a correct password clears the account counter': async () => {
+    waitOutDelay();
+    const ok = await login('dana@example.com', PASSWORD);
+    assert.strictEqual(ok.statusCode, 200, JSON.stringify(ok.body));
+    assert.ok(!tables.login_lockouts.some(row => row.scope === 'email'));
+  },
+
+  'enough failures lock the account, notify the owner and audit the lockout': async () => {
+    let res;
+    for (let attempt = 1; attempt <= DEFAULT_PASSWORD_POLICY.lockout_threshold; attempt++) {
+      waitOutDelay();
+      res = await login('dana@example.com', `wrong-${attempt}`);
+    }
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.body.reason, 'login_locked');
+
+    assert.ok(auditActions().includes('account_locked'));
+    assert.strictEqual(tables.notifications.length, 1);
+    assert.strictEqual(tables.notifications[0].user_wallet, 'dana@example.com');
+
+    // The notice names the client IP, so only the owner may read it
+    const other = await call(getNotifications, { user: { id: 9, identifier: '0xadmin' }, params: { wallet: 'dana@example.com' } });
+    assert.strictEqual(other.statusCode, 403);
+  },
+
+  'the right password is refused while locked, and the attempt is audited': async () => {
+    const res = await login('dana@example.com', PASSWORD);
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.body.reason, 'login_locked');
+
+    const blocked = tables.activity_logs.filter(entry => entry.action === 'login_blocked');
+    assert.ok(blocked.length >= 1);
+    assert.strictEqual(JSON.parse(blocked[blocked.length - 1].details).scope, 'email');
+  },
+
+  'admins can list and lift lockouts': async () => {
+    const admin = { id: 9, identifier: '0xadmin' };
+
+    const list = await call(getLoginLockouts, { admin });
+    assert.ok(list.body.lockouts.some(row => row.identifier === 'dana@example.com'));
+
+    const invalid = await call(unlockLoginLockout, { admin, body: {} });
+    assert.strictEqual(invalid.statusCode, 400);
+
+    const unlocked = await call(unlockLoginLockout, { admin, body: { email: 'Dana@example.com', reason: 'Verified by phone' } });
+    assert.strictEqual(unlocked.statusCode, 200);
+    assert.strictEqual(tables.admin_actions[0].action_type, 'login_unlocked');
+
+    const missing = await call(unlockLoginLockout, { admin, body: { email: 'dana@example.com' } });
+    assert.strictEqual(missing.statusCode, 404);
+
+    const ok = await login('dana@example.com', PASSWORD);
+    assert.strictEqual(ok.statusCode, 200, JSON.stringify(ok.body));
+  },
+
+  'unknown addresses lock the same way, without a notification': async () => {
+    const notifications = tables.notifications.length;
+    let res;
+    for (let attempt = 1; attempt <= DEFAULT_PASSWORD_POLICY.lockout_threshold; attempt++) {
+      waitOutDelay();
+      res = await login('nobody@example.com', 'guess', '10.0.0.2');
+    }
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.body.reason, 'login_locked');
+    assert.strictEqual(tables.notifications.length, notifications);
+  },
+
+  'failures across many accounts lock out the IP': async () => {
+    const ip = '10.0.0.3';
+    let res;
+    for (let attempt = 1; attempt <= config.loginLockout.ipMaxFailures; attempt++) {
+      res = await login(`user${attempt}@example.com`, 'Password1!', ip);
+    }
+    assert.strictEqual(res.statusCode, 429);
+    assert.ok(auditActions().includes('ip_locked'));
+
+    const other = await login('dana@example.com', PASSWORD, ip);
+    assert.strictEqual(other.statusCode, 429);
+
+    const elsewhere = await login('dana@example.com', PASSWORD, '10.0.0.4');
+    assert.strictEqual(elsewhere.statusCode, 200);
+  },
+
+  'parallel failures are each counted, and the one reaching the threshold locks': async () => {
+    const policy = { ...DEFAULT_PASSWORD_POLICY, lockout_threshold: 4 };
+    const results = await Promise.all([1, 2, 3, 4].map(() => recordLoginFailure('burst@example.com', '10.0.0.6', policy)));
+
+    assert.strictEqual(results.filter(counters => counters.email.locked_until).length, 1);
+    assert.strictEqual(tables.login_lockouts.find(row => row.identifier === '10.0.0.6').failed_count, 4);
+    assert.strictEqual((await getLoginBlock('burst@example.com', '10.0.0.7')).reason, 'locked');
+  },
+
+  'repeated lockouts double in length': async () => {
+    const policy = { ...DEFAULT_PASSWORD_POLICY, lockout_threshold: 3, lockout_duration_minutes: 10 };
+    const lockOnce = async (start) => {
+      let counters;
+      for (let attempt = 0; attempt < policy.lockout_threshold; attempt++) {
+        counters = await recordLoginFailure('repeat@example.com', '10.0.0.5', policy, new Date(start.getTime() + attempt * 1000));
+      }
+      return (new Date(counters.email.locked_until) - start) / 60000;
+    };
+
+    const start = new Date();
+    const first = await lockOnce(start);
+    const second = await lockOnce(new Date(start.getTime() + 11 * 60000));
+    assert.ok(first > 9.9 && first < 10.1, `first lockout ${first} minutes`);
+    assert.ok(second > 19.9 && second < 20.1, `second lockout ${second} minutes`);
+
+    const block = await getLoginBlock('repeat@example.com', '10.0.0.5', new Date(start.getTime() + 12 * 60000));
+    assert.strictEqual(block.reason, 'locked');
+  },
+
+  'behind a trusted proxy, each client IP is counted separately': async () => {
+    assert.strictEqual(config.trustProxy, 1);
+
+    // Set up like server.js
+    const app = express();
+    app.set('trust proxy', config.trustProxy);
+    app.use(express.json());
+    app.post('/login', emailLogin);
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    try {
+      assert.strictEqual(await loginThroughProxy(server, { email: 'first@example.com', password: 'guess' }, '203.0.113.7'), 401);
+      assert.strictEqual(await loginThroughProxy(server, { email: 'second@example.com', password: 'guess' }, '198.51.100.9'), 401);
+    } finally {
+      server.close();
+    }
+
+    const ipCounter = (ip) => tables.login_lockouts.find(row => row.scope === 'ip' && row.identifier === ip);
+    assert.strictEqual(ipCounter('203.0.113.7').failed_count, 1);
+    assert.strictEqual(ipCounter('198.51.100.9').failed_count, 1);
+    assert.ok(!tables.login_lockouts.some(row => row.scope === 'ip' && row.identifier.includes('127.0.0.1')));
+  }
+};
+
+runTests('login lockout tests', tests);
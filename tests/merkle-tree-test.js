@@ -0,0 +1,77 @@
+// Merkle batch trees and offline inclusion proofs.
+// Usage: node tests/merkle-tree-test.js
+const assert = require('assert');
+const crypto = require('crypto');
+const { runTests } = require('./helpers');
+const { buildMerkleTree, getMerkleProof, verifyMerkleProof } = require('../services/merkleTree');
+
+const sha256 = (...buffers) => crypto.createHash('sha256').update(Buffer.concat(buffers)).digest();
+const evidenceHash = (n) => sha256(Buffer.from(`evidence ${n}`)).toString('hex');
+const hashes = (count) => Array.from({ length: count }, (_, n) => evidenceHash(n));
+
+const tests = {
+  'every leaf of a tree proves against its root': () => {
+    for (const count of [1, 2, 4, 8]) {
+      const tree = buildMerkleTree(hashes(count));
+      hashes(count).forEach((hash, index) => {
+        assert.ok(verifyMerkleProof(hash, getMerkleProof(tree, index), tree.root), `${count} leaves, leaf ${index}`);
+      });
+    }
+  },
+
+  'an unpaired leaf is carried up and still proves': () => {
+    for (const count of [3, 5, 7]) {
+      const tree = buildMerkleTree(hashes(count));
+      hashes(count).forEach((hash, index) => {
+        assert.ok(verifyMerkleProof(hash, getMerkleProof(tree, index), tree.root), `${count} leaves, leaf ${index}`);
+      });
+    }
+
+    // With five leaves the last one has no sibling until the top level
+    const tree = buildMerkleTree(hashes(5));
+    assert.deepStrictEqual(getMerkleProof(tree, 4).map(step => step.position), ['left']);
+  },
+
+  'leaves and nodes are hashed with different prefixes': () => {
+    const [a, b] = hashes(2);
+    const tree = buildMerkleTree([a, b]);
+
+    const leaf = (hash) => sha256(Buffer.from([0x00]), Buffer.from(hash, 'hex'));
+    const expected = sha256(Buffer.from([0x01]), leaf(a), leaf(b)).toString('hex');
+    assert.strictEqual(tree.root, expected);
+
+    const unprefixed = sha256(Buffer.from(a, 'hex'), Buffer.from(b, 'hex')).toString('hex');
+    assert.notStrictEqual(tree.root, unprefixed);
+  },
+
+  'an interior node cannot be passed off as a leaf': () => {
+    const tree = buildMerkleTree(hashes(4));
+    const [left, right] = tree.layers[1].map(node => node.toString('hex'));
+
+    assert.strictEqual(verifyMerkleProof(left, [{ position: 'right', hash: right }], tree.root), false);
+  },
+
+  'a changed hash, proof or root fails': () => {
+    const tree = buildMerkleTree(hashes(5));
+    const proof = getMerkleProof(tree, 2);
+
+    assert.strictEqual(verifyMerkleProof(evidenceHash(99), proof, tree.root), false);
+    assert.strictEqual(verifyMerkleProof(evidenceHash(2), proof, evidenceHash(99)), false);
+    assert.strictEqual(verifyMerkleProof(evidenceHash(2), proof.slice(1), tree.root), false);
+
+    const swapped = proof.map((step, index) => (index === 0
+      ? { ...step, position: step.position === 'left' ? 'right' : 'left' }
+      : step));
+    assert.strictEqual(verifyMerkleProof(evidenceHash(2), swapped, tree.root), false);
+  },
+
+  'malformed input fails instead of throwing': () => {
+    const tree = buildMerkleTree(hashes(2));
+    assert.strictEqual(verifyMerkleProof(evidenceHash(0), null, tree.root), false);
+    assert.strictEqual(verifyMerkleProof(evidenceHash(0), [{ position: 'right', hash: 'not hex' }], tree.root), false);
+    assert.throws(() => buildMerkleTree([]));
+    assert.throws(() => getMerkleProof(tree, 2));
+  }
+};
+
+runTests('Merkle tree tests', tests);
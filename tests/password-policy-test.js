@@ -0,0 +1,186 @@
+// Password policy, change and reset flows, run against an in-memory stand-in for Supabase
+// with the email transport stubbed out.
+// Usage: node tests/password-policy-test.js
+const assert = require('assert');
+const crypto = require('crypto');
+const { useDatabase, call, runTests } = require('./helpers');
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+const tables = {
+  users: [],
+  user_sessions: [],
+  password_policy: [],
+  password_history: [],
+  password_reset_tokens: [],
+  activity_logs: []
+};
+
+// Column defaults the schema would fill in
+const defaults = {
+  users: { is_active: true },
+  user_sessions: { is_active: true }
+};
+
+// Same scheme as the hash_password() database function
+const hashPassword = (password) => crypto.createHash('sha256').update(password + 'evid_dgc_salt').digest('hex');
+
+useDatabase(tables, {
+  defaults,
+  rpc: {
+    hash_password: async (params) => ({ data: hashPassword(params.password), error: null }),
+    verify_password: async (params) => ({ data: hashPassword(params.password) === params.hash, error: null })
+  }
+});
+
+const { setEmailTransport, sendEmail } = require('../services/emailService');
+const sentEmails = [];
+setEmailTransport(async (message) => { sentEmails.push(message); });
+
+const { validatePassword, updatePasswordPolicy, isPasswordExpired, DEFAULT_PASSWORD_POLICY } = require('../services/passwordPolicyService');
+const { emailRegister } = require('../controllers/authController');
+const { changePassword, forgotPassword, resetPassword } = require('../controllers/passwordController');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const STRONG = 'Granite#Harbor!42';
+const STRONG_2 = 'Velvet&Orbit?97';
+
+const register = (email, password, fullName = 'Dana Reyes') => call(emailRegister, {
+  body: { email, password, fullName, role: 'public_viewer' }
+});
+
+const tokenFromEmail = (message) => new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+const tests = {
+  'rejects short passwords and missing character classes': () => {
+    const issues = validatePassword('short', DEFAULT_PASSWORD_POLICY);
+    assert.ok(issues.some(issue => issue.includes('at least 12 characters')));
+    assert.ok(issues.some(issue => issue.includes('uppercase')));
+    assert.ok(issues.some(issue => issue.includes('number')));
+    assert.ok(issues.some(issue => issue.includes('special')));
+  },
+
+  'rejects listed breached passwords, also when padded to pass the rules': () => {
+    const issues = validatePassword('Password123!!', DEFAULT_PASSWORD_POLICY);
+    assert.deepStrictEqual(issues, ['Password appears in a list of breached passwords. Please choose a more unique password']);
+  },
+
+  'rejects passwords containing the user name or email': () => {
+    const issues = validatePassword('Reyes#Harbor!42', DEFAULT_PASSWORD_POLICY, { full_name: 'Dana Reyes', email: 'dana@example.com' });
+    assert.deepStrictEqual(issues, ['Password should not contain your name or email address']);
+  },
+
+  'accepts a strong password': () => {
+    assert.deepStrictEqual(validatePassword(STRONG, DEFAULT_PASSWORD_POLICY, { full_name: 'Dana Reyes' }), []);
+  },
+
+  'registration enforces the policy and records the first password': async () => {
+    const weak = await register('weak@example.com', 'secret1');
+    assert.strictEqual(weak.statusCode, 400);
+    assert.ok(weak.body.issues.length > 0);
+    assert.strictEqual(tables.users.length, 0);
+
+    const ok = await register('dana@example.com', STRONG);
+    assert.strictEqual(ok.statusCode, 200, JSON.stringify(ok.body));
+    assert.ok(ok.body.tokens.access_token);
+    assert.strictEqual(tables.password_history.length, 1);
+    assert.ok(tables.users[0].password_changed_at);
+  },
+
+  'change password checks the current password and refuses reuse': async () => {
+    const user = tables.users.find(row => row.email === 'dana@example.com');
+    const [session] = tables.user_sessions;
+    const otherSession = { id: 99, user_id: user.id, is_active: true, email: user.email };
+    tables.user_sessions.push(otherSession);
+
+    const wrong = await call(changePassword, { user, userSession: session, body: { currentPassword: 'nope', newPassword: STRONG_2 } });
+    assert.strictEqual(wrong.statusCode, 401);
+
+    const reused = await call(changePassword, { user, userSession: session, body: { currentPassword: STRONG, newPassword: STRONG } });
+    assert.strictEqual(reused.statusCode, 400);
+    assert.ok(reused.body.error.includes('last 5 passwords'));
+
+    const changed = await call(changePassword, { user, userSession: session, body: { currentPassword: STRONG, newPassword: STRONG_2 } });
+    assert.strictEqual(changed.statusCode, 200, JSON.stringify(changed.body));
+    assert.strictEqual(user.password_hash, hashPassword(STRONG_2));
+    assert.strictEqual(otherSession.is_active, false);
+    assert.strictEqual(otherSession.revoke_reason, 'password_changed');
+    assert.notStrictEqual(session.is_active, false);
+  },
+
+  'forgot password answers the same for unknown addresses and only emails and audits real accounts': async () => {
+    const unknown = await call(forgotPassword, { body: { email: 'nobody@example.com' } });
+    const known = await call(forgotPassword, { body: { email: 'DANA@example.com' } });
+
+    assert.deepStrictEqual(unknown.body, known.body);
+    assert.strictEqual(sentEmails.length, 1);
+    assert.deepStrictEqual(tables.activity_logs.filter(row => row.action === 'password_reset_requested').map(row => row.user_id), ['dana@example.com']);
+    assert.strictEqual(sentEmails[0].to, 'dana@example.com');
+    assert.ok(tokenFromEmail(sentEmails[0]));
+    assert.ok(!tables.password_reset_tokens.some(row => row.token_hash === tokenFromEmail(sentEmails[0])), 'token must be stored hashed');
+  },
+
+  'reset token sets a new password once and ends every session': async () => {
+    const token = tokenFromEmail(sentEmails[0]);
+
+    const weak = await call(resetPassword, { body: { token, newPassword: 'weak' } });
+    assert.strictEqual(weak.statusCode, 400);
+
+    const reset = await call(resetPassword, { body: { token, newPassword: 'Quartz~Meadow=58' } });
+    assert.strictEqual(reset.statusCode, 200, JSON.stringify(reset.body));
+    assert.strictEqual(tables.users[0].password_hash, hashPassword('Quartz~Meadow=58'));
+    assert.ok(tables.user_sessions.every(session => session.is_active === false));
+
+    const again = await call(resetPassword, { body: { token, newPassword: 'Cobalt+Lantern=63' } });
+    assert.strictEqual(again.statusCode, 400);
+  },
+
+  'expired reset tokens are refused': async () => {
+    await call(forgotPassword, { body: { email: 'dana@example.com' } });
+    const token = tokenFromEmail(sentEmails[sentEmails.length - 1]);
+    tables.password_reset_tokens.forEach(row => { row.expires_at = new Date(Date.now() - 1000).toISOString(); });
+
+    const res = await call(resetPassword, { body: { token, newPassword: 'Cobalt+Lantern=63' } });
+    assert.strictEqual(res.statusCode, 400);
+  },
+
+  'policy updates are validated and then enforced': async () => {
+    const invalid = await updatePasswordPolicy({ min_length: 40, max_length: 20 }, 1);
+    assert.ok(invalid.error);
+
+    const { policy } = await updatePasswordPolicy({ min_length: 16, require_special_chars: false }, 1);
+    assert.strictEqual(policy.min_length, 16);
+    assert.ok(validatePassword('Granite42Harbor', policy).some(issue => issue.includes('16 characters')));
+    assert.deepStrictEqual(validatePassword('Granite42HarborTide', policy), []);
+  },
+
+  'passwords expire after max_age_days': () => {
+    const policy = { ...DEFAULT_PASSWORD_POLICY, max_age_days: 90 };
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    assert.strictEqual(isPasswordExpired({ has_password: true, password_changed_at: daysAgo(10) }, policy), false);
+    assert.strictEqual(isPasswordExpired({ has_password: true, password_changed_at: daysAgo(91) }, policy), true);
+    assert.strictEqual(isPasswordExpired({ has_password: false, created_at: daysAgo(400) }, policy), false);
+    assert.strictEqual(isPasswordExpired({ has_password: true, password_changed_at: daysAgo(400) }, { ...policy, max_age_days: 0 }), false);
+  },
+
+  'the console transport logs the recipient but never the message body': async () => {
+    const logged = [];
+    const log = console.log;
+    setEmailTransport(null);
+    console.log = (...args) => logged.push(args.join(' '));
+    try {
+      await sendEmail({ to: 'dana@example.com', subject: 'Reset your password', text: 'https://app/reset?token=secret-token' });
+    } finally {
+      console.log = log;
+      setEmailTransport(async (message) => { sentEmails.push(message); });
+    }
+
+    assert.strictEqual(logged.length, 1);
+    assert.ok(logged[0].includes('dana@example.com'));
+    assert.ok(!logged[0].includes('secret-token'));
+  }
+};
+
+runTests('password policy tests', tests);
@@ -0,0 +1,257 @@
+// Two-person approval of sensitive actions, run against an in-memory stand-in for Supabase.
+// Usage: node tests/pending-actions-test.js
+const assert = require('assert');
+const { useDatabase, call: callHandler, runTests } = require('./helpers');
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+const wallet = (digit) => `0x${String(digit).repeat(40)}`;
+
+const tables = {
+  users: [
+    { id: 1, wallet_address: wallet(1), full_name: 'Ada Admin', role: 'admin', is_active: true },
+    { id: 2, wallet_address: wallet(2), full_name: 'Ben Admin', role: 'admin', is_active: true },
+    { id: 3, wallet_address: wallet(3), full_name: 'Cal Admin', role: 'admin', is_active: true },
+    { id: 4, wallet_address: wallet(4), full_name: 'Dee Investigator', role: 'investigator', is_active: true },
+    { id: 5, wallet_address: wallet(5), full_name: 'Eve Manager', role: 'evidence_manager', is_active: true },
+    { id: 6, wallet_address: wallet(6), full_name: 'Fay Manager', role: 'evidence_manager', is_active: true }
+  ],
+  user_sessions: [
+    { id: 1, user_id: 4, wallet_address: wallet(4), is_active: true }
+  ],
+  user_permissions: [],
+  cases: [{ id: 1, case_number: 'CASE-1' }],
+  evidence: [
+    { id: 10, case_id: 1, title: 'Phone image', hash: 'abc', classification: 'internal', status: 'active', is_sealed: false },
+    { id: 11, case_id: 1, title: 'Laptop image', hash: 'def', classification: 'internal', status: 'active', is_sealed: false }
+  ],
+  pending_actions: [],
+  pending_action_approvals: [],
+  notifications: [],
+  activity_logs: [],
+  admin_actions: []
+};
+
+const db = useDatabase(tables, {
+  firstId: 100,
+  defaults: { pending_actions: { status: 'pending' } },
+  // Unique constraints the service relies on
+  unique: { pending_action_approvals: ['action_id', 'approver'] }
+});
+const { as } = db;
+
+const config = require('../config');
+
+const {
+  requestAction, approveAction, rejectAction, cancelAction, expireStaleActions, listActions
+} = require('../services/pendingActionService');
+const {
+  createAdmin, deleteUser, roleChangeRequest, getRoleChangeRequests, approveRoleChange
+} = require('../controllers/adminController');
+const { deleteEvidence } = require('../controllers/evidenceController');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+// Admin routes also read the acting user from req.admin
+const call = (handler, options) => callHandler(handler, { ...options, admin: options.user });
+
+const notificationsFor = (id) => tables.notifications.filter(row => row.user_wallet === wallet(id));
+
+const tests = {
+  'deactivating a user is held for approval and other admins are notified': async () => {
+    const res = await call(deleteUser, { user: as(1), body: { targetWallet: wallet(4), reason: 'Left the agency' } });
+    assert.strictEqual(res.statusCode, 202, JSON.stringify(res.body));
+    assert.strictEqual(res.body.pending_action.status, 'pending');
+    assert.strictEqual(tables.users.find(row => row.id === 4).is_active, true);
+
+    assert.strictEqual(notificationsFor(2).length, 1);
+    assert.strictEqual(notificationsFor(3).length, 1);
+    assert.strictEqual(notificationsFor(1).length, 0);
+    assert.ok(tables.activity_logs.some(entry => entry.action === 'approval_requested'));
+  },
+
+  'a second request for the same action is refused while one is pending': async () => {
+    const res = await call(deleteUser, { user: as(2), body: { targetWallet: wallet(4) } });
+    assert.strictEqual(res.statusCode, 409);
+  },
+
+  'requesters and ineligible users cannot approve': async () => {
+    const [action] = tables.pending_actions;
+
+    const own = await approveAction(as(1), action.id);
+    assert.strictEqual(own.reason, 'forbidden');
+
+    const investigator = await approveAction(as(4), action.id);
+    assert.strictEqual(investigator.reason, 'forbidden');
+    assert.strictEqual(tables.pending_action_approvals.length, 0);
+  },
+
+  'a second admin approval carries out the deactivation': async () => {
+    const [action] = tables.pending_actions;
+    const result = await approveAction(as(2), action.id, { comment: 'Confirmed with HR' });
+
+    assert.strictEqual(result.action.status, 'executed');
+    assert.strictEqual(tables.users.find(row => row.id === 4).is_active, false);
+    assert.strictEqual(tables.user_sessions[0].is_active, false);
+
+    const logged = tables.admin_actions.find(row => row.action_type === 'delete_user');
+    assert.deepStrictEqual(logged.details.approved_by, [wallet(2)]);
+    assert.strictEqual(logged.admin_wallet, wallet(1));
+    assert.ok(notificationsFor(1).some(row => row.title === 'Request Approved'));
+  },
+
+  'evidence deletion waits for the configured quorum of eligible approvers': async () => {
+    config.approvals.quorum.delete_evidence = 2;
+    const res = await call(deleteEvidence, { user: as(5), params: { id: '10' }, body: { reason: 'Duplicate upload' } });
+    assert.strictEqual(res.statusCode, 202, JSON.stringify(res.body));
+    const id = res.body.pending_action.id;
+
+    const investigator = await approveAction(as(4), id);
+    assert.strictEqual(investigator.reason, 'forbidden');
+
+    const first = await approveAction(as(6), id);
+    assert.strictEqual(first.action.status, 'pending');
+    assert.strictEqual(tables.evidence[0].status, 'active');
+
+    const again = await approveAction(as(6), id);
+    assert.strictEqual(again.reason, 'conflict');
+
+    const second = await approveAction(as(1), id);
+    assert.strictEqual(second.action.status, 'executed');
+    assert.strictEqual(tables.evidence[0].status, 'deleted');
+    assert.strictEqual(tables.evidence[0].deleted_by, wallet(5));
+  },
+
+  'a rejected request is closed and the requester told why': async () => {
+    const { action } = await requestAction(as(5), { actionType: 'delete_evidence', target: 11, payload: { title: 'Laptop image' } });
+
+    const rejected = await rejectAction(as(6), action.id, { reason: 'Still needed for trial' });
+    assert.strictEqual(rejected.action.status, 'rejected');
+    assert.ok(notificationsFor(5).some(row => row.title === 'Request Rejected'));
+
+    const late = await approveAction(as(1), action.id);
+    assert.strictEqual(late.reason, 'conflict');
+    assert.strictEqual(tables.evidence[1].status, 'active');
+  },
+
+  'only the requester can withdraw a request': async () => {
+    const { action } = await requestAction(as(5), { actionType: 'delete_evidence', target: 11, payload: { title: 'Laptop image' } });
+
+    const other = await cancelAction(as(6), action.id);
+    assert.strictEqual(other.reason, 'forbidden');
+
+    const own = await cancelAction(as(5), action.id);
+    assert.strictEqual(own.action.status, 'cancelled');
+  },
+
+  'stale requests expire and can no longer be approved': async () => {
+    const { action } = await requestAction(as(5), { actionType: 'delete_evidence', target: 11, payload: { title: 'Laptop image' } });
+    action.expires_at = new Date(Date.now() - 1000).toISOString();
+
+    const expired = await expireStaleActions();
+    assert.deepStrictEqual(expired.map(row => row.id), [action.id]);
+    assert.ok(notificationsFor(5).some(row => row.title === 'Request Expired'));
+
+    const late = await approveAction(as(6), action.id);
+    assert.strictEqual(late.reason, 'conflict');
+  },
+
+  'an action that is no longer valid when approved fails instead of running': async () => {
+    const res = await call(createAdmin, { user: as(1), body: { adminData: { walletAddress: wallet(7), fullName: 'Gus Admin' } } });
+    assert.strictEqual(res.statusCode, 202, JSON.stringify(res.body));
+
+    tables.users.push({ id: 7, wallet_address: wallet(7), full_name: 'Gus', role: 'investigator', is_active: true });
+
+    const result = await approveAction(as(3), res.body.pending_action.id);
+    assert.strictEqual(result.action.status, 'failed');
+    assert.strictEqual(result.action.error, 'Wallet address already registered');
+    assert.strictEqual(tables.users.filter(row => row.wallet_address === wallet(7)).length, 1);
+  },
+
+  'listings show what each user may decide on': async () => {
+    const res = await call(createAdmin, { user: as(1), body: { adminData: { walletAddress: wallet(8), fullName: 'Hal Admin' } } });
+    const id = res.body.pending_action.id;
+
+    const [forRequester] = (await listActions(as(1))).filter(action => action.id === id);
+    assert.strictEqual(forRequester.can_approve, false);
+
+    const [forApprover] = (await listActions(as(2))).filter(action => action.id === id);
+    assert.strictEqual(forApprover.can_approve, true);
+    assert.ok(forApprover.summary.includes('Hal Admin'));
+
+    const forInvestigator = await listActions(as(4));
+    assert.ok(!forInvestigator.some(action => action.id === id));
+  },
+
+  'role changes wait in the same queue for another admin': async () => {
+    const res = await call(roleChangeRequest, { user: as(1), body: { targetWallet: wallet(6), newRole: 'auditor', reason: 'Moved to audit' } });
+    assert.strictEqual(res.statusCode, 202, JSON.stringify(res.body));
+    const id = res.body.pending_action.id;
+    assert.strictEqual(res.body.pending_action.action_type, 'change_role');
+    assert.strictEqual(tables.users.find(row => row.id === 6).role, 'evidence_manager');
+
+    const forRequester = await call(getRoleChangeRequests, { user: as(1) });
+    assert.ok(!forRequester.body.requests.some(request => request.id === id));
+    const forApprover = await call(getRoleChangeRequests, { user: as(2) });
+    assert.ok(forApprover.body.requests.some(request => request.id === id));
+
+    const own = await call(approveRoleChange, { user: as(1), body: { requestId: id } });
+    assert.strictEqual(own.statusCode, 403);
+
+    const approved = await call(approveRoleChange, { user: as(2), body: { requestId: id } });
+    assert.strictEqual(approved.statusCode, 200, JSON.stringify(approved.body));
+    assert.strictEqual(approved.body.action.status, 'executed');
+    assert.strictEqual(tables.users.find(row => row.id === 6).role, 'auditor');
+
+    const logged = tables.admin_actions.find(row => row.action_type === 'role_change_approved');
+    assert.strictEqual(logged.admin_wallet, wallet(1));
+    assert.deepStrictEqual(logged.details.approved_by, [wallet(2)]);
+  },
+
+  'the role change endpoints only decide role changes': async () => {
+    const { action } = await requestAction(as(5), { actionType: 'delete_evidence', target: 11, payload: { title: 'Laptop image' } });
+
+    const res = await call(approveRoleChange, { user: as(1), body: { requestId: action.id } });
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(tables.pending_action_approvals.filter(row => row.action_id === action.id).length, 0);
+    await cancelAction(as(5), action.id);
+  },
+
+  'an action whose outcome cannot be recorded is marked failed, not left executing': async () => {
+    const { action } = await requestAction(as(1), { actionType: 'change_role', target: wallet(6), payload: { old_role: 'auditor', new_role: 'investigator' } });
+
+    // Storing the 'executed' outcome fails
+    const from = db.from;
+    db.from = (table) => {
+      const builder = from(table);
+      if (table !== 'pending_actions') return builder;
+      const update = builder.update;
+      builder.update = (values) => (values.status === 'executed'
+        ? { eq: () => ({ eq: () => ({ select: async () => ({ data: null, error: { message: 'connection lost' } }) }) }) }
+        : update.call(builder, values));
+      return builder;
+    };
+    let result;
+    try {
+      result = await approveAction(as(2), action.id);
+    } finally {
+      db.from = from;
+    }
+
+    assert.strictEqual(result.action.status, 'failed');
+    assert.strictEqual(tables.pending_actions.find(row => row.id === action.id).status, 'failed');
+    assert.ok(result.action.error.includes('could not be recorded'));
+  },
+
+  'an action left executing by an interrupted run is failed by the expiry sweep': async () => {
+    const { action } = await requestAction(as(1), { actionType: 'change_role', target: wallet(5), payload: { old_role: 'evidence_manager', new_role: 'auditor' } });
+    const row = tables.pending_actions.find(entry => entry.id === action.id);
+    Object.assign(row, { status: 'executing', decided_at: new Date(Date.now() - 3600000).toISOString() });
+
+    await expireStaleActions();
+    assert.strictEqual(row.status, 'failed');
+    assert.strictEqual(row.error, 'Execution was interrupted');
+  }
+};
+
+runTests('pending action tests', tests);
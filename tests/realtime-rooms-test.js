@@ -0,0 +1,174 @@
+// Socket.IO handshake authentication and room membership, run against an
+// in-memory stand-in for Supabase with recording fakes for sockets and io.
+// Usage: node tests/realtime-rooms-test.js
+const assert = require('assert');
+const { useDatabase, call, runTests } = require('./helpers');
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+const tables = {
+  users: [
+    { id: 1, wallet_address: '0x1111111111111111111111111111111111111111', role: 'investigator', is_active: true },
+    { id: 2, email: 'sam@example.com', role: 'auditor', is_active: true }
+  ],
+  user_sessions: [],
+  cases: [
+    { id: 7, case_number: 'CR-007', created_by: '0x3333333333333333333333333333333333333333' },
+    { id: 9, case_number: 'CR-009', created_by: '0x3333333333333333333333333333333333333333', assigned_investigator: '0x1111111111111111111111111111111111111111' },
+    { id: 10, case_number: 'CR-010', created_by: '0x1111111111111111111111111111111111111111' },
+    { id: 11, case_number: 'CR-011', created_by: '0x3333333333333333333333333333333333333333', assigned_investigator: '0x3333333333333333333333333333333333333333' }
+  ],
+  notifications: [],
+  activity_logs: [],
+  case_assignments: [
+    { id: 1, case_id: 7, assigned_to: '0x1111111111111111111111111111111111111111', is_active: true },
+    { id: 2, case_id: 7, assigned_to: '0x1111111111111111111111111111111111111111', is_active: true },
+    { id: 3, case_id: 8, assigned_to: '0x1111111111111111111111111111111111111111', is_active: false }
+  ]
+};
+
+useDatabase(tables, { defaults: { user_sessions: { is_active: true } } });
+
+const config = require('../config');
+
+const { authenticateSocket } = require('../middleware/authenticate');
+const realtime = require('../services/realtimeService');
+const { assignCase } = require('../controllers/caseController');
+const { startSession, revokeSession, setIO: setSessionIO } = require('../services/sessionService');
+
+// ── Fakes ───────────────────────────────────────────────────────────────────
+
+// Records what the services ask io to do
+const emitted = [];
+const roomChanges = [];
+const fakeIO = {
+  to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }),
+  in: (room) => ({
+    socketsJoin: (target) => roomChanges.push({ room, join: target }),
+    socketsLeave: (target) => roomChanges.push({ room, leave: target }),
+    disconnectSockets: () => roomChanges.push({ room, disconnect: true })
+  })
+};
+realtime.setIO(fakeIO);
+setSessionIO(fakeIO);
+
+let socketCount = 0;
+const fakeSocket = (token) => {
+  const handlers = {};
+  return {
+    id: `socket-${++socketCount}`,
+    handshake: { auth: token === undefined ? {} : { token } },
+    data: {},
+    rooms: new Set(),
+    disconnected: false,
+    join(rooms) { [].concat(rooms).forEach(room => this.rooms.add(room)); },
+    on(event, handler) { handlers[event] = handler; },
+    disconnect() { this.disconnected = true; if (handlers.disconnect) handlers.disconnect(); }
+  };
+};
+
+// Run authenticateSocket and resolve to the error it passes to next(), if any
+const handshake = (socket) => new Promise(resolve => authenticateSocket(socket, resolve));
+
+const login = async (userId) => {
+  const user = tables.users.find(row => row.id === userId);
+  const req = { ip: '127.0.0.1', get: () => 'test-agent' };
+  return startSession(req, { ...user, identifier: user.wallet_address || user.email }, 'wallet');
+};
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+
+const tests = {
+  'a handshake without a token is refused': async () => {
+    const error = await handshake(fakeSocket());
+    assert.strictEqual(error.message, 'Authentication required');
+  },
+
+  'a handshake with an invalid token is refused': async () => {
+    const error = await handshake(fakeSocket('not-a-token'));
+    assert.strictEqual(error.message, 'Invalid or expired token');
+  },
+
+  'a valid token identifies the user from the server, not the client': async () => {
+    const { tokens } = await login(1);
+    const socket = fakeSocket(tokens.access_token);
+    assert.strictEqual(await handshake(socket), undefined);
+    assert.strictEqual(socket.data.user.identifier, WALLET);
+    assert.strictEqual(socket.data.user.role, 'investigator');
+  },
+
+  'sockets join their own user, session, role and assigned case rooms only': async () => {
+    const { tokens, session } = await login(1);
+    const socket = fakeSocket(tokens.access_token);
+    await handshake(socket);
+    await realtime.registerSocket(socket);
+
+    assert.deepStrictEqual(
+      [...socket.rooms].sort(),
+      [WALLET, 'case:7', 'case:9', 'case:10', 'role:investigator', `session:${session.id}`].sort()
+    );
+  },
+
+  'a replaced assignee keeps the case room while still named on the case': async () => {
+    tables.users.push({ id: 3, wallet_address: '0x3333333333333333333333333333333333333333', full_name: 'Lee Lawyer', role: 'legal_professional', is_active: true });
+    tables.users.push({ id: 4, wallet_address: '0x4444444444444444444444444444444444444444', full_name: 'Ira Investigator', role: 'investigator', is_active: true });
+    tables.case_assignments.push(
+      { id: 4, case_id: 11, assigned_to: '0x3333333333333333333333333333333333333333', role_type: 'investigator', assignment_type: 'primary', is_active: true },
+      { id: 5, case_id: 9, assigned_to: WALLET, role_type: 'investigator', assignment_type: 'primary', is_active: true }
+    );
+    roomChanges.length = 0;
+
+    const assign = (caseId) => call(assignCase, {
+      user: { identifier: '0x2222222222222222222222222222222222222222', role: 'admin' },
+      params: { id: caseId },
+      body: { assignToWallet: '0x4444444444444444444444444444444444444444', roleType: 'investigator' }
+    });
+    // Still the creator of case 11
+    assert.strictEqual((await assign(11)).statusCode, 200);
+    // No longer named on case 9 in any way
+    assert.strictEqual((await assign(9)).statusCode, 200);
+
+    const left = roomChanges.filter(change => change.leave).map(change => `${change.room} ${change.leave}`);
+    assert.deepStrictEqual(left, [`${WALLET} case:9`]);
+  },
+
+  'several sockets per user are tracked until the last one disconnects': async () => {
+    const { tokens } = await login(2);
+    const first = fakeSocket(tokens.access_token);
+    const second = fakeSocket(tokens.access_token);
+    for (const socket of [first, second]) {
+      await handshake(socket);
+      await realtime.registerSocket(socket);
+    }
+
+    assert.strictEqual(config.connectedUsers.get('sam@example.com').size, 2);
+    first.disconnect();
+    assert.ok(config.connectedUsers.has('sam@example.com'));
+    second.disconnect();
+    assert.ok(!config.connectedUsers.has('sam@example.com'));
+  },
+
+  'a token for an ended session is refused and its sockets are closed': async () => {
+    const { tokens, session } = await login(2);
+    await revokeSession(2, session.id, { reason: 'user_revoked' });
+
+    assert.ok(roomChanges.some(change => change.room === `session:${session.id}` && change.disconnect));
+    const error = await handshake(fakeSocket(tokens.access_token));
+    assert.strictEqual(error.message, 'Session has ended');
+  },
+
+  'case and role broadcasts go to their rooms': () => {
+    realtime.emitToCase('7', 'case_update', { case_id: '7' });
+    realtime.emitToRole('admin', 'role_change_request', { id: 1 });
+    realtime.joinCaseRoom(WALLET, '9');
+    realtime.changeRoleRoom(WALLET, 'investigator', 'forensic_analyst');
+
+    assert.ok(emitted.some(entry => entry.room === 'case:7' && entry.event === 'case_update'));
+    assert.ok(emitted.some(entry => entry.room === 'role:admin' && entry.event === 'role_change_request'));
+    assert.ok(roomChanges.some(change => change.room === WALLET && change.join === 'case:9'));
+    assert.ok(roomChanges.some(change => change.room === WALLET && change.leave === 'role:investigator'));
+    assert.ok(roomChanges.some(change => change.room === WALLET && change.join === 'role:forensic_analyst'));
+  }
+};
+
+runTests('realtime room tests', tests);
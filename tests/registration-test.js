@@ -0,0 +1,105 @@
+// Self-registration and notification access, run against an in-memory stand-in for Supabase.
+// Usage: node tests/registration-test.js
+const assert = require('assert');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { useDatabase, call, runTests } = require('./helpers');
+
+process.env.SIWE_DOMAIN = 'evidence.example.org';
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+const tables = {
+  users: [],
+  user_sessions: [],
+  password_policy: [],
+  password_history: [],
+  auth_nonces: [],
+  notifications: [],
+  activity_logs: []
+};
+
+const defaults = {
+  users: { is_active: true },
+  user_sessions: { is_active: true },
+  notifications: { is_read: false }
+};
+
+const hashPassword = (password) => crypto.createHash('sha256').update(password + 'evid_dgc_salt').digest('hex');
+
+const { as } = useDatabase(tables, {
+  defaults,
+  rpc: {
+    hash_password: async (params) => ({ data: hashPassword(params.password), error: null })
+  }
+});
+
+const { emailRegister, walletRegister } = require('../controllers/authController');
+const { createSiweChallenge } = require('../services/siweService');
+const { getNotifications, markAllAsRead } = require('../controllers/notificationController');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const wallet = new ethers.Wallet(`0x${'3'.repeat(64)}`);
+const siweReq = { protocol: 'https', get: () => 'evidence.example.org' };
+
+const registerByEmail = (email, role) => call(emailRegister, {
+  body: { email, password: 'Granite#Harbor!42', fullName: 'Dana Reyes', role }
+});
+
+const registerByWallet = async (role) => {
+  const { message } = await createSiweChallenge(siweReq, wallet.address);
+  return call(walletRegister, {
+    body: { message, signature: await wallet.signMessage(message), fullName: 'Sam Ortiz', role },
+    protocol: 'https'
+  });
+};
+
+const tests = {
+  'email sign-up as a public viewer succeeds': async () => {
+    const res = await registerByEmail('viewer@example.org', 'public_viewer');
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual(res.body.user.role, 'public_viewer');
+  },
+
+  'email sign-up cannot choose a privileged role': async () => {
+    for (const role of ['admin', 'investigator', 'court_official']) {
+      const res = await registerByEmail(`${role}@example.org`, role);
+      assert.strictEqual(res.statusCode, 403, role);
+      assert.strictEqual(res.body.error, 'This role must be granted by an administrator');
+    }
+    assert.ok(!tables.users.some(user => user.role !== 'public_viewer'));
+  },
+
+  'wallet sign-up cannot choose a privileged role': async () => {
+    const res = await registerByWallet('admin');
+    assert.strictEqual(res.statusCode, 403);
+    assert.ok(!tables.users.some(user => user.wallet_address === wallet.address.toLowerCase()));
+
+    const viewer = await registerByWallet('public_viewer');
+    assert.strictEqual(viewer.statusCode, 200, JSON.stringify(viewer.body));
+    assert.strictEqual(viewer.body.user.role, 'public_viewer');
+  },
+
+  'users read and clear only their own notifications': async () => {
+    const owner = tables.users.find(user => user.wallet_address === wallet.address.toLowerCase());
+    const other = tables.users.find(user => user.email === 'viewer@example.org');
+    tables.notifications.push(
+      { id: 1, user_wallet: owner.wallet_address, title: 'Account locked', message: 'From 203.0.113.9', is_read: false },
+      { id: 2, user_wallet: other.email, title: 'Welcome', message: 'Hello', is_read: false }
+    );
+
+    const denied = await call(getNotifications, { user: as(other.id), params: { wallet: owner.wallet_address } });
+    assert.strictEqual(denied.statusCode, 403);
+
+    const own = await call(getNotifications, { user: as(owner.id), params: { wallet: owner.wallet_address } });
+    assert.strictEqual(own.statusCode, 200, JSON.stringify(own.body));
+    assert.deepStrictEqual(own.body.notifications.map(row => row.id), [1]);
+
+    await call(markAllAsRead, { user: as(other.id), body: { userWallet: owner.wallet_address } });
+    assert.strictEqual(tables.notifications.find(row => row.id === 1).is_read, false);
+    assert.strictEqual(tables.notifications.find(row => row.id === 2).is_read, true);
+  }
+};
+
+runTests('registration tests', tests);
@@ -0,0 +1,240 @@
+// Retention enforcement and the disposition queue, run against an in-memory stand-in for Supabase.
+// Usage: node tests/retention-enforcement-test.js
+const assert = require('assert');
+const crypto = require('crypto');
+const { useDatabase, call, runTests } = require('./helpers');
+
+process.env.EVIDENCE_SIGNING_KEY = 'test-signing-key';
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+const wallet = (digit) => `0x${String(digit).repeat(40)}`;
+const DAY = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY).toISOString();
+const blob = (digit) => String(digit).repeat(64);
+
+const evidenceRow = (id, fields) => ({
+  id, case_id: '1', title: `Item ${id}`, description: 'Seized at the scene', location: 'Dock 4',
+  file_name: `item-${id}.pdf`, file_size: 1000, hash: blob(id % 10), storage_key: blob(id % 10),
+  submitted_by: wallet(1), status: 'active', legal_hold: false, is_sealed: false,
+  retention_policy_id: 1, expiry_date: daysFromNow(-1), expiry_warning_sent_at: null, disposed_at: null,
+  ...fields
+});
+
+const tables = {
+  users: [
+    { id: 1, wallet_address: wallet(1), full_name: 'Ivy Investigator', role: 'investigator', is_active: true },
+    { id: 2, wallet_address: wallet(2), full_name: 'Max Manager', role: 'evidence_manager', is_active: true },
+    { id: 3, wallet_address: wallet(3), full_name: 'Ada Admin', role: 'admin', is_active: true }
+  ],
+  retention_policies: [
+    { id: 1, version: 1, name: 'Closed cases', retention_days: 365, archive_method: 'archive', jurisdiction: 'State', law_reference: 'Rule 12' },
+    { id: 2, version: 1, name: 'Personal data', retention_days: 30, archive_method: 'anonymize', jurisdiction: 'EU', law_reference: 'GDPR 5(1)(e)' },
+    { id: 3, version: 1, name: 'Contraband images', retention_days: 90, archive_method: 'destroy', jurisdiction: 'State', law_reference: 'Rule 40' }
+  ],
+  evidence: [
+    evidenceRow(1, { expiry_date: daysFromNow(10) }),
+    evidenceRow(2, { expiry_date: daysFromNow(10), legal_hold: true }),
+    evidenceRow(3, {}),
+    evidenceRow(4, { legal_hold: true }),
+    evidenceRow(5, { is_sealed: true }),
+    evidenceRow(6, { retention_policy_id: null, expiry_date: null }),
+    evidenceRow(7, { retention_policy_id: 2 }),
+    evidenceRow(8, { retention_policy_id: 3, storage_key: blob(8) }),
+    evidenceRow(9, { retention_policy_id: 3, storage_key: blob(9) }),
+    evidenceRow(19, { retention_policy_id: null, expiry_date: null, storage_key: blob(9) }),
+    evidenceRow(20, {})
+  ],
+  retention_policy_versions: [],
+  retention_dispositions: [],
+  custody_events: [],
+  notifications: [],
+  activity_logs: []
+};
+tables.retention_policy_versions = tables.retention_policies.map(policy => ({ ...policy, id: policy.id + 50, policy_id: policy.id }));
+
+const db = useDatabase(tables, {
+  firstId: 100,
+  defaults: { retention_dispositions: { status: 'pending' } },
+  // One open disposition per item
+  unique: {
+    retention_dispositions: (row, value) => row.evidence_id === value.evidence_id
+      && ['pending', 'executing'].includes(row.status)
+  }
+});
+const { as } = db;
+
+const removedBlobs = [];
+require('../services/evidenceStorage').setStorageBackend({
+  name: 'memory',
+  async exists() { return true; },
+  async put() {},
+  async get() { return Buffer.from(''); },
+  async remove(key) { removedBlobs.push(key); }
+});
+
+const {
+  sendExpiryWarnings, queueExpiredEvidence, approveDisposition, rejectDisposition, listDispositions
+} = require('../services/retentionService');
+const { checkExpiry } = require('../controllers/evidenceController');
+const { ROLE_PERMISSIONS } = require('../services/policyService');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const evidence = (id) => tables.evidence.find(row => row.id === id);
+const dispositionFor = (evidenceId, status = 'pending') =>
+  tables.retention_dispositions.find(row => row.evidence_id === evidenceId && row.status === status);
+
+const tests = {
+  'submitters are warned once about evidence nearing expiry, unless it is held': async () => {
+    const warned = await sendExpiryWarnings();
+    assert.strictEqual(warned, 1);
+
+    const [warning] = tables.notifications;
+    assert.strictEqual(warning.user_wallet, wallet(1));
+    assert.ok(warning.message.includes('Item 1') && warning.message.includes('10 days'));
+    assert.ok(evidence(1).expiry_warning_sent_at);
+
+    assert.strictEqual(await sendExpiryWarnings(), 0);
+  },
+
+  'expired evidence is queued for disposal; held, sealed and unmanaged items are not': async () => {
+    const queued = await queueExpiredEvidence();
+    assert.deepStrictEqual(queued.map(row => row.evidence_id).sort((a, b) => a - b), [3, 7, 8, 9, 20]);
+    assert.strictEqual(dispositionFor(7).archive_method, 'anonymize');
+    assert.strictEqual(dispositionFor(8).archive_method, 'destroy');
+
+    // Nothing changes until someone approves
+    assert.strictEqual(evidence(3).status, 'active');
+
+    const notice = tables.notifications.find(row => row.title === 'Disposition Approval Required');
+    assert.strictEqual(notice.user_wallet, wallet(2));
+    assert.ok(tables.activity_logs.some(row => row.action === 'disposition_queued' && row.user_id === 'retention_scheduler'));
+  },
+
+  'a second run does not queue the same items again': async () => {
+    assert.deepStrictEqual(await queueExpiredEvidence(), []);
+    assert.strictEqual(tables.retention_dispositions.length, 5);
+  },
+
+  'only evidence managers may approve disposals': async () => {
+    assert.deepStrictEqual(ROLE_PERMISSIONS['retention:dispose'], ['evidence_manager']);
+  },
+
+  'an approved archive disposal is carried out with a signed certificate': async () => {
+    const { disposition } = await approveDisposition(as(2), dispositionFor(3).id);
+    assert.strictEqual(disposition.status, 'completed');
+    assert.strictEqual(evidence(3).status, 'archived');
+    assert.ok(evidence(3).disposed_at);
+
+    const { signature, ...payload } = disposition.certificate;
+    assert.strictEqual(payload.certificate_type, 'archival');
+    assert.strictEqual(payload.sha256, evidence(3).hash);
+    assert.strictEqual(payload.approved_by, wallet(2));
+    assert.strictEqual(payload.policy.law_reference, 'Rule 12');
+    const expected = crypto.createHmac('sha256', 'test-signing-key').update(JSON.stringify(payload)).digest('hex');
+    assert.strictEqual(signature.value, expected);
+
+    const logged = tables.activity_logs.find(row => row.action === 'evidence_disposed');
+    assert.strictEqual(JSON.parse(logged.details).certificate.signature.value, expected);
+    assert.ok(tables.custody_events.some(row => row.evidence_id === 3 && row.event_type === 'disposition'));
+
+    const again = await approveDisposition(as(2), disposition.id);
+    assert.strictEqual(again.reason, 'conflict');
+  },
+
+  'anonymizing strips descriptive metadata but keeps the hash': async () => {
+    const { disposition } = await approveDisposition(as(2), dispositionFor(7).id);
+    assert.strictEqual(disposition.status, 'completed');
+    assert.strictEqual(disposition.certificate.title, 'Item 7');
+
+    const item = evidence(7);
+    assert.strictEqual(item.status, 'anonymized');
+    assert.strictEqual(item.title, 'Anonymized evidence #7');
+    assert.strictEqual(item.description, null);
+    assert.strictEqual(item.location, null);
+    assert.strictEqual(item.hash, blob(7));
+  },
+
+  'destroying removes the file unless another item shares it': async () => {
+    await approveDisposition(as(2), dispositionFor(8).id);
+    assert.strictEqual(evidence(8).status, 'destroyed');
+    assert.strictEqual(evidence(8).storage_key, null);
+    assert.deepStrictEqual(removedBlobs, [blob(8)]);
+
+    const { disposition } = await approveDisposition(as(2), dispositionFor(9).id);
+    assert.strictEqual(disposition.certificate.certificate_type, 'destruction');
+    assert.strictEqual(evidence(9).status, 'destroyed');
+    assert.deepStrictEqual(removedBlobs, [blob(8)]);
+  },
+
+  'a disposal is cancelled if the item comes under legal hold before approval': async () => {
+    tables.evidence.push(evidenceRow(21, {}));
+    await queueExpiredEvidence();
+    evidence(21).legal_hold = true;
+
+    const { disposition } = await approveDisposition(as(2), dispositionFor(21).id);
+    assert.strictEqual(disposition.status, 'cancelled');
+    assert.strictEqual(disposition.error, 'Evidence is under legal hold');
+    assert.strictEqual(evidence(21).status, 'active');
+  },
+
+  'a rejected disposal needs a reason and is not queued again until the expiry date changes': async () => {
+    const pending = dispositionFor(20);
+    const unexplained = await rejectDisposition(as(2), pending.id);
+    assert.strictEqual(unexplained.reason, 'invalid');
+
+    const { disposition } = await rejectDisposition(as(2), pending.id, 'Appeal still possible');
+    assert.strictEqual(disposition.status, 'rejected');
+    assert.deepStrictEqual(await queueExpiredEvidence(), []);
+
+    evidence(20).expiry_date = daysFromNow(-0.5);
+    const requeued = await queueExpiredEvidence();
+    assert.deepStrictEqual(requeued.map(row => row.evidence_id), [20]);
+  },
+
+  'the queue lists each disposition with its evidence': async () => {
+    const pending = await listDispositions();
+    assert.deepStrictEqual(pending.map(row => row.evidence_id), [20]);
+    assert.strictEqual(pending[0].evidence.title, 'Item 20');
+
+    const all = await listDispositions({ status: 'all' });
+    assert.strictEqual(all.length, 7);
+  },
+
+  'the manual check runs the same warnings and queueing': async () => {
+    tables.evidence.push(evidenceRow(22, { expiry_date: daysFromNow(3) }), evidenceRow(23, {}));
+
+    const res = await call(checkExpiry, { user: as(3) });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.deepStrictEqual(res.body, { success: true, notifications_sent: 1, queued_for_disposition: 1 });
+  },
+
+  'a destroy that fails before it is recorded leaves the file in place': async () => {
+    tables.evidence.push(evidenceRow(24, { retention_policy_id: 3, storage_key: blob('a') }));
+    await queueExpiredEvidence();
+    const removed = removedBlobs.length;
+
+    // The evidence row cannot be updated
+    const from = db.from;
+    db.from = (table) => {
+      const builder = from(table);
+      if (table !== 'evidence') return builder;
+      builder.update = () => ({ eq: async () => ({ data: null, error: { message: 'connection lost' } }) });
+      return builder;
+    };
+    let result;
+    try {
+      result = await approveDisposition(as(2), dispositionFor(24).id);
+    } finally {
+      db.from = from;
+    }
+
+    assert.strictEqual(result.disposition.status, 'failed');
+    assert.strictEqual(evidence(24).storage_key, blob('a'));
+    assert.strictEqual(removedBlobs.length, removed);
+    assert.ok(!tables.activity_logs.some(row => row.action === 'evidence_disposed' && row.evidence_id === '24'));
+  }
+};
+
+runTests('retention enforcement tests', tests);
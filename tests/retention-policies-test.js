@@ -0,0 +1,185 @@
+// Retention policy updates, version history and deletion, run against an in-memory stand-in for Supabase.
+// Usage: node tests/retention-policies-test.js
+const assert = require('assert');
+const { useDatabase, call, runTests } = require('./helpers');
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+const wallet = (digit) => `0x${String(digit).repeat(40)}`;
+const DAY = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY).toISOString();
+
+const evidenceRow = (id, fields) => ({
+  id, case_id: '1', title: `Item ${id}`, submitted_by: wallet(1), status: 'active',
+  legal_hold: false, is_sealed: false, retention_policy_id: null, expiry_date: null,
+  expiry_warning_sent_at: null, disposed_at: null,
+  ...fields
+});
+
+const tables = {
+  users: [
+    { id: 1, wallet_address: wallet(1), full_name: 'Ivy Investigator', role: 'investigator', is_active: true },
+    { id: 2, wallet_address: wallet(2), full_name: 'Max Manager', role: 'evidence_manager', is_active: true }
+  ],
+  retention_policies: [],
+  retention_policy_versions: [],
+  evidence: [],
+  retention_dispositions: [],
+  retention_rules: [],
+  activity_logs: []
+};
+
+const { as } = useDatabase(tables, {
+  defaults: { retention_policies: { is_active: true } }
+});
+
+const {
+  createRetentionPolicy, updateRetentionPolicy, deleteRetentionPolicy, getRetentionPolicyVersions,
+  getEvidenceByRetentionPolicy
+} = require('../controllers/retentionController');
+const { bulkRetentionPolicy } = require('../controllers/evidenceController');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const evidence = (id) => tables.evidence.find(row => row.id === id);
+const policy = (id) => tables.retention_policies.find(row => row.id === id);
+const expiry = {};
+
+const tests = {
+  'a new policy starts at version 1 with its first history entry': async () => {
+    const res = await call(createRetentionPolicy, {
+      user: as(2),
+      body: { name: 'Closed cases', caseType: 'civil', retentionDays: 365, archiveMethod: 'archive', jurisdiction: 'State' }
+    });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual(res.body.policy.version, 1);
+    assert.strictEqual(tables.retention_policy_versions.length, 1);
+    assert.ok(tables.activity_logs.some(row => row.action === 'retention_policy_created'));
+
+    const invalid = await call(createRetentionPolicy, { user: as(2), body: { name: 'Bad', retentionDays: 0, archiveMethod: 'archive' } });
+    assert.strictEqual(invalid.statusCode, 400);
+  },
+
+  'evidence under a policy can be listed': async () => {
+    tables.evidence.push(
+      evidenceRow(1, { retention_policy_id: 1, expiry_date: daysFromNow(100) }),
+      evidenceRow(2, { retention_policy_id: 1, expiry_date: daysFromNow(10), expiry_warning_sent_at: daysFromNow(-1) }),
+      evidenceRow(3, { retention_policy_id: 1, expiry_date: daysFromNow(-5), disposed_at: daysFromNow(-1) }),
+      evidenceRow(4, { retention_policy_id: null })
+    );
+    tables.evidence.forEach(row => { expiry[row.id] = row.expiry_date; });
+
+    const res = await call(getEvidenceByRetentionPolicy, { user: as(2), params: { id: '1' } });
+    assert.deepStrictEqual(res.body.evidence.map(row => row.id), [2, 1]);
+  },
+
+  'a dry run shows the changes and new expiry dates without saving anything': async () => {
+    const logged = tables.activity_logs.length;
+    const res = await call(updateRetentionPolicy, {
+      user: as(2), params: { id: '1' }, body: { retentionDays: 340, dryRun: true }
+    });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual(res.body.dry_run, true);
+    assert.deepStrictEqual(res.body.changes, { retention_days: { from: 365, to: 340 } });
+    assert.deepStrictEqual(res.body.summary, { affected: 2, shift_days: -25, expires_immediately: 1 });
+
+    const item = res.body.evidence.find(row => row.id === 2);
+    assert.strictEqual(item.expires_immediately, true);
+    assert.strictEqual(new Date(item.expiry_date.to) - new Date(item.expiry_date.from), -25 * DAY);
+
+    assert.strictEqual(policy(1).retention_days, 365);
+    assert.strictEqual(evidence(2).expiry_date, expiry[2]);
+    assert.strictEqual(tables.activity_logs.length, logged);
+  },
+
+  'applying a change needs a reason and the previewed version': async () => {
+    const unexplained = await call(updateRetentionPolicy, {
+      user: as(2), params: { id: '1' }, body: { retentionDays: 340, version: 1 }
+    });
+    assert.strictEqual(unexplained.statusCode, 400);
+
+    const stale = await call(updateRetentionPolicy, {
+      user: as(2), params: { id: '1' }, body: { retentionDays: 340, version: 0, reason: 'Rule 12 amended' }
+    });
+    assert.strictEqual(stale.statusCode, 409);
+    assert.strictEqual(policy(1).retention_days, 365);
+  },
+
+  'a new retention period moves expiry dates and cancels stale disposals': async () => {
+    tables.retention_dispositions.push(
+      { id: 1, evidence_id: 2, policy_id: 1, status: 'pending' },
+      { id: 2, evidence_id: 9, policy_id: 1, status: 'pending' }
+    );
+
+    const res = await call(updateRetentionPolicy, {
+      user: as(2), params: { id: '1' }, body: { retentionDays: 340, version: 1, reason: 'Rule 12 amended' }
+    });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual(res.body.policy.version, 2);
+    assert.strictEqual(policy(1).retention_days, 340);
+
+    assert.strictEqual(new Date(evidence(1).expiry_date) - new Date(expiry[1]), -25 * DAY);
+    assert.strictEqual(evidence(2).expiry_warning_sent_at, null);
+    assert.strictEqual(evidence(3).expiry_date, expiry[3]);
+
+    assert.strictEqual(tables.retention_dispositions[0].status, 'cancelled');
+    assert.strictEqual(tables.retention_dispositions[1].status, 'pending');
+
+    const logged = tables.activity_logs.find(row => row.action === 'retention_policy_updated');
+    assert.strictEqual(JSON.parse(logged.details).reason, 'Rule 12 amended');
+  },
+
+  'a new archive method cancels every pending disposal under the policy': async () => {
+    const res = await call(updateRetentionPolicy, {
+      user: as(2), params: { id: '1' }, body: { archiveMethod: 'anonymize', version: 2, reason: 'Data minimisation' }
+    });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual(res.body.summary.affected, 0);
+    assert.strictEqual(tables.retention_dispositions[1].status, 'cancelled');
+
+    const unchanged = await call(updateRetentionPolicy, {
+      user: as(2), params: { id: '1' }, body: { archiveMethod: 'anonymize', version: 3, reason: 'Again' }
+    });
+    assert.strictEqual(unchanged.statusCode, 400);
+  },
+
+  'every version of a policy is kept': async () => {
+    const res = await call(getRetentionPolicyVersions, { user: as(2), params: { id: '1' } });
+    assert.deepStrictEqual(res.body.versions.map(row => [row.version, row.retention_days, row.archive_method]), [
+      [1, 365, 'archive'],
+      [2, 340, 'archive'],
+      [3, 340, 'anonymize']
+    ]);
+    assert.deepStrictEqual(res.body.versions.map(row => row.change_reason), ['Created', 'Rule 12 amended', 'Data minimisation']);
+  },
+
+  'a policy cannot be deleted while evidence is under it': async () => {
+    const res = await call(deleteRetentionPolicy, { user: as(2), params: { id: '1' }, body: { reason: 'Superseded' } });
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(res.body.evidence_count, 2);
+    assert.strictEqual(policy(1).is_active, true);
+  },
+
+  'deleting keeps the policy and its history but retires it': async () => {
+    evidence(1).retention_policy_id = null;
+    evidence(2).retention_policy_id = null;
+
+    const res = await call(deleteRetentionPolicy, { user: as(2), params: { id: '1' }, query: { reason: 'Superseded' } });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual(policy(1).is_active, false);
+    assert.strictEqual(policy(1).deleted_by, wallet(2));
+    assert.strictEqual(tables.retention_policy_versions.at(-1).change_reason, 'Superseded');
+
+    const again = await call(deleteRetentionPolicy, { user: as(2), params: { id: '1' } });
+    assert.strictEqual(again.statusCode, 404);
+
+    const update = await call(updateRetentionPolicy, { user: as(2), params: { id: '1' }, body: { retentionDays: 10, dryRun: true } });
+    assert.strictEqual(update.statusCode, 404);
+
+    const assigned = await call(bulkRetentionPolicy, { user: as(2), body: { policyId: 1, evidenceIds: [4] } });
+    assert.strictEqual(assigned.statusCode, 404);
+    assert.strictEqual(evidence(4).retention_policy_id, null);
+  }
+};
+
+runTests('retention policy tests', tests);
@@ -0,0 +1,173 @@
+// Retention compliance report, run against an in-memory stand-in for Supabase.
+// Usage: node tests/retention-report-test.js
+const assert = require('assert');
+const { PDFDocument } = require('pdf-lib');
+const { useDatabase, call, runTests } = require('./helpers');
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+const wallet = (digit) => `0x${String(digit).repeat(40)}`;
+const DAY = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY).toISOString();
+
+const evidenceRow = (id, fields) => ({
+  id, case_id: '1', status: 'active', retention_policy_id: 1, expiry_date: daysFromNow(100),
+  legal_hold: false, disposed_at: null,
+  ...fields
+});
+
+const tables = {
+  users: [
+    { id: 1, wallet_address: wallet(1), full_name: 'Ivy Investigator', role: 'investigator', is_active: true },
+    { id: 2, wallet_address: wallet(2), full_name: 'Aude Auditor', role: 'auditor', is_active: true }
+  ],
+  cases: [
+    { id: 1, case_number: 'CR-001', jurisdiction: 'State', case_type: 'criminal' },
+    { id: 2, case_number: 'CV-002', jurisdiction: 'State', case_type: 'civil' },
+    { id: 3, case_number: 'EU-003', jurisdiction: 'EU', case_type: 'civil' }
+  ],
+  retention_policies: [
+    { id: 1, name: 'Closed cases', retention_days: 365, archive_method: 'archive', is_active: true },
+    { id: 2, name: 'Personal data', retention_days: 30, archive_method: 'anonymize', is_active: true },
+    { id: 3, name: 'Old rule', retention_days: 90, archive_method: 'destroy', is_active: false }
+  ],
+  evidence: [
+    evidenceRow(1, { expiry_date: daysFromNow(3) }),
+    evidenceRow(2, { expiry_date: daysFromNow(10) }),
+    evidenceRow(3, { expiry_date: daysFromNow(-2) }),
+    evidenceRow(4, { expiry_date: daysFromNow(5), legal_hold: true }),
+    evidenceRow(5, { retention_policy_id: null, expiry_date: null }),
+    evidenceRow(6, { case_id: 'CV-002', retention_policy_id: 3 }),
+    evidenceRow(7, { case_id: '3', retention_policy_id: 2, expiry_date: daysFromNow(-40), disposed_at: daysFromNow(-10), status: 'anonymized' }),
+    evidenceRow(8, { case_id: '3', retention_policy_id: 2, expiry_date: daysFromNow(-1) }),
+    evidenceRow(9, { status: 'deleted' }),
+    evidenceRow(10, { case_id: '99', retention_policy_id: null })
+  ],
+  legal_holds: [
+    { id: 1, matter_name: 'Smith v. Jones', issuing_authority: 'District Court', status: 'active' },
+    { id: 2, matter_name: 'Closed matter', issuing_authority: 'District Court', status: 'released' }
+  ],
+  legal_hold_evidence: [
+    { hold_id: 1, evidence_id: 4 },
+    { hold_id: 2, evidence_id: 2 }
+  ],
+  retention_dispositions: [
+    { id: 1, evidence_id: 7, archive_method: 'anonymize', status: 'completed', created_at: daysFromNow(-20), decided_at: daysFromNow(-10) },
+    { id: 2, evidence_id: 8, archive_method: 'anonymize', status: 'pending', created_at: daysFromNow(-1), decided_at: null },
+    { id: 3, evidence_id: 3, archive_method: 'archive', status: 'rejected', created_at: daysFromNow(-200), decided_at: daysFromNow(-150) }
+  ],
+  activity_logs: []
+};
+
+const db = useDatabase(tables);
+const { as } = db;
+
+// Record the page size of every ranged read
+const pageSizes = [];
+const from = db.from;
+db.from = (table) => {
+  const builder = from(table);
+  const range = builder.range;
+  builder.range = (start, end) => { pageSizes.push(end - start + 1); return range(start, end); };
+  return builder;
+};
+
+const { buildRetentionReport, reportToCsv } = require('../services/retentionReportService');
+const { getRetentionReport } = require('../controllers/retentionController');
+const { ROLE_PERMISSIONS } = require('../services/policyService');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+let report;
+const group = (jurisdiction, caseType) =>
+  report.groups.find(row => row.jurisdiction === jurisdiction && row.case_type === caseType);
+
+const tests = {
+  'evidence is grouped by the jurisdiction and case type of its case': async () => {
+    report = await buildRetentionReport({ weeks: 4 });
+    assert.deepStrictEqual(report.groups.map(row => [row.jurisdiction, row.case_type]), [
+      ['EU', 'civil'],
+      ['State', 'civil'],
+      ['State', 'criminal'],
+      ['Unspecified', 'Unspecified']
+    ]);
+    assert.deepStrictEqual(report.totals, { evidence: 8, no_policy: 2, overdue: 2, on_hold: 1 });
+    assert.ok(pageSizes.length > 0 && pageSizes.every(size => size === 1000));
+  },
+
+  'counts per policy and without one exclude deleted and disposed items': async () => {
+    const criminal = group('State', 'criminal');
+    assert.strictEqual(criminal.evidence, 5);
+    assert.deepStrictEqual(criminal.policies.map(row => [row.name, row.count]), [['Closed cases', 4]]);
+    assert.strictEqual(criminal.no_policy, 1);
+
+    assert.deepStrictEqual(group('State', 'civil').policies.map(row => [row.name, row.is_active, row.count]), [['Old rule', false, 1]]);
+    assert.strictEqual(group('EU', 'civil').evidence, 1);
+  },
+
+  'items past expiry and not yet disposed of are counted': async () => {
+    assert.strictEqual(group('State', 'criminal').overdue, 1);
+    assert.strictEqual(group('EU', 'civil').overdue, 1);
+  },
+
+  'active holds are listed with the items they cover': async () => {
+    const criminal = group('State', 'criminal');
+    assert.strictEqual(criminal.on_hold, 1);
+    assert.deepStrictEqual(criminal.holds, [{ hold_id: 1, matter_name: 'Smith v. Jones', issuing_authority: 'District Court', count: 1 }]);
+    assert.strictEqual(report.active_holds, 1);
+  },
+
+  'upcoming expirations are counted by week, leaving out held items': async () => {
+    const weeks = group('State', 'criminal').upcoming;
+    assert.strictEqual(weeks.length, 4);
+    assert.deepStrictEqual(weeks.map(week => week.count), [1, 1, 0, 0]);
+  },
+
+  'disposition history covers the period': async () => {
+    const eu = group('EU', 'civil');
+    assert.strictEqual(eu.dispositions.completed, 1);
+    assert.strictEqual(eu.dispositions.pending, 1);
+    assert.strictEqual(eu.disposed.anonymize, 1);
+    assert.strictEqual(group('State', 'criminal').dispositions.rejected, 0);
+
+    const year = await buildRetentionReport({ from: daysFromNow(-365) });
+    assert.strictEqual(year.groups.find(row => row.case_type === 'criminal').dispositions.rejected, 1);
+  },
+
+  'the CSV has one row per figure': async () => {
+    const lines = reportToCsv(report).trim().split('\n');
+    assert.strictEqual(lines[0], 'jurisdiction,case_type,metric,detail,count');
+    assert.ok(lines.includes('"State","criminal","policy","Closed cases (#1)","4"'));
+    assert.ok(lines.includes('"EU","civil","disposed","anonymize","1"'));
+  },
+
+  'the endpoint serves JSON, CSV and PDF and audits each report': async () => {
+    const json = await call(getRetentionReport, { user: as(2) });
+    assert.strictEqual(json.statusCode, 200, JSON.stringify(json.body));
+    assert.strictEqual(json.body.report.totals.evidence, 8);
+
+    const csv = await call(getRetentionReport, { user: as(2), query: { format: 'csv' } });
+    assert.ok(csv.headers['Content-Type'].startsWith('text/csv'));
+    assert.ok(csv.headers['Content-Disposition'].endsWith('.csv"'));
+
+    const pdf = await call(getRetentionReport, { user: as(2), query: { format: 'pdf' } });
+    assert.strictEqual(pdf.headers['Content-Type'], 'application/pdf');
+    const document = await PDFDocument.load(pdf.body);
+    assert.ok(document.getPageCount() >= 1);
+
+    assert.strictEqual(tables.activity_logs.filter(row => row.action === 'retention_report_generated').length, 3);
+  },
+
+  'bad parameters are refused': async () => {
+    for (const query of [{ format: 'xml' }, { from: 'yesterday' }, { weeks: '0' }, { weeks: '60' }]) {
+      const res = await call(getRetentionReport, { user: as(2), query });
+      assert.strictEqual(res.statusCode, 400, JSON.stringify(query));
+    }
+  },
+
+  'auditors and records managers may read the report': async () => {
+    assert.deepStrictEqual(ROLE_PERMISSIONS['retention:report'], ['admin', 'evidence_manager', 'auditor']);
+  }
+};
+
+runTests('retention report tests', tests);
@@ -0,0 +1,187 @@
+// Automatic retention policy assignment rules, run against an in-memory stand-in for Supabase.
+// Usage: node tests/retention-rules-test.js
+const assert = require('assert');
+const { useDatabase, call, runTests } = require('./helpers');
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+const wallet = (digit) => `0x${String(digit).repeat(40)}`;
+const DAY = 24 * 60 * 60 * 1000;
+const UPLOADED = '2026-01-01T00:00:00.000Z';
+const CLOSED = '2026-03-01T00:00:00.000Z';
+const plusDays = (iso, days) => new Date(new Date(iso).getTime() + days * DAY).toISOString();
+
+const evidenceRow = (id, fields) => ({
+  id, case_id: '1', title: `Item ${id}`, type: 'document', submitted_by: wallet(1), status: 'uploaded',
+  timestamp: UPLOADED, legal_hold: false, is_sealed: false, retention_policy_id: null, expiry_date: null,
+  expiry_warning_sent_at: null, disposed_at: null, retention_assignment: null,
+  ...fields
+});
+
+const tables = {
+  users: [
+    { id: 1, wallet_address: wallet(1), full_name: 'Ivy Investigator', role: 'investigator', is_active: true },
+    { id: 2, wallet_address: wallet(2), full_name: 'Max Manager', role: 'evidence_manager', is_active: true }
+  ],
+  case_statuses: [
+    { id: 1, status_code: 'open' },
+    { id: 7, status_code: 'closed' },
+    { id: 9, status_code: 'reopened' }
+  ],
+  cases: [
+    { id: 1, case_number: 'CR-001', case_type: 'criminal', jurisdiction: 'State', status_id: 1, last_status_change: UPLOADED },
+    { id: 2, case_number: 'CV-002', case_type: 'civil', jurisdiction: 'EU', status_id: 1, last_status_change: UPLOADED }
+  ],
+  tags: [{ id: 5, name: 'homicide' }],
+  retention_policies: [
+    { id: 1, name: 'Standard', retention_days: 365, archive_method: 'archive', is_active: true, version: 1 },
+    { id: 2, name: 'Video', retention_days: 730, archive_method: 'archive', is_active: true, version: 1 },
+    { id: 3, name: 'Homicide', retention_days: 36500, archive_method: 'archive', is_active: true, version: 1 },
+    { id: 4, name: 'After closure', retention_days: 3650, archive_method: 'destroy', is_active: true, version: 1 },
+    { id: 5, name: 'Retired', retention_days: 99999, archive_method: 'archive', is_active: false, version: 2 }
+  ],
+  retention_policy_versions: [],
+  retention_rules: [],
+  evidence: [],
+  evidence_tags: [],
+  activity_logs: []
+};
+
+const { as } = useDatabase(tables, {
+  defaults: { retention_rules: { is_active: true } }
+});
+
+const { assignRetentionPolicy, assignRetentionPoliciesForCase } = require('../services/retentionRuleService');
+const { deletePolicy } = require('../services/retentionPolicyService');
+const { createRetentionRule, deactivateRetentionRule, getRetentionRules } = require('../controllers/retentionController');
+const { bulkRetentionPolicy } = require('../controllers/evidenceController');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const rule = (body) => call(createRetentionRule, { user: as(2), body });
+const evidence = (id) => tables.evidence.find(row => row.id === id);
+const upload = async (id, fields) => {
+  tables.evidence.push(evidenceRow(id, fields));
+  return assignRetentionPolicy({ id }, { actor: wallet(1) });
+};
+
+const tests = {
+  'rules need a name, an active policy and a known tag and case status': async () => {
+    for (const body of [
+      { policyId: 1 },
+      { name: 'Gone', policyId: 5 },
+      { name: 'No tag', policyId: 1, tagId: 99 },
+      { name: 'No status', policyId: 1, startsOnStatus: 'archived' }
+    ]) {
+      const res = await rule(body);
+      assert.strictEqual(res.statusCode, 400, JSON.stringify(body));
+    }
+
+    const res = await rule({ name: 'Everything', policyId: 1 });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.ok(tables.activity_logs.some(row => row.action === 'retention_rule_created'));
+  },
+
+  'uploaded evidence gets the policy of the matching rule, counted from upload': async () => {
+    const assigned = await upload(1, {});
+    assert.strictEqual(assigned.retention_policy_id, 1);
+
+    const item = evidence(1);
+    assert.strictEqual(item.expiry_date, plusDays(UPLOADED, 365));
+    assert.strictEqual(item.retention_assignment.rule_name, 'Everything');
+    assert.strictEqual(item.retention_assignment.explanation, 'Rule "Everything" (any evidence) assigned "Standard", 365 days from upload');
+
+    const logged = tables.activity_logs.find(row => row.action === 'retention_policy_assigned');
+    assert.strictEqual(logged.evidence_id, '1');
+  },
+
+  'when several rules match, the longest period wins and the others are recorded': async () => {
+    await rule({ name: 'Criminal video', policyId: 2, caseType: 'Criminal', evidenceType: 'video' });
+    await rule({ name: 'Civil video', policyId: 2, caseType: 'civil', evidenceType: 'video' });
+    await rule({ name: 'Retired policy', policyId: 1, jurisdiction: 'State' });
+    tables.retention_rules.at(-1).policy_id = 5;
+
+    await upload(2, { type: 'video' });
+    const { retention_assignment: assignment } = evidence(2);
+    assert.strictEqual(evidence(2).retention_policy_id, 2);
+    assert.strictEqual(assignment.rule_name, 'Criminal video');
+    assert.deepStrictEqual(assignment.criteria, { case_type: 'Criminal', evidence_type: 'video' });
+    assert.deepStrictEqual(assignment.other_rules.map(other => other.rule_name), ['Everything']);
+    assert.ok(assignment.explanation.endsWith('longest of 2 matching rules'));
+  },
+
+  'tagging evidence re-applies the rules': async () => {
+    await rule({ name: 'Homicide', policyId: 3, tagId: 5 });
+    tables.evidence_tags.push({ evidence_id: 1, tag_id: 5 });
+
+    await assignRetentionPolicy(1, { actor: wallet(1) });
+    assert.strictEqual(evidence(1).retention_policy_id, 3);
+    assert.strictEqual(evidence(1).expiry_date, plusDays(UPLOADED, 36500));
+    assert.strictEqual(evidence(1).expiry_warning_sent_at, null);
+
+    const logged = tables.activity_logs.filter(row => row.action === 'retention_policy_assigned').length;
+    assert.strictEqual(await assignRetentionPolicy(1, { actor: wallet(1) }), null);
+    assert.strictEqual(tables.activity_logs.filter(row => row.action === 'retention_policy_assigned').length, logged);
+  },
+
+  'a rule starting at closure has no expiry date until the case closes': async () => {
+    await rule({ name: 'Civil after closure', policyId: 4, caseType: 'civil', startsOnStatus: 'closed' });
+
+    await upload(3, { case_id: 'CV-002' });
+    assert.strictEqual(evidence(3).retention_policy_id, 4);
+    assert.strictEqual(evidence(3).expiry_date, null);
+    assert.ok(evidence(3).retention_assignment.explanation.endsWith('not started, the case is open'));
+
+    Object.assign(tables.cases[1], { status_id: 7, last_status_change: CLOSED });
+    assert.strictEqual(await assignRetentionPoliciesForCase('2', { actor: wallet(2) }), 1);
+    assert.strictEqual(evidence(3).expiry_date, plusDays(CLOSED, 3650));
+    assert.strictEqual(evidence(3).retention_assignment.started_at, CLOSED);
+
+    // Reopening stops the clock again
+    Object.assign(tables.cases[1], { status_id: 9, last_status_change: plusDays(CLOSED, 30) });
+    await assignRetentionPoliciesForCase('2', { actor: wallet(2) });
+    assert.strictEqual(evidence(3).expiry_date, null);
+  },
+
+  'manual assignments, sealed and disposed items are left alone': async () => {
+    tables.evidence.push(evidenceRow(4, {}), evidenceRow(5, { is_sealed: true }), evidenceRow(6, { disposed_at: CLOSED }));
+    const res = await call(bulkRetentionPolicy, { user: as(2), body: { policyId: 2, evidenceIds: [4] } });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual(evidence(4).retention_assignment.source, 'manual');
+
+    for (const id of [4, 5, 6]) {
+      assert.strictEqual(await assignRetentionPolicy(id, { actor: wallet(1) }), null);
+    }
+    assert.strictEqual(evidence(4).retention_policy_id, 2);
+    assert.strictEqual(evidence(5).retention_policy_id, null);
+
+    // Assigned before rules existed
+    tables.evidence.push(evidenceRow(7, { retention_policy_id: 2 }));
+    assert.strictEqual(await assignRetentionPolicy(7, { actor: wallet(1) }), null);
+  },
+
+  'a policy used by an active rule cannot be deleted until the rule is deactivated': async () => {
+    tables.evidence.push(evidenceRow(8, {}));
+    const unused = tables.retention_policies[0];
+    tables.evidence.forEach(row => { if (row.retention_policy_id === unused.id) row.retention_policy_id = null; });
+
+    const blocked = await deletePolicy(as(2), unused.id, { reason: 'Superseded' });
+    assert.strictEqual(blocked.reason, 'conflict');
+
+    const everything = tables.retention_rules.find(row => row.name === 'Everything');
+    const res = await call(deactivateRetentionRule, { user: as(2), params: { id: String(everything.id) } });
+    assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+    assert.strictEqual(res.body.rule.deactivated_by, wallet(2));
+
+    const listed = await call(getRetentionRules, { user: as(2) });
+    assert.ok(!listed.body.rules.some(row => row.id === everything.id));
+
+    const again = await call(deactivateRetentionRule, { user: as(2), params: { id: String(everything.id) } });
+    assert.strictEqual(again.statusCode, 404);
+
+    const { policy } = await deletePolicy(as(2), unused.id, { reason: 'Superseded' });
+    assert.strictEqual(policy.is_active, false);
+  }
+};
+
+runTests('retention rule tests', tests);
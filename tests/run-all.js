@@ -0,0 +1,23 @@
+// Runs every tests/*-test.js in its own process and exits non-zero if any fails.
+// The smoke test needs a running server, so it is left to `npm run test:smoke`.
+// Usage: npm test
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const SKIP = new Set(['smoke-test.js']);
+
+const files = fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('-test.js') && !SKIP.has(file))
+  .sort();
+
+const failed = [];
+for (const file of files) {
+  console.log(`\n── ${file}`);
+  const { status } = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit' });
+  if (status !== 0) failed.push(file);
+}
+
+console.log(`\n=== ${files.length - failed.length} of ${files.length} test files passed ===`);
+if (failed.length > 0) console.log(`Failed: ${failed.join(', ')}`);
+process.exit(failed.length > 0 ? 1 : 0);
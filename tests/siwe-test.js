@@ -0,0 +1,114 @@
+// Sign-In-With-Ethereum messages and nonces, run against an in-memory stand-in for Supabase.
+// Usage: node tests/siwe-test.js
+const assert = require('assert');
+const { ethers } = require('ethers');
+const { useDatabase, runTests } = require('./helpers');
+
+process.env.SIWE_DOMAIN = 'evidence.example.org';
+process.env.SIWE_CHAIN_ID = '137';
+
+// ── In-memory tables ────────────────────────────────────────────────────────
+
+const tables = {
+  auth_nonces: []
+};
+
+useDatabase(tables);
+
+const { buildSiweMessage, parseSiweMessage, createSiweChallenge, verifySiweSignature } = require('../services/siweService');
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const wallet = new ethers.Wallet(`0x${'1'.repeat(64)}`);
+const otherWallet = new ethers.Wallet(`0x${'2'.repeat(64)}`);
+const req = { protocol: 'https', get: () => 'evidence.example.org' };
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+const challenge = () => createSiweChallenge(req, wallet.address);
+const messageWith = (fields) => buildSiweMessage({
+  domain: 'evidence.example.org',
+  address: wallet.address,
+  uri: 'https://evidence.example.org',
+  chainId: 137,
+  nonce: 'abcdef0123456789',
+  issuedAt: minutesFromNow(-1),
+  expirationTime: minutesFromNow(10),
+  ...fields
+});
+
+const tests = {
+  'a built message parses back to its fields': () => {
+    const message = messageWith({});
+    const fields = parseSiweMessage(message);
+    assert.strictEqual(fields.domain, 'evidence.example.org');
+    assert.strictEqual(fields.address, wallet.address);
+    assert.strictEqual(fields.chainId, 137);
+    assert.strictEqual(fields.nonce, 'abcdef0123456789');
+    assert.strictEqual(fields.version, '1');
+  },
+
+  'malformed messages do not parse': () => {
+    const message = messageWith({});
+    for (const broken of [
+      null,
+      '',
+      message.replace(' wants you to sign in', ' would like you to sign in'),
+      message.replace(wallet.address, '0x1234'),
+      message.replace('Version: 1', 'Version: 2'),
+      message.replace('Chain ID: 137', 'Chain ID: polygon'),
+      message.replace('Nonce: abcdef0123456789', 'Nonce: short')
+    ]) {
+      assert.strictEqual(parseSiweMessage(broken), null, JSON.stringify(broken));
+    }
+  },
+
+  'a signed challenge signs the wallet in once': async () => {
+    const { message, nonce } = await challenge();
+    assert.ok(message.startsWith('evidence.example.org wants you to sign in'));
+    assert.strictEqual(tables.auth_nonces.find(row => row.nonce === nonce).wallet_address, wallet.address.toLowerCase());
+
+    const signature = await wallet.signMessage(message);
+    assert.deepStrictEqual(await verifySiweSignature(req, message, signature), { walletAddress: wallet.address.toLowerCase() });
+
+    // The nonce was used up
+    const reused = await verifySiweSignature(req, message, signature);
+    assert.strictEqual(reused.error, 'Sign-in nonce is invalid, expired or already used');
+  },
+
+  'an expired message is refused': async () => {
+    const message = messageWith({ issuedAt: minutesFromNow(-20), expirationTime: minutesFromNow(-10) });
+    const result = await verifySiweSignature(req, message, await wallet.signMessage(message));
+    assert.strictEqual(result.error, 'Sign-in message has expired');
+  },
+
+  'a message whose nonce has expired is refused': async () => {
+    const { message, nonce } = await challenge();
+    tables.auth_nonces.find(row => row.nonce === nonce).expires_at = minutesFromNow(-1);
+
+    const result = await verifySiweSignature(req, message, await wallet.signMessage(message));
+    assert.strictEqual(result.error, 'Sign-in nonce is invalid, expired or already used');
+  },
+
+  'a message for another domain or chain is refused': async () => {
+    const elsewhere = messageWith({ domain: 'phishing.example.com' });
+    const domainResult = await verifySiweSignature(req, elsewhere, await wallet.signMessage(elsewhere));
+    assert.strictEqual(domainResult.error, 'Sign-in message was issued for a different domain');
+
+    const otherChain = messageWith({ chainId: 1 });
+    const chainResult = await verifySiweSignature(req, otherChain, await wallet.signMessage(otherChain));
+    assert.strictEqual(chainResult.error, 'Sign-in message was issued for a different chain');
+  },
+
+  'a signature from another wallet is refused and keeps the nonce': async () => {
+    const { message, nonce } = await challenge();
+
+    const forged = await verifySiweSignature(req, message, await otherWallet.signMessage(message));
+    assert.strictEqual(forged.error, 'Signature does not match the wallet in the message');
+    assert.strictEqual((await verifySiweSignature(req, message, '0x1234')).error, 'Invalid signature');
+    assert.strictEqual(tables.auth_nonces.find(row => row.nonce === nonce).used_at, undefined);
+
+    assert.ok((await verifySiweSignature(req, message, await wallet.signMessage(message))).walletAddress);
+  }
+};
+
+runTests('SIWE tests', tests);
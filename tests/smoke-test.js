@@ -22,7 +22,7 @@ const tests = [
   
   // POST checks
   { method: 'POST', path: '/api/user/delete-self', expect: 403, body: '{}' },
-  { method: 'POST', path: '/api/activity-logs', expect: 400, body: '{}' }, // Missing fields -> 400
+  { method: 'POST', path: '/api/activity-logs', expect: 401, body: '{}' }, // Not signed in -> 401
   { method: 'POST', path: '/api/auth/email/login', expect: 400, body: '{}' }, // Missing credentials -> 400
 ];
 
@@ -0,0 +1,56 @@
+// TOTP generation and verification, checked against the RFC 6238 test vectors.
+// Usage: node tests/totp-test.js
+const assert = require('assert');
+const { runTests } = require('./helpers');
+const { base32Encode, base32Decode, generateTotp, verifyTotp, generateSecret, buildOtpauthUrl } = require('../services/totp');
+
+// RFC 6238 appendix B: SHA1 with the ASCII secret "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+const tests = {
+  'base32 round-trips random bytes': () => {
+    const bytes = Buffer.from('a0b1c2d3e4f5061728394a5b6c7d8e9f00112233', 'hex');
+    assert.deepStrictEqual(base32Decode(base32Encode(bytes)), bytes);
+  },
+
+  'generates the RFC 6238 codes': () => {
+    for (const [seconds, expected] of RFC_VECTORS) {
+      assert.strictEqual(generateTotp(RFC_SECRET, seconds * 1000), expected, `T=${seconds}`);
+    }
+  },
+
+  'accepts a code from the current or an adjacent step and returns that step': () => {
+    const time = 1111111111 * 1000;
+    assert.strictEqual(verifyTotp(RFC_SECRET, '050471', { time }), Math.floor(1111111111 / 30));
+    assert.strictEqual(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time - 30000), { time }), Math.floor(1111111111 / 30) - 1);
+    assert.strictEqual(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time + 30000), { time }), Math.floor(1111111111 / 30) + 1);
+  },
+
+  'rejects codes outside the window and malformed input': () => {
+    const time = 1111111111 * 1000;
+    assert.strictEqual(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time - 90000), { time }), null);
+    assert.strictEqual(verifyTotp(RFC_SECRET, '12345', { time }), null);
+    assert.strictEqual(verifyTotp(RFC_SECRET, 'abcdef', { time }), null);
+    assert.strictEqual(verifyTotp(RFC_SECRET, undefined, { time }), null);
+  },
+
+  'new secrets are 160 bits and go into the otpauth URL': () => {
+    const secret = generateSecret();
+    assert.strictEqual(base32Decode(secret).length, 20);
+
+    const url = new URL(buildOtpauthUrl({ secret, issuer: 'EVID-DGC', account: 'user@example.com' }));
+    assert.strictEqual(url.protocol, 'otpauth:');
+    assert.strictEqual(url.searchParams.get('secret'), secret);
+    assert.strictEqual(url.searchParams.get('issuer'), 'EVID-DGC');
+  }
+};
+
+runTests('TOTP tests', tests);